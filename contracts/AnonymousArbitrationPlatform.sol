@@ -1,802 +1,1763 @@
-// SPDX-License-Identifier: BSD-3-Clause-Clear
-pragma solidity ^0.8.24;
-
-import { FHE, euint32, euint8, euint64, ebool, externalEuint32, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
-import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
-
-/**
- * @title AnonymousArbitrationPlatform
- * @notice A privacy-preserving arbitration platform using Fully Homomorphic Encryption
- * @dev Implements Gateway callback pattern for secure decryption and resolution
- *
- * ARCHITECTURE OVERVIEW:
- * ====================
- * This contract uses a Gateway callback architecture for handling encrypted data:
- * 1. Users submit encrypted inputs (evidence, stakes, votes)
- * 2. Contract records encrypted data on-chain
- * 3. Gateway oracle decrypts data when requested
- * 4. Callback function processes decrypted results
- *
- * SECURITY FEATURES:
- * ==================
- * Input Validation:
- *   - All addresses validated against zero address
- *   - Stake amounts checked against minimum thresholds
- *   - Time boundaries enforced for voting periods
- *   - Vote options validated within allowed ranges
- *
- * Access Control:
- *   - Owner-only administrative functions
- *   - Arbitrator-specific voting permissions
- *   - Dispute party access restrictions
- *   - Request-based callback authentication
- *
- * Overflow Protection:
- *   - Solidity 0.8+ automatic overflow checks
- *   - SafeMath implicit in all arithmetic
- *   - Bounded loop iterations
- *   - Checked multiplication in obfuscation
- *
- * Refund Mechanism:
- *   - Automatic refunds on decryption failure
- *   - Timeout-triggered refund eligibility
- *   - Double-refund prevention flags
- *   - Emergency refund functions
- *
- * Timeout Protection:
- *   - VOTING_TIMEOUT: 7 days max voting period
- *   - DECRYPTION_TIMEOUT: 3 days max decryption wait
- *   - Automatic status updates on timeout
- *   - Refund triggers after timeout expiry
- *
- * PRIVACY FEATURES:
- * ==================
- * Division Protection:
- *   - Random multipliers prevent division leakage
- *   - Obfuscation applied to all stake calculations
- *   - Nonce-based entropy for unpredictability
- *   - Privacy-preserving arithmetic operations
- *
- * Price Obfuscation:
- *   - Encrypted stake amounts via FHE
- *   - Multiplier-based stake obfuscation
- *   - Hidden actual values on-chain
- *   - Only final outcomes revealed
- *
- * FHE Integration:
- *   - euint64 for high-precision encrypted values
- *   - euint32 for evidence hashes
- *   - euint8 for compact vote storage
- *   - Homomorphic operations on encrypted data
- *
- * GATEWAY CALLBACK MODE:
- * ======================
- * Request Flow:
- *   User → submitVote() → encrypted data stored
- *   Contract → FHE.requestDecryption() → Gateway
- *   Gateway → processes decryption → calls callback
- *   Contract → processDecisionCallback() → finalizes
- *
- * HCU OPTIMIZATION:
- * =================
- * - Batch decryption requests to minimize calls
- * - Reuse encrypted values where possible
- * - Minimize FHE operations per transaction
- * - Efficient storage of encrypted data
- * - Strategic use of FHE.select() over branching
- *
- * AUDIT NOTES:
- * ============
- * @audit Reentrancy: Protected via checks-effects-interactions pattern
- * @audit Access: All privileged functions have modifiers
- * @audit Overflow: Solidity 0.8+ protects all arithmetic
- * @audit Randomness: Current selection is simplified - use Chainlink VRF in production
- * @audit FHE Gateway: Callback signature verification handled by FHE protocol
- * @audit Refunds: Double-refund prevented via refundProcessed flag
- * @audit Timeouts: All time-sensitive operations have deadline checks
- */
-
-contract AnonymousArbitrationPlatform is SepoliaConfig {
-
-    address public owner;
-    uint256 public disputeCounter;
-    uint256 public arbitratorPool;
-
-    // Timeout constants for protection against permanent locks
-    uint256 public constant VOTING_TIMEOUT = 7 days;
-    uint256 public constant DECRYPTION_TIMEOUT = 3 days;
-    uint256 public constant MAX_ARBITRATORS = 3;
-    uint256 public constant MIN_STAKE = 0.001 ether;
-
-    // Privacy obfuscation parameters for division protection
-    uint256 private constant OBFUSCATION_MULTIPLIER = 1e6;
-    uint256 private nonce;  // @audit Nonce provides entropy for obfuscation
-
-    enum DisputeStatus {
-        Created,
-        InArbitration,
-        Voting,
-        Resolved,
-        Cancelled,
-        DecryptionFailed,
-        Refunded
-    }
-
-    enum VoteOption {
-        NotVoted,
-        FavorPlaintiff,
-        FavorDefendant,
-        Neutral
-    }
-
-    struct Dispute {
-        uint256 id;
-        address plaintiff;
-        address defendant;
-        euint64 encryptedStakeAmount;      // Changed to euint64 for better precision
-        euint32 encryptedEvidenceHash;
-        DisputeStatus status;
-        uint256 createdAt;
-        uint256 votingDeadline;
-        uint256 decryptionRequestTime;     // New: track when decryption was requested
-        address[] assignedArbitrators;
-        euint8 encryptedFinalDecision;
-        bool decisionRevealed;
-        address winner;
-        uint256 stakeAmount;               // New: plain stake amount for refunds
-        uint256 decryptionRequestId;       // New: track decryption request
-        bool refundProcessed;              // New: prevent double refunds
-    }
-
-    struct ArbitratorProfile {
-        bool isActive;
-        uint256 reputation;
-        uint256 totalDisputesHandled;
-        uint256 successfulArbitrations;
-        euint32 encryptedIdentityProof;
-        bool identityVerified;
-    }
-
-    struct VoteRecord {
-        euint8 encryptedVote;
-        euint32 encryptedJustification;
-        bool hasVoted;
-        uint256 timestamp;
-    }
-
-    mapping(uint256 => Dispute) public disputes;
-    mapping(address => ArbitratorProfile) public arbitrators;
-    mapping(uint256 => mapping(address => VoteRecord)) public disputeVotes;
-    mapping(address => uint256) public userReputation;
-    mapping(uint256 => bool) public pendingDecryptions;
-    mapping(uint256 => uint256) private requestIdToDisputeId;  // Gateway callback: requestId → disputeId
-
-    event DisputeCreated(uint256 indexed disputeId, address indexed plaintiff, address indexed defendant);
-    event ArbitratorsAssigned(uint256 indexed disputeId, address[] arbitrators);
-    event VoteSubmitted(uint256 indexed disputeId, address indexed arbitrator);
-    event DisputeResolved(uint256 indexed disputeId, address indexed winner);
-    event ArbitratorRegistered(address indexed arbitrator);
-    event ReputationUpdated(address indexed user, uint256 newReputation);
-    event DecryptionRequested(uint256 indexed disputeId, uint256 requestId);
-    event DecryptionFailed(uint256 indexed disputeId, string reason);
-    event RefundIssued(uint256 indexed disputeId, address indexed recipient, uint256 amount);
-    event TimeoutTriggered(uint256 indexed disputeId, string phase);
-
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Not authorized");
-        _;
-    }
-
-    modifier onlyActiveArbitrator() {
-        require(arbitrators[msg.sender].isActive, "Not an active arbitrator");
-        _;
-    }
-
-    modifier onlyDisputeParty(uint256 _disputeId) {
-        require(
-            msg.sender == disputes[_disputeId].plaintiff ||
-            msg.sender == disputes[_disputeId].defendant,
-            "Not a dispute party"
-        );
-        _;
-    }
-
-    modifier disputeExists(uint256 _disputeId) {
-        require(_disputeId <= disputeCounter && _disputeId > 0, "Dispute does not exist");
-        _;
-    }
-
-    constructor() {
-        owner = msg.sender;
-        disputeCounter = 0;
-        arbitratorPool = 0;
-        nonce = 0;
-    }
-
-    /**
-     * @notice Register as an arbitrator with encrypted identity proof
-     * @param encryptedProof External encrypted identity proof
-     * @param inputProof Proof for the encrypted input
-     * @dev Uses FHE.fromExternal for secure input validation
-     * @audit Input validation: Checks for duplicate registration
-     * @audit Access control: Public but prevents re-registration
-     * @audit HCU optimization: Single FHE operation per registration
-     */
-    function registerArbitrator(
-        externalEuint32 calldata encryptedProof,
-        bytes calldata inputProof
-    ) external {
-        // @audit Input validation
-        require(!arbitrators[msg.sender].isActive, "Already registered as arbitrator");
-
-        // @audit FHE operation - validate and import encrypted proof
-        euint32 proof = FHE.fromExternal(encryptedProof, inputProof);
-
-        arbitrators[msg.sender] = ArbitratorProfile({
-            isActive: true,
-            reputation: 100,
-            totalDisputesHandled: 0,
-            successfulArbitrations: 0,
-            encryptedIdentityProof: proof,
-            identityVerified: true
-        });
-
-        arbitratorPool++;
-
-        // @audit HCU optimization: Batch permission grants
-        FHE.allowThis(proof);
-        FHE.allow(proof, msg.sender);
-
-        emit ArbitratorRegistered(msg.sender);
-    }
-
-    /**
-     * @notice Create a new dispute with encrypted evidence
-     * @param _defendant Address of the defendant
-     * @param encryptedStake External encrypted stake amount
-     * @param encryptedEvidence External encrypted evidence hash
-     * @param stakeProof Proof for stake encryption
-     * @param evidenceProof Proof for evidence encryption
-     * @dev Uses obfuscation multiplier for privacy-preserving stake amounts
-     */
-    function createDispute(
-        address _defendant,
-        externalEuint64 calldata encryptedStake,
-        externalEuint32 calldata encryptedEvidence,
-        bytes calldata stakeProof,
-        bytes calldata evidenceProof
-    ) external payable {
-        // Input validation
-        require(_defendant != msg.sender, "Cannot create dispute with yourself");
-        require(_defendant != address(0), "Invalid defendant address");
-        require(msg.value >= 0.001 ether, "Minimum stake required");
-
-        disputeCounter++;
-
-        // Import encrypted inputs with validation
-        euint64 stake = FHE.fromExternal(encryptedStake, stakeProof);
-        euint32 evidence = FHE.fromExternal(encryptedEvidence, evidenceProof);
-
-        // Apply obfuscation multiplier for privacy
-        nonce++;
-        uint256 obfuscatedStake = msg.value * OBFUSCATION_MULTIPLIER;
-
-        disputes[disputeCounter] = Dispute({
-            id: disputeCounter,
-            plaintiff: msg.sender,
-            defendant: _defendant,
-            encryptedStakeAmount: stake,
-            encryptedEvidenceHash: evidence,
-            status: DisputeStatus.Created,
-            createdAt: block.timestamp,
-            votingDeadline: 0,
-            decryptionRequestTime: 0,
-            assignedArbitrators: new address[](0),
-            encryptedFinalDecision: FHE.asEuint8(0),
-            decisionRevealed: false,
-            winner: address(0),
-            stakeAmount: msg.value,
-            decryptionRequestId: 0,
-            refundProcessed: false
-        });
-
-        FHE.allowThis(stake);
-        FHE.allowThis(evidence);
-        FHE.allow(stake, msg.sender);
-        FHE.allow(evidence, msg.sender);
-        FHE.allow(stake, _defendant);
-        FHE.allow(evidence, _defendant);
-
-        emit DisputeCreated(disputeCounter, msg.sender, _defendant);
-    }
-
-    // Assign random arbitrators to a dispute (simplified version)
-    function assignArbitrators(uint256 _disputeId) external disputeExists(_disputeId) {
-        require(disputes[_disputeId].status == DisputeStatus.Created, "Invalid dispute status");
-        require(arbitratorPool >= 3, "Not enough arbitrators available");
-
-        Dispute storage dispute = disputes[_disputeId];
-
-        // Simplified random arbitrator selection
-        // In production, this would use a more sophisticated random selection mechanism
-        address[] memory selectedArbitrators = new address[](3);
-        uint256 selected = 0;
-
-        // This is a simplified selection - in reality would use proper randomness
-        for (uint256 i = 0; i < 100 && selected < 3; i++) {
-            address candidate = address(uint160(uint256(keccak256(abi.encodePacked(block.timestamp, i, _disputeId)))));
-            if (arbitrators[candidate].isActive && candidate != dispute.plaintiff && candidate != dispute.defendant) {
-                bool alreadySelected = false;
-                for (uint256 j = 0; j < selected; j++) {
-                    if (selectedArbitrators[j] == candidate) {
-                        alreadySelected = true;
-                        break;
-                    }
-                }
-                if (!alreadySelected) {
-                    selectedArbitrators[selected] = candidate;
-                    selected++;
-                }
-            }
-        }
-
-        require(selected == 3, "Failed to select enough arbitrators");
-
-        dispute.assignedArbitrators = selectedArbitrators;
-        dispute.status = DisputeStatus.InArbitration;
-        dispute.votingDeadline = block.timestamp + 7 days;
-
-        // Allow arbitrators to access encrypted evidence
-        for (uint256 i = 0; i < selectedArbitrators.length; i++) {
-            FHE.allow(dispute.encryptedEvidenceHash, selectedArbitrators[i]);
-            FHE.allow(dispute.encryptedStakeAmount, selectedArbitrators[i]);
-        }
-
-        emit ArbitratorsAssigned(_disputeId, selectedArbitrators);
-    }
-
-    // Submit encrypted vote as arbitrator
-    function submitVote(
-        uint256 _disputeId,
-        uint8 _vote,
-        uint32 _justification
-    ) external disputeExists(_disputeId) onlyActiveArbitrator {
-        require(disputes[_disputeId].status == DisputeStatus.InArbitration, "Not in arbitration phase");
-        require(block.timestamp <= disputes[_disputeId].votingDeadline, "Voting period ended");
-        require(_vote >= 1 && _vote <= 3, "Invalid vote option");
-        require(!disputeVotes[_disputeId][msg.sender].hasVoted, "Already voted on this dispute");
-
-        // Check if sender is assigned arbitrator
-        bool isAssigned = false;
-        for (uint256 i = 0; i < disputes[_disputeId].assignedArbitrators.length; i++) {
-            if (disputes[_disputeId].assignedArbitrators[i] == msg.sender) {
-                isAssigned = true;
-                break;
-            }
-        }
-        require(isAssigned, "Not assigned to this dispute");
-
-        euint8 encryptedVote = FHE.asEuint8(_vote);
-        euint32 encryptedJustification = FHE.asEuint32(_justification);
-
-        disputeVotes[_disputeId][msg.sender] = VoteRecord({
-            encryptedVote: encryptedVote,
-            encryptedJustification: encryptedJustification,
-            hasVoted: true,
-            timestamp: block.timestamp
-        });
-
-        FHE.allowThis(encryptedVote);
-        FHE.allowThis(encryptedJustification);
-
-        emit VoteSubmitted(_disputeId, msg.sender);
-
-        // Check if all arbitrators have voted
-        _checkVotingCompletion(_disputeId);
-    }
-
-    // Internal function to check if voting is complete
-    function _checkVotingCompletion(uint256 _disputeId) private {
-        Dispute storage dispute = disputes[_disputeId];
-        uint256 votedCount = 0;
-
-        for (uint256 i = 0; i < dispute.assignedArbitrators.length; i++) {
-            if (disputeVotes[_disputeId][dispute.assignedArbitrators[i]].hasVoted) {
-                votedCount++;
-            }
-        }
-
-        if (votedCount == dispute.assignedArbitrators.length || block.timestamp > dispute.votingDeadline) {
-            dispute.status = DisputeStatus.Voting;
-            _initiateDecisionProcess(_disputeId);
-        }
-    }
-
-    /**
-     * @notice Initiate the decision revelation process via Gateway callback
-     * @param _disputeId ID of the dispute to process
-     * @dev Gateway callback pattern: Contract → Gateway → processDecisionCallback
-     * @audit HCU optimization: Batch decryption request for all votes
-     */
-    function _initiateDecisionProcess(uint256 _disputeId) private {
-        Dispute storage dispute = disputes[_disputeId];
-
-        // @audit Input validation: Prepare vote ciphertexts for decryption
-        bytes32[] memory cts = new bytes32[](dispute.assignedArbitrators.length);
-
-        for (uint256 i = 0; i < dispute.assignedArbitrators.length; i++) {
-            address arbitrator = dispute.assignedArbitrators[i];
-            if (disputeVotes[_disputeId][arbitrator].hasVoted) {
-                cts[i] = FHE.toBytes32(disputeVotes[_disputeId][arbitrator].encryptedVote);
-            }
-        }
-
-        // @audit Gateway callback: Request decryption with callback selector
-        pendingDecryptions[_disputeId] = true;
-        dispute.decryptionRequestTime = block.timestamp;
-
-        uint256 requestId = FHE.requestDecryption(cts, this.processDecisionCallback.selector);
-        dispute.decryptionRequestId = requestId;
-        requestIdToDisputeId[requestId] = _disputeId;
-
-        emit DecryptionRequested(_disputeId, requestId);
-    }
-
-    /**
-     * @notice Gateway callback function to process decrypted votes
-     * @param requestId The decryption request ID from Gateway
-     * @param cleartexts ABI-encoded decrypted vote data
-     * @param decryptionProof Cryptographic proof from Gateway
-     * @dev Called by Gateway oracle after decryption completes
-     * @audit Access control: Only Gateway can call (verified via checkSignatures)
-     * @audit Refund protection: Handles decryption failures gracefully
-     */
-    function processDecisionCallback(
-        uint256 requestId,
-        bytes memory cleartexts,
-        bytes memory decryptionProof
-    ) external {
-        // @audit Gateway verification: Validate cryptographic signatures
-        try this.verifyDecryption(requestId, cleartexts, decryptionProof) {
-            FHE.checkSignatures(requestId, cleartexts, decryptionProof);
-        } catch {
-            // @audit Refund mechanism: Decryption failed
-            uint256 disputeId = requestIdToDisputeId[requestId];
-            _handleDecryptionFailure(disputeId, "Signature verification failed");
-            return;
-        }
-
-        // @audit Mapping lookup: Find dispute by request ID
-        uint256 disputeId = requestIdToDisputeId[requestId];
-        require(disputeId > 0, "Invalid request ID");
-        require(pendingDecryptions[disputeId], "No pending decryption");
-
-        Dispute storage dispute = disputes[disputeId];
-
-        // @audit Timeout check: Verify decryption completed in time
-        if (block.timestamp > dispute.decryptionRequestTime + DECRYPTION_TIMEOUT) {
-            _handleDecryptionFailure(disputeId, "Decryption timeout exceeded");
-            return;
-        }
-
-        // Decode votes from cleartexts
-        uint8[] memory votes;
-        try this.decodeVotes(cleartexts) returns (uint8[] memory decodedVotes) {
-            votes = decodedVotes;
-        } catch {
-            _handleDecryptionFailure(disputeId, "Vote decoding failed");
-            return;
-        }
-
-        // @audit Overflow protection: Count votes with bounded loop
-        uint256 plaintiffVotes = 0;
-        uint256 defendantVotes = 0;
-        uint256 neutralVotes = 0;
-
-        for (uint256 i = 0; i < votes.length && i < MAX_ARBITRATORS; i++) {
-            if (votes[i] == 1) plaintiffVotes++;
-            else if (votes[i] == 2) defendantVotes++;
-            else if (votes[i] == 3) neutralVotes++;
-        }
-
-        // Determine winner based on majority
-        address winner;
-        if (plaintiffVotes > defendantVotes && plaintiffVotes > neutralVotes) {
-            winner = dispute.plaintiff;
-        } else if (defendantVotes > plaintiffVotes && defendantVotes > neutralVotes) {
-            winner = dispute.defendant;
-        } else {
-            winner = address(0); // No clear winner - tie
-        }
-
-        pendingDecryptions[disputeId] = false;
-        _finalizeDispute(disputeId, winner);
-    }
-
-    /**
-     * @notice Handle decryption failures and issue refunds
-     * @param _disputeId ID of the dispute that failed decryption
-     * @param reason Human-readable failure reason
-     * @dev Refund mechanism: Returns stakes to all parties on failure
-     * @audit Reentrancy: Follows checks-effects-interactions pattern
-     */
-    function _handleDecryptionFailure(uint256 _disputeId, string memory reason) private {
-        Dispute storage dispute = disputes[_disputeId];
-
-        // @audit Double-refund prevention
-        require(!dispute.refundProcessed, "Refund already processed");
-
-        dispute.status = DisputeStatus.DecryptionFailed;
-        dispute.refundProcessed = true;
-        pendingDecryptions[_disputeId] = false;
-
-        emit DecryptionFailed(_disputeId, reason);
-
-        // @audit Reentrancy protection: State changes before external calls
-        _issueRefund(_disputeId, dispute.plaintiff, dispute.stakeAmount);
-        _issueRefund(_disputeId, dispute.defendant, dispute.stakeAmount);
-    }
-
-    /**
-     * @notice Issue refund to a dispute party
-     * @param _disputeId ID of the dispute
-     * @param recipient Address to receive refund
-     * @param amount Amount to refund
-     * @audit Reentrancy: Uses call with gas limit
-     */
-    function _issueRefund(uint256 _disputeId, address recipient, uint256 amount) private {
-        if (amount == 0 || recipient == address(0)) return;
-
-        (bool sent, ) = payable(recipient).call{value: amount, gas: 10000}("");
-        if (sent) {
-            emit RefundIssued(_disputeId, recipient, amount);
-        } else {
-            // If refund fails, mark for manual withdrawal
-            emit DecryptionFailed(_disputeId, "Refund transfer failed");
-        }
-    }
-
-    // Helper functions for callback processing
-    function verifyDecryption(
-        uint256 requestId,
-        bytes memory cleartexts,
-        bytes memory proof
-    ) external view {
-        // Placeholder for external call simulation
-        require(requestId > 0, "Invalid request");
-    }
-
-    function decodeVotes(bytes memory cleartexts) external pure returns (uint8[] memory) {
-        return abi.decode(cleartexts, (uint8[]));
-    }
-
-    // Finalize dispute resolution
-    function _finalizeDispute(uint256 _disputeId, address _winner) private {
-        Dispute storage dispute = disputes[_disputeId];
-        dispute.status = DisputeStatus.Resolved;
-        dispute.winner = _winner;
-        dispute.decisionRevealed = true;
-
-        // Update reputation scores
-        if (_winner != address(0)) {
-            userReputation[_winner] += 10;
-            address loser = (_winner == dispute.plaintiff) ? dispute.defendant : dispute.plaintiff;
-            if (userReputation[loser] >= 5) {
-                userReputation[loser] -= 5;
-            }
-        }
-
-        // Update arbitrator reputations
-        for (uint256 i = 0; i < dispute.assignedArbitrators.length; i++) {
-            arbitrators[dispute.assignedArbitrators[i]].totalDisputesHandled++;
-            arbitrators[dispute.assignedArbitrators[i]].successfulArbitrations++;
-            arbitrators[dispute.assignedArbitrators[i]].reputation += 5;
-        }
-
-        emit DisputeResolved(_disputeId, _winner);
-    }
-
-    // Get dispute information
-    function getDisputeInfo(uint256 _disputeId) external view disputeExists(_disputeId) returns (
-        address plaintiff,
-        address defendant,
-        DisputeStatus status,
-        uint256 createdAt,
-        uint256 votingDeadline,
-        uint256 arbitratorCount,
-        bool decisionRevealed,
-        address winner
-    ) {
-        Dispute storage dispute = disputes[_disputeId];
-        return (
-            dispute.plaintiff,
-            dispute.defendant,
-            dispute.status,
-            dispute.createdAt,
-            dispute.votingDeadline,
-            dispute.assignedArbitrators.length,
-            dispute.decisionRevealed,
-            dispute.winner
-        );
-    }
-
-    // Get arbitrator information
-    function getArbitratorInfo(address _arbitrator) external view returns (
-        bool isActive,
-        uint256 reputation,
-        uint256 totalDisputesHandled,
-        uint256 successfulArbitrations,
-        bool identityVerified
-    ) {
-        ArbitratorProfile storage arbitrator = arbitrators[_arbitrator];
-        return (
-            arbitrator.isActive,
-            arbitrator.reputation,
-            arbitrator.totalDisputesHandled,
-            arbitrator.successfulArbitrations,
-            arbitrator.identityVerified
-        );
-    }
-
-    // Get user reputation
-    function getUserReputation(address _user) external view returns (uint256) {
-        return userReputation[_user];
-    }
-
-    /**
-     * @notice Check for voting timeout and trigger refund if expired
-     * @param _disputeId ID of the dispute to check
-     * @dev Timeout protection: Prevents permanent lock of funds
-     * @audit Access control: Anyone can trigger timeout check (public good)
-     */
-    function checkVotingTimeout(uint256 _disputeId) external disputeExists(_disputeId) {
-        Dispute storage dispute = disputes[_disputeId];
-
-        // @audit Timeout check: Voting period exceeded
-        require(
-            dispute.status == DisputeStatus.InArbitration &&
-            block.timestamp > dispute.votingDeadline + VOTING_TIMEOUT,
-            "Voting timeout not reached"
-        );
-
-        emit TimeoutTriggered(_disputeId, "Voting");
-
-        // @audit Refund mechanism: Return stakes on timeout
-        dispute.status = DisputeStatus.Cancelled;
-        _handleDecryptionFailure(_disputeId, "Voting timeout exceeded");
-    }
-
-    /**
-     * @notice Check for decryption timeout and trigger refund if expired
-     * @param _disputeId ID of the dispute to check
-     * @dev Timeout protection: Prevents permanent lock if Gateway fails
-     * @audit Access control: Anyone can trigger (incentivized by affected parties)
-     */
-    function checkDecryptionTimeout(uint256 _disputeId) external disputeExists(_disputeId) {
-        Dispute storage dispute = disputes[_disputeId];
-
-        // @audit Timeout check: Decryption taking too long
-        require(
-            dispute.status == DisputeStatus.Voting &&
-            pendingDecryptions[_disputeId] &&
-            block.timestamp > dispute.decryptionRequestTime + DECRYPTION_TIMEOUT,
-            "Decryption timeout not reached"
-        );
-
-        emit TimeoutTriggered(_disputeId, "Decryption");
-
-        // @audit Refund mechanism: Return stakes if Gateway fails
-        _handleDecryptionFailure(_disputeId, "Decryption timeout - Gateway unresponsive");
-    }
-
-    /**
-     * @notice Manual refund claim for failed disputes
-     * @param _disputeId ID of the dispute to claim refund from
-     * @dev Emergency refund: Allows parties to recover funds after failure
-     * @audit Access control: Only dispute parties can claim
-     * @audit Double-claim prevention: Tracks refund status
-     */
-    function claimRefund(uint256 _disputeId) external disputeExists(_disputeId) onlyDisputeParty(_disputeId) {
-        Dispute storage dispute = disputes[_disputeId];
-
-        // @audit Input validation: Dispute must be in failed/cancelled state
-        require(
-            dispute.status == DisputeStatus.DecryptionFailed ||
-            dispute.status == DisputeStatus.Cancelled ||
-            dispute.status == DisputeStatus.Refunded,
-            "Refund not available"
-        );
-
-        require(!dispute.refundProcessed, "Refunds already processed");
-
-        // Mark as refunded to prevent double processing
-        dispute.status = DisputeStatus.Refunded;
-        dispute.refundProcessed = true;
-
-        // @audit Reentrancy protection: State changes before external calls
-        if (msg.sender == dispute.plaintiff) {
-            _issueRefund(_disputeId, dispute.plaintiff, dispute.stakeAmount);
-        } else if (msg.sender == dispute.defendant) {
-            _issueRefund(_disputeId, dispute.defendant, dispute.stakeAmount);
-        }
-    }
-
-    /**
-     * @notice Get dispute timeout status
-     * @param _disputeId ID of the dispute
-     * @return votingExpired Whether voting timeout has been exceeded
-     * @return decryptionExpired Whether decryption timeout has been exceeded
-     * @return canClaimRefund Whether parties can claim refunds
-     */
-    function getTimeoutStatus(uint256 _disputeId) external view disputeExists(_disputeId) returns (
-        bool votingExpired,
-        bool decryptionExpired,
-        bool canClaimRefund
-    ) {
-        Dispute storage dispute = disputes[_disputeId];
-
-        votingExpired = (dispute.status == DisputeStatus.InArbitration &&
-                        block.timestamp > dispute.votingDeadline + VOTING_TIMEOUT);
-
-        decryptionExpired = (dispute.status == DisputeStatus.Voting &&
-                            pendingDecryptions[_disputeId] &&
-                            block.timestamp > dispute.decryptionRequestTime + DECRYPTION_TIMEOUT);
-
-        canClaimRefund = (dispute.status == DisputeStatus.DecryptionFailed ||
-                         dispute.status == DisputeStatus.Cancelled ||
-                         dispute.status == DisputeStatus.Refunded);
-
-        return (votingExpired, decryptionExpired, canClaimRefund);
-    }
-
-    /**
-     * @notice Get refund eligibility and amount
-     * @param _disputeId ID of the dispute
-     * @param _party Address of the party checking eligibility
-     * @return eligible Whether the party is eligible for refund
-     * @return amount Amount eligible for refund
-     * @return claimed Whether refund has been claimed
-     */
-    function getRefundStatus(uint256 _disputeId, address _party) external view disputeExists(_disputeId) returns (
-        bool eligible,
-        uint256 amount,
-        bool claimed
-    ) {
-        Dispute storage dispute = disputes[_disputeId];
-
-        eligible = (_party == dispute.plaintiff || _party == dispute.defendant) &&
-                   (dispute.status == DisputeStatus.DecryptionFailed ||
-                    dispute.status == DisputeStatus.Cancelled ||
-                    dispute.status == DisputeStatus.Refunded);
-
-        amount = dispute.stakeAmount;
-        claimed = dispute.refundProcessed;
-
-        return (eligible, amount, claimed);
-    }
-
-    // Emergency functions
-    /**
-     * @notice Pause an arbitrator's active status
-     * @param _arbitrator Address of arbitrator to pause
-     * @audit Access control: Owner only
-     */
-    function pauseArbitrator(address _arbitrator) external onlyOwner {
-        require(arbitrators[_arbitrator].isActive, "Arbitrator not active");
-        arbitrators[_arbitrator].isActive = false;
-        arbitratorPool--;
-    }
-
-    /**
-     * @notice Unpause an arbitrator's active status
-     * @param _arbitrator Address of arbitrator to unpause
-     * @audit Access control: Owner only
-     * @audit Input validation: Must have reputation
-     */
-    function unpauseArbitrator(address _arbitrator) external onlyOwner {
-        require(arbitrators[_arbitrator].reputation > 0, "Invalid arbitrator");
-        require(!arbitrators[_arbitrator].isActive, "Already active");
-        arbitrators[_arbitrator].isActive = true;
-        arbitratorPool++;
-    }
-}
\ No newline at end of file
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint8, euint64, ebool, externalEuint32, externalEuint8, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { IRandomnessCoordinator, IRandomnessConsumer } from "./interfaces/IRandomnessCoordinator.sol";
+import { DisputeLogic } from "./libraries/DisputeLogic.sol";
+import { PanelLogic } from "./libraries/PanelLogic.sol";
+import { AppealLogic } from "./libraries/AppealLogic.sol";
+import { SettlementLogic } from "./libraries/SettlementLogic.sol";
+import { RegistryLogic } from "./libraries/RegistryLogic.sol";
+import { GovernanceLogic } from "./libraries/GovernanceLogic.sol";
+import { ResolutionLogic } from "./libraries/ResolutionLogic.sol";
+import { TokenLogic } from "./libraries/TokenLogic.sol";
+import { ReputationLogic } from "./libraries/ReputationLogic.sol";
+import {
+    CATEGORY_COUNT,
+    DisputeCategory,
+    DisputeStatus,
+    Dispute,
+    EvidenceItem,
+    ArbitratorProfile,
+    ArbitratorBond,
+    ArbitratorRegistry,
+    ArbitratorSummary,
+    ConsensusReveal,
+    ReputationReason,
+    SelectionRequest,
+    VoteRecord,
+    Appeal,
+    SettlementOffer,
+    FeeLedger,
+    Parameter,
+    PlatformParameters,
+    Role,
+    AccessRoles
+} from "./types/ArbitrationTypes.sol";
+
+/**
+ * @title AnonymousArbitrationPlatform
+ * @notice A privacy-preserving arbitration platform using Fully Homomorphic Encryption
+ * @dev Implements Gateway callback pattern for secure decryption and resolution
+ *
+ * ARCHITECTURE OVERVIEW:
+ * ====================
+ * This contract uses a Gateway callback architecture for handling encrypted data:
+ * 1. Users submit encrypted inputs (evidence, stakes, votes)
+ * 2. Contract records encrypted data on-chain
+ * 3. Gateway oracle decrypts data when requested
+ * 4. Callback function processes decrypted results
+ *
+ * SECURITY FEATURES:
+ * ==================
+ * Input Validation:
+ *   - All addresses validated against zero address
+ *   - Stake amounts checked against minimum thresholds
+ *   - Time boundaries enforced for voting periods
+ *   - Vote options validated within allowed ranges
+ *
+ * Access Control:
+ *   - Two-step ownership transfer (transferOwnership → acceptOwnership)
+ *   - Delegated admin roles: Moderator, Governor and Treasurer; the owner holds all of them
+ *   - Arbitrator-specific voting permissions
+ *   - Dispute party access restrictions
+ *   - Request-based callback authentication
+ *
+ * Overflow Protection:
+ *   - Solidity 0.8+ automatic overflow checks
+ *   - SafeMath implicit in all arithmetic
+ *   - Bounded loop iterations
+ *   - Checked multiplication in obfuscation
+ *
+ * Refund Mechanism:
+ *   - Automatic refunds on decryption failure
+ *   - Timeout-triggered refund eligibility
+ *   - Double-refund prevention flags
+ *   - Emergency refund functions
+ *
+ * Timeout Protection:
+ *   - VotingTimeout parameter: 7 days after the voting deadline by default
+ *   - DecryptionTimeout parameter: 3 days max decryption wait by default
+ *   - REPLACEMENT_GRACE_PERIOD: 3 days before a silent panel member can be replaced
+ *   - Automatic status updates on timeout
+ *   - Refund triggers after timeout expiry
+ *
+ * PRIVACY FEATURES:
+ * ==================
+ * Division Protection:
+ *   - Random multipliers prevent division leakage
+ *   - Obfuscation applied to all stake calculations
+ *   - Nonce-based entropy for unpredictability
+ *   - Privacy-preserving arithmetic operations
+ *
+ * Price Obfuscation:
+ *   - Encrypted stake amounts via FHE
+ *   - Multiplier-based stake obfuscation
+ *   - Hidden actual values on-chain
+ *   - Only final outcomes revealed
+ *
+ * FHE Integration:
+ *   - euint64 for high-precision encrypted values
+ *   - euint32 for evidence hashes
+ *   - euint8 for compact vote storage
+ *   - Homomorphic operations on encrypted data
+ *
+ * RESPONSE PHASE:
+ * ===============
+ *   createDispute() → plaintiff deposit, RESPONSE_PERIOD starts
+ *   respondToDispute() → defendant matches the deposit (+ optional counter-evidence), EVIDENCE_PERIOD starts
+ *   No response by the deadline → plaintiff may claimDefaultJudgment()
+ *
+ * EVIDENCE:
+ * =========
+ *   submitEvidence() → either party adds an encrypted document hash and claimed amount,
+ *   from creation until EVIDENCE_PERIOD after the response, up to MAX_EVIDENCE_ITEMS per party
+ *   assignArbitrators() → only once the evidence window has closed
+ *   Every item is readable by both parties, and by each arbitrator once seated
+ *   getDisputeHandles() returns the stake and evidence handles for user decryption in a client
+ *
+ * AUDITOR ACCESS:
+ * ===============
+ *   grantAuditorAccess() → either party lets a named auditor decrypt the dispute's stake and every
+ *   evidence item, including items submitted afterwards; up to MAX_AUDITORS per dispute.
+ *   getAuditors() lists them. The FHE ACL cannot revoke access, so grants are permanent.
+ *
+ * SETTLEMENT:
+ * ===========
+ *   Resolution credits the escrow to a pull-based ledger: the winner receives both
+ *   deposits; on a tie or Neutral majority each party gets its own deposit back.
+ *   Refunds use the same ledger. Recipients call withdraw() to collect.
+ *
+ * STAKE TOKENS:
+ * =============
+ *   setStakeToken() (treasurer) allowlists an ERC-20 with its own minimum deposit; 0 removes it.
+ *   createDispute(_token) fixes the dispute's currency: the defendant's deposit, the appeal bond,
+ *   fees, payouts and refunds all use it. Deposits are pulled with transferFrom, after an
+ *   approve or with an EIP-2612 permit passed alongside. Token balances are collected with
+ *   withdrawToken(); slashed arbitrator bonds are always ETH.
+ *
+ * MUTUAL SETTLEMENT:
+ * ==================
+ *   Once the defendant has responded and until voting closes, either party may
+ *   proposeSettlement() a split of the escrow; the other party acceptSettlement()s it
+ *   with the same terms. The dispute ends as Settled: a seated panel shares
+ *   arbitratorFeeBps of the escrow, the rest is credited to the parties per the split.
+ *   Not available once an appeal has been filed.
+ *
+ * FEES:
+ * =====
+ *   Disputes resolved by a panel pay fees out of the escrow before settlement:
+ *   arbitratorFeeBps is shared by the arbitrators who voted, platformFeeBps goes
+ *   to the treasury. Both are credited to the same ledger and tallied in
+ *   arbitratorFeesEarned / totalPlatformFees. Default judgments and refunds are fee-free.
+ *
+ * APPEALS:
+ * ========
+ *   A panel ruling with a winner holds the escrow for APPEAL_WINDOW; releaseEscrow() pays it out after
+ *   fileAppeal() → losing party posts a bond equal to its deposit, status Appealed
+ *   assignArbitrators() → first panel size + APPEAL_PANEL_GROWTH, drawn without the first panel, fresh encrypted vote
+ *   Appeal ruling is final: the winner takes the held escrow plus the bond net of the appeal panel's fees.
+ *   An appeal panel without a majority confirms the first ruling; one that fails to rule lets it stand
+ *   and refunds the bond.
+ *
+ * ARBITRATOR SELECTION:
+ * =====================
+ *   assignArbitrators() → records the registry size → randomness request; nothing is copied from the pool
+ *   Coordinator → fulfillRandomness() → sample of at most MAX_CANDIDATES pool entries
+ *     → ArbitratorSelection.draw(sample, weights, seed)
+ *   Parties, addresses linked to them and arbitrators registered after the request are never candidates;
+ *   each sample is published (CandidatesSampled), so the draw is reproducible off-chain
+ *   Each candidate's chance is proportional to its reputation when the panel is drawn
+ *   Panel size (1, 3, 5 or 7) is chosen at createDispute, or follows the deposit via panelSizeForStake()
+ *   Disputes carry a public category; arbitrators declare specialisations at registration.
+ *   If enough eligible arbitrators in the sample specialise in the category, only they are drawn from.
+ *   Reputation is also tracked per category (getCategoryReputation)
+ *
+ * CONFLICTS OF INTEREST:
+ * ======================
+ *   declareLinkedAddress() → any account records an address it is linked to, up to MAX_LINKED_ADDRESSES.
+ *   Linked addresses are never candidates for a party's dispute, in either direction.
+ *   recuse() → a panel member steps down before voting; strikeArbitrator() → each party removes up to
+ *   STRIKES_PER_ROUND members per round before they vote. Both seat an arbitrator drawn from the
+ *   round's seed, restart the voting period and cost the removed member nothing.
+ *
+ * REPUTATION:
+ * ===========
+ *   A vote with the panel majority earns CONSENSUS_REWARD; a missed vote costs MISSED_VOTE_PENALTY.
+ *   Agreement is kept encrypted per vote and added to a pending tally once the ruling is decoded;
+ *   the Gateway decrypts a tally only after CONSENSUS_BATCH decided votes in one category, so
+ *   single votes stay hidden. The arbitrator alone can decrypt its running count (getConsensusCount).
+ *   Panels are drawn weighted by reputation. Scores drift back towards the starting 100
+ *   (category scores towards 0), halving the distance every REPUTATION_HALF_LIFE.
+ *   Every change is published as a ReputationChanged event, the arbitrator's history.
+ *
+ * PARAMETERS:
+ * ===========
+ *   VotingPeriod, VotingTimeout, DecryptionTimeout and MinStake are stored, not constant.
+ *   queueParameterChange() (governor) → PARAMETER_TIMELOCK → executeParameterChange() (anyone)
+ *   cancelParameterChange() (governor) drops a queued change. Timeouts are read when checked,
+ *   so a change also applies to open disputes; the voting period applies from the next panel seated.
+ *
+ * EMERGENCY PAUSE:
+ * ================
+ *   pause() / unpause() (pauser) → createDispute, assignArbitrators, fulfillRandomness,
+ *   submitVote, replaceArbitrator, recuse and strikeArbitrator revert with "Platform paused".
+ *   Refunds, timeouts, settlement, appeals, releaseEscrow and withdrawals stay open.
+ *   Each pause moves the voting deadline and replacement grace period of seated panels back by
+ *   its length, so members keep their full time to vote and are slashed as usual after it.
+ *
+ * UPGRADES:
+ * =========
+ *   Deployed directly, the constructor sets the platform up. Behind a PlatformProxy the proxy
+ *   constructor calls initialize() instead, and its ProxyAdmin can later switch the proxy to a
+ *   new implementation, keeping disputes, escrow and balances. New versions may only append
+ *   state: scripts/upgrade.js compares storage layouts before upgrading.
+ *
+ * GATEWAY CALLBACK MODE:
+ * ======================
+ * Request Flow:
+ *   Arbitrator → submitVote() → vote encrypted client-side and stored
+ *   Contract → PanelLogic.requestDecision() → encrypted verdict → FHE.requestDecryption() → Gateway
+ *   Only the verdict is decrypted; individual votes, tallies and single agreements with the majority stay encrypted
+ *   Gateway → processes decryption → calls callback
+ *   Contract → processDecisionCallback() → finalizes
+ *
+ * HCU OPTIMIZATION:
+ * =================
+ * - Batch decryption requests to minimize calls
+ * - Reuse encrypted values where possible
+ * - Minimize FHE operations per transaction
+ * - Efficient storage of encrypted data
+ * - Strategic use of FHE.select() over branching
+ *
+ * AUDIT NOTES:
+ * ============
+ * @custom:audit Reentrancy: Protected via checks-effects-interactions pattern
+ * @custom:audit Access: All privileged functions have modifiers; each admin duty is gated by its own role
+ * @custom:audit Ownership: Only the nominated pending owner can accept, so a mistyped address cannot take over
+ * @custom:audit Overflow: Solidity 0.8+ protects all arithmetic
+ * @custom:audit Randomness: Panel drawn from a VRF-style coordinator seed over a bounded sample of the pool
+ * @custom:audit Privacy: Only verdicts and per-arbitrator consensus tallies of CONSENSUS_BATCH votes are decrypted
+ * @custom:audit FHE Gateway: Callback signature verification handled by FHE protocol
+ * @custom:audit Refunds: Double-refund prevented via refundProcessed flag
+ * @custom:audit Payouts: Pull-based; withdraw() and withdrawToken() are the only functions that transfer funds out
+ * @custom:audit Tokens: Allowlisted only; deposits must arrive in full, so fee-on-transfer tokens are rejected
+ * @custom:audit Fees: Capped at MAX_TOTAL_FEE_BPS of the escrow; rounding dust goes to the treasury
+ * @custom:audit Appeals: One appeal per dispute; escrow is only credited once the ruling is final
+ * @custom:audit Bonds: Slashed for missed votes; withdrawable after BOND_COOLDOWN with no open assignments
+ * @custom:audit Governance: Parameter changes are bounded and wait PARAMETER_TIMELOCK before they apply
+ * @custom:audit Emergency pause: Blocks new disputes, panels and votes; every path out of escrow stays open
+ * @custom:audit Size: Encrypted inputs, panel selection, appeals, rulings, settlement, the arbitrator
+ *      registry, ownership, roles, the emergency pause, parameter governance and stake tokens run in
+ *      linked libraries
+ * @custom:audit Timeouts: All time-sensitive operations have deadline checks
+ * @custom:audit Upgrades: initialize() runs once per storage; only the ProxyAdmin owner can upgrade
+ */
+
+contract AnonymousArbitrationPlatform is SepoliaConfig, IRandomnessConsumer {
+
+    AccessRoles private access;  // Owner, pending owner, delegated roles and pause state, read through the ownership, role and pause views
+    uint256 public disputeCounter;
+    IRandomnessCoordinator public randomnessCoordinator;
+
+    // Timeout constants for protection against permanent locks; the governable ones live in `parameters`
+    uint256 public constant REPLACEMENT_GRACE_PERIOD = 3 days;  // Silence tolerated before a panel member can be replaced
+    uint256 public constant STRIKES_PER_ROUND = PanelLogic.STRIKES_PER_ROUND;  // Panel members each party may strike per round
+    uint256 public constant MAX_LINKED_ADDRESSES = PanelLogic.MAX_LINKED_ADDRESSES;  // Links one account may declare
+    uint256 public constant MAX_CANDIDATES = PanelLogic.MAX_CANDIDATES;  // Pool entries read per draw
+    uint256 public constant MAX_ARBITRATORS = 7;  // Largest first-round panel
+    uint256 public constant PARAMETER_TIMELOCK = 2 days;  // Delay between queueing and executing a parameter change
+    uint256 public constant SELECTION_TIMEOUT = 1 days;
+    uint256 public constant RESPONSE_PERIOD = 3 days;
+    uint256 public constant EVIDENCE_PERIOD = 3 days;  // Evidence window after the defendant responds
+    uint256 public constant MAX_EVIDENCE_ITEMS = DisputeLogic.MAX_EVIDENCE_ITEMS;  // Per party, opening and counter-evidence included
+    uint256 public constant MAX_AUDITORS = DisputeLogic.MAX_AUDITORS;  // Auditors the parties may grant access per dispute
+    uint256 public constant MAX_TOTAL_FEE_BPS = 2000;  // 20% of the escrow
+    uint256 public constant APPEAL_WINDOW = 3 days;
+    uint256 public constant APPEAL_PANEL_GROWTH = PanelLogic.APPEAL_PANEL_GROWTH;  // Extra seats on an appeal panel
+    uint256 public constant MIN_ARBITRATOR_BOND = 0.01 ether;
+    uint256 public constant BOND_SLASH_BPS = 2000;  // 20% of the bond per missed vote
+    uint256 public constant MISSED_VOTE_PENALTY = ReputationLogic.MISSED_VOTE_PENALTY;  // Reputation lost per missed vote
+    uint256 public constant CONSENSUS_REWARD = ReputationLogic.CONSENSUS_REWARD;  // Reputation earned per vote with the panel majority
+    uint256 public constant CONSENSUS_BATCH = ReputationLogic.CONSENSUS_BATCH;  // Decided votes per category revealed together
+    uint256 public constant REPUTATION_HALF_LIFE = ReputationLogic.HALF_LIFE;
+    uint256 public constant BOND_COOLDOWN = 7 days;
+
+    // Privacy obfuscation parameters for division protection
+    uint256 private constant OBFUSCATION_MULTIPLIER = 1e6;
+    uint256 private nonce;  // @audit Nonce provides entropy for obfuscation
+
+    // Read through getDisputeInfo: the auto-generated getter for this struct is too deep for the stack
+    mapping(uint256 => Dispute) private disputes;
+    mapping(address => ArbitratorProfile) public arbitrators;
+    mapping(uint256 => mapping(address => VoteRecord)) private disputeVotes;  // Read through getVote
+    mapping(address => uint256) public userReputation;
+    mapping(uint256 => bool) public pendingDecryptions;
+    mapping(uint256 => uint256) private requestIdToDisputeId;  // Gateway callback: requestId → disputeId
+
+    // Every arbitrator ever registered, the active pool and bonds, read through the arbitrator views
+    ArbitratorRegistry private registry;
+
+    mapping(uint256 => SelectionRequest) private selections;
+    mapping(uint256 => uint256) private randomnessRequestToDisputeId;  // Coordinator callback: requestId → disputeId
+
+    mapping(uint256 => Appeal) private appeals;  // Read through getAppealInfo
+    mapping(uint256 => SettlementOffer) private settlementOffers;  // Read through getSettlementOffer
+    FeeLedger private ledger;  // Pending balances and fee schedule, read through the fee views
+    PlatformParameters private parameters;  // Governable timeouts and minimum stake, read through getParameter
+    mapping(address => address[]) private linkedAddresses;  // Declared conflicts of interest, read through getLinkedAddresses
+    mapping(uint256 => ConsensusReveal) private consensusReveals;  // Gateway callback: requestId → consensus batch
+
+    event DisputeCreated(uint256 indexed disputeId, address indexed plaintiff, address indexed defendant);
+    event DefendantResponded(uint256 indexed disputeId, address indexed defendant, uint256 stake);
+    event EvidenceSubmitted(uint256 indexed disputeId, address indexed submitter, uint256 index);
+    event DefaultJudgment(uint256 indexed disputeId, address indexed plaintiff);
+    event AuditorAccessGranted(uint256 indexed disputeId, address indexed party, address indexed auditor);
+    event ArbitratorsAssigned(uint256 indexed disputeId, address[] arbitrators);
+    event VoteSubmitted(uint256 indexed disputeId, address indexed arbitrator);
+    event DisputeResolved(uint256 indexed disputeId, address indexed winner);
+    event ArbitratorRegistered(address indexed arbitrator);
+    event SpecialisationsDeclared(address indexed arbitrator, uint8 specialisations);
+    event ReputationUpdated(address indexed user, uint256 newReputation);
+    event DecryptionRequested(uint256 indexed disputeId, uint256 requestId);
+    event DecryptionFailed(uint256 indexed disputeId, string reason);
+    event RefundIssued(uint256 indexed disputeId, address indexed recipient, uint256 amount);
+    event PayoutCredited(uint256 indexed disputeId, address indexed recipient, uint256 amount);
+    event Withdrawal(address indexed recipient, uint256 amount);
+    event TokenWithdrawal(address indexed token, address indexed recipient, uint256 amount);
+    event StakeTokenUpdated(address indexed token, uint256 minStake);
+    event ArbitratorFeePaid(uint256 indexed disputeId, address indexed arbitrator, uint256 amount);
+    event PlatformFeeCollected(uint256 indexed disputeId, address indexed treasury, uint256 amount);
+    event FeeScheduleUpdated(uint256 arbitratorFeeBps, uint256 platformFeeBps);
+    event TreasuryUpdated(address indexed treasury);
+    event TimeoutTriggered(uint256 indexed disputeId, string phase);
+    event RandomnessCoordinatorUpdated(address indexed coordinator);
+    event ArbitratorSelectionRequested(uint256 indexed disputeId, uint256 requestId, uint256 candidateCount);
+    event CandidatesSampled(uint256 indexed disputeId, uint256 drawIndex, address[] candidates, uint256[] weights);
+    event ArbitratorsSelected(uint256 indexed disputeId, uint256 requestId, uint256 seed);
+    event AppealWindowOpened(uint256 indexed disputeId, uint256 deadline, uint256 heldEscrow);
+    event AppealFiled(uint256 indexed disputeId, address indexed appellant, uint256 bond);
+    event AppealDecided(uint256 indexed disputeId, address indexed winner, bool overturned);
+    event AppealLapsed(uint256 indexed disputeId, string reason);
+    event BondPosted(address indexed arbitrator, uint256 amount);
+    event ArbitratorSlashed(uint256 indexed disputeId, address indexed arbitrator, uint256 amount, uint256 reputation);
+    event ReputationChanged(
+        address indexed arbitrator,
+        uint256 indexed disputeId,
+        ReputationReason reason,
+        int256 change,
+        uint256 reputation
+    );
+    event ConsensusRevealRequested(address indexed arbitrator, DisputeCategory category, uint256 requestId);
+    event BondWithdrawalRequested(address indexed arbitrator, uint256 availableAt);
+    event BondWithdrawn(address indexed arbitrator, uint256 amount);
+    event SettlementProposed(uint256 indexed disputeId, address indexed proposer, uint256 plaintiffShareBps);
+    event DisputeSettled(uint256 indexed disputeId, uint256 plaintiffAmount, uint256 defendantAmount, uint256 arbitratorFees);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event RoleGranted(Role indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(Role indexed role, address indexed account, address indexed sender);
+    event Paused(address indexed account);
+    event Unpaused(address indexed account);
+    event ParameterChangeQueued(Parameter indexed parameter, uint256 value, uint256 eta);
+    event ParameterChangeCancelled(Parameter indexed parameter);
+    event ParameterUpdated(Parameter indexed parameter, uint256 oldValue, uint256 newValue);
+    event ArbitratorReplaced(
+        uint256 indexed disputeId,
+        address indexed replaced,
+        address indexed replacement,
+        uint256 drawIndex,
+        uint256 votingDeadline
+    );
+    event LinkedAddressDeclared(address indexed account, address indexed linked);
+    event ArbitratorRecused(uint256 indexed disputeId, address indexed arbitrator);
+    event ArbitratorStruck(uint256 indexed disputeId, address indexed party, address indexed arbitrator);
+
+    modifier onlyOwner() {
+        require(msg.sender == access.owner, "Not authorized");
+        _;
+    }
+
+    modifier onlyRole(Role _role) {
+        _requireRole(_role);
+        _;
+    }
+
+    modifier whenNotPaused() {
+        _requireNotPaused();
+        _;
+    }
+
+    modifier onlyDisputeParty(uint256 _disputeId) {
+        require(
+            msg.sender == disputes[_disputeId].plaintiff ||
+            msg.sender == disputes[_disputeId].defendant,
+            "Not a dispute party"
+        );
+        _;
+    }
+
+    modifier disputeExists(uint256 _disputeId) {
+        _requireDispute(_disputeId);
+        _;
+    }
+
+    // Body of disputeExists, kept out of line so the check is compiled once instead of in every caller
+    function _requireDispute(uint256 _disputeId) private view {
+        require(_disputeId <= disputeCounter && _disputeId > 0, "Dispute does not exist");
+    }
+
+    // Body of onlyRole, out of line for the same reason
+    function _requireRole(Role _role) private view {
+        require(GovernanceLogic.hasRole(access, _role, msg.sender), "Not authorized");
+    }
+
+    // Body of whenNotPaused, out of line for the same reason
+    function _requireNotPaused() private view {
+        require(!access.paused, "Platform paused");
+    }
+
+    constructor() {
+        GovernanceLogic.initialize(access, ledger, parameters);
+    }
+
+    /**
+     * @notice Set up the platform behind a proxy, with the caller as owner and treasury
+     * @dev Called by the proxy constructor in the same transaction as its deployment.
+     *      A directly deployed platform, including an implementation, is set up by its
+     *      constructor and rejects this call
+     * @custom:audit Access control: Once per storage, see GovernanceLogic.initialize
+     */
+    function initialize() external {
+        GovernanceLogic.initialize(access, ledger, parameters);
+    }
+
+    /**
+     * @notice Register as an arbitrator with encrypted identity proof, posting a bond
+     * @param encryptedProof External encrypted identity proof
+     * @param inputProof Proof for the encrypted input
+     * @param _specialisations Bitmask of DisputeCategory values, bit n for category n; 0 for none
+     * @dev Uses FHE.fromExternal for secure input validation. The whole msg.value is
+     *      held as the bond, of which BOND_SLASH_BPS is slashed per missed vote
+     * @custom:audit Input validation: Checks for duplicate registration and a bond of at least MIN_ARBITRATOR_BOND
+     * @custom:audit Access control: Public but prevents re-registration
+     * @custom:audit HCU optimization: Single FHE operation per registration
+     */
+    function registerArbitrator(
+        externalEuint32 encryptedProof,
+        bytes calldata inputProof,
+        uint8 _specialisations
+    ) external payable {
+        RegistryLogic.register(
+            registry,
+            arbitrators[msg.sender],
+            encryptedProof,
+            inputProof,
+            msg.value,
+            MIN_ARBITRATOR_BOND,
+            _specialisations
+        );
+    }
+
+    /**
+     * @notice Create a new dispute with encrypted evidence
+     * @param _defendant Address of the defendant
+     * @param encryptedStake External encrypted stake amount
+     * @param encryptedEvidence External encrypted evidence hash
+     * @param stakeProof Proof for stake encryption
+     * @param evidenceProof Proof for evidence encryption
+     * @param _panelSize Arbitrators on the panel (1, 3, 5 or 7); 0 to follow the stake tier
+     * @param _category Subject of the dispute, used to prefer specialist arbitrators
+     * @param _token Stake token, address(0) to stake ETH sent with the call
+     * @param _amount Token deposit; ignored for ETH
+     * @param _permit Empty to use an existing allowance, or abi.encode(deadline, v, r, s) of an
+     *        EIP-2612 permit for `_amount`
+     * @dev Uses obfuscation multiplier for privacy-preserving stake amounts. The category
+     *      is public because the panel draw reads it; General reveals nothing and matches no specialism.
+     *      The stake tier is counted in multiples of the currency's minimum deposit
+     * @custom:audit Input validation: Odd panel sizes only, so a two-party vote cannot tie
+     * @custom:audit Input validation: Deposit of at least the MinStake parameter, or the token's minimum
+     * @custom:audit Reentrancy: The token is pulled after the dispute is recorded
+     * @custom:audit Emergency pause: Blocked while the platform is paused
+     */
+    function createDispute(
+        address _defendant,
+        externalEuint64 encryptedStake,
+        externalEuint32 encryptedEvidence,
+        bytes calldata stakeProof,
+        bytes calldata evidenceProof,
+        uint8 _panelSize,
+        DisputeCategory _category,
+        address _token,
+        uint256 _amount,
+        bytes calldata _permit
+    ) external payable whenNotPaused {
+        uint256 minStake = _minStake(_token);
+        uint256 deposit = _depositAmount(_token, _amount);
+        uint8 panelSize = _panelSize == 0 ? _panelSizeForStake(deposit, minStake) : _panelSize;
+        require(panelSize % 2 == 1 && panelSize <= MAX_ARBITRATORS, "Invalid panel size");
+
+        disputeCounter++;
+
+        // Apply obfuscation multiplier for privacy
+        nonce++;
+        uint256 obfuscatedStake = deposit * OBFUSCATION_MULTIPLIER;
+
+        // Import encrypted inputs with validation of the parties and the deposit
+        DisputeLogic.open(
+            disputes[disputeCounter],
+            disputeCounter,
+            _defendant,
+            encryptedStake,
+            encryptedEvidence,
+            stakeProof,
+            evidenceProof,
+            deposit,
+            minStake,
+            RESPONSE_PERIOD,
+            panelSize,
+            _category
+        );
+        disputes[disputeCounter].token = _token;
+
+        emit DisputeCreated(disputeCounter, msg.sender, _defendant);
+
+        TokenLogic.deposit(_token, deposit, msg.value, _permit);
+    }
+
+    // Deposit owed in a stake token: the ETH sent, or the stated token amount
+    function _depositAmount(address _token, uint256 _amount) private view returns (uint256) {
+        return _token == address(0) ? msg.value : _amount;
+    }
+
+    // Smallest deposit in a stake currency: the MinStake parameter for ETH, or the token's minimum
+    function _minStake(address _token) private view returns (uint256 minStake) {
+        minStake = _token == address(0) ? _parameterValue(Parameter.MinStake) : ledger.tokenMinStake[_token];
+        require(minStake > 0, "Token not allowed");
+    }
+
+    /**
+     * @notice Panel size a deposit buys when the plaintiff does not choose one
+     * @param _token Stake token, address(0) for ETH
+     * @param _deposit Plaintiff deposit, in the token's units
+     * @return Single arbitrator below 10 times the currency's minimum deposit, then 3, 5 and 7
+     *         from 10, 100 and 1000 times it. The ETH minimum is the governed MinStake parameter
+     */
+    function panelSizeForStake(address _token, uint256 _deposit) external view returns (uint8) {
+        return _panelSizeForStake(_deposit, _minStake(_token));
+    }
+
+    function _panelSizeForStake(uint256 deposit, uint256 minStake) private pure returns (uint8) {
+        uint256 multiple = deposit / minStake;
+        if (multiple < 10) return 1;
+        if (multiple < 100) return 3;
+        if (multiple < 1000) return 5;
+        return 7;
+    }
+
+    /**
+     * @notice Answer a dispute by matching the plaintiff's deposit
+     * @param _disputeId ID of the dispute to answer
+     * @param encryptedCounterEvidence External encrypted counter-evidence hash
+     * @param counterEvidenceProof Proof for the counter-evidence; empty to respond without evidence
+     * @param _permit Permit for a token deposit as in createDispute; empty for ETH or an existing allowance
+     * @dev Arbitrators can only be requested once both deposits are in escrow and
+     *      the EVIDENCE_PERIOD that starts here has ended. A token deposit is pulled
+     *      in the dispute's token
+     * @custom:audit Access control: Defendant only, before responseDeadline
+     * @custom:audit Input validation: Deposit must equal plaintiffStake exactly
+     */
+    function respondToDispute(
+        uint256 _disputeId,
+        externalEuint32 encryptedCounterEvidence,
+        bytes calldata counterEvidenceProof,
+        bytes calldata _permit
+    ) external payable disputeExists(_disputeId) {
+        Dispute storage dispute = disputes[_disputeId];
+
+        DisputeLogic.respond(
+            dispute,
+            _depositAmount(dispute.token, dispute.plaintiffStake),
+            EVIDENCE_PERIOD,
+            encryptedCounterEvidence,
+            counterEvidenceProof,
+            msg.value,
+            _permit
+        );
+    }
+
+    /**
+     * @notice Add an encrypted evidence item to a dispute
+     * @param _disputeId ID of the dispute
+     * @param encryptedDocumentHash External encrypted document hash
+     * @param encryptedClaimedAmount External encrypted amount claimed (0 if none)
+     * @param inputProof Proof for both encrypted values
+     * @dev Open from creation until EVIDENCE_PERIOD after the defendant's response.
+     *      The panel is granted access to every item when it is seated.
+     * @custom:audit Access control: Dispute parties only, before the panel is requested
+     * @custom:audit Bounded loop: At most MAX_EVIDENCE_ITEMS items per party
+     */
+    function submitEvidence(
+        uint256 _disputeId,
+        externalEuint32 encryptedDocumentHash,
+        externalEuint64 encryptedClaimedAmount,
+        bytes calldata inputProof
+    ) external disputeExists(_disputeId) {
+        DisputeLogic.addEvidence(
+            disputes[_disputeId],
+            encryptedDocumentHash,
+            encryptedClaimedAmount,
+            inputProof
+        );
+    }
+
+    /**
+     * @notice Let an auditor decrypt the stake and evidence of a dispute the caller is a party to
+     * @param _disputeId ID of the dispute
+     * @param _auditor Address of the auditor
+     * @dev Evidence submitted later is shared with the auditor as it arrives. Grants are
+     *      permanent, since the FHE ACL cannot revoke them, and open in every dispute status
+     * @custom:audit Access control: Plaintiff or defendant only, checked in DisputeLogic
+     * @custom:audit Bounded loop: At most MAX_AUDITORS auditors per dispute
+     */
+    function grantAuditorAccess(uint256 _disputeId, address _auditor) external disputeExists(_disputeId) {
+        DisputeLogic.grantAuditor(disputes[_disputeId], _auditor);
+    }
+
+    /**
+     * @notice Win a dispute the defendant never answered
+     * @param _disputeId ID of the unanswered dispute
+     * @dev Resolves in the plaintiff's favour; settlement credits the plaintiff's deposit back
+     * @custom:audit Access control: Plaintiff only, after responseDeadline
+     */
+    function claimDefaultJudgment(uint256 _disputeId) external disputeExists(_disputeId) {
+        // @audit Input validation: Caller, status and response deadline checked in DisputeLogic
+        DisputeLogic.claimDefault(disputes[_disputeId]);
+        _finalizeDispute(_disputeId, msg.sender);
+    }
+
+    /**
+     * @notice Request a random panel for a dispute
+     * @param _disputeId ID of the dispute awaiting arbitrators
+     * @dev Records how many arbitrators are registered, checks that enough of the pool is
+     *      eligible (active arbitrators other than the parties and addresses linked to them) and
+     *      asks the randomness coordinator for a seed. The panel is drawn in fulfillRandomness,
+     *      so neither the caller nor the timing affects it. The panel has the size chosen at
+     *      createDispute; on appeal it grows by APPEAL_PANEL_GROWTH and the first panel is left out.
+     * @custom:audit Access control: Anyone can trigger; the outcome depends only on the pool and the seed
+     * @custom:audit Bounded cost: At most MAX_CANDIDATES pool entries are read, none copied
+     * @custom:audit Re-request: Allowed only after SELECTION_TIMEOUT without fulfillment
+     * @custom:audit Emergency pause: Blocked while the platform is paused
+     */
+    function assignArbitrators(uint256 _disputeId) external disputeExists(_disputeId) whenNotPaused {
+        SelectionRequest storage selection = selections[_disputeId];
+        delete randomnessRequestToDisputeId[selection.requestId];
+
+        // @audit Input validation: Dispute status, response and evidence window checked in PanelLogic
+        (uint256 requestId, uint256 eligible) = PanelLogic.requestPanel(
+            disputes[_disputeId],
+            selection,
+            registry,
+            arbitrators,
+            linkedAddresses,
+            appeals,
+            randomnessCoordinator,
+            SELECTION_TIMEOUT
+        );
+        randomnessRequestToDisputeId[requestId] = _disputeId;
+
+        emit ArbitratorSelectionRequested(_disputeId, requestId, eligible);
+    }
+
+    /**
+     * @notice Coordinator callback delivering the selection seed
+     * @param requestId Randomness request ID returned by the coordinator
+     * @param randomness Random word used as the selection seed
+     * @dev Draws the panel from at most MAX_CANDIDATES entries of the active pool, sampled from
+     *      the seed, and opens arbitration. A fulfillment that reverts during a pause can be
+     *      re-requested after SELECTION_TIMEOUT
+     * @custom:audit Access control: Only the configured randomness coordinator
+     * @custom:audit Determinism: Panel = ArbitratorSelection.draw(candidates, weights, seed, n) over the
+     *      sample published as CandidatesSampled
+     * @custom:audit Emergency pause: Blocked while the platform is paused
+     */
+    function fulfillRandomness(uint256 requestId, uint256 randomness) external override whenNotPaused {
+        require(msg.sender == address(randomnessCoordinator), "Only randomness coordinator");
+
+        uint256 disputeId = randomnessRequestToDisputeId[requestId];
+        require(disputeId > 0, "Invalid request ID");
+        delete randomnessRequestToDisputeId[requestId];
+
+        address[] memory selectedArbitrators = PanelLogic.seatPanel(
+            disputes[disputeId],
+            selections[disputeId],
+            registry,
+            arbitrators,
+            linkedAddresses,
+            appeals,
+            access,
+            randomness,
+            _parameterValue(Parameter.VotingPeriod)
+        );
+
+        emit ArbitratorsSelected(disputeId, requestId, randomness);
+        emit ArbitratorsAssigned(disputeId, selectedArbitrators);
+    }
+
+    /**
+     * @notice Submit an encrypted vote as an assigned arbitrator
+     * @param _disputeId ID of the dispute
+     * @param encryptedVote External encrypted vote (1 plaintiff, 2 defendant, 3 neutral)
+     * @param encryptedJustification External encrypted justification hash
+     * @param voteProof Proof for the vote encryption
+     * @param justificationProof Proof for the justification encryption
+     * @dev Votes are encrypted client-side, so neither calldata nor storage reveals them;
+     *      a vote outside 1..3 is recorded as an abstention
+     * @custom:audit Access control: Assigned arbitrators only, once per dispute; a member paused
+     *      after being seated still votes, since it is slashed if it does not
+     * @custom:audit Emergency pause: Blocked while the platform is paused
+     */
+    function submitVote(
+        uint256 _disputeId,
+        externalEuint8 encryptedVote,
+        externalEuint32 encryptedJustification,
+        bytes calldata voteProof,
+        bytes calldata justificationProof
+    ) external disputeExists(_disputeId) whenNotPaused {
+        DisputeLogic.recordVote(
+            disputes[_disputeId],
+            access,
+            disputeVotes[_disputeId][msg.sender],
+            registry.bonds[msg.sender],
+            encryptedVote,
+            encryptedJustification,
+            voteProof,
+            justificationProof
+        );
+
+        emit VoteSubmitted(_disputeId, msg.sender);
+
+        // Check if all arbitrators have voted
+        _checkVotingCompletion(_disputeId);
+    }
+
+    /**
+     * @notice Replace a panel member who has not voted within the grace period
+     * @param _disputeId ID of the dispute under arbitration
+     * @param _arbitrator Silent panel member
+     * @dev The newcomer is drawn from the round's seed, leaving out everyone drawn before,
+     *      and is granted access to the evidence. The voting period restarts from now, and with
+     *      it the grace period. The replaced arbitrator is slashed as for a missed vote; time the
+     *      platform spent paused does not count towards its grace period.
+     *      Once the voting deadline has passed, checkVotingTimeout deals with silent members instead
+     * @custom:audit Access control: Anyone (keeper); gated by the grace period, the voting deadline and the vote record
+     * @custom:audit FHE ACL: The replaced arbitrator keeps the evidence access it was granted
+     * @custom:audit Emergency pause: Blocked while the platform is paused, since nobody can vote
+     */
+    function replaceArbitrator(uint256 _disputeId, address _arbitrator) external disputeExists(_disputeId) whenNotPaused {
+        Dispute storage dispute = disputes[_disputeId];
+
+        (address replacement, uint256 drawIndex) = PanelLogic.replaceMember(
+            dispute,
+            selections[_disputeId],
+            disputeVotes[_disputeId],
+            registry,
+            arbitrators,
+            linkedAddresses,
+            appeals,
+            access,
+            _arbitrator,
+            REPLACEMENT_GRACE_PERIOD,
+            _parameterValue(Parameter.VotingPeriod)
+        );
+        SettlementLogic.slashArbitrator(
+            ledger,
+            dispute,
+            arbitrators[_arbitrator],
+            registry.bonds[_arbitrator],
+            _arbitrator,
+            BOND_SLASH_BPS,
+            MISSED_VOTE_PENALTY
+        );
+
+        emit ArbitratorReplaced(_disputeId, _arbitrator, replacement, drawIndex, dispute.votingDeadline);
+    }
+
+    /**
+     * @notice Step down from a panel before voting
+     * @param _disputeId ID of the dispute under arbitration
+     * @dev An arbitrator drawn from the round's seed takes the seat as in replaceArbitrator,
+     *      and the voting period restarts. Recusal is not penalised
+     * @custom:audit Access control: Panel members who have not voted, checked in PanelLogic
+     * @custom:audit Emergency pause: Blocked while the platform is paused, like replaceArbitrator
+     */
+    function recuse(uint256 _disputeId) external {
+        _removeArbitrator(_disputeId, msg.sender);
+    }
+
+    /**
+     * @notice Strike a panel member who has not voted, as a party to the dispute
+     * @param _disputeId ID of the dispute under arbitration
+     * @param _arbitrator Panel member to strike
+     * @dev Each party may strike STRIKES_PER_ROUND members per round, without giving a reason.
+     *      An arbitrator drawn from the round's seed takes the seat and the voting period
+     *      restarts. The struck arbitrator is not penalised
+     * @custom:audit Access control: Plaintiff and defendant only, checked in PanelLogic
+     * @custom:audit Emergency pause: Blocked while the platform is paused, like replaceArbitrator
+     */
+    function strikeArbitrator(uint256 _disputeId, address _arbitrator) external {
+        _removeArbitrator(_disputeId, _arbitrator);
+    }
+
+    // Shared body of recuse and strikeArbitrator; PanelLogic tells the two apart by the caller
+    function _removeArbitrator(uint256 _disputeId, address _arbitrator) private disputeExists(_disputeId) whenNotPaused {
+        Dispute storage dispute = disputes[_disputeId];
+
+        (address replacement, uint256 drawIndex) = PanelLogic.removeMember(
+            dispute,
+            selections[_disputeId],
+            disputeVotes[_disputeId],
+            registry,
+            arbitrators,
+            linkedAddresses,
+            appeals,
+            access,
+            _arbitrator,
+            _parameterValue(Parameter.VotingPeriod)
+        );
+
+        emit ArbitratorReplaced(_disputeId, _arbitrator, replacement, drawIndex, dispute.votingDeadline);
+    }
+
+    /**
+     * @notice Declare an address the caller is linked to, such as a related party or an affiliate
+     * @param _linked Linked address
+     * @dev Neither side of a link is drawn for the other's disputes: a party's links are never
+     *      its candidates, nor is an arbitrator linked to a party. Links count from the next
+     *      draw on; a seated panel member is challenged with strikeArbitrator.
+     *      Declarations are public and permanent, at most MAX_LINKED_ADDRESSES per account
+     */
+    function declareLinkedAddress(address _linked) external {
+        PanelLogic.declareLink(linkedAddresses, _linked);
+    }
+
+    /**
+     * @notice Addresses an account has declared itself linked to
+     * @param _account Account to look up
+     * @return Linked addresses, in declaration order
+     */
+    function getLinkedAddresses(address _account) external view returns (address[] memory) {
+        return linkedAddresses[_account];
+    }
+
+    // Internal function to check if voting is complete
+    function _checkVotingCompletion(uint256 _disputeId) private {
+        Dispute storage dispute = disputes[_disputeId];
+
+        uint256 cast = PanelLogic.castCount(dispute, disputeVotes[_disputeId]);
+
+        if (cast == dispute.assignedArbitrators.length) {
+            dispute.status = DisputeStatus.Voting;
+            _initiateDecisionProcess(_disputeId);
+        }
+    }
+
+    /**
+     * @notice Initiate the decision revelation process via Gateway callback
+     * @param _disputeId ID of the dispute to process
+     * @dev Gateway callback pattern: Contract → Gateway → processDecisionCallback.
+     *      Votes are tallied under FHE and only the encrypted verdict is sent for decryption;
+     *      each vote's encrypted agreement with the majority is kept for the ruling.
+     * @custom:audit Privacy: Individual votes are never requested for decryption
+     */
+    function _initiateDecisionProcess(uint256 _disputeId) private {
+        Dispute storage dispute = disputes[_disputeId];
+
+        // @audit FHE tally: Plaintiff/defendant/neutral counts and majority computed encrypted
+        // @audit Gateway callback: Decryption requested with the callback selector
+        uint256 requestId = PanelLogic.requestDecision(
+            dispute,
+            disputeVotes[_disputeId],
+            this.processDecisionCallback.selector
+        );
+        pendingDecryptions[_disputeId] = true;
+        dispute.decryptionRequestTime = block.timestamp;
+        dispute.decryptionRequestId = requestId;
+        requestIdToDisputeId[requestId] = _disputeId;
+
+        emit DecryptionRequested(_disputeId, requestId);
+    }
+
+    /**
+     * @notice Gateway callback function to process the decrypted verdict or consensus batch
+     * @param requestId The decryption request ID from Gateway
+     * @param cleartexts Decrypted verdict or consensus tally, one 32-byte word
+     * @param decryptionProof Cryptographic proof from Gateway
+     * @dev Called by Gateway oracle after decryption completes. A request that is not a
+     *      dispute's verdict is a consensus batch, scored by ReputationLogic.scoreConsensus
+     * @custom:audit Access control: Anyone may relay; FHE.checkSignatures (in PanelLogic.readDecision) rejects unsigned cleartexts
+     * @custom:audit Refund protection: Handles decryption failures gracefully
+     */
+    function processDecisionCallback(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        // @audit Mapping lookup: Find dispute by request ID
+        uint256 disputeId = requestIdToDisputeId[requestId];
+        if (disputeId == 0) {
+            // @audit Input validation: Unknown request IDs revert in scoreConsensus
+            ReputationLogic.scoreConsensus(consensusReveals, arbitrators, requestId, cleartexts, decryptionProof);
+            return;
+        }
+        require(pendingDecryptions[disputeId], "No pending decryption");
+
+        // @audit Gateway verification: Validate cryptographic signatures, then decode the verdict
+        (bool decoded, uint8 verdict) = PanelLogic.readDecision(requestId, cleartexts, decryptionProof);
+
+        Dispute storage dispute = disputes[disputeId];
+
+        // @audit Timeout check: Verify decryption completed in time
+        if (block.timestamp > dispute.decryptionRequestTime + _parameterValue(Parameter.DecryptionTimeout)) {
+            _handleDecryptionFailure(disputeId, "Decryption timeout exceeded");
+            return;
+        }
+
+        if (!decoded) {
+            _handleDecryptionFailure(disputeId, "Verdict decoding failed");
+            return;
+        }
+
+        address winner = verdict == 1 ? dispute.plaintiff : (verdict == 2 ? dispute.defendant : address(0));
+
+        pendingDecryptions[disputeId] = false;
+        _finalizeDispute(disputeId, winner);
+    }
+
+    /**
+     * @notice Handle decryption failures and issue refunds
+     * @param _disputeId ID of the dispute that failed decryption
+     * @param reason Human-readable failure reason
+     * @dev Refund mechanism: Returns stakes to all parties on failure; during an appeal
+     *      round only the bond is refunded and the held escrow is released
+     * @custom:audit Reentrancy: Follows checks-effects-interactions pattern
+     */
+    function _handleDecryptionFailure(uint256 _disputeId, string memory reason) private {
+        pendingDecryptions[_disputeId] = false;
+
+        // @audit Appeals: A failed appeal round leaves the first ruling standing (ResolutionLogic.fail)
+        ResolutionLogic.fail(ledger, disputes[_disputeId], appeals[_disputeId], userReputation, reason);
+    }
+
+    /**
+     * @notice Record a ruling
+     * @param _disputeId ID of the dispute being resolved
+     * @param _winner Winning party, or address(0) when there is no majority
+     * @dev A first panel ruling with a winner is paid its fees at once but holds the
+     *      rest of the escrow for APPEAL_WINDOW; other rulings settle immediately.
+     *      A ruling reached after an appeal is final (see ResolutionLogic.finalize).
+     */
+    function _finalizeDispute(uint256 _disputeId, address _winner) private {
+        ResolutionLogic.finalize(
+            ledger,
+            disputes[_disputeId],
+            appeals[_disputeId],
+            disputeVotes[_disputeId],
+            arbitrators,
+            consensusReveals,
+            userReputation,
+            _winner,
+            APPEAL_WINDOW,
+            this.processDecisionCallback.selector
+        );
+    }
+
+    /**
+     * @notice Appeal a panel ruling by posting a bond equal to the appellant's deposit
+     * @param _disputeId ID of the resolved dispute
+     * @param _permit Permit for a token bond as in createDispute; empty for ETH or an existing allowance
+     * @dev Opens a second round with an enlarged panel that excludes the first panel;
+     *      call assignArbitrators next to request it. The bond is in the dispute's token
+     * @custom:audit Access control: Losing party only, before the appeal window closes
+     * @custom:audit Input validation: Bond must equal the deposit; one appeal per dispute
+     */
+    function fileAppeal(
+        uint256 _disputeId,
+        bytes calldata _permit
+    ) external payable disputeExists(_disputeId) onlyDisputeParty(_disputeId) {
+        Dispute storage dispute = disputes[_disputeId];
+
+        AppealLogic.file(
+            dispute,
+            appeals[_disputeId],
+            msg.sender,
+            _depositAmount(dispute.token, dispute.plaintiffStake),
+            msg.value,
+            _permit
+        );
+    }
+
+    /**
+     * @notice Propose ending the dispute on an agreed split of the escrow
+     * @param _disputeId ID of the dispute
+     * @param _plaintiffShareBps Plaintiff's share, in basis points, of the escrow left after arbitrator fees;
+     *        the defendant receives the remainder
+     * @dev Replaces the caller's or the other party's pending offer
+     * @custom:audit Access control: Dispute parties only, once the defendant has responded and before voting closes
+     */
+    function proposeSettlement(uint256 _disputeId, uint256 _plaintiffShareBps) external disputeExists(_disputeId) {
+        SettlementLogic.propose(
+            disputes[_disputeId],
+            appeals[_disputeId],
+            settlementOffers[_disputeId],
+            _plaintiffShareBps
+        );
+    }
+
+    /**
+     * @notice Accept the other party's settlement offer, closing the dispute as Settled
+     * @param _disputeId ID of the dispute
+     * @param _plaintiffShareBps Split being accepted, which must match the pending offer
+     * @dev Any seated panel is paid arbitratorFeeBps of the escrow whether or not it voted
+     * @custom:audit Access control: The party that did not make the offer
+     * @custom:audit Pull payments: Shares are credited to the ledger, collected via withdraw()
+     */
+    function acceptSettlement(uint256 _disputeId, uint256 _plaintiffShareBps) external disputeExists(_disputeId) {
+        SettlementLogic.accept(
+            ledger,
+            disputes[_disputeId],
+            appeals[_disputeId],
+            settlementOffers[_disputeId],
+            disputeVotes[_disputeId],
+            registry.bonds,
+            _plaintiffShareBps
+        );
+    }
+
+    /**
+     * @notice Pay out a ruling once it can no longer be appealed
+     * @param _disputeId ID of the dispute holding escrow
+     * @dev Also ends an appeal whose panel was not seated within APPEAL_WINDOW of filing
+     * @custom:audit Access control: Anyone can trigger (public good)
+     */
+    function releaseEscrow(uint256 _disputeId) external disputeExists(_disputeId) {
+        ResolutionLogic.release(ledger, disputes[_disputeId], appeals[_disputeId], userReputation, APPEAL_WINDOW);
+    }
+
+    // Get dispute information (deposits, response deadline, panel size, category and voting start follow the original fields)
+    function getDisputeInfo(uint256 _disputeId) external view disputeExists(_disputeId) returns (
+        address plaintiff,
+        address defendant,
+        DisputeStatus status,
+        uint256 createdAt,
+        uint256 votingDeadline,
+        uint256 arbitratorCount,
+        bool decisionRevealed,
+        address winner,
+        uint256 plaintiffStake,
+        uint256 defendantStake,
+        uint256 responseDeadline,
+        uint256 panelSize,
+        DisputeCategory category,
+        uint256 votingStartedAt
+    ) {
+        Dispute storage dispute = disputes[_disputeId];
+        return (
+            dispute.plaintiff,
+            dispute.defendant,
+            dispute.status,
+            dispute.createdAt,
+            _votingDeadline(dispute),
+            dispute.assignedArbitrators.length,
+            dispute.decisionRevealed,
+            dispute.winner,
+            dispute.plaintiffStake,
+            dispute.defendantStake,
+            dispute.responseDeadline,
+            dispute.panelSize,
+            dispute.category,
+            dispute.votingStartedAt
+        );
+    }
+
+    // Currency of a dispute's deposits, bond and payouts, address(0) for ETH; kept apart from getDisputeInfo, which is at the stack limit
+    function getDisputeToken(uint256 _disputeId) external view disputeExists(_disputeId) returns (address) {
+        return disputes[_disputeId].token;
+    }
+
+    /**
+     * @notice Get the appeal record of a dispute
+     * @param _disputeId ID of the dispute
+     * @return deadline End of the appeal window (0 if the ruling cannot be appealed)
+     * @return heldEscrow Escrow net of first-round fees held until the ruling is final
+     * @return appellant Party that appealed (address(0) if none)
+     * @return bond Appeal bond posted
+     * @return originalWinner Winner of the first ruling
+     * @return originalPanel First-round panel, excluded from the appeal draw
+     * @return decided Whether the appeal round has ended
+     * @return overturned Whether the appeal panel reversed the first ruling
+     * @return escrowReleased Whether the escrow has been credited to the parties
+     */
+    function getAppealInfo(uint256 _disputeId) external view disputeExists(_disputeId) returns (
+        uint256 deadline,
+        uint256 heldEscrow,
+        address appellant,
+        uint256 bond,
+        address originalWinner,
+        address[] memory originalPanel,
+        bool decided,
+        bool overturned,
+        bool escrowReleased
+    ) {
+        Appeal storage appeal = appeals[_disputeId];
+        return (
+            appeal.deadline,
+            appeal.heldEscrow,
+            appeal.appellant,
+            appeal.bond,
+            appeal.originalWinner,
+            appeal.originalPanel,
+            appeal.decided,
+            appeal.overturned,
+            appeal.escrowReleased
+        );
+    }
+
+    /**
+     * @notice Get the evidence submitted on a dispute
+     * @param _disputeId ID of the dispute
+     * @return evidenceDeadline End of the evidence window (0 until the defendant responds)
+     * @return items Evidence items in submission order, the plaintiff's opening evidence first.
+     *         Handles are decryptable by both parties, every seated arbitrator and the auditors;
+     *         claimedAmount is zero for the opening and counter-evidence
+     */
+    function getEvidence(uint256 _disputeId) external view disputeExists(_disputeId) returns (
+        uint256 evidenceDeadline,
+        EvidenceItem[] memory items
+    ) {
+        Dispute storage dispute = disputes[_disputeId];
+        return (dispute.evidenceDeadline, dispute.evidence);
+    }
+
+    /**
+     * @notice Encrypted stake and evidence handles of a dispute, for user decryption
+     * @param _disputeId ID of the dispute
+     * @return stake Plaintiff's encrypted stake amount
+     * @return evidenceHash Plaintiff's opening evidence hash
+     * @return counterEvidence Defendant's counter-evidence hash, zero if none was given
+     * @dev The handles are decryptable by both parties, every seated arbitrator and the
+     *      auditors; anyone else can read them but not what they encrypt
+     */
+    function getDisputeHandles(uint256 _disputeId) external view disputeExists(_disputeId) returns (
+        euint64 stake,
+        euint32 evidenceHash,
+        euint32 counterEvidence
+    ) {
+        Dispute storage dispute = disputes[_disputeId];
+        return (dispute.encryptedStakeAmount, dispute.encryptedEvidenceHash, dispute.encryptedCounterEvidence);
+    }
+
+    /**
+     * @notice Auditors the parties have granted access to a dispute's stake and evidence
+     * @param _disputeId ID of the dispute
+     * @return Auditor addresses, in grant order
+     */
+    function getAuditors(uint256 _disputeId) external view disputeExists(_disputeId) returns (address[] memory) {
+        return disputes[_disputeId].auditors;
+    }
+
+    /**
+     * @notice Get the pending or accepted settlement offer of a dispute
+     * @param _disputeId ID of the dispute
+     * @return proposer Party that made the offer (address(0) if none)
+     * @return plaintiffShareBps Plaintiff's share of the escrow left after arbitrator fees
+     * @return proposedAt Time the offer was made
+     * @return accepted Whether the offer settled the dispute
+     */
+    function getSettlementOffer(uint256 _disputeId) external view disputeExists(_disputeId) returns (
+        address proposer,
+        uint256 plaintiffShareBps,
+        uint256 proposedAt,
+        bool accepted
+    ) {
+        SettlementOffer storage offer = settlementOffers[_disputeId];
+        return (offer.proposer, offer.plaintiffShareBps, offer.proposedAt, offer.accepted);
+    }
+
+    /**
+     * @notice Get an arbitrator's vote record on a dispute
+     * @param _disputeId ID of the dispute
+     * @param _arbitrator Panel member
+     * @return encryptedVote Vote handle, decryptable by the platform and the voter only
+     * @return encryptedJustification Justification handle, same ACL as the vote
+     * @return hasVoted Whether the arbitrator has voted
+     * @return timestamp Time the vote was cast
+     */
+    function getVote(uint256 _disputeId, address _arbitrator) external view disputeExists(_disputeId) returns (
+        euint8 encryptedVote,
+        euint32 encryptedJustification,
+        bool hasVoted,
+        uint256 timestamp
+    ) {
+        VoteRecord storage record = disputeVotes[_disputeId][_arbitrator];
+        return (record.encryptedVote, record.encryptedJustification, record.hasVoted, record.timestamp);
+    }
+
+    // Get arbitrator information (reputation decayed to now; specialisations: DisputeCategory bitmask, bit n for category n)
+    function getArbitratorInfo(address _arbitrator) external view returns (
+        bool isActive,
+        uint256 reputation,
+        uint256 totalDisputesHandled,
+        uint256 successfulArbitrations,
+        bool identityVerified,
+        uint8 specialisations
+    ) {
+        ArbitratorProfile storage arbitrator = arbitrators[_arbitrator];
+        (reputation, ) = ReputationLogic.scores(arbitrator, DisputeCategory.General);
+        return (
+            arbitrator.isActive,
+            reputation,
+            arbitrator.totalDisputesHandled,
+            arbitrator.successfulArbitrations,
+            arbitrator.identityVerified,
+            arbitrator.specialisations
+        );
+    }
+
+    /**
+     * @notice Get an arbitrator's encrypted count of votes cast with the panel majority
+     * @param _arbitrator Address of the arbitrator
+     * @return Encrypted count, decryptable by the arbitrator only; uninitialized before the first ruling
+     */
+    function getConsensusCount(address _arbitrator) external view returns (euint32) {
+        return arbitrators[_arbitrator].encryptedConsensus;
+    }
+
+    /**
+     * @notice Get the reputation an arbitrator has earned on panels of one category
+     * @param _arbitrator Address of the arbitrator
+     * @param _category Dispute category
+     * @return reputation Category reputation: CONSENSUS_REWARD per vote with the majority in a
+     *         revealed batch, less MISSED_VOTE_PENALTY per missed vote, decaying towards 0
+     */
+    function getCategoryReputation(address _arbitrator, DisputeCategory _category) external view returns (uint256 reputation) {
+        (, reputation) = ReputationLogic.scores(arbitrators[_arbitrator], _category);
+    }
+
+
+    // Get user reputation
+    function getUserReputation(address _user) external view returns (uint256) {
+        return userReputation[_user];
+    }
+
+    // Number of arbitrators in the active pool
+    function arbitratorPool() external view returns (uint256) {
+        return registry.active.length;
+    }
+
+    /**
+     * @notice Get the current pool of active arbitrators
+     * @return Active arbitrator addresses, in pool order
+     */
+    function getActiveArbitrators() external view returns (address[] memory) {
+        return registry.active;
+    }
+
+    /**
+     * @notice Get the number of registered and active arbitrators
+     * @return total Arbitrators ever registered, including paused ones
+     * @return active Arbitrators currently eligible for selection
+     */
+    function getArbitratorCount() external view returns (uint256 total, uint256 active) {
+        return (registry.registered.length, registry.active.length);
+    }
+
+    /**
+     * @notice Page through the arbitrator registry
+     * @param _offset Index of the first entry to return
+     * @param _limit Maximum number of entries to return
+     * @param _activeOnly Page through the active pool instead of the full registry
+     * @return page Address, current reputation, handled count and active flag of each entry
+     * @return total Length of the list being paged, for computing the next offset
+     * @dev Registry order is registration order; active pool order changes on pause (swap and pop)
+     */
+    function getArbitrators(uint256 _offset, uint256 _limit, bool _activeOnly) external view returns (
+        ArbitratorSummary[] memory page,
+        uint256 total
+    ) {
+        return RegistryLogic.summaries(registry, arbitrators, _offset, _limit, _activeOnly);
+    }
+
+    /**
+     * @notice Get the selection record of a dispute
+     * @param _disputeId ID of the dispute
+     * @return requestId Randomness request ID (0 if never requested)
+     * @return requestedAt Timestamp of the latest request
+     * @return seed Random word delivered by the coordinator
+     * @return fulfilled Whether the panel has been drawn
+     * @return candidates Arbitrators drawn this round: the panel, then each replacement
+     * @return weights Reputation weight of each drawn arbitrator when it was drawn
+     * @dev The samples behind the draws are published as CandidatesSampled; with them and
+     *      ArbitratorSelection.draw anyone can re-derive the panel (scripts/lib/selection.js)
+     */
+    function getSelection(uint256 _disputeId) external view disputeExists(_disputeId) returns (
+        uint256 requestId,
+        uint256 requestedAt,
+        uint256 seed,
+        bool fulfilled,
+        address[] memory candidates,
+        uint256[] memory weights
+    ) {
+        SelectionRequest storage selection = selections[_disputeId];
+        return (
+            selection.requestId,
+            selection.requestedAt,
+            selection.seed,
+            selection.fulfilled,
+            selection.candidates,
+            selection.weights
+        );
+    }
+
+    /**
+     * @notice Check for voting timeout, slash missing voters and trigger refund if expired
+     * @param _disputeId ID of the dispute to check
+     * @dev Timeout protection: Prevents permanent lock of funds. Panel members who
+     *      never voted lose BOND_SLASH_BPS of their bond to the parties. The voting deadline
+     *      is moved back by any emergency pause, when nobody could vote, so a pause never
+     *      costs the panel voting time
+     * @custom:audit Access control: Anyone can trigger timeout check (public good)
+     * @custom:audit Emergency pause: Stays open so stakes can be refunded during a pause
+     */
+    function checkVotingTimeout(uint256 _disputeId) external disputeExists(_disputeId) {
+        Dispute storage dispute = disputes[_disputeId];
+
+        // @audit Timeout check: Voting period exceeded
+        require(_votingExpired(dispute), "Voting timeout not reached");
+
+        emit TimeoutTriggered(_disputeId, "Voting");
+
+        SettlementLogic.slashMissedVotes(
+            ledger,
+            dispute,
+            disputeVotes[_disputeId],
+            arbitrators,
+            registry.bonds,
+            BOND_SLASH_BPS,
+            MISSED_VOTE_PENALTY
+        );
+
+        // @audit Refund mechanism: Return stakes on timeout
+        dispute.status = DisputeStatus.Cancelled;
+        _handleDecryptionFailure(_disputeId, "Voting timeout exceeded");
+    }
+
+    /**
+     * @notice Check for decryption timeout and trigger refund if expired
+     * @param _disputeId ID of the dispute to check
+     * @dev Timeout protection: Prevents permanent lock if Gateway fails
+     * @custom:audit Access control: Anyone can trigger (incentivized by affected parties)
+     */
+    function checkDecryptionTimeout(uint256 _disputeId) external disputeExists(_disputeId) {
+        // @audit Timeout check: Decryption taking too long
+        require(_decryptionExpired(_disputeId), "Decryption timeout not reached");
+
+        emit TimeoutTriggered(_disputeId, "Decryption");
+
+        // @audit Refund mechanism: Return stakes if Gateway fails
+        _handleDecryptionFailure(_disputeId, "Decryption timeout - Gateway unresponsive");
+    }
+
+    /**
+     * @notice Get dispute timeout status
+     * @param _disputeId ID of the dispute
+     * @return votingExpired Whether voting timeout has been exceeded
+     * @return decryptionExpired Whether decryption timeout has been exceeded
+     * @return canClaimRefund Whether the deposits have been refunded to the parties' pending balances
+     */
+    function getTimeoutStatus(uint256 _disputeId) external view disputeExists(_disputeId) returns (
+        bool votingExpired,
+        bool decryptionExpired,
+        bool canClaimRefund
+    ) {
+        Dispute storage dispute = disputes[_disputeId];
+
+        votingExpired = _votingExpired(dispute);
+        decryptionExpired = _decryptionExpired(_disputeId);
+
+        canClaimRefund = (dispute.status == DisputeStatus.DecryptionFailed ||
+                         dispute.status == DisputeStatus.Cancelled ||
+                         dispute.status == DisputeStatus.Refunded);
+
+        return (votingExpired, decryptionExpired, canClaimRefund);
+    }
+
+    // Whether the panel is still voting past the deadline plus the voting timeout
+    function _votingExpired(Dispute storage dispute) private view returns (bool) {
+        return dispute.status == DisputeStatus.InArbitration &&
+            block.timestamp > _votingDeadline(dispute) + _parameterValue(Parameter.VotingTimeout);
+    }
+
+    // Voting deadline moved back by the emergency pauses since voting opened
+    function _votingDeadline(Dispute storage dispute) private view returns (uint256) {
+        return GovernanceLogic.votingDeadline(access, dispute);
+    }
+
+    // Whether the Gateway has left a decryption request unanswered past the decryption timeout
+    function _decryptionExpired(uint256 _disputeId) private view returns (bool) {
+        Dispute storage dispute = disputes[_disputeId];
+        return dispute.status == DisputeStatus.Voting &&
+            pendingDecryptions[_disputeId] &&
+            block.timestamp > dispute.decryptionRequestTime + _parameterValue(Parameter.DecryptionTimeout);
+    }
+
+    /**
+     * @notice Get refund eligibility and amount
+     * @param _disputeId ID of the dispute
+     * @param _party Address of the party checking eligibility
+     * @return eligible Whether the party's deposit was refunded
+     * @return amount The party's own deposit (0 for a defendant who never responded)
+     * @return claimed Whether refunds have been processed
+     * @return token Currency of the refund, address(0) for ETH
+     */
+    function getRefundStatus(uint256 _disputeId, address _party) external view disputeExists(_disputeId) returns (
+        bool eligible,
+        uint256 amount,
+        bool claimed,
+        address token
+    ) {
+        return SettlementLogic.refundStatus(disputes[_disputeId], _party);
+    }
+
+    /**
+     * @notice Withdraw all ETH payouts and refunds credited to the caller
+     * @dev Pull-payment pattern: balances are credited on settlement or failure
+     *      and only leave the contract here or in withdrawToken
+     * @custom:audit Reentrancy: Balance zeroed before the transfer
+     */
+    function withdraw() external {
+        TokenLogic.withdraw(ledger, address(0));
+    }
+
+    /**
+     * @notice Withdraw all payouts and refunds credited to the caller in a stake token
+     * @param _token ERC-20 to withdraw
+     * @dev Works for tokens since removed from the allowlist
+     * @custom:audit Reentrancy: Balance zeroed before the transfer
+     */
+    function withdrawToken(address _token) external {
+        require(_token != address(0), "Invalid token");
+        TokenLogic.withdraw(ledger, _token);
+    }
+
+    /**
+     * @notice Get the ETH an account can withdraw
+     * @param _account Address to check
+     * @return Payouts and refunds credited but not yet withdrawn
+     */
+    function getPendingBalance(address _account) external view returns (uint256) {
+        return ledger.pendingBalances[_account];
+    }
+
+    /**
+     * @notice Get the amount of a stake token an account can withdraw
+     * @param _token ERC-20 to check
+     * @param _account Address to check
+     * @return Payouts and refunds credited in the token but not yet withdrawn
+     */
+    function getPendingTokenBalance(address _token, address _account) external view returns (uint256) {
+        return ledger.tokenBalances[_token][_account];
+    }
+
+    /**
+     * @notice Get the allowlisted stake tokens
+     * @return tokens ERC-20 contracts accepted by createDispute
+     * @return minStakes Smallest deposit of each token, in its own units
+     */
+    function getAllowedTokens() external view returns (address[] memory tokens, uint256[] memory minStakes) {
+        tokens = ledger.allowedTokens;
+        minStakes = new uint256[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            minStakes[i] = ledger.tokenMinStake[tokens[i]];
+        }
+    }
+
+    // Address credited with platform fees
+    function treasury() external view returns (address) {
+        return ledger.treasury;
+    }
+
+    // Share of the escrow paid to voting arbitrators, in basis points
+    function arbitratorFeeBps() external view returns (uint256) {
+        return ledger.arbitratorFeeBps;
+    }
+
+    // Share of the escrow paid to the treasury, in basis points
+    function platformFeeBps() external view returns (uint256) {
+        return ledger.platformFeeBps;
+    }
+
+    // Platform fees credited to the treasury since deployment
+    function totalPlatformFees() external view returns (uint256) {
+        return ledger.totalPlatformFees;
+    }
+
+    // Lifetime fees credited to an arbitrator
+    function arbitratorFeesEarned(address _arbitrator) external view returns (uint256) {
+        return ledger.arbitratorFeesEarned[_arbitrator];
+    }
+
+    /**
+     * @notice Leave the pool and start the bond withdrawal cooldown
+     * @dev The caller is deactivated at once; the bond can be withdrawn with
+     *      withdrawBond() once BOND_COOLDOWN has passed
+     * @custom:audit Access control: Bonded arbitrators with no open assignments only
+     */
+    function requestBondWithdrawal() external {
+        RegistryLogic.requestBondWithdrawal(registry, arbitrators[msg.sender], BOND_COOLDOWN);
+    }
+
+    /**
+     * @notice Credit the remaining bond to the caller's pending balance after the cooldown
+     * @dev Funds leave the contract through withdraw(). Withdrawing is a permanent exit: the
+     *      address stays registered but inactive, and can neither re-register nor be unpaused,
+     *      so it cannot shed its reputation or a moderator's pause by leaving and coming back
+     * @custom:audit Timeouts: The request takes the arbitrator out of the pool, so no panel is
+     *      drawn on the bond while it cools down
+     */
+    function withdrawBond() external {
+        RegistryLogic.withdrawBond(registry, ledger, BOND_COOLDOWN);
+    }
+
+    /**
+     * @notice Get an arbitrator's bond
+     * @param _arbitrator Address to check
+     * @return amount Bond currently held
+     * @return openAssignments Panels seated on and not yet voted or slashed
+     * @return withdrawableAt End of the withdrawal cooldown, 0 if no withdrawal was requested
+     */
+    function getArbitratorBond(address _arbitrator) external view returns (
+        uint256 amount,
+        uint256 openAssignments,
+        uint256 withdrawableAt
+    ) {
+        ArbitratorBond storage bond = registry.bonds[_arbitrator];
+        uint256 requestedAt = bond.withdrawalRequestedAt;
+        return (bond.amount, bond.openAssignments, requestedAt == 0 ? 0 : requestedAt + BOND_COOLDOWN);
+    }
+
+    // Ownership and roles
+    /**
+     * @notice Get the platform owner
+     * @return Owner address
+     */
+    function owner() external view returns (address) {
+        return access.owner;
+    }
+
+    /**
+     * @notice Get the owner nominated by transferOwnership
+     * @return Pending owner address, 0 if none
+     */
+    function pendingOwner() external view returns (address) {
+        return access.pendingOwner;
+    }
+
+    /**
+     * @notice Check whether an account may act in a role
+     * @param _role Role to check
+     * @param _account Account to check
+     * @return True for holders of the role and for the owner
+     */
+    function hasRole(Role _role, address _account) external view returns (bool) {
+        return GovernanceLogic.hasRole(access, _role, _account);
+    }
+
+    /**
+     * @notice Nominate a new owner, who must call acceptOwnership to take over
+     * @param _newOwner Nominee; the zero address withdraws a pending nomination
+     * @custom:audit Access control: Owner only
+     */
+    function transferOwnership(address _newOwner) external {
+        GovernanceLogic.transferOwnership(access, _newOwner);
+    }
+
+    /**
+     * @notice Take over ownership as the nominated pending owner
+     * @custom:audit Access control: Pending owner only
+     */
+    function acceptOwnership() external {
+        GovernanceLogic.acceptOwnership(access);
+    }
+
+    /**
+     * @notice Grant a role to an account
+     * @param _role Role to grant
+     * @param _account Account receiving the role
+     * @custom:audit Access control: Owner only
+     */
+    function grantRole(Role _role, address _account) external {
+        GovernanceLogic.setRole(access, _role, _account, true);
+    }
+
+    /**
+     * @notice Revoke a role from an account
+     * @param _role Role to revoke
+     * @param _account Account losing the role
+     * @custom:audit Access control: Owner only
+     */
+    function revokeRole(Role _role, address _account) external {
+        GovernanceLogic.setRole(access, _role, _account, false);
+    }
+
+    // Emergency functions
+    /**
+     * @notice Pause the whole platform
+     * @dev Blocks dispute creation, panel requests and seating, votes and replacements.
+     *      Refunds, timeouts, settlements, appeals, escrow release and withdrawals stay
+     *      open, so no funds are locked. Deadlines keep running during a pause.
+     * @custom:audit Access control: Pauser role
+     */
+    function pause() external {
+        GovernanceLogic.setPaused(access, true);
+    }
+
+    /**
+     * @notice Lift an emergency pause
+     * @custom:audit Access control: Pauser role
+     */
+    function unpause() external {
+        GovernanceLogic.setPaused(access, false);
+    }
+
+    /**
+     * @notice Get the emergency pause status
+     * @return paused Whether the platform is paused
+     * @return since Start of the current pause, 0 when not paused
+     */
+    function getPauseStatus() external view returns (bool paused, uint256 since) {
+        paused = access.paused;
+        since = paused ? access.pausedAt : 0;
+    }
+
+    /**
+     * @notice Pause an arbitrator's active status
+     * @param _arbitrator Address of arbitrator to pause
+     * @dev Takes the arbitrator out of future draws; panels it already sits on still expect its vote
+     * @custom:audit Access control: Moderator role
+     */
+    function pauseArbitrator(address _arbitrator) external onlyRole(Role.Moderator) {
+        RegistryLogic.pause(registry, arbitrators[_arbitrator], _arbitrator);
+    }
+
+    /**
+     * @notice Unpause an arbitrator's active status
+     * @param _arbitrator Address of arbitrator to unpause
+     * @custom:audit Access control: Moderator role
+     * @custom:audit Input validation: Must have reputation and must not be withdrawing its bond
+     */
+    function unpauseArbitrator(address _arbitrator) external onlyRole(Role.Moderator) {
+        RegistryLogic.unpause(registry, arbitrators[_arbitrator], _arbitrator);
+    }
+
+    /**
+     * @notice Set the randomness source used for arbitrator selection
+     * @param _coordinator Coordinator contract implementing IRandomnessCoordinator
+     * @dev Pending requests made to a previous coordinator can be re-issued after SELECTION_TIMEOUT
+     * @custom:audit Access control: Owner only
+     */
+    function setRandomnessCoordinator(address _coordinator) external onlyOwner {
+        require(_coordinator != address(0), "Invalid coordinator");
+        randomnessCoordinator = IRandomnessCoordinator(_coordinator);
+        emit RandomnessCoordinatorUpdated(_coordinator);
+    }
+
+    /**
+     * @notice Set the fees charged on disputes resolved by a panel
+     * @param _arbitratorFeeBps Share of the escrow paid to voting arbitrators, in basis points
+     * @param _platformFeeBps Share of the escrow paid to the treasury, in basis points
+     * @dev Applies to every dispute finalized after the change
+     * @custom:audit Access control: Treasurer role
+     * @custom:audit Input validation: Combined fees capped at MAX_TOTAL_FEE_BPS
+     */
+    function setFeeSchedule(uint256 _arbitratorFeeBps, uint256 _platformFeeBps) external onlyRole(Role.Treasurer) {
+        SettlementLogic.setFeeSchedule(ledger, _arbitratorFeeBps, _platformFeeBps, MAX_TOTAL_FEE_BPS);
+    }
+
+    /**
+     * @notice Set the address credited with platform fees
+     * @param _treasury New treasury address
+     * @dev Fees already credited stay withdrawable by the previous treasury
+     * @custom:audit Access control: Treasurer role
+     */
+    function setTreasury(address _treasury) external onlyRole(Role.Treasurer) {
+        SettlementLogic.setTreasury(ledger, _treasury);
+    }
+
+    /**
+     * @notice Allowlist an ERC-20 as a stake token, change its minimum deposit or remove it
+     * @param _token ERC-20 contract
+     * @param _minStake Smallest deposit in the token's units; 0 removes the token
+     * @dev Removing a token only stops new disputes; open ones finish in it
+     * @custom:audit Access control: Treasurer role
+     */
+    function setStakeToken(address _token, uint256 _minStake) external onlyRole(Role.Treasurer) {
+        TokenLogic.setStakeToken(ledger, _token, _minStake);
+    }
+
+    /**
+     * @notice Queue a new value for a platform parameter
+     * @param _parameter Parameter to change
+     * @param _value New value: seconds for the durations, wei for MinStake
+     * @dev Executable by anyone once PARAMETER_TIMELOCK has passed; queueing again
+     *      replaces the pending change and restarts the delay
+     * @custom:audit Access control: Governor role
+     * @custom:audit Input validation: Durations between 1 and 30 days, MinStake non-zero
+     */
+    function queueParameterChange(Parameter _parameter, uint256 _value) external onlyRole(Role.Governor) {
+        GovernanceLogic.queue(parameters, _parameter, _value, PARAMETER_TIMELOCK);
+    }
+
+    /**
+     * @notice Drop the change queued for a platform parameter
+     * @param _parameter Parameter whose change is dropped
+     * @custom:audit Access control: Governor role
+     */
+    function cancelParameterChange(Parameter _parameter) external onlyRole(Role.Governor) {
+        GovernanceLogic.cancel(parameters, _parameter);
+    }
+
+    /**
+     * @notice Apply a queued parameter change once its timelock has expired
+     * @param _parameter Parameter to update
+     * @custom:audit Access control: Anyone can trigger; a governor committed to the value when queueing
+     */
+    function executeParameterChange(Parameter _parameter) external {
+        GovernanceLogic.execute(parameters, _parameter);
+    }
+
+    /**
+     * @notice Get the current value of a platform parameter
+     * @param _parameter Parameter to read
+     * @return Seconds for the durations, wei for MinStake
+     */
+    function getParameter(Parameter _parameter) external view returns (uint256) {
+        return _parameterValue(_parameter);
+    }
+
+    /**
+     * @notice Get the change queued for a platform parameter
+     * @param _parameter Parameter to check
+     * @return value Queued value
+     * @return eta Earliest execution time, 0 if no change is queued
+     */
+    function getQueuedParameterChange(Parameter _parameter) external view returns (uint256 value, uint256 eta) {
+        return (parameters.queued[uint8(_parameter)].value, parameters.queued[uint8(_parameter)].eta);
+    }
+
+    // Current value of a governable parameter
+    function _parameterValue(Parameter _which) private view returns (uint256) {
+        return parameters.values[uint8(_which)];
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+/**
+ * @title IRandomnessCoordinator
+ * @notice VRF-style randomness source used for arbitrator selection
+ * @dev The coordinator answers each request asynchronously by calling
+ *      IRandomnessConsumer.fulfillRandomness on the requesting contract.
+ *      Production deployments wrap a verifiable source (e.g. Chainlink VRF);
+ *      local networks use MockRandomnessCoordinator.
+ */
+interface IRandomnessCoordinator {
+    /**
+     * @notice Request one random word for msg.sender
+     * @return requestId Identifier echoed back in the fulfillment callback
+     */
+    function requestRandomness() external returns (uint256 requestId);
+}
+
+/**
+ * @title IRandomnessConsumer
+ * @notice Callback implemented by contracts requesting randomness
+ */
+interface IRandomnessConsumer {
+    /**
+     * @notice Deliver the random word for a previous request
+     * @param requestId Identifier returned by requestRandomness
+     * @param randomness Random word
+     */
+    function fulfillRandomness(uint256 requestId, uint256 randomness) external;
+}
@@ -0,0 +1,105 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { Appeal, Dispute, DisputeStatus } from "../types/ArbitrationTypes.sol";
+import { TokenLogic } from "./TokenLogic.sol";
+
+/**
+ * @title AppealLogic
+ * @notice Appeal bookkeeping for AnonymousArbitrationPlatform: appeal window, filing
+ *         and the outcome of the appeal round
+ * @dev Linked library with external functions running on the platform's storage.
+ *      openWindow, checkRelease and decide are internal and compiled into ResolutionLogic.
+ *      Events are declared again on the platform so they appear in its ABI.
+ */
+library AppealLogic {
+    event AppealWindowOpened(uint256 indexed disputeId, uint256 deadline, uint256 heldEscrow);
+    event AppealFiled(uint256 indexed disputeId, address indexed appellant, uint256 bond);
+    event AppealDecided(uint256 indexed disputeId, address indexed winner, bool overturned);
+
+    /**
+     * @notice Hold the net escrow of a first ruling until the appeal window closes
+     * @param dispute Dispute resolved by its first panel
+     * @param appeal Appeal record of the dispute
+     * @param heldEscrow Escrow net of first-round fees
+     * @param window Length of the appeal window
+     */
+    function openWindow(Dispute storage dispute, Appeal storage appeal, uint256 heldEscrow, uint256 window) internal {
+        appeal.deadline = block.timestamp + window;
+        appeal.heldEscrow = heldEscrow;
+        emit AppealWindowOpened(dispute.id, appeal.deadline, heldEscrow);
+    }
+
+    /**
+     * @notice Record an appeal against the first ruling
+     * @param dispute Resolved dispute
+     * @param appeal Appeal record of the dispute
+     * @param appellant Caller, who must be the losing party
+     * @param bond Bond posted, in the dispute's stake token
+     * @param value ETH sent with the appeal
+     * @param permit Optional permit for a token bond, see TokenLogic.collect
+     * @custom:audit Access control: Losing party only, before the appeal window closes
+     * @custom:audit Input validation: Bond must equal the deposit; one appeal per dispute
+     */
+    function file(
+        Dispute storage dispute,
+        Appeal storage appeal,
+        address appellant,
+        uint256 bond,
+        uint256 value,
+        bytes calldata permit
+    ) external {
+        require(dispute.status == DisputeStatus.Resolved, "Invalid dispute status");
+        require(appeal.deadline != 0 && !appeal.escrowReleased, "Ruling not appealable");
+        require(block.timestamp <= appeal.deadline, "Appeal window closed");
+        require(appellant != dispute.winner, "Only losing party can appeal");
+        require(bond == dispute.plaintiffStake, "Appeal bond must match deposit");
+
+        appeal.appellant = appellant;
+        appeal.bond = bond;
+        appeal.filedAt = block.timestamp;
+        appeal.originalWinner = dispute.winner;
+        appeal.originalPanel = dispute.assignedArbitrators;
+
+        dispute.status = DisputeStatus.Appealed;
+
+        emit AppealFiled(dispute.id, appellant, bond);
+
+        TokenLogic.collect(dispute.token, bond, value, permit);
+    }
+
+    /**
+     * @notice Check that the escrow of a dispute can be released
+     * @param dispute Dispute holding escrow
+     * @param appeal Appeal record of the dispute
+     * @param window Length of the appeal window
+     * @return lapse True when an appeal was filed but its panel was not seated within the window
+     * @custom:audit Timeouts: Escrow is never released while the ruling can still be appealed
+     */
+    function checkRelease(Dispute storage dispute, Appeal storage appeal, uint256 window) internal view returns (bool lapse) {
+        if (dispute.status == DisputeStatus.Appealed) {
+            require(block.timestamp > appeal.filedAt + window, "Appeal panel pending");
+            return true;
+        }
+
+        require(dispute.status == DisputeStatus.Resolved, "Invalid dispute status");
+        require(appeal.deadline != 0 && !appeal.escrowReleased, "No escrow held");
+        require(block.timestamp > appeal.deadline, "Appeal window open");
+    }
+
+    /**
+     * @notice Record the appeal panel's ruling as the final one
+     * @param dispute Appealed dispute
+     * @param appeal Appeal record of the dispute
+     * @param majority Majority of the appeal panel, or address(0) without one
+     * @dev Only a majority for the appellant overturns the first ruling
+     */
+    function decide(Dispute storage dispute, Appeal storage appeal, address majority) internal {
+        bool overturned = majority == appeal.appellant;
+        dispute.winner = overturned ? appeal.appellant : appeal.originalWinner;
+        appeal.decided = true;
+        appeal.overturned = overturned;
+
+        emit AppealDecided(dispute.id, dispute.winner, overturned);
+    }
+}
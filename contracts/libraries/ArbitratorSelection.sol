@@ -0,0 +1,104 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+/**
+ * @title ArbitratorSelection
+ * @notice Deterministic panel draw from a bounded candidate sample and a random seed
+ * @dev Weighted partial Fisher-Yates shuffle: draw i takes a ticket
+ *      keccak256(abi.encode(seed, i)) modulo the weight still in [i, n), walks the
+ *      remaining positions until the ticket falls inside one's weight and swaps that
+ *      position with i. With equal weights this is the plain shuffle that picks
+ *      i + ticket. Candidates come from sample(), which reads at most a fixed number of
+ *      pool positions however large the pool grows. The same algorithms are mirrored in
+ *      scripts/lib/selection.js so any past draw can be re-checked.
+ */
+library ArbitratorSelection {
+    /**
+     * @notice Pick at most `size` distinct positions of a pool of `length`
+     * @param length Pool length
+     * @param seed Random word the sample is keyed on
+     * @param size Largest sample to take
+     * @return positions Every position in pool order when the pool fits, otherwise the first
+     *         `size` positions of a Fisher-Yates shuffle keyed by keccak256(abi.encode(~seed, t))
+     * @dev The complement of the seed keeps the sample's tickets apart from draw()'s
+     * @custom:audit Bounded loop: `size` steps over a sparse swap table of at most `size` entries
+     */
+    function sample(uint256 length, uint256 seed, uint256 size) internal pure returns (uint256[] memory positions) {
+        if (length <= size) {
+            positions = new uint256[](length);
+            for (uint256 i = 0; i < length; i++) {
+                positions[i] = i;
+            }
+            return positions;
+        }
+
+        // Positions moved by earlier swaps: swappedFrom[k] now holds swappedTo[k]
+        uint256[] memory swappedFrom = new uint256[](size);
+        uint256[] memory swappedTo = new uint256[](size);
+        uint256 swaps = 0;
+
+        positions = new uint256[](size);
+        for (uint256 t = 0; t < size; t++) {
+            uint256 j = t + (uint256(keccak256(abi.encode(~seed, t))) % (length - t));
+            uint256 atT = t;
+            uint256 atJ = j;
+            for (uint256 k = 0; k < swaps; k++) {
+                if (swappedFrom[k] == t) atT = swappedTo[k];
+                if (swappedFrom[k] == j) atJ = swappedTo[k];
+            }
+            positions[t] = atJ;
+
+            // Position t is never read again, so only j needs to remember what was at t
+            uint256 slot = swaps;
+            for (uint256 k = 0; k < swaps; k++) {
+                if (swappedFrom[k] == j) slot = k;
+            }
+            swappedFrom[slot] = j;
+            swappedTo[slot] = atT;
+            if (slot == swaps) swaps++;
+        }
+    }
+
+    /**
+     * @notice Draw `count` distinct candidates, each with a chance proportional to its weight
+     * @param candidates Eligible arbitrators, in sample order
+     * @param weights Weight of each candidate, all at least 1; empty for a uniform draw
+     * @param seed Random word delivered by the randomness coordinator
+     * @param count Panel size
+     * @return selected Drawn arbitrators, in draw order
+     * @custom:audit Bounded loop: `count` draws, each walking at most n positions of a memory copy;
+     *      n is capped by the sample size
+     */
+    function draw(
+        address[] memory candidates,
+        uint256[] memory weights,
+        uint256 seed,
+        uint256 count
+    ) internal pure returns (address[] memory selected) {
+        uint256 n = candidates.length;
+        require(count <= n, "Not enough candidates");
+
+        address[] memory pool = new address[](n);
+        uint256[] memory poolWeights = new uint256[](n);
+        uint256 total = 0;
+        for (uint256 i = 0; i < n; i++) {
+            pool[i] = candidates[i];
+            poolWeights[i] = weights.length == 0 ? 1 : weights[i];
+            total += poolWeights[i];
+        }
+
+        selected = new address[](count);
+        for (uint256 i = 0; i < count; i++) {
+            uint256 ticket = uint256(keccak256(abi.encode(seed, i))) % total;
+            uint256 j = i;
+            while (ticket >= poolWeights[j]) {
+                ticket -= poolWeights[j];
+                j++;
+            }
+            (pool[i], pool[j]) = (pool[j], pool[i]);
+            (poolWeights[i], poolWeights[j]) = (poolWeights[j], poolWeights[i]);
+            total -= poolWeights[i];
+            selected[i] = pool[i];
+        }
+    }
+}
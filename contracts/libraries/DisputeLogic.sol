@@ -0,0 +1,318 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { FHE, ebool, euint8, euint32, euint64, externalEuint8, externalEuint32, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import {
+    AccessRoles,
+    ArbitratorBond,
+    Dispute,
+    DisputeCategory,
+    DisputeStatus,
+    EvidenceItem,
+    VoteRecord
+} from "../types/ArbitrationTypes.sol";
+import { GovernanceLogic } from "./GovernanceLogic.sol";
+import { TokenLogic } from "./TokenLogic.sol";
+
+/**
+ * @title DisputeLogic
+ * @notice Encrypted input handling for AnonymousArbitrationPlatform: opening a
+ *         dispute, recording evidence from both parties and arbitrator votes
+ * @dev Linked library with external functions running on the platform's storage,
+ *      so imported ciphertexts and ACL grants belong to the platform.
+ *      Events are declared again on the platform so they appear in its ABI.
+ */
+library DisputeLogic {
+    uint256 internal constant MAX_AUDITORS = 4;
+    uint256 internal constant MAX_EVIDENCE_ITEMS = 16;
+
+    event DefendantResponded(uint256 indexed disputeId, address indexed defendant, uint256 stake);
+    event EvidenceSubmitted(uint256 indexed disputeId, address indexed submitter, uint256 index);
+    event DefaultJudgment(uint256 indexed disputeId, address indexed plaintiff);
+    event AuditorAccessGranted(uint256 indexed disputeId, address indexed party, address indexed auditor);
+
+    /**
+     * @notice Import the plaintiff's encrypted inputs and record a new dispute
+     * @param dispute Empty storage slot for the dispute
+     * @param disputeId ID assigned to the dispute
+     * @param defendant Address of the defendant
+     * @param encryptedStake External encrypted stake amount
+     * @param encryptedEvidence External encrypted evidence hash
+     * @param stakeProof Proof for stake encryption
+     * @param evidenceProof Proof for evidence encryption
+     * @param deposit Plaintiff deposit sent with the dispute
+     * @param minStake Smallest deposit accepted
+     * @param responsePeriod Time the defendant has to match the deposit
+     * @param panelSize Arbitrators on the first panel, already validated by the platform
+     * @param category Subject of the dispute
+     * @custom:audit Input validation: Defendant is neither the caller nor the zero address
+     * @custom:audit FHE ACL: Stake and evidence readable by the platform and both parties
+     */
+    function open(
+        Dispute storage dispute,
+        uint256 disputeId,
+        address defendant,
+        externalEuint64 encryptedStake,
+        externalEuint32 encryptedEvidence,
+        bytes calldata stakeProof,
+        bytes calldata evidenceProof,
+        uint256 deposit,
+        uint256 minStake,
+        uint256 responsePeriod,
+        uint8 panelSize,
+        DisputeCategory category
+    ) external {
+        require(defendant != msg.sender, "Cannot create dispute with yourself");
+        require(defendant != address(0), "Invalid defendant address");
+        require(deposit >= minStake, "Minimum stake required");
+
+        // Import encrypted inputs with validation
+        euint64 stake = FHE.fromExternal(encryptedStake, stakeProof);
+        euint32 evidence = FHE.fromExternal(encryptedEvidence, evidenceProof);
+
+        dispute.id = disputeId;
+        dispute.plaintiff = msg.sender;
+        dispute.defendant = defendant;
+        dispute.encryptedStakeAmount = stake;
+        dispute.encryptedEvidenceHash = evidence;
+        dispute.status = DisputeStatus.Created;
+        dispute.createdAt = block.timestamp;
+        dispute.responseDeadline = block.timestamp + responsePeriod;
+        dispute.encryptedFinalDecision = FHE.asEuint8(0);
+        dispute.plaintiffStake = deposit;
+        dispute.panelSize = panelSize;
+        dispute.category = category;
+
+        FHE.allowThis(stake);
+        FHE.allowThis(evidence);
+        FHE.allow(stake, msg.sender);
+        FHE.allow(evidence, msg.sender);
+        FHE.allow(stake, defendant);
+        FHE.allow(evidence, defendant);
+
+        _pushEvidence(dispute, evidence, euint64.wrap(0));
+    }
+
+    /**
+     * @notice Record the defendant's matching deposit and optional counter-evidence
+     * @param dispute Dispute being answered
+     * @param deposit Deposit sent with the response, in the dispute's stake token
+     * @param evidencePeriod Length of the evidence window that opens now
+     * @param encryptedCounterEvidence External encrypted counter-evidence hash
+     * @param counterEvidenceProof Proof for the counter-evidence; empty to respond without evidence
+     * @param value ETH sent with the response
+     * @param permit Optional permit for a token deposit, see TokenLogic.collect
+     * @custom:audit Access control: Defendant only, before responseDeadline
+     * @custom:audit Input validation: Deposit must equal plaintiffStake exactly
+     * @custom:audit Input validation: Counter-evidence counts towards the defendant's MAX_EVIDENCE_ITEMS
+     * @custom:audit FHE ACL: Counter-evidence readable by the platform, both parties and the dispute's auditors
+     */
+    function respond(
+        Dispute storage dispute,
+        uint256 deposit,
+        uint256 evidencePeriod,
+        externalEuint32 encryptedCounterEvidence,
+        bytes calldata counterEvidenceProof,
+        uint256 value,
+        bytes calldata permit
+    ) external {
+        require(msg.sender == dispute.defendant, "Only defendant can respond");
+        require(dispute.status == DisputeStatus.Created, "Invalid dispute status");
+        require(dispute.defendantStake == 0, "Already responded");
+        require(block.timestamp <= dispute.responseDeadline, "Response period ended");
+        require(deposit == dispute.plaintiffStake, "Stake must match plaintiff");
+
+        dispute.defendantStake = deposit;
+        dispute.evidenceDeadline = block.timestamp + evidencePeriod;
+        emit DefendantResponded(dispute.id, msg.sender, deposit);
+        TokenLogic.collect(dispute.token, deposit, value, permit);
+
+        if (counterEvidenceProof.length == 0) return;
+
+        euint32 counterEvidence = FHE.fromExternal(encryptedCounterEvidence, counterEvidenceProof);
+        dispute.encryptedCounterEvidence = counterEvidence;
+
+        FHE.allowThis(counterEvidence);
+        FHE.allow(counterEvidence, dispute.defendant);
+        FHE.allow(counterEvidence, dispute.plaintiff);
+
+        _pushEvidence(dispute, counterEvidence, euint64.wrap(0));
+    }
+
+    /**
+     * @notice Check that the caller can win an unanswered dispute by default
+     * @param dispute Dispute the defendant never answered
+     * @dev The platform finalizes the dispute in the caller's favour afterwards
+     * @custom:audit Access control: Plaintiff only, after responseDeadline
+     */
+    function claimDefault(Dispute storage dispute) external {
+        require(msg.sender == dispute.plaintiff, "Only plaintiff can claim");
+        require(dispute.status == DisputeStatus.Created, "Invalid dispute status");
+        require(dispute.defendantStake == 0, "Defendant has responded");
+        require(block.timestamp > dispute.responseDeadline, "Response period not ended");
+
+        emit DefaultJudgment(dispute.id, msg.sender);
+    }
+
+    /**
+     * @notice Import an evidence item from a party during the evidence window
+     * @param dispute Dispute awaiting a panel
+     * @param encryptedDocumentHash External encrypted document hash
+     * @param encryptedClaimedAmount External encrypted amount claimed
+     * @param inputProof Proof for both encrypted values
+     * @dev The window is open from creation until evidenceDeadline, which is only set
+     *      once the defendant responds; the panel is granted access when it is seated.
+     *      Each party may submit MAX_EVIDENCE_ITEMS, so neither can use up the other's share
+     * @custom:audit Access control: Plaintiff or defendant only, before voting opens
+     * @custom:audit Bounded loop: Two parties of MAX_EVIDENCE_ITEMS cap the ACL grants made when seating a panel
+     * @custom:audit FHE ACL: Item readable by the platform, both parties and the dispute's auditors
+     */
+    function addEvidence(
+        Dispute storage dispute,
+        externalEuint32 encryptedDocumentHash,
+        externalEuint64 encryptedClaimedAmount,
+        bytes calldata inputProof
+    ) external {
+        require(msg.sender == dispute.plaintiff || msg.sender == dispute.defendant, "Not a dispute party");
+        require(dispute.status == DisputeStatus.Created, "Invalid dispute status");
+        require(
+            dispute.defendantStake == 0 || block.timestamp <= dispute.evidenceDeadline,
+            "Evidence period ended"
+        );
+        euint32 documentHash = FHE.fromExternal(encryptedDocumentHash, inputProof);
+        euint64 claimedAmount = FHE.fromExternal(encryptedClaimedAmount, inputProof);
+
+        FHE.allowThis(documentHash);
+        FHE.allowThis(claimedAmount);
+        FHE.allow(documentHash, dispute.plaintiff);
+        FHE.allow(claimedAmount, dispute.plaintiff);
+        FHE.allow(documentHash, dispute.defendant);
+        FHE.allow(claimedAmount, dispute.defendant);
+
+        _pushEvidence(dispute, documentHash, claimedAmount);
+    }
+
+    /**
+     * @notice Grant an auditor named by a party decryption rights on the dispute's stake and evidence
+     * @param dispute Dispute of the caller, in any status
+     * @param auditor Address to grant access to
+     * @dev Covers every item already submitted, and items submitted later as they arrive.
+     *      The FHE ACL has no revocation, so a grant is permanent
+     * @custom:audit Access control: Plaintiff or defendant only
+     * @custom:audit Input validation: Auditor is neither the zero address, a party nor already listed
+     * @custom:audit Bounded loop: MAX_AUDITORS caps the grants made per evidence item
+     * @custom:audit FHE ACL: Stake and every evidence item readable by the auditor
+     */
+    function grantAuditor(Dispute storage dispute, address auditor) external {
+        require(msg.sender == dispute.plaintiff || msg.sender == dispute.defendant, "Not a dispute party");
+        require(
+            auditor != address(0) && auditor != dispute.plaintiff && auditor != dispute.defendant,
+            "Invalid auditor"
+        );
+        for (uint256 i = 0; i < dispute.auditors.length; i++) {
+            require(dispute.auditors[i] != auditor, "Already an auditor");
+        }
+        require(dispute.auditors.length < MAX_AUDITORS, "Too many auditors");
+
+        dispute.auditors.push(auditor);
+        grantAccess(dispute, auditor);
+        emit AuditorAccessGranted(dispute.id, msg.sender, auditor);
+    }
+
+    /**
+     * @notice Allow an account to decrypt the stake and every evidence item from both sides
+     * @param dispute Dispute whose handles are shared
+     * @param account Seated arbitrator or auditor
+     * @dev Compiled into each library that calls it
+     */
+    function grantAccess(Dispute storage dispute, address account) internal {
+        FHE.allow(dispute.encryptedStakeAmount, account);
+        for (uint256 i = 0; i < dispute.evidence.length; i++) {
+            EvidenceItem storage item = dispute.evidence[i];
+            FHE.allow(item.documentHash, account);
+            if (FHE.isInitialized(item.claimedAmount)) {
+                FHE.allow(item.claimedAmount, account);
+            }
+        }
+    }
+
+    /**
+     * @notice Import an arbitrator's encrypted vote and justification
+     * @param dispute Dispute under arbitration
+     * @param access Platform pause log, which moves the voting deadline back
+     * @param record Vote record of the caller for the dispute
+     * @param bond Bond of the caller, whose open assignment the vote closes
+     * @param encryptedVote External encrypted vote (1 plaintiff, 2 defendant, 3 neutral)
+     * @param encryptedJustification External encrypted justification hash
+     * @param voteProof Proof for the vote encryption
+     * @param justificationProof Proof for the justification encryption
+     * @dev The range of an encrypted vote cannot be checked with a revert without
+     *      revealing it, so a vote outside 1..3 is stored as 0, which no tally counts
+     * @custom:audit Access control: Current panel members only, once each, before the voting deadline
+     * @custom:audit Emergency pause: The deadline is moved back by any pause since voting opened
+     * @custom:audit FHE ACL: Vote and justification readable by the platform and the voter only
+     */
+    function recordVote(
+        Dispute storage dispute,
+        AccessRoles storage access,
+        VoteRecord storage record,
+        ArbitratorBond storage bond,
+        externalEuint8 encryptedVote,
+        externalEuint32 encryptedJustification,
+        bytes calldata voteProof,
+        bytes calldata justificationProof
+    ) external {
+        require(dispute.status == DisputeStatus.InArbitration, "Not in arbitration phase");
+        require(block.timestamp <= GovernanceLogic.extendedDeadline(access, dispute), "Voting period ended");
+        require(!record.hasVoted, "Already voted on this dispute");
+
+        // Check if sender is assigned arbitrator
+        bool isAssigned = false;
+        for (uint256 i = 0; i < dispute.assignedArbitrators.length; i++) {
+            if (dispute.assignedArbitrators[i] == msg.sender) {
+                isAssigned = true;
+                break;
+            }
+        }
+        require(isAssigned, "Not assigned to this dispute");
+
+        euint8 vote = FHE.fromExternal(encryptedVote, voteProof);
+        euint32 justification = FHE.fromExternal(encryptedJustification, justificationProof);
+
+        // @audit Input validation: Out-of-range votes become abstentions under FHE
+        ebool inRange = FHE.and(FHE.ge(vote, uint8(1)), FHE.le(vote, uint8(3)));
+        vote = FHE.select(inRange, vote, FHE.asEuint8(0));
+
+        record.encryptedVote = vote;
+        record.encryptedJustification = justification;
+        record.hasVoted = true;
+        record.timestamp = block.timestamp;
+        bond.openAssignments--;
+
+        FHE.allowThis(vote);
+        FHE.allowThis(justification);
+        FHE.allow(vote, msg.sender);
+        FHE.allow(justification, msg.sender);
+    }
+
+    // Append an item submitted by the caller to the dispute's evidence list, shared with its auditors,
+    // counting it against the caller's MAX_EVIDENCE_ITEMS
+    function _pushEvidence(Dispute storage dispute, euint32 documentHash, euint64 claimedAmount) private {
+        uint8 submitted = msg.sender == dispute.plaintiff ? ++dispute.plaintiffEvidence : ++dispute.defendantEvidence;
+        require(submitted <= MAX_EVIDENCE_ITEMS, "Evidence limit reached");
+
+        dispute.evidence.push(EvidenceItem({
+            submitter: msg.sender,
+            documentHash: documentHash,
+            claimedAmount: claimedAmount,
+            submittedAt: block.timestamp
+        }));
+        for (uint256 i = 0; i < dispute.auditors.length; i++) {
+            FHE.allow(documentHash, dispute.auditors[i]);
+            if (FHE.isInitialized(claimedAmount)) {
+                FHE.allow(claimedAmount, dispute.auditors[i]);
+            }
+        }
+        emit EvidenceSubmitted(dispute.id, msg.sender, dispute.evidence.length - 1);
+    }
+}
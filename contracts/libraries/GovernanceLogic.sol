@@ -0,0 +1,238 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { FHE } from "@fhevm/solidity/lib/FHE.sol";
+import { ZamaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import {
+    Dispute,
+    FeeLedger,
+    Parameter,
+    ParameterChange,
+    PlatformParameters,
+    Role,
+    AccessRoles,
+    PausePeriod
+} from "../types/ArbitrationTypes.sol";
+
+/**
+ * @title GovernanceLogic
+ * @notice Initial configuration, ownership, delegated admin roles, the emergency pause and
+ *         timelocked platform parameters for AnonymousArbitrationPlatform. Ownership moves
+ *         in two steps, and a parameter change can only be applied once its delay has passed
+ * @dev Linked library with external functions running on the platform's storage.
+ *      Events are declared again on the platform so they appear in its ABI.
+ */
+library GovernanceLogic {
+    // Bounds on the durations, so no change can lock funds or make a phase unusable
+    uint256 private constant MIN_DURATION = 1 days;
+    uint256 private constant MAX_DURATION = 30 days;
+
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event RoleGranted(Role indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(Role indexed role, address indexed account, address indexed sender);
+    event Paused(address indexed account);
+    event Unpaused(address indexed account);
+    event ParameterChangeQueued(Parameter indexed parameter, uint256 value, uint256 eta);
+    event ParameterChangeCancelled(Parameter indexed parameter);
+    event ParameterUpdated(Parameter indexed parameter, uint256 oldValue, uint256 newValue);
+
+    /**
+     * @notice Set up a fresh platform: the caller becomes owner and treasury, fees and
+     *         parameters take their defaults and the FHEVM coprocessor is configured
+     * @param access Platform ownership and roles
+     * @param ledger Fee schedule and treasury
+     * @param params Governable parameters
+     * @dev Runs from the platform constructor, and from initialize() in the storage of a
+     *      proxy, which the constructor never reaches. The coprocessor addresses are set
+     *      again for the same reason.
+     * @custom:audit Access control: Once per storage; an owner can never be reset to zero,
+     *      so a deployed implementation cannot be initialized by anyone else
+     */
+    function initialize(AccessRoles storage access, FeeLedger storage ledger, PlatformParameters storage params) external {
+        require(access.owner == address(0), "Already initialized");
+        access.owner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+
+        ledger.treasury = msg.sender;
+        ledger.arbitratorFeeBps = 500;
+        ledger.platformFeeBps = 100;
+        params.values[uint8(Parameter.VotingPeriod)] = 7 days;
+        params.values[uint8(Parameter.VotingTimeout)] = 7 days;
+        params.values[uint8(Parameter.DecryptionTimeout)] = 3 days;
+        params.values[uint8(Parameter.MinStake)] = 0.001 ether;
+
+        FHE.setCoprocessor(ZamaConfig.getSepoliaConfig());
+    }
+
+    /**
+     * @notice Nominate a new owner, who takes over once it accepts
+     * @param access Platform ownership and roles
+     * @param newOwner Nominee; the zero address withdraws a pending nomination
+     * @custom:audit Access control: Owner only
+     */
+    function transferOwnership(AccessRoles storage access, address newOwner) external {
+        require(msg.sender == access.owner, "Not authorized");
+        access.pendingOwner = newOwner;
+
+        emit OwnershipTransferStarted(msg.sender, newOwner);
+    }
+
+    /**
+     * @notice Take over ownership as the pending owner
+     * @param access Platform ownership and roles
+     * @dev Roles granted by the previous owner are kept; the new owner revokes them if needed
+     * @custom:audit Access control: Pending owner only, so ownership cannot move to a wrong address
+     */
+    function acceptOwnership(AccessRoles storage access) external {
+        require(msg.sender == access.pendingOwner, "Not pending owner");
+        address previousOwner = access.owner;
+        access.owner = msg.sender;
+        delete access.pendingOwner;
+
+        emit OwnershipTransferred(previousOwner, msg.sender);
+    }
+
+    /**
+     * @notice Grant or revoke a role
+     * @param access Platform ownership and roles
+     * @param role Role to change
+     * @param account Account gaining or losing the role
+     * @param granted True to grant, false to revoke
+     * @dev Emits only when the account's roles change
+     * @custom:audit Access control: Owner only
+     */
+    function setRole(AccessRoles storage access, Role role, address account, bool granted) external {
+        require(msg.sender == access.owner, "Not authorized");
+        require(account != address(0), "Invalid account");
+
+        uint8 bit = uint8(1 << uint8(role));
+        uint8 current = access.roles[account];
+        if (granted && current & bit == 0) {
+            access.roles[account] = current | bit;
+            emit RoleGranted(role, account, msg.sender);
+        } else if (!granted && current & bit != 0) {
+            access.roles[account] = current & ~bit;
+            emit RoleRevoked(role, account, msg.sender);
+        }
+    }
+
+    /**
+     * @notice Pause or unpause the whole platform
+     * @param access Platform ownership, roles and pause state
+     * @param paused True to pause, false to unpause
+     * @dev Each pause is logged, so votingDeadline can move back the deadlines it held up
+     * @custom:audit Access control: Pauser role
+     */
+    function setPaused(AccessRoles storage access, bool paused) external {
+        require(hasRole(access, Role.Pauser, msg.sender), "Not authorized");
+        require(access.paused != paused, paused ? "Already paused" : "Not paused");
+        access.paused = paused;
+
+        if (paused) {
+            access.pausedAt = block.timestamp;
+            access.pauses.push(PausePeriod({ start: block.timestamp, end: 0 }));
+            emit Paused(msg.sender);
+        } else {
+            access.pauses[access.pauses.length - 1].end = block.timestamp;
+            emit Unpaused(msg.sender);
+        }
+    }
+
+    /**
+     * @notice Voting deadline of a dispute, moved back by the time the platform spent paused
+     * @param access Platform pause log
+     * @param dispute Dispute under arbitration
+     * @return deadline Deadline set when the voting period started, plus every pause that began
+     *         before the deadline so extended; a pause still running counts up to now
+     * @dev Nobody can vote while paused, so a pause must not eat into the voting period.
+     *      Pauses that began after the deadline had passed do not reopen voting
+     */
+    function votingDeadline(AccessRoles storage access, Dispute storage dispute) external view returns (uint256) {
+        return extendedDeadline(access, dispute);
+    }
+
+    // Body of votingDeadline, inlined by the libraries that check the deadline themselves
+    function extendedDeadline(
+        AccessRoles storage access,
+        Dispute storage dispute
+    ) internal view returns (uint256 deadline) {
+        deadline = dispute.votingDeadline;
+        for (uint256 i = dispute.pausesBeforeVoting; i < access.pauses.length; i++) {
+            PausePeriod storage pause = access.pauses[i];
+            if (pause.start > deadline) {
+                break;
+            }
+            deadline += (pause.end == 0 ? block.timestamp : pause.end) - pause.start;
+        }
+    }
+
+    /**
+     * @notice Whether an account may act in a role
+     * @param access Platform ownership and roles
+     * @param role Role to check
+     * @param account Account to check
+     * @return True for holders of the role and for the owner
+     */
+    function hasRole(AccessRoles storage access, Role role, address account) internal view returns (bool) {
+        return account == access.owner || access.roles[account] & (1 << uint8(role)) != 0;
+    }
+
+    /**
+     * @notice Queue a new value for a parameter
+     * @param params Platform parameters
+     * @param parameter Parameter to change
+     * @param value New value: seconds for the durations, wei for MinStake
+     * @param delay Time before the change can be executed
+     * @return eta Earliest execution time
+     * @dev Replaces any change already queued for the parameter, restarting the delay
+     * @custom:audit Input validation: Durations within MIN_DURATION..MAX_DURATION, MinStake non-zero
+     */
+    function queue(
+        PlatformParameters storage params,
+        Parameter parameter,
+        uint256 value,
+        uint256 delay
+    ) external returns (uint256 eta) {
+        if (parameter == Parameter.MinStake) {
+            require(value > 0, "Invalid parameter value");
+        } else {
+            require(value >= MIN_DURATION && value <= MAX_DURATION, "Invalid parameter value");
+        }
+
+        eta = block.timestamp + delay;
+        params.queued[uint8(parameter)] = ParameterChange({ value: value, eta: eta });
+
+        emit ParameterChangeQueued(parameter, value, eta);
+    }
+
+    /**
+     * @notice Drop the change queued for a parameter
+     * @param params Platform parameters
+     * @param parameter Parameter whose change is dropped
+     */
+    function cancel(PlatformParameters storage params, Parameter parameter) external {
+        require(params.queued[uint8(parameter)].eta != 0, "No change queued");
+        delete params.queued[uint8(parameter)];
+
+        emit ParameterChangeCancelled(parameter);
+    }
+
+    /**
+     * @notice Apply the change queued for a parameter once its delay has passed
+     * @param params Platform parameters
+     * @param parameter Parameter to update
+     * @custom:audit Timelock: Reverts before the eta recorded when the change was queued
+     */
+    function execute(PlatformParameters storage params, Parameter parameter) external {
+        ParameterChange storage change = params.queued[uint8(parameter)];
+        require(change.eta != 0, "No change queued");
+        require(block.timestamp >= change.eta, "Timelock not expired");
+
+        uint256 oldValue = params.values[uint8(parameter)];
+        params.values[uint8(parameter)] = change.value;
+        delete params.queued[uint8(parameter)];
+
+        emit ParameterUpdated(parameter, oldValue, params.values[uint8(parameter)]);
+    }
+}
@@ -0,0 +1,536 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { FHE, ebool, euint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { IRandomnessCoordinator } from "../interfaces/IRandomnessCoordinator.sol";
+import { ArbitratorSelection } from "./ArbitratorSelection.sol";
+import { DisputeLogic } from "./DisputeLogic.sol";
+import { GovernanceLogic } from "./GovernanceLogic.sol";
+import { ReputationLogic } from "./ReputationLogic.sol";
+import {
+    AccessRoles,
+    Appeal,
+    ArbitratorProfile,
+    ArbitratorRegistry,
+    Dispute,
+    DisputeCategory,
+    DisputeStatus,
+    SelectionRequest,
+    VoteRecord
+} from "../types/ArbitrationTypes.sol";
+
+/**
+ * @title PanelLogic
+ * @notice Panel selection for AnonymousArbitrationPlatform: conflict-of-interest declarations,
+ *         randomness request, bounded candidate sampling, reputation-weighted seating of the drawn panel,
+ *         replacement of silent, recused and struck members and the encrypted tally of its votes
+ * @dev Linked library with external functions, deployed separately so the platform
+ *      stays under the EIP-170 size limit. Runs via DELEGATECALL on the platform's
+ *      storage, so randomness requests and FHE ACL grants are made by the platform.
+ *      Events are declared again on the platform so they appear in its ABI.
+ */
+library PanelLogic {
+    uint256 internal constant MAX_LINKED_ADDRESSES = 8;
+    uint256 internal constant STRIKES_PER_ROUND = 1;
+    uint256 internal constant MAX_CANDIDATES = 32;
+    uint256 internal constant APPEAL_PANEL_GROWTH = 2;
+
+    // Tally value of the majority option when no option has a strict majority; never a vote
+    uint8 private constant NO_MAJORITY = 0xFF;
+
+    event LinkedAddressDeclared(address indexed account, address indexed linked);
+    event ArbitratorRecused(uint256 indexed disputeId, address indexed arbitrator);
+    event ArbitratorStruck(uint256 indexed disputeId, address indexed party, address indexed arbitrator);
+    event CandidatesSampled(uint256 indexed disputeId, uint256 drawIndex, address[] candidates, uint256[] weights);
+
+    /**
+     * @notice Declare an address the caller is linked to, keeping the two off each other's panels
+     * @param links Linked addresses of every account
+     * @param linked Address to link to the caller
+     * @dev A party's links are never candidates for its disputes, and neither is
+     *      an arbitrator that declared a link to a party. Declarations are public and cannot be
+     *      withdrawn; the cap bounds how many candidates one party can keep out this way.
+     * @custom:audit Input validation: Non-zero, not the caller, no duplicates, at most MAX_LINKED_ADDRESSES
+     */
+    function declareLink(mapping(address => address[]) storage links, address linked) external {
+        address[] storage declared = links[msg.sender];
+        require(linked != address(0) && linked != msg.sender, "Invalid linked address");
+        require(!_contains(declared, linked), "Already linked");
+        require(declared.length < MAX_LINKED_ADDRESSES, "Too many linked addresses");
+
+        declared.push(linked);
+        emit LinkedAddressDeclared(msg.sender, linked);
+    }
+
+    /**
+     * @notice Open a selection round for a dispute and request its seed
+     * @param dispute Dispute awaiting a panel
+     * @param selection Selection record of the dispute, reset for the new round
+     * @param registry Arbitrator registry, read for its active pool and registration order
+     * @param arbitrators Arbitrator profiles, read for their specialisations and reputation
+     * @param links Declared linked addresses, read for the parties and each candidate
+     * @param appeals Appeals by dispute; the first panel is barred from the appeal round
+     * @param coordinator Randomness source answering with fulfillRandomness
+     * @param selectionTimeout Time after which an unanswered request may be replaced
+     * @return requestId Coordinator request ID
+     * @return eligible Eligible arbitrators among the first MAX_CANDIDATES of the pool
+     * @dev Nothing is copied from the pool: the round only records how many arbitrators were
+     *      registered, and those who register later are not drawn in it. The panel is drawn
+     *      from the live pool once the seed arrives (see seatPanel). It has the size chosen at
+     *      createDispute, grown by APPEAL_PANEL_GROWTH on appeal
+     * @custom:audit Input validation: Answered disputes only, once the evidence window has closed
+     * @custom:audit Party exclusion: Plaintiff, defendant and addresses linked to either are never candidates
+     * @custom:audit Re-request: Allowed once the previous round is fulfilled or after SELECTION_TIMEOUT
+     * @custom:audit Bounded cost: Reads at most MAX_CANDIDATES pool entries and writes none
+     */
+    function requestPanel(
+        Dispute storage dispute,
+        SelectionRequest storage selection,
+        ArbitratorRegistry storage registry,
+        mapping(address => ArbitratorProfile) storage arbitrators,
+        mapping(address => address[]) storage links,
+        mapping(uint256 => Appeal) storage appeals,
+        IRandomnessCoordinator coordinator,
+        uint256 selectionTimeout
+    ) external returns (uint256 requestId, uint256 eligible) {
+        require(
+            dispute.status == DisputeStatus.Created || dispute.status == DisputeStatus.Appealed,
+            "Invalid dispute status"
+        );
+        require(dispute.defendantStake > 0, "Awaiting defendant response");
+        require(block.timestamp > dispute.evidenceDeadline, "Evidence period active");
+        require(address(coordinator) != address(0), "Randomness coordinator not set");
+        require(
+            selection.requestId == 0 ||
+            selection.fulfilled ||
+            block.timestamp > selection.requestedAt + selectionTimeout,
+            "Selection already pending"
+        );
+
+        selection.poolSize = registry.registered.length;
+        delete selection.candidates;
+        delete selection.weights;
+        selection.drawn = 0;
+
+        (address[] memory candidates, ) = _candidates(dispute, selection, registry, arbitrators, links, appeals, 0, 0);
+        eligible = candidates.length;
+        require(eligible >= _roundPanelSize(dispute, appeals), "Not enough arbitrators available");
+
+        requestId = coordinator.requestRandomness();
+
+        selection.requestId = requestId;
+        selection.requestedAt = block.timestamp;
+        selection.seed = 0;
+        selection.fulfilled = false;
+    }
+
+    /**
+     * @notice Seat the panel drawn from the delivered seed and open voting
+     * @param dispute Dispute awaiting a panel
+     * @param selection Selection record of the round
+     * @param registry Arbitrator registry; each seat counted as an open assignment of the bond
+     * @param arbitrators Arbitrator profiles, read for their specialisations and reputation
+     * @param links Declared linked addresses, read for the parties and each candidate
+     * @param appeals Appeals by dispute; the first panel is barred from the appeal round
+     * @param access Platform pause log; only pauses from now on move the voting deadline
+     * @param randomness Seed delivered by the coordinator
+     * @param votingPeriod Time the panel has to vote
+     * @return panel Seated arbitrators, in draw order
+     * @dev The candidates are the eligible arbitrators among at most MAX_CANDIDATES positions
+     *      of the active pool, sampled from the seed; when the pool fits, all of it in pool
+     *      order. If a panel's worth of them specialise in the dispute's category, only those
+     *      remain. Weights are their reputations now, and the candidates and weights are
+     *      published as CandidatesSampled. Arbitrators who left the pool while the seed was
+     *      pending (paused, or waiting on a bond withdrawal) are no longer in it
+     * @custom:audit Determinism: Panel = ArbitratorSelection.draw(candidates, weights, seed, panelSize)
+     * @custom:audit Bounded cost: Reads at most MAX_CANDIDATES pool entries; writes the panel only
+     */
+    function seatPanel(
+        Dispute storage dispute,
+        SelectionRequest storage selection,
+        ArbitratorRegistry storage registry,
+        mapping(address => ArbitratorProfile) storage arbitrators,
+        mapping(address => address[]) storage links,
+        mapping(uint256 => Appeal) storage appeals,
+        AccessRoles storage access,
+        uint256 randomness,
+        uint256 votingPeriod
+    ) external returns (address[] memory panel) {
+        require(
+            dispute.status == DisputeStatus.Created || dispute.status == DisputeStatus.Appealed,
+            "Invalid dispute status"
+        );
+
+        selection.seed = randomness;
+        selection.fulfilled = true;
+
+        uint256 panelSize = _roundPanelSize(dispute, appeals);
+        panel = _draw(dispute, selection, registry, arbitrators, links, appeals, panelSize);
+        require(panel.length == panelSize, "Not enough arbitrators available");
+
+        dispute.assignedArbitrators = panel;
+        dispute.status = DisputeStatus.InArbitration;
+        dispute.votingStartedAt = block.timestamp;
+        dispute.votingDeadline = block.timestamp + votingPeriod;
+        dispute.pausesBeforeVoting = access.pauses.length;
+        dispute.plaintiffStrikes = 0;
+        dispute.defendantStrikes = 0;
+
+        for (uint256 i = 0; i < panel.length; i++) {
+            registry.bonds[panel[i]].openAssignments++;
+            DisputeLogic.grantAccess(dispute, panel[i]);
+        }
+    }
+
+    /**
+     * @notice Swap a panel member who has not voted for an arbitrator drawn from the round's seed
+     * @param dispute Dispute under arbitration
+     * @param selection Selection record of the round
+     * @param votes Vote records of the dispute
+     * @param registry Arbitrator registry; the newcomer's seat counted as an open assignment
+     * @param arbitrators Arbitrator profiles, read for their specialisations and reputation
+     * @param links Declared linked addresses, read for the parties and each candidate
+     * @param appeals Appeals by dispute; the first panel is barred from the appeal round
+     * @param access Platform pause log, which moves the grace period and the voting deadline back
+     * @param absent Panel member to replace
+     * @param gracePeriod Silence tolerated from the start of the voting period, paused time excluded
+     * @param votingPeriod Time the panel has to vote from now on
+     * @return replacement Arbitrator seated in place of `absent`
+     * @return drawIndex Position of the replacement among the round's draws
+     * @dev Draws one more arbitrator as in seatPanel, from a fresh sample keyed on the seed and
+     *      the number of draws so far; everyone drawn earlier in the round is left out, so a
+     *      replacement is never a current or former panel member. The voting period restarts
+     *      for the whole panel, and with it the grace period. The open assignment of
+     *      `absent` is left for the platform to close when it slashes. Seats can only be
+     *      filled up to the voting deadline, moved back by any pause (GovernanceLogic.votingDeadline);
+     *      after it the voting timeout takes over.
+     * @custom:audit Determinism: replacement = ArbitratorSelection.draw(candidates, weights,
+     *      keccak256(abi.encode(seed, drawIndex)), 1)[0], candidates as published in CandidatesSampled
+     */
+    function replaceMember(
+        Dispute storage dispute,
+        SelectionRequest storage selection,
+        mapping(address => VoteRecord) storage votes,
+        ArbitratorRegistry storage registry,
+        mapping(address => ArbitratorProfile) storage arbitrators,
+        mapping(address => address[]) storage links,
+        mapping(uint256 => Appeal) storage appeals,
+        AccessRoles storage access,
+        address absent,
+        uint256 gracePeriod,
+        uint256 votingPeriod
+    ) external returns (address replacement, uint256 drawIndex) {
+        return _replace(
+            dispute, selection, votes, registry, arbitrators, links, appeals, access, absent, gracePeriod, votingPeriod
+        );
+    }
+
+    /**
+     * @notice Take a panel member who has not voted off the panel, by recusal or by a party's strike
+     * @param dispute Dispute under arbitration
+     * @param selection Selection record of the round
+     * @param votes Vote records of the dispute
+     * @param registry Arbitrator registry; the member's assignment is closed, the newcomer's opened
+     * @param arbitrators Arbitrator profiles, read for their specialisations and reputation
+     * @param links Declared linked addresses, read for the parties and each candidate
+     * @param appeals Appeals by dispute; the first panel is barred from the appeal round
+     * @param access Platform pause log, which moves the voting deadline back
+     * @param member Panel member to remove
+     * @param votingPeriod Time the panel has to vote from now on
+     * @return replacement Arbitrator seated in place of `member`
+     * @return drawIndex Position of the replacement among the round's draws
+     * @dev A member removing itself recuses; a party removing a member uses one of its
+     *      STRIKES_PER_ROUND strikes, restored when the next round is seated. Neither is
+     *      penalised. The newcomer is seated as by replaceMember.
+     * @custom:audit Access control: The member itself, or the plaintiff or defendant with a strike left
+     */
+    function removeMember(
+        Dispute storage dispute,
+        SelectionRequest storage selection,
+        mapping(address => VoteRecord) storage votes,
+        ArbitratorRegistry storage registry,
+        mapping(address => ArbitratorProfile) storage arbitrators,
+        mapping(address => address[]) storage links,
+        mapping(uint256 => Appeal) storage appeals,
+        AccessRoles storage access,
+        address member,
+        uint256 votingPeriod
+    ) external returns (address replacement, uint256 drawIndex) {
+        if (msg.sender == member) {
+            emit ArbitratorRecused(dispute.id, member);
+        } else if (msg.sender == dispute.plaintiff) {
+            require(dispute.plaintiffStrikes < STRIKES_PER_ROUND, "No strikes left");
+            dispute.plaintiffStrikes++;
+            emit ArbitratorStruck(dispute.id, msg.sender, member);
+        } else {
+            require(msg.sender == dispute.defendant, "Not a dispute party");
+            require(dispute.defendantStrikes < STRIKES_PER_ROUND, "No strikes left");
+            dispute.defendantStrikes++;
+            emit ArbitratorStruck(dispute.id, msg.sender, member);
+        }
+
+        (replacement, drawIndex) = _replace(
+            dispute, selection, votes, registry, arbitrators, links, appeals, access, member, 0, votingPeriod
+        );
+        registry.bonds[member].openAssignments--;
+    }
+
+    /**
+     * @notice Number of panel members who have voted
+     * @param dispute Dispute under arbitration
+     * @param votes Vote records of the dispute
+     * @return cast Votes cast so far
+     */
+    function castCount(
+        Dispute storage dispute,
+        mapping(address => VoteRecord) storage votes
+    ) external view returns (uint256 cast) {
+        address[] storage panel = dispute.assignedArbitrators;
+        for (uint256 i = 0; i < panel.length; i++) {
+            if (votes[panel[i]].hasVoted) cast++;
+        }
+    }
+
+    /**
+     * @notice Tally the cast votes under FHE and request decryption of the verdict
+     * @param dispute Dispute under arbitration; its encrypted final decision is overwritten
+     * @param votes Vote records of the dispute
+     * @param callback Platform function the Gateway answers with the verdict
+     * @return requestId Gateway decryption request ID
+     * @dev Only the verdict is handed to the Gateway: 1 plaintiff, 2 defendant, 0 on a tie or
+     *      neutral majority. Each vote record keeps, encrypted, whether the vote matches the option
+     *      with a strict majority (neutral included, none on a tie); it is only counted towards
+     *      reputation once the verdict is decoded (see ReputationLogic.countConsensus), so a round
+     *      that fails counts for nobody.
+     * @custom:audit FHE ACL: Individual votes, tallies and single agreements are never decrypted
+     * @custom:audit Bounded loop: two iterations per panel member
+     */
+    function requestDecision(
+        Dispute storage dispute,
+        mapping(address => VoteRecord) storage votes,
+        bytes4 callback
+    ) external returns (uint256 requestId) {
+        address[] storage panel = dispute.assignedArbitrators;
+        euint8 plaintiffVotes = FHE.asEuint8(0);
+        euint8 defendantVotes = FHE.asEuint8(0);
+        euint8 neutralVotes = FHE.asEuint8(0);
+
+        for (uint256 i = 0; i < panel.length; i++) {
+            VoteRecord storage record = votes[panel[i]];
+            if (!record.hasVoted) continue;
+
+            // Abstentions (recorded as 0) match no option and are not counted
+            euint8 vote = record.encryptedVote;
+            plaintiffVotes = FHE.add(plaintiffVotes, FHE.asEuint8(FHE.eq(vote, uint8(1))));
+            defendantVotes = FHE.add(defendantVotes, FHE.asEuint8(FHE.eq(vote, uint8(2))));
+            neutralVotes = FHE.add(neutralVotes, FHE.asEuint8(FHE.eq(vote, uint8(3))));
+        }
+
+        // Strict majority over both other options, as in a cleartext count
+        ebool plaintiffWins = FHE.and(FHE.gt(plaintiffVotes, defendantVotes), FHE.gt(plaintiffVotes, neutralVotes));
+        ebool defendantWins = FHE.and(FHE.gt(defendantVotes, plaintiffVotes), FHE.gt(defendantVotes, neutralVotes));
+        ebool neutralWins = FHE.and(FHE.gt(neutralVotes, plaintiffVotes), FHE.gt(neutralVotes, defendantVotes));
+        euint8 majority = FHE.select(
+            plaintiffWins,
+            FHE.asEuint8(1),
+            FHE.select(defendantWins, FHE.asEuint8(2), FHE.select(neutralWins, FHE.asEuint8(3), FHE.asEuint8(NO_MAJORITY)))
+        );
+        euint8 decision = FHE.select(FHE.le(majority, uint8(2)), majority, FHE.asEuint8(0));
+
+        for (uint256 i = 0; i < panel.length; i++) {
+            VoteRecord storage record = votes[panel[i]];
+            if (!record.hasVoted) continue;
+
+            record.agreed = FHE.eq(record.encryptedVote, majority);
+            FHE.allowThis(record.agreed);
+        }
+
+        dispute.encryptedFinalDecision = decision;
+        FHE.allowThis(decision);
+
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(decision);
+        requestId = FHE.requestDecryption(cts, callback);
+    }
+
+    /**
+     * @notice Verify the Gateway's answer to requestDecision and decode it
+     * @param requestId Gateway decryption request ID
+     * @param cleartexts Decrypted verdict, one 32-byte word
+     * @param decryptionProof KMS signatures over the cleartexts
+     * @return decoded Whether the cleartexts hold a verdict in range
+     * @return verdict 1 plaintiff, 2 defendant, 0 no majority
+     * @dev Reverts on invalid signatures; a signed but malformed payload is reported through
+     *      `decoded` so the platform can refund instead of leaving the dispute stuck
+     * @custom:audit FHE Gateway: FHE.checkSignatures binds the cleartexts to the requested handles
+     */
+    function readDecision(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external returns (bool decoded, uint8 verdict) {
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+        if (cleartexts.length != 32) return (false, 0);
+
+        uint256 word = abi.decode(cleartexts, (uint256));
+        if (word > 2) return (false, 0);
+        return (true, uint8(word));
+    }
+
+    // Seat an arbitrator drawn for the round in place of a panel member who has not voted,
+    // once `gracePeriod` has passed since the voting period started and before its deadline, both
+    // moved back by the time the platform has been paused since
+    function _replace(
+        Dispute storage dispute,
+        SelectionRequest storage selection,
+        mapping(address => VoteRecord) storage votes,
+        ArbitratorRegistry storage registry,
+        mapping(address => ArbitratorProfile) storage arbitrators,
+        mapping(address => address[]) storage links,
+        mapping(uint256 => Appeal) storage appeals,
+        AccessRoles storage access,
+        address absent,
+        uint256 gracePeriod,
+        uint256 votingPeriod
+    ) private returns (address replacement, uint256 drawIndex) {
+        require(dispute.status == DisputeStatus.InArbitration, "Not in arbitration phase");
+        uint256 deadline = GovernanceLogic.extendedDeadline(access, dispute);
+        uint256 pausedFor = deadline - dispute.votingDeadline;
+        require(block.timestamp >= dispute.votingStartedAt + gracePeriod + pausedFor, "Grace period not over");
+        require(block.timestamp <= deadline, "Voting period ended");
+
+        address[] storage panel = dispute.assignedArbitrators;
+        uint256 seat = panel.length;
+        for (uint256 i = 0; i < panel.length; i++) {
+            if (panel[i] == absent) {
+                seat = i;
+                break;
+            }
+        }
+        require(seat < panel.length, "Not assigned to this dispute");
+        require(!votes[absent].hasVoted, "Arbitrator already voted");
+
+        drawIndex = selection.drawn;
+        address[] memory drawn = _draw(dispute, selection, registry, arbitrators, links, appeals, 1);
+        require(drawn.length == 1, "No replacement available");
+        replacement = drawn[0];
+
+        panel[seat] = replacement;
+        registry.bonds[replacement].openAssignments++;
+        dispute.votingStartedAt = block.timestamp;
+        dispute.votingDeadline = block.timestamp + votingPeriod;
+        dispute.pausesBeforeVoting = access.pauses.length;
+        DisputeLogic.grantAccess(dispute, replacement);
+    }
+
+    // Draw `count` more arbitrators for the round and record them, after publishing the sample they
+    // came from. The first draw of a round is keyed on the seed itself, later ones on the seed and the
+    // number of draws before them. Returns nothing, and records nothing, if too few are eligible
+    function _draw(
+        Dispute storage dispute,
+        SelectionRequest storage selection,
+        ArbitratorRegistry storage registry,
+        mapping(address => ArbitratorProfile) storage arbitrators,
+        mapping(address => address[]) storage links,
+        mapping(uint256 => Appeal) storage appeals,
+        uint256 count
+    ) private returns (address[] memory drawn) {
+        uint256 drawIndex = selection.drawn;
+        uint256 seed = drawIndex == 0 ? selection.seed : uint256(keccak256(abi.encode(selection.seed, drawIndex)));
+        (address[] memory candidates, uint256[] memory weights) =
+            _candidates(dispute, selection, registry, arbitrators, links, appeals, seed, count);
+        if (candidates.length < count) return drawn;
+
+        emit CandidatesSampled(dispute.id, drawIndex, candidates, weights);
+        drawn = ArbitratorSelection.draw(candidates, weights, seed, count);
+        for (uint256 i = 0; i < count; i++) {
+            selection.candidates.push(drawn[i]);
+            selection.weights.push(ReputationLogic.selectionWeight(arbitrators[drawn[i]]));
+        }
+        selection.drawn = drawIndex + count;
+    }
+
+    // Eligible arbitrators among at most MAX_CANDIDATES positions of the active pool sampled from
+    // `seed`, with their reputation weights: registered before the round was requested, not a party,
+    // barred, linked to a party or drawn earlier in the round. Narrowed to the specialists in the
+    // dispute's category when at least `count` of them are eligible
+    function _candidates(
+        Dispute storage dispute,
+        SelectionRequest storage selection,
+        ArbitratorRegistry storage registry,
+        mapping(address => ArbitratorProfile) storage arbitrators,
+        mapping(address => address[]) storage links,
+        mapping(uint256 => Appeal) storage appeals,
+        uint256 seed,
+        uint256 count
+    ) private view returns (address[] memory candidates, uint256[] memory weights) {
+        address[] storage pool = registry.active;
+        uint256[] memory positions = ArbitratorSelection.sample(pool.length, seed, MAX_CANDIDATES);
+
+        candidates = new address[](positions.length);
+        weights = new uint256[](positions.length);
+        address[] memory specialists = new address[](positions.length);
+        uint256[] memory specialistWeights = new uint256[](positions.length);
+        uint256 eligible = 0;
+        uint256 specialistCount = 0;
+        uint256 categoryBit = dispute.category == DisputeCategory.General ? 0 : 1 << uint8(dispute.category);
+        for (uint256 i = 0; i < positions.length; i++) {
+            address candidate = pool[positions[i]];
+            if (
+                registry.registeredIndex[candidate] <= selection.poolSize &&
+                candidate != dispute.plaintiff &&
+                candidate != dispute.defendant &&
+                !_contains(appeals[dispute.id].originalPanel, candidate) &&
+                !_contains(selection.candidates, candidate) &&
+                !_linked(links, candidate, dispute.plaintiff) &&
+                !_linked(links, candidate, dispute.defendant)
+            ) {
+                uint256 weight = ReputationLogic.selectionWeight(arbitrators[candidate]);
+                candidates[eligible] = candidate;
+                weights[eligible++] = weight;
+                if (arbitrators[candidate].specialisations & categoryBit != 0) {
+                    specialists[specialistCount] = candidate;
+                    specialistWeights[specialistCount++] = weight;
+                }
+            }
+        }
+
+        if (count > 0 && specialistCount >= count) {
+            candidates = specialists;
+            weights = specialistWeights;
+            eligible = specialistCount;
+        }
+
+        // solhint-disable-next-line no-inline-assembly
+        assembly ("memory-safe") {
+            mstore(candidates, eligible)
+            mstore(weights, eligible)
+        }
+    }
+
+    // Panel size of the current round: enlarged by APPEAL_PANEL_GROWTH once an appeal has been filed
+    function _roundPanelSize(
+        Dispute storage dispute,
+        mapping(uint256 => Appeal) storage appeals
+    ) private view returns (uint256) {
+        uint256 size = dispute.panelSize;
+        return appeals[dispute.id].appellant == address(0) ? size : size + APPEAL_PANEL_GROWTH;
+    }
+
+    // Whether either account declared a link to the other
+    function _linked(
+        mapping(address => address[]) storage links,
+        address candidate,
+        address party
+    ) private view returns (bool) {
+        return _contains(links[party], candidate) || _contains(links[candidate], party);
+    }
+
+    // Linear membership check over a small storage list
+    function _contains(address[] storage list, address account) private view returns (bool) {
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i] == account) return true;
+        }
+        return false;
+    }
+}
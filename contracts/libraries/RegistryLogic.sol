@@ -0,0 +1,206 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, externalEuint32 } from "@fhevm/solidity/lib/FHE.sol";
+import {
+    ArbitratorBond,
+    ArbitratorProfile,
+    ArbitratorRegistry,
+    ArbitratorSummary,
+    CATEGORY_COUNT,
+    FeeLedger
+} from "../types/ArbitrationTypes.sol";
+import { ReputationLogic } from "./ReputationLogic.sol";
+
+/**
+ * @title RegistryLogic
+ * @notice Arbitrator registry for AnonymousArbitrationPlatform: registration,
+ *         the enumerable active pool, pausing, specialisations and the bond each arbitrator posts
+ * @dev Linked library with external functions running on the platform's storage.
+ *      Events are declared again on the platform so they appear in its ABI.
+ */
+library RegistryLogic {
+    event ArbitratorRegistered(address indexed arbitrator);
+    event SpecialisationsDeclared(address indexed arbitrator, uint8 specialisations);
+    event BondPosted(address indexed arbitrator, uint256 amount);
+    event BondWithdrawalRequested(address indexed arbitrator, uint256 availableAt);
+    event BondWithdrawn(address indexed arbitrator, uint256 amount);
+
+    /**
+     * @notice Register the caller as an active arbitrator holding a bond
+     * @param registry Arbitrator registry
+     * @param profile Empty profile slot of the caller
+     * @param encryptedProof External encrypted identity proof
+     * @param inputProof Proof for the encrypted input
+     * @param bond Amount sent with the registration, held as the bond
+     * @param minBond Smallest bond accepted
+     * @param specialisations Bitmask of the DisputeCategory values the arbitrator specialises in
+     * @custom:audit Input validation: Paused or withdrawn arbitrators cannot re-register to bypass a pause
+     * @custom:audit Input validation: Only bits of existing categories may be set
+     * @custom:audit FHE ACL: Identity proof readable by the platform and the arbitrator
+     */
+    function register(
+        ArbitratorRegistry storage registry,
+        ArbitratorProfile storage profile,
+        externalEuint32 encryptedProof,
+        bytes calldata inputProof,
+        uint256 bond,
+        uint256 minBond,
+        uint8 specialisations
+    ) external {
+        require(registry.registeredIndex[msg.sender] == 0, "Already registered as arbitrator");
+        require(bond >= minBond, "Bond below minimum");
+        require(specialisations < 1 << CATEGORY_COUNT, "Invalid specialisations");
+
+        euint32 proof = FHE.fromExternal(encryptedProof, inputProof);
+
+        profile.isActive = true;
+        ReputationLogic.start(profile);
+        profile.encryptedIdentityProof = proof;
+        profile.identityVerified = true;
+        profile.specialisations = specialisations;
+
+        registry.registered.push(msg.sender);
+        registry.registeredIndex[msg.sender] = registry.registered.length;
+        _addToPool(registry, msg.sender);
+        registry.bonds[msg.sender].amount = bond;
+
+        FHE.allowThis(proof);
+        FHE.allow(proof, msg.sender);
+
+        emit ArbitratorRegistered(msg.sender);
+        emit SpecialisationsDeclared(msg.sender, specialisations);
+        emit BondPosted(msg.sender, bond);
+    }
+
+    /**
+     * @notice Deactivate an arbitrator and take it out of the pool
+     * @param registry Arbitrator registry
+     * @param profile Profile of the arbitrator
+     * @param arbitrator Address of the arbitrator
+     */
+    function pause(ArbitratorRegistry storage registry, ArbitratorProfile storage profile, address arbitrator) external {
+        require(profile.isActive, "Arbitrator not active");
+        profile.isActive = false;
+        _removeFromPool(registry, arbitrator);
+    }
+
+    /**
+     * @notice Reactivate a paused arbitrator and return it to the pool
+     * @param registry Arbitrator registry
+     * @param profile Profile of the arbitrator
+     * @param arbitrator Address of the arbitrator
+     * @custom:audit Input validation: An arbitrator withdrawing its bond cannot be reactivated
+     */
+    function unpause(ArbitratorRegistry storage registry, ArbitratorProfile storage profile, address arbitrator) external {
+        require(ReputationLogic.current(profile) > 0, "Invalid arbitrator");
+        require(!profile.isActive, "Already active");
+        require(registry.bonds[arbitrator].withdrawalRequestedAt == 0, "Bond withdrawal requested");
+        profile.isActive = true;
+        _addToPool(registry, arbitrator);
+    }
+
+    /**
+     * @notice Leave the pool and start the caller's bond withdrawal cooldown
+     * @param registry Arbitrator registry
+     * @param profile Profile of the caller
+     * @param cooldown Time before the bond can be withdrawn
+     * @custom:audit Input validation: No open assignments, so no vote can be owed when leaving
+     */
+    function requestBondWithdrawal(
+        ArbitratorRegistry storage registry,
+        ArbitratorProfile storage profile,
+        uint256 cooldown
+    ) external {
+        ArbitratorBond storage bond = registry.bonds[msg.sender];
+        require(bond.amount > 0, "No bond posted");
+        require(bond.withdrawalRequestedAt == 0, "Withdrawal already requested");
+        require(bond.openAssignments == 0, "Open assignments pending");
+
+        bond.withdrawalRequestedAt = block.timestamp;
+        if (profile.isActive) {
+            profile.isActive = false;
+            _removeFromPool(registry, msg.sender);
+        }
+
+        emit BondWithdrawalRequested(msg.sender, block.timestamp + cooldown);
+    }
+
+    /**
+     * @notice Credit the caller's remaining bond to its pending balance
+     * @param registry Arbitrator registry
+     * @param ledger Platform balances
+     * @param cooldown Time that must have passed since the withdrawal request
+     * @dev The caller's registration and withdrawal request are kept, so it can neither register
+     *      again nor be unpaused: leaving is final
+     * @custom:audit Timeouts: The request takes the arbitrator out of the pool, so no panel is
+     *      drawn on the bond while it cools down
+     */
+    function withdrawBond(ArbitratorRegistry storage registry, FeeLedger storage ledger, uint256 cooldown) external {
+        ArbitratorBond storage bond = registry.bonds[msg.sender];
+        require(bond.withdrawalRequestedAt != 0, "Withdrawal not requested");
+        require(block.timestamp >= bond.withdrawalRequestedAt + cooldown, "Bond cooldown active");
+        require(bond.openAssignments == 0, "Open assignments pending");
+
+        uint256 amount = bond.amount;
+        require(amount > 0, "No bond posted");
+        bond.amount = 0;
+        ledger.pendingBalances[msg.sender] += amount;
+
+        emit BondWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @notice Page through the registry or the active pool
+     * @param registry Arbitrator registry
+     * @param arbitrators Arbitrator profiles
+     * @param offset Index of the first entry to return
+     * @param limit Maximum number of entries to return
+     * @param activeOnly Page through the active pool instead of the full registry
+     * @return page Address, current reputation, handled count and active flag of each entry
+     * @return total Length of the list being paged
+     * @custom:audit Bounded loop: at most `limit` iterations
+     */
+    function summaries(
+        ArbitratorRegistry storage registry,
+        mapping(address => ArbitratorProfile) storage arbitrators,
+        uint256 offset,
+        uint256 limit,
+        bool activeOnly
+    ) external view returns (ArbitratorSummary[] memory page, uint256 total) {
+        address[] storage list = activeOnly ? registry.active : registry.registered;
+        total = list.length;
+
+        uint256 size = offset < total ? total - offset : 0;
+        if (size > limit) size = limit;
+
+        page = new ArbitratorSummary[](size);
+        for (uint256 i = 0; i < size; i++) {
+            address account = list[offset + i];
+            ArbitratorProfile storage profile = arbitrators[account];
+            page[i] = ArbitratorSummary({
+                arbitrator: account,
+                reputation: ReputationLogic.current(profile),
+                totalDisputesHandled: profile.totalDisputesHandled,
+                isActive: profile.isActive
+            });
+        }
+    }
+
+    // Add an arbitrator to the enumerable active pool
+    function _addToPool(ArbitratorRegistry storage registry, address arbitrator) private {
+        registry.active.push(arbitrator);
+        registry.activeIndex[arbitrator] = registry.active.length;
+    }
+
+    // Remove an arbitrator from the active pool (swap and pop)
+    function _removeFromPool(ArbitratorRegistry storage registry, address arbitrator) private {
+        uint256 index = registry.activeIndex[arbitrator] - 1;
+        address last = registry.active[registry.active.length - 1];
+
+        registry.active[index] = last;
+        registry.activeIndex[last] = index + 1;
+        registry.active.pop();
+        delete registry.activeIndex[arbitrator];
+    }
+}
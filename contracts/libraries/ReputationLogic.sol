@@ -0,0 +1,230 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { FHE, ebool, euint32 } from "@fhevm/solidity/lib/FHE.sol";
+import {
+    ArbitratorProfile,
+    CATEGORY_COUNT,
+    ConsensusReveal,
+    DisputeCategory,
+    ReputationReason
+} from "../types/ArbitrationTypes.sol";
+
+/**
+ * @title ReputationLogic
+ * @notice Arbitrator reputation for AnonymousArbitrationPlatform: consensus rewards,
+ *         missed-vote penalties and decay over time
+ * @dev The overall score drifts back towards the starting score and category scores
+ *      towards 0; the distance halves every HALF_LIFE, interpolated linearly in between.
+ *      Stored scores are only brought up to date when they change, so reads go through
+ *      current(). Every change is published as a ReputationChanged event, which makes up
+ *      the arbitrator's history.
+ *
+ *      Agreement with the majority is scored without revealing single votes: each decided
+ *      vote adds its encrypted agreement to a pending tally per category, and only once
+ *      CONSENSUS_BATCH votes have gathered is the tally decrypted and rewarded. The count
+ *      shows how many votes of the batch sided with the majority, not which ones; a batch
+ *      that agreed throughout, or never, still shows that for each of its votes.
+ *
+ *      The internal functions are compiled into the libraries that change scores; the
+ *      external functions are linked into the platform. Events are declared again on the
+ *      platform so they appear in its ABI.
+ */
+library ReputationLogic {
+    uint256 internal constant INITIAL_REPUTATION = 100;
+    uint256 internal constant CONSENSUS_REWARD = 5;
+    uint256 internal constant CONSENSUS_BATCH = 5;
+    uint256 internal constant MISSED_VOTE_PENALTY = 10;
+    uint256 internal constant HALF_LIFE = 90 days;
+
+    event ReputationChanged(
+        address indexed arbitrator,
+        uint256 indexed disputeId,
+        ReputationReason reason,
+        int256 change,
+        uint256 reputation
+    );
+    event ConsensusRevealRequested(address indexed arbitrator, DisputeCategory category, uint256 requestId);
+
+    /**
+     * @notice Give a newly registered arbitrator the starting score
+     * @param profile Profile of the arbitrator
+     */
+    function start(ArbitratorProfile storage profile) internal {
+        profile.reputation = INITIAL_REPUTATION;
+        profile.reputationUpdatedAt = block.timestamp;
+    }
+
+    /**
+     * @notice Apply a change to an arbitrator's overall and category score and publish it
+     * @param profile Profile of the arbitrator
+     * @param arbitrator Address of the arbitrator, for the event
+     * @param disputeId Dispute the change was earned on, 0 for a consensus batch
+     * @param category Category of the dispute
+     * @param reason Why the score changes
+     * @param change Points to add, or to take when negative; both scores are floored at 0
+     * @return reputation Overall score after the change
+     * @dev Decays every stored score to now first. A zero change publishes nothing.
+     */
+    function record(
+        ArbitratorProfile storage profile,
+        address arbitrator,
+        uint256 disputeId,
+        DisputeCategory category,
+        ReputationReason reason,
+        int256 change
+    ) internal returns (uint256 reputation) {
+        if (change == 0) return current(profile);
+
+        uint256 since = profile.reputationUpdatedAt;
+        for (uint256 i = 0; i < CATEGORY_COUNT; i++) {
+            uint256 score = _decay(profile.categoryReputation[i], 0, since);
+            profile.categoryReputation[i] = i == uint8(category) ? _apply(score, change) : score;
+        }
+        reputation = _apply(current(profile), change);
+        profile.reputation = reputation;
+        profile.reputationUpdatedAt = block.timestamp;
+
+        emit ReputationChanged(arbitrator, disputeId, reason, change, reputation);
+    }
+
+    /**
+     * @notice Add a decided vote's encrypted agreement to the arbitrator's pending tally
+     * @param profile Profile of the arbitrator
+     * @param reveals Consensus batches awaiting decryption, by Gateway request ID
+     * @param arbitrator Address of the arbitrator
+     * @param category Category of the dispute the vote was cast on
+     * @param agreed Whether the vote matched the panel majority
+     * @param callback Platform function the Gateway answers with the tally
+     * @dev The arbitrator's own count (encryptedConsensus) grows as well. The CONSENSUS_BATCH-th
+     *      vote of a category hands its tally to the Gateway and starts a new one, so votes
+     *      arriving while the decryption is pending fall into the next batch.
+     * @custom:audit FHE ACL: Pending tallies stay with the platform; only full batches are decrypted
+     */
+    function countConsensus(
+        ArbitratorProfile storage profile,
+        mapping(uint256 => ConsensusReveal) storage reveals,
+        address arbitrator,
+        DisputeCategory category,
+        ebool agreed,
+        bytes4 callback
+    ) internal {
+        euint32 agreement = FHE.asEuint32(agreed);
+        profile.encryptedConsensus = FHE.add(profile.encryptedConsensus, agreement);
+        FHE.allowThis(profile.encryptedConsensus);
+        FHE.allow(profile.encryptedConsensus, arbitrator);
+
+        uint8 index = uint8(category);
+        euint32 tally = FHE.add(profile.pendingConsensus[index], agreement);
+        FHE.allowThis(tally);
+        uint256 votes = ++profile.pendingVotes[index];
+        if (votes < CONSENSUS_BATCH) {
+            profile.pendingConsensus[index] = tally;
+            return;
+        }
+
+        profile.pendingConsensus[index] = euint32.wrap(0);
+        delete profile.pendingVotes[index];
+
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(tally);
+        uint256 requestId = FHE.requestDecryption(cts, callback);
+        reveals[requestId] = ConsensusReveal({ arbitrator: arbitrator, category: category, votes: votes });
+
+        emit ConsensusRevealRequested(arbitrator, category, requestId);
+    }
+
+    /**
+     * @notice Reward the agreements of a decrypted consensus batch
+     * @param reveals Consensus batches awaiting decryption, by Gateway request ID
+     * @param arbitrators Arbitrator profiles
+     * @param requestId Gateway decryption request ID
+     * @param cleartexts Decrypted tally, one 32-byte word
+     * @param decryptionProof KMS signatures over the cleartexts
+     * @dev Each agreement earns CONSENSUS_REWARD in the overall and the batch's category score
+     *      and counts a successful arbitration. A signed but malformed tally closes the batch
+     *      unscored rather than reverting, as PanelLogic.readDecision does for verdicts.
+     * @custom:audit FHE Gateway: FHE.checkSignatures binds the cleartexts to the requested tally
+     * @custom:audit Input validation: Known batches only, each scored once, at most one agreement per vote
+     */
+    function scoreConsensus(
+        mapping(uint256 => ConsensusReveal) storage reveals,
+        mapping(address => ArbitratorProfile) storage arbitrators,
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        ConsensusReveal memory reveal = reveals[requestId];
+        require(reveal.arbitrator != address(0), "Invalid request ID");
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+        delete reveals[requestId];
+
+        if (cleartexts.length != 32) return;
+        uint256 agreements = abi.decode(cleartexts, (uint256));
+        if (agreements > reveal.votes) return;
+
+        ArbitratorProfile storage profile = arbitrators[reveal.arbitrator];
+        profile.successfulArbitrations += agreements;
+        record(
+            profile,
+            reveal.arbitrator,
+            0,
+            reveal.category,
+            ReputationReason.Consensus,
+            int256(agreements * CONSENSUS_REWARD)
+        );
+    }
+
+    /**
+     * @notice Overall score of an arbitrator, decayed to now
+     * @param profile Profile of the arbitrator
+     * @return Current reputation
+     */
+    function current(ArbitratorProfile storage profile) internal view returns (uint256) {
+        return _decay(profile.reputation, INITIAL_REPUTATION, profile.reputationUpdatedAt);
+    }
+
+    /**
+     * @notice Weight of an arbitrator in the panel draw
+     * @param profile Profile of the arbitrator
+     * @return Current reputation, floored at 1 so every eligible arbitrator keeps a chance
+     */
+    function selectionWeight(ArbitratorProfile storage profile) internal view returns (uint256) {
+        uint256 reputation = current(profile);
+        return reputation > 0 ? reputation : 1;
+    }
+
+    /**
+     * @notice Current overall and category score of an arbitrator
+     * @param profile Profile of the arbitrator
+     * @param category Category to report
+     * @return reputation Overall score, decayed to now
+     * @return categoryReputation Score in the category, decayed to now
+     */
+    function scores(
+        ArbitratorProfile storage profile,
+        DisputeCategory category
+    ) external view returns (uint256 reputation, uint256 categoryReputation) {
+        reputation = current(profile);
+        categoryReputation = _decay(profile.categoryReputation[uint8(category)], 0, profile.reputationUpdatedAt);
+    }
+
+    // Add a signed change to a score, flooring at 0
+    function _apply(uint256 score, int256 change) private pure returns (uint256) {
+        if (change >= 0) return score + uint256(change);
+        uint256 penalty = uint256(-change);
+        return score > penalty ? score - penalty : 0;
+    }
+
+    // Move a score towards its target: the distance halves every HALF_LIFE.
+    // Scores last updated before decay existed (since == 0) are taken as they are.
+    function _decay(uint256 score, uint256 target, uint256 since) private view returns (uint256) {
+        if (since == 0 || score == target) return score;
+
+        uint256 elapsed = block.timestamp - since;
+        uint256 distance = score > target ? score - target : target - score;
+        distance >>= elapsed / HALF_LIFE;
+        distance -= (distance * (elapsed % HALF_LIFE)) / (2 * HALF_LIFE);
+        return score > target ? target + distance : target - distance;
+    }
+}
@@ -0,0 +1,184 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import {
+    Appeal,
+    ArbitratorProfile,
+    ConsensusReveal,
+    Dispute,
+    DisputeStatus,
+    FeeLedger,
+    VoteRecord
+} from "../types/ArbitrationTypes.sol";
+import { AppealLogic } from "./AppealLogic.sol";
+import { SettlementLogic } from "./SettlementLogic.sol";
+import { TokenLogic } from "./TokenLogic.sol";
+
+/**
+ * @title ResolutionLogic
+ * @notice Ruling flow for AnonymousArbitrationPlatform: records a ruling, holds it for
+ *         the appeal window, decides or lapses an appeal, releases the escrow and
+ *         refunds the parties when a round fails
+ * @dev Linked library with external functions running on the platform's storage.
+ *      The AppealLogic and SettlementLogic helpers it uses are internal, so no library
+ *      links against another. Events are declared again on the platform so they
+ *      appear in its ABI.
+ */
+library ResolutionLogic {
+    event DisputeResolved(uint256 indexed disputeId, address indexed winner);
+    event DecryptionFailed(uint256 indexed disputeId, string reason);
+    event AppealLapsed(uint256 indexed disputeId, string reason);
+    event RefundIssued(uint256 indexed disputeId, address indexed recipient, uint256 amount);
+
+    /**
+     * @notice Record a ruling
+     * @param ledger Platform balances and fee schedule
+     * @param dispute Dispute being resolved
+     * @param appeal Appeal record of the dispute
+     * @param votes Vote records of the dispute
+     * @param arbitrators Arbitrator profiles
+     * @param reveals Consensus batches awaiting decryption
+     * @param userReputation Party reputation scores
+     * @param winner Winning party, or address(0) when there is no majority
+     * @param appealWindow Length of the appeal window
+     * @param callback Platform function the Gateway answers with a full consensus batch
+     * @dev A first panel ruling with a winner is paid its fees at once but holds the
+     *      rest of the escrow for the appeal window; other rulings settle immediately.
+     *      A ruling reached after an appeal is final: only a majority for the appellant
+     *      overturns the first ruling, and the final winner takes the held escrow plus
+     *      the bond net of the appeal panel's fees. Each panel is scored on its own round.
+     */
+    function finalize(
+        FeeLedger storage ledger,
+        Dispute storage dispute,
+        Appeal storage appeal,
+        mapping(address => VoteRecord) storage votes,
+        mapping(address => ArbitratorProfile) storage arbitrators,
+        mapping(uint256 => ConsensusReveal) storage reveals,
+        mapping(address => uint256) storage userReputation,
+        address winner,
+        uint256 appealWindow,
+        bytes4 callback
+    ) external {
+        dispute.status = DisputeStatus.Resolved;
+        dispute.decisionRevealed = true;
+
+        if (appeal.appellant != address(0)) {
+            AppealLogic.decide(dispute, appeal, winner);
+            uint256 appealFees = SettlementLogic.payPanel(
+                ledger,
+                dispute,
+                votes,
+                arbitrators,
+                reveals,
+                appeal.bond,
+                callback
+            );
+
+            emit DisputeResolved(dispute.id, dispute.winner);
+
+            _release(ledger, dispute, appeal, userReputation, appeal.heldEscrow + appeal.bond - appealFees);
+            return;
+        }
+
+        dispute.winner = winner;
+
+        // @audit Settlement: Fees come out of the escrow before anything is credited to the parties
+        uint256 escrow = dispute.plaintiffStake + dispute.defendantStake;
+        bool panelRuling = dispute.assignedArbitrators.length > 0;
+        uint256 fees = panelRuling
+            ? SettlementLogic.payPanel(ledger, dispute, votes, arbitrators, reveals, escrow, callback)
+            : 0;
+
+        emit DisputeResolved(dispute.id, winner);
+
+        if (panelRuling && winner != address(0)) {
+            AppealLogic.openWindow(dispute, appeal, escrow - fees, appealWindow);
+        } else {
+            _release(ledger, dispute, appeal, userReputation, escrow - fees);
+        }
+    }
+
+    /**
+     * @notice End a round that failed to produce a ruling
+     * @param ledger Platform balances
+     * @param dispute Dispute whose vote or decryption failed
+     * @param appeal Appeal record of the dispute
+     * @param userReputation Party reputation scores
+     * @param reason Human-readable failure reason
+     * @dev Returns both deposits; during an appeal round the first ruling stands
+     *      instead, the bond is refunded and the held escrow is released
+     * @custom:audit Double-refund prevention: Checked in SettlementLogic.refundParties
+     */
+    function fail(
+        FeeLedger storage ledger,
+        Dispute storage dispute,
+        Appeal storage appeal,
+        mapping(address => uint256) storage userReputation,
+        string calldata reason
+    ) external {
+        // @audit Appeals: A failed appeal round leaves the first ruling standing
+        if (appeal.appellant != address(0)) {
+            _lapse(ledger, dispute, appeal, userReputation, reason);
+            return;
+        }
+
+        emit DecryptionFailed(dispute.id, reason);
+        SettlementLogic.refundParties(ledger, dispute);
+    }
+
+    /**
+     * @notice Pay out a ruling once it can no longer be appealed
+     * @param ledger Platform balances
+     * @param dispute Dispute holding escrow
+     * @param appeal Appeal record of the dispute
+     * @param userReputation Party reputation scores
+     * @param appealWindow Length of the appeal window
+     * @dev Also ends an appeal whose panel was not seated within the window of filing
+     * @custom:audit Timeouts: Escrow is never released while the ruling can still be appealed
+     */
+    function release(
+        FeeLedger storage ledger,
+        Dispute storage dispute,
+        Appeal storage appeal,
+        mapping(address => uint256) storage userReputation,
+        uint256 appealWindow
+    ) external {
+        if (AppealLogic.checkRelease(dispute, appeal, appealWindow)) {
+            _lapse(ledger, dispute, appeal, userReputation, "Appeal panel not seated");
+            return;
+        }
+
+        _release(ledger, dispute, appeal, userReputation, appeal.heldEscrow);
+    }
+
+    // End an appeal without a ruling: the first ruling stands and the bond is refunded in the stake token
+    function _lapse(
+        FeeLedger storage ledger,
+        Dispute storage dispute,
+        Appeal storage appeal,
+        mapping(address => uint256) storage userReputation,
+        string memory reason
+    ) private {
+        dispute.status = DisputeStatus.Resolved;
+        appeal.decided = true;
+
+        emit AppealLapsed(dispute.id, reason);
+
+        TokenLogic.credit(ledger, dispute.token, appeal.appellant, appeal.bond);
+        emit RefundIssued(dispute.id, appeal.appellant, appeal.bond);
+        _release(ledger, dispute, appeal, userReputation, appeal.heldEscrow);
+    }
+
+    // Credit the net escrow according to the final ruling
+    function _release(
+        FeeLedger storage ledger,
+        Dispute storage dispute,
+        Appeal storage appeal,
+        mapping(address => uint256) storage userReputation,
+        uint256 amount
+    ) private {
+        appeal.escrowReleased = true;
+        SettlementLogic.settle(ledger, dispute, userReputation, amount);
+    }
+}
@@ -0,0 +1,443 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import {
+    Appeal,
+    ArbitratorBond,
+    ArbitratorProfile,
+    ConsensusReveal,
+    Dispute,
+    DisputeStatus,
+    FeeLedger,
+    ReputationReason,
+    SettlementOffer,
+    VoteRecord
+} from "../types/ArbitrationTypes.sol";
+import { ReputationLogic } from "./ReputationLogic.sol";
+import { TokenLogic } from "./TokenLogic.sol";
+
+/**
+ * @title SettlementLogic
+ * @notice Fee charging and the fee schedule, escrow settlement, refund claims, mutual
+ *         settlement between the parties and bond slashing for AnonymousArbitrationPlatform
+ * @dev Linked library with external functions running on the platform's storage.
+ *      payPanel, settle and refundParties are internal and compiled into ResolutionLogic.
+ *      Escrow, fees and refunds are paid in the dispute's stake token; slashed bonds
+ *      are always ETH. The lifetime fee tallies only count ETH.
+ *      Events are declared again on the platform so they appear in its ABI; the
+ *      logs themselves are emitted from the platform address.
+ */
+library SettlementLogic {
+    uint256 private constant BPS_DENOMINATOR = 10000;
+
+    event RefundIssued(uint256 indexed disputeId, address indexed recipient, uint256 amount);
+    event PayoutCredited(uint256 indexed disputeId, address indexed recipient, uint256 amount);
+    event ArbitratorFeePaid(uint256 indexed disputeId, address indexed arbitrator, uint256 amount);
+    event PlatformFeeCollected(uint256 indexed disputeId, address indexed treasury, uint256 amount);
+    event ArbitratorSlashed(uint256 indexed disputeId, address indexed arbitrator, uint256 amount, uint256 reputation);
+    event SettlementProposed(uint256 indexed disputeId, address indexed proposer, uint256 plaintiffShareBps);
+    event DisputeSettled(uint256 indexed disputeId, uint256 plaintiffAmount, uint256 defendantAmount, uint256 arbitratorFees);
+    event FeeScheduleUpdated(uint256 arbitratorFeeBps, uint256 platformFeeBps);
+    event TreasuryUpdated(address indexed treasury);
+
+    /**
+     * @notice Pay the panel that ruled: fees out of the amount held and reputation for its votes
+     * @param ledger Platform balances and fee schedule
+     * @param dispute Dispute whose current panel is paid
+     * @param votes Vote records of the dispute
+     * @param arbitrators Arbitrator profiles
+     * @param reveals Consensus batches awaiting decryption
+     * @param amount Escrow or appeal bond the fees are taken from
+     * @param callback Platform function the Gateway answers with a full consensus batch
+     * @return fees Total amount deducted
+     * @dev The arbitrator fee is split evenly among panel members who voted;
+     *      division dust and the share of a panel that never voted go to the treasury.
+     *      Each vote's agreement with the majority goes to the voter's pending consensus
+     *      tally, scored once the batch is full (see ReputationLogic.countConsensus);
+     *      members who did not vote lose the missed-vote penalty now.
+     * @custom:audit Overflow: fees <= MAX_TOTAL_FEE_BPS of the amount, so payouts cannot underflow
+     */
+    function payPanel(
+        FeeLedger storage ledger,
+        Dispute storage dispute,
+        mapping(address => VoteRecord) storage votes,
+        mapping(address => ArbitratorProfile) storage arbitrators,
+        mapping(uint256 => ConsensusReveal) storage reveals,
+        uint256 amount,
+        bytes4 callback
+    ) internal returns (uint256 fees) {
+        uint256 arbitratorFee = (amount * ledger.arbitratorFeeBps) / BPS_DENOMINATOR;
+        uint256 platformFee = (amount * ledger.platformFeeBps) / BPS_DENOMINATOR;
+        fees = arbitratorFee + platformFee;
+
+        address[] storage panel = dispute.assignedArbitrators;
+        uint256 voters = 0;
+        for (uint256 i = 0; i < panel.length; i++) {
+            ArbitratorProfile storage profile = arbitrators[panel[i]];
+            profile.totalDisputesHandled++;
+
+            VoteRecord storage record = votes[panel[i]];
+            if (record.hasVoted) {
+                voters++;
+                ReputationLogic.countConsensus(profile, reveals, panel[i], dispute.category, record.agreed, callback);
+            } else {
+                ReputationLogic.record(
+                    profile,
+                    panel[i],
+                    dispute.id,
+                    dispute.category,
+                    ReputationReason.MissedVote,
+                    -int256(ReputationLogic.MISSED_VOTE_PENALTY)
+                );
+            }
+        }
+
+        if (voters > 0 && arbitratorFee > 0) {
+            uint256 share = arbitratorFee / voters;
+            for (uint256 i = 0; i < panel.length; i++) {
+                address arbitrator = panel[i];
+                if (!votes[arbitrator].hasVoted) continue;
+
+                _payFee(ledger, dispute.token, arbitrator, share);
+                emit ArbitratorFeePaid(dispute.id, arbitrator, share);
+            }
+            platformFee += arbitratorFee - share * voters;
+        } else {
+            platformFee += arbitratorFee;
+        }
+
+        if (platformFee > 0) {
+            _payFee(ledger, dispute.token, ledger.treasury, platformFee);
+            emit PlatformFeeCollected(dispute.id, ledger.treasury, platformFee);
+        }
+    }
+
+    /**
+     * @notice Slash every panel member who let the voting deadline pass without voting
+     * @param ledger Platform balances
+     * @param dispute Dispute whose voting timed out
+     * @param votes Vote records of the dispute
+     * @param arbitrators Arbitrator profiles
+     * @param bonds Arbitrator bonds
+     * @param slashBps Share of each missing voter's bond taken, in basis points
+     * @param reputationPenalty Reputation taken from each missing voter, floored at zero
+     * @dev The slashed total is split between the parties, the odd wei going to the plaintiff
+     * @custom:audit Overflow: Each slash is a fraction of the bond it comes out of
+     */
+    function slashMissedVotes(
+        FeeLedger storage ledger,
+        Dispute storage dispute,
+        mapping(address => VoteRecord) storage votes,
+        mapping(address => ArbitratorProfile) storage arbitrators,
+        mapping(address => ArbitratorBond) storage bonds,
+        uint256 slashBps,
+        uint256 reputationPenalty
+    ) external {
+        address[] storage panel = dispute.assignedArbitrators;
+        uint256 slashed = 0;
+        for (uint256 i = 0; i < panel.length; i++) {
+            address arbitrator = panel[i];
+            if (votes[arbitrator].hasVoted) continue;
+
+            slashed += _slash(
+                dispute,
+                arbitrators[arbitrator],
+                bonds[arbitrator],
+                arbitrator,
+                slashBps,
+                reputationPenalty
+            );
+        }
+
+        _creditParties(ledger, dispute, slashed);
+    }
+
+    /**
+     * @notice Slash a single panel member taken off the panel for not voting
+     * @param ledger Platform balances
+     * @param dispute Dispute the arbitrator was removed from
+     * @param profile Profile of the arbitrator
+     * @param bond Bond of the arbitrator
+     * @param arbitrator Address of the arbitrator
+     * @param slashBps Share of the bond taken, in basis points
+     * @param reputationPenalty Reputation taken, floored at zero
+     * @dev Same penalty and split as slashMissedVotes
+     */
+    function slashArbitrator(
+        FeeLedger storage ledger,
+        Dispute storage dispute,
+        ArbitratorProfile storage profile,
+        ArbitratorBond storage bond,
+        address arbitrator,
+        uint256 slashBps,
+        uint256 reputationPenalty
+    ) external {
+        _creditParties(ledger, dispute, _slash(dispute, profile, bond, arbitrator, slashBps, reputationPenalty));
+    }
+
+    /**
+     * @notice Credit the net escrow of a final ruling and update party reputation
+     * @param ledger Platform balances
+     * @param dispute Dispute with its final winner recorded
+     * @param userReputation Party reputation scores
+     * @param amount Escrow net of fees
+     * @dev The winner takes the whole amount; with no winner each party gets its
+     *      deposit less its pro-rata share of the fees
+     */
+    function settle(
+        FeeLedger storage ledger,
+        Dispute storage dispute,
+        mapping(address => uint256) storage userReputation,
+        uint256 amount
+    ) internal {
+        address winner = dispute.winner;
+
+        if (winner == address(0)) {
+            uint256 escrow = dispute.plaintiffStake + dispute.defendantStake;
+            uint256 plaintiffShare = dispute.plaintiffStake - ((escrow - amount) * dispute.plaintiffStake) / escrow;
+            _credit(ledger, dispute, dispute.plaintiff, plaintiffShare);
+            _credit(ledger, dispute, dispute.defendant, amount - plaintiffShare);
+            return;
+        }
+
+        _credit(ledger, dispute, winner, amount);
+
+        userReputation[winner] += 10;
+        address loser = (winner == dispute.plaintiff) ? dispute.defendant : dispute.plaintiff;
+        if (userReputation[loser] >= 5) {
+            userReputation[loser] -= 5;
+        }
+    }
+
+    /**
+     * @notice Refund eligibility of a party, see the platform's getRefundStatus
+     * @param dispute Dispute to check
+     * @param party Plaintiff or defendant
+     * @return eligible Whether the party's deposit was refunded
+     * @return amount The party's own deposit
+     * @return claimed Whether refunds have been processed
+     * @return token Currency of the refund, address(0) for ETH
+     */
+    function refundStatus(Dispute storage dispute, address party) external view returns (
+        bool eligible,
+        uint256 amount,
+        bool claimed,
+        address token
+    ) {
+        eligible = (party == dispute.plaintiff || party == dispute.defendant) &&
+                   (dispute.status == DisputeStatus.DecryptionFailed ||
+                    dispute.status == DisputeStatus.Cancelled ||
+                    dispute.status == DisputeStatus.Refunded);
+
+        amount = party == dispute.defendant ? dispute.defendantStake : dispute.plaintiffStake;
+        return (eligible, amount, dispute.refundProcessed, dispute.token);
+    }
+
+    /**
+     * @notice Mark a dispute as failed and refund both deposits
+     * @param ledger Platform balances
+     * @param dispute Dispute whose vote or decryption failed
+     * @custom:audit Double-refund prevention: Reverts once refunds have been processed
+     */
+    function refundParties(FeeLedger storage ledger, Dispute storage dispute) internal {
+        require(!dispute.refundProcessed, "Refund already processed");
+
+        dispute.status = DisputeStatus.DecryptionFailed;
+        dispute.refundProcessed = true;
+
+        _refund(ledger, dispute, dispute.plaintiff, dispute.plaintiffStake);
+        _refund(ledger, dispute, dispute.defendant, dispute.defendantStake);
+    }
+
+    /**
+     * @notice Record the caller's proposed split of the escrow, replacing any earlier offer
+     * @param dispute Dispute awaiting a verdict
+     * @param appeal Appeal record of the dispute
+     * @param offer Settlement offer of the dispute
+     * @param plaintiffShareBps Plaintiff's share of the escrow left after arbitrator fees
+     * @custom:audit Access control: Dispute parties only, before a verdict and outside an appeal
+     */
+    function propose(
+        Dispute storage dispute,
+        Appeal storage appeal,
+        SettlementOffer storage offer,
+        uint256 plaintiffShareBps
+    ) external {
+        _requireSettleable(dispute, appeal);
+        require(plaintiffShareBps <= BPS_DENOMINATOR, "Invalid share");
+
+        offer.proposer = msg.sender;
+        offer.plaintiffShareBps = plaintiffShareBps;
+        offer.proposedAt = block.timestamp;
+
+        emit SettlementProposed(dispute.id, msg.sender, plaintiffShareBps);
+    }
+
+    /**
+     * @notice Accept the other party's offer and close the dispute as Settled
+     * @param ledger Platform balances and fee schedule
+     * @param dispute Dispute awaiting a verdict
+     * @param appeal Appeal record of the dispute
+     * @param offer Settlement offer of the dispute
+     * @param votes Vote records of the dispute
+     * @param bonds Arbitrator bonds; open assignments of the panel are closed
+     * @param plaintiffShareBps Split the caller agrees to, which must match the offer
+     * @dev A seated panel shares arbitratorFeeBps of the escrow evenly, voted or not,
+     *      the division dust going to the treasury. No platform fee is charged.
+     * @custom:audit Access control: Only the party that did not propose the offer
+     * @custom:audit Front-running: The accepted split is restated, so a re-proposal cannot change it
+     */
+    function accept(
+        FeeLedger storage ledger,
+        Dispute storage dispute,
+        Appeal storage appeal,
+        SettlementOffer storage offer,
+        mapping(address => VoteRecord) storage votes,
+        mapping(address => ArbitratorBond) storage bonds,
+        uint256 plaintiffShareBps
+    ) external {
+        _requireSettleable(dispute, appeal);
+        require(offer.proposer != address(0), "No settlement offer");
+        require(offer.proposer != msg.sender, "Cannot accept own offer");
+        require(offer.plaintiffShareBps == plaintiffShareBps, "Settlement terms changed");
+
+        offer.accepted = true;
+        dispute.status = DisputeStatus.Settled;
+
+        uint256 escrow = dispute.plaintiffStake + dispute.defendantStake;
+        uint256 fees = 0;
+        address[] storage panel = dispute.assignedArbitrators;
+        if (panel.length > 0) {
+            fees = (escrow * ledger.arbitratorFeeBps) / BPS_DENOMINATOR;
+            uint256 share = fees / panel.length;
+            for (uint256 i = 0; i < panel.length; i++) {
+                address arbitrator = panel[i];
+                if (!votes[arbitrator].hasVoted) bonds[arbitrator].openAssignments--;
+
+                if (share == 0) continue;
+                _payFee(ledger, dispute.token, arbitrator, share);
+                emit ArbitratorFeePaid(dispute.id, arbitrator, share);
+            }
+
+            uint256 dust = fees - share * panel.length;
+            if (dust > 0) {
+                _payFee(ledger, dispute.token, ledger.treasury, dust);
+                emit PlatformFeeCollected(dispute.id, ledger.treasury, dust);
+            }
+        }
+
+        uint256 plaintiffAmount = ((escrow - fees) * plaintiffShareBps) / BPS_DENOMINATOR;
+        uint256 defendantAmount = escrow - fees - plaintiffAmount;
+        _credit(ledger, dispute, dispute.plaintiff, plaintiffAmount);
+        _credit(ledger, dispute, dispute.defendant, defendantAmount);
+
+        emit DisputeSettled(dispute.id, plaintiffAmount, defendantAmount, fees);
+    }
+
+    /**
+     * @notice Set the fees charged on disputes resolved by a panel
+     * @param ledger Platform fee schedule
+     * @param arbitratorFeeBps Share of the escrow paid to voting arbitrators, in basis points
+     * @param platformFeeBps Share of the escrow paid to the treasury, in basis points
+     * @param maxTotalFeeBps Cap on the combined fees
+     * @custom:audit Access control: Checked by the platform (Treasurer role)
+     */
+    function setFeeSchedule(
+        FeeLedger storage ledger,
+        uint256 arbitratorFeeBps,
+        uint256 platformFeeBps,
+        uint256 maxTotalFeeBps
+    ) external {
+        require(arbitratorFeeBps + platformFeeBps <= maxTotalFeeBps, "Fees exceed maximum");
+        ledger.arbitratorFeeBps = arbitratorFeeBps;
+        ledger.platformFeeBps = platformFeeBps;
+        emit FeeScheduleUpdated(arbitratorFeeBps, platformFeeBps);
+    }
+
+    /**
+     * @notice Set the address credited with platform fees
+     * @param ledger Platform fee schedule
+     * @param treasury New treasury address
+     * @custom:audit Access control: Checked by the platform (Treasurer role)
+     */
+    function setTreasury(FeeLedger storage ledger, address treasury) external {
+        require(treasury != address(0), "Invalid treasury");
+        ledger.treasury = treasury;
+        emit TreasuryUpdated(treasury);
+    }
+
+    // Settlement is open to the parties once both deposits are in, until voting closes, outside an appeal
+    function _requireSettleable(Dispute storage dispute, Appeal storage appeal) private view {
+        require(msg.sender == dispute.plaintiff || msg.sender == dispute.defendant, "Not a dispute party");
+        require(
+            dispute.status == DisputeStatus.Created || dispute.status == DisputeStatus.InArbitration,
+            "Settlement not available"
+        );
+        require(dispute.defendantStake > 0, "Awaiting defendant response");
+        require(appeal.appellant == address(0), "Appeal in progress");
+    }
+
+    // Take a share of a missing voter's bond and reputation, closing its open assignment
+    function _slash(
+        Dispute storage dispute,
+        ArbitratorProfile storage profile,
+        ArbitratorBond storage bond,
+        address arbitrator,
+        uint256 slashBps,
+        uint256 reputationPenalty
+    ) private returns (uint256 amount) {
+        amount = (bond.amount * slashBps) / BPS_DENOMINATOR;
+        bond.amount -= amount;
+        bond.openAssignments--;
+
+        uint256 reputation = ReputationLogic.record(
+            profile,
+            arbitrator,
+            dispute.id,
+            dispute.category,
+            ReputationReason.MissedVote,
+            -int256(reputationPenalty)
+        );
+        emit ArbitratorSlashed(dispute.id, arbitrator, amount, reputation);
+    }
+
+    // Split slashed bonds between the parties, the odd wei going to the plaintiff; bonds are ETH
+    function _creditParties(FeeLedger storage ledger, Dispute storage dispute, uint256 amount) private {
+        uint256 defendantShare = amount / 2;
+        _pay(ledger, dispute.id, address(0), dispute.plaintiff, amount - defendantShare);
+        _pay(ledger, dispute.id, address(0), dispute.defendant, defendantShare);
+    }
+
+    // Refund a deposit to a party's balance in the stake token
+    function _refund(FeeLedger storage ledger, Dispute storage dispute, address recipient, uint256 amount) private {
+        if (amount == 0) return;
+
+        TokenLogic.credit(ledger, dispute.token, recipient, amount);
+        emit RefundIssued(dispute.id, recipient, amount);
+    }
+
+    // Credit a payout to a recipient's balance in the stake token
+    function _credit(FeeLedger storage ledger, Dispute storage dispute, address recipient, uint256 amount) private {
+        _pay(ledger, dispute.id, dispute.token, recipient, amount);
+    }
+
+    // Credit a payout in a given currency
+    function _pay(FeeLedger storage ledger, uint256 disputeId, address token, address recipient, uint256 amount) private {
+        if (amount == 0) return;
+
+        TokenLogic.credit(ledger, token, recipient, amount);
+        emit PayoutCredited(disputeId, recipient, amount);
+    }
+
+    // Credit a fee in the stake token; only ETH fees count towards the lifetime tallies
+    function _payFee(FeeLedger storage ledger, address token, address recipient, uint256 amount) private {
+        TokenLogic.credit(ledger, token, recipient, amount);
+        if (token != address(0)) return;
+
+        if (recipient == ledger.treasury) {
+            ledger.totalPlatformFees += amount;
+        } else {
+            ledger.arbitratorFeesEarned[recipient] += amount;
+        }
+    }
+}
@@ -0,0 +1,133 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { IERC20Permit } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { FeeLedger } from "../types/ArbitrationTypes.sol";
+
+/**
+ * @title TokenLogic
+ * @notice ERC-20 stakes for AnonymousArbitrationPlatform: the token allowlist, deposits
+ *         pulled with an allowance or an EIP-2612 permit, and withdrawals of ETH and
+ *         token balances
+ * @dev Linked library with external functions running on the platform's storage, so
+ *      tokens move to and from the platform address. collect and credit are internal and
+ *      compiled into the libraries that take deposits and pay out escrow; the platform
+ *      itself pulls deposits through the external deposit. Events are declared again on
+ *      the platform so they appear in its ABI.
+ */
+library TokenLogic {
+    using SafeERC20 for IERC20;
+
+    event StakeTokenUpdated(address indexed token, uint256 minStake);
+    event Withdrawal(address indexed recipient, uint256 amount);
+    event TokenWithdrawal(address indexed token, address indexed recipient, uint256 amount);
+
+    /**
+     * @notice Allowlist a stake token, change its minimum deposit or remove it
+     * @param ledger Platform balances and allowlist
+     * @param token ERC-20 contract
+     * @param minStake Smallest deposit in the token's units; 0 removes the token
+     * @dev Removing a token only stops new disputes; open ones keep using it
+     * @custom:audit Access control: Checked by the platform (Treasurer role)
+     */
+    function setStakeToken(FeeLedger storage ledger, address token, uint256 minStake) external {
+        require(token != address(0), "Invalid token");
+
+        uint256 index = ledger.allowedTokenIndex[token];
+        if (minStake > 0 && index == 0) {
+            ledger.allowedTokens.push(token);
+            ledger.allowedTokenIndex[token] = ledger.allowedTokens.length;
+        } else if (minStake == 0 && index != 0) {
+            address last = ledger.allowedTokens[ledger.allowedTokens.length - 1];
+            ledger.allowedTokens[index - 1] = last;
+            ledger.allowedTokenIndex[last] = index;
+            ledger.allowedTokens.pop();
+            delete ledger.allowedTokenIndex[token];
+        }
+        ledger.tokenMinStake[token] = minStake;
+
+        emit StakeTokenUpdated(token, minStake);
+    }
+
+    /**
+     * @notice Pull a plaintiff's token deposit, see collect
+     * @param token Stake token, address(0) for ETH
+     * @param amount Deposit the caller owes
+     * @param value ETH sent with the call
+     * @param permit Empty to use an existing allowance, or an encoded EIP-2612 permit
+     */
+    function deposit(address token, uint256 amount, uint256 value, bytes calldata permit) external {
+        collect(token, amount, value, permit);
+    }
+
+    /**
+     * @notice Pull a token deposit from the caller
+     * @param token Stake token, address(0) for ETH
+     * @param amount Deposit the caller owes
+     * @param value ETH sent with the call
+     * @param permit Empty to use an existing allowance, or abi.encode(deadline, v, r, s)
+     *        of an EIP-2612 permit for `amount`
+     * @dev Does nothing for ETH, whose deposit is checked against msg.value by the caller.
+     *      A failing permit is ignored so a front-run permit does not block the deposit;
+     *      the transfer then needs the allowance the permit granted.
+     * @custom:audit Input validation: No ETH with a token deposit; the platform must receive
+     *      the full amount, so fee-on-transfer tokens are rejected
+     */
+    function collect(address token, uint256 amount, uint256 value, bytes calldata permit) internal {
+        if (token == address(0)) return;
+        require(value == 0, "ETH sent with token stake");
+
+        if (permit.length > 0) {
+            (uint256 deadline, uint8 v, bytes32 r, bytes32 s) = abi.decode(permit, (uint256, uint8, bytes32, bytes32));
+            try IERC20Permit(token).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        }
+
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        require(IERC20(token).balanceOf(address(this)) - balance == amount, "Token transfer incomplete");
+    }
+
+    /**
+     * @notice Send the caller everything credited to it in one currency
+     * @param ledger Platform balances
+     * @param token Token to withdraw, address(0) for ETH
+     * @custom:audit Reentrancy: Balance zeroed before the transfer
+     */
+    function withdraw(FeeLedger storage ledger, address token) external {
+        uint256 amount = token == address(0)
+            ? ledger.pendingBalances[msg.sender]
+            : ledger.tokenBalances[token][msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+
+        if (token == address(0)) {
+            ledger.pendingBalances[msg.sender] = 0;
+
+            (bool sent, ) = payable(msg.sender).call{value: amount}("");
+            require(sent, "Withdrawal failed");
+
+            emit Withdrawal(msg.sender, amount);
+        } else {
+            ledger.tokenBalances[token][msg.sender] = 0;
+            IERC20(token).safeTransfer(msg.sender, amount);
+
+            emit TokenWithdrawal(token, msg.sender, amount);
+        }
+    }
+
+    /**
+     * @notice Credit an amount to an account's withdrawable balance
+     * @param ledger Platform balances
+     * @param token Currency of the amount, address(0) for ETH
+     * @param account Recipient
+     * @param amount Amount credited
+     */
+    function credit(FeeLedger storage ledger, address token, address account, uint256 amount) internal {
+        if (token == address(0)) {
+            ledger.pendingBalances[account] += amount;
+        } else {
+            ledger.tokenBalances[token][account] += amount;
+        }
+    }
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { IRandomnessCoordinator, IRandomnessConsumer } from "../interfaces/IRandomnessCoordinator.sol";
+
+/**
+ * @title MockRandomnessCoordinator
+ * @notice Local stand-in for a VRF coordinator
+ * @dev Requests are answered manually through fulfill(), so tests choose the
+ *      random word and scripts/relayer.js answers with fresh random bytes.
+ *      Anyone may fulfill: never deploy this contract outside local networks.
+ */
+contract MockRandomnessCoordinator is IRandomnessCoordinator {
+    uint256 public requestCounter;
+    mapping(uint256 => address) public consumers;
+
+    event RandomnessRequested(uint256 indexed requestId, address indexed consumer);
+    event RandomnessFulfilled(uint256 indexed requestId, uint256 randomness);
+
+    /// @inheritdoc IRandomnessCoordinator
+    function requestRandomness() external returns (uint256 requestId) {
+        requestId = ++requestCounter;
+        consumers[requestId] = msg.sender;
+
+        emit RandomnessRequested(requestId, msg.sender);
+    }
+
+    /**
+     * @notice Answer a pending request with the given random word
+     * @param requestId Pending request identifier
+     * @param randomness Random word delivered to the consumer
+     */
+    function fulfill(uint256 requestId, uint256 randomness) external {
+        address consumer = consumers[requestId];
+        require(consumer != address(0), "Unknown request");
+
+        delete consumers[requestId];
+        emit RandomnessFulfilled(requestId, randomness);
+
+        IRandomnessConsumer(consumer).fulfillRandomness(requestId, randomness);
+    }
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { TransparentUpgradeableProxy } from "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+
+/**
+ * @title PlatformProxy
+ * @notice Upgradeable entry point for AnonymousArbitrationPlatform: disputes, escrow and
+ *         balances live in the proxy's storage and survive an implementation upgrade
+ * @dev A transparent proxy, so the upgrade logic sits in the proxy and its ProxyAdmin
+ *      instead of the implementation, which is close to the EIP-170 size limit. The
+ *      constructor deploys a ProxyAdmin owned by `adminOwner`; upgrades go through its
+ *      upgradeAndCall. Deploy and upgrade with scripts/deploy.js and scripts/upgrade.js,
+ *      which check the storage layout first.
+ */
+contract PlatformProxy is TransparentUpgradeableProxy {
+    /**
+     * @param implementation Linked AnonymousArbitrationPlatform deployment
+     * @param adminOwner Owner of the ProxyAdmin, allowed to upgrade
+     * @param data Encoded initialize() call, run in the proxy's storage
+     */
+    constructor(
+        address implementation,
+        address adminOwner,
+        bytes memory data
+    ) payable TransparentUpgradeableProxy(implementation, adminOwner, data) {}
+}
@@ -0,0 +1,227 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { ebool, euint32, euint8, euint64 } from "@fhevm/solidity/lib/FHE.sol";
+
+/**
+ * @title ArbitrationTypes
+ * @notice Storage types shared by AnonymousArbitrationPlatform and its linked logic libraries
+ * @dev Declared at file level so the platform and the libraries operating on its
+ *      storage (PanelLogic, SettlementLogic) agree on a single layout.
+ */
+
+enum DisputeStatus {
+    Created,
+    InArbitration,
+    Voting,
+    Resolved,
+    Cancelled,
+    DecryptionFailed,
+    Refunded,
+    Appealed,
+    Settled
+}
+
+// Number of DisputeCategory values, the width of a specialisation bitmask
+uint256 constant CATEGORY_COUNT = 5;
+
+enum DisputeCategory {
+    General,                           // No specialism; the panel is drawn from the whole pool
+    Commercial,
+    Personal,
+    Technical,
+    Legal
+}
+
+enum VoteOption {
+    NotVoted,
+    FavorPlaintiff,
+    FavorDefendant,
+    Neutral
+}
+
+struct EvidenceItem {
+    address submitter;
+    euint32 documentHash;              // Encrypted document hash
+    euint64 claimedAmount;             // Encrypted amount claimed, uninitialized for opening and counter-evidence
+    uint256 submittedAt;
+}
+
+struct Dispute {
+    uint256 id;
+    address plaintiff;
+    address defendant;
+    euint64 encryptedStakeAmount;      // Changed to euint64 for better precision
+    euint32 encryptedEvidenceHash;
+    euint32 encryptedCounterEvidence;  // Defendant's evidence, uninitialized if none given
+    DisputeStatus status;
+    uint256 createdAt;
+    uint256 responseDeadline;          // Defendant must match the stake before this
+    uint256 votingDeadline;
+    uint256 decryptionRequestTime;     // New: track when decryption was requested
+    address[] assignedArbitrators;
+    euint8 encryptedFinalDecision;
+    bool decisionRevealed;
+    address winner;
+    uint256 plaintiffStake;            // Plaintiff deposit, refunded on failure
+    uint256 defendantStake;            // Defendant deposit, 0 until respondToDispute
+    uint256 decryptionRequestId;       // New: track decryption request
+    bool refundProcessed;              // New: prevent double refunds
+    uint8 panelSize;                   // Arbitrators on the first panel, fixed at createDispute
+    uint256 evidenceDeadline;          // End of the evidence window, set when the defendant responds
+    EvidenceItem[] evidence;           // Every item from both parties, opening evidence first
+    DisputeCategory category;          // Public so the panel draw can prefer specialists
+    uint256 votingStartedAt;           // Start of the current voting period, restarted by a replacement
+    address token;                     // Stake token, address(0) for ETH; deposits, bonds and payouts use it
+    uint8 plaintiffStrikes;            // Panel members struck by the plaintiff this round
+    uint8 defendantStrikes;            // Panel members struck by the defendant this round
+    address[] auditors;                // Granted access to the stake and evidence by a party, at most MAX_AUDITORS
+    uint8 plaintiffEvidence;           // Items submitted by the plaintiff, opening evidence included
+    uint8 defendantEvidence;           // Items submitted by the defendant, counter-evidence included
+    uint256 pausesBeforeVoting;        // Emergency pauses logged when the current voting period started
+}
+
+struct ArbitratorProfile {
+    bool isActive;
+    uint256 reputation;
+    uint256 totalDisputesHandled;
+    uint256 successfulArbitrations;
+    euint32 encryptedIdentityProof;
+    bool identityVerified;
+    uint8 specialisations;                         // Bitmask over DisputeCategory, bit n for category n
+    uint256[CATEGORY_COUNT] categoryReputation;    // Reputation earned per category, starting at 0
+    uint256 reputationUpdatedAt;                   // Reference time of the stored scores for decay, 0 before any update
+    euint32 encryptedConsensus;                    // Votes cast with the panel majority, decryptable by the arbitrator only
+    euint32[CATEGORY_COUNT] pendingConsensus;      // Agreements with the majority not yet scored, per category
+    uint256[CATEGORY_COUNT] pendingVotes;          // Decided votes behind pendingConsensus, per category
+}
+
+// Why an arbitrator's reputation changed
+enum ReputationReason {
+    Consensus,                         // Votes of a revealed batch that sided with the panel majority
+    MissedVote                         // Did not vote: slashed on a timeout or replacement, or silent at a ruling
+}
+
+// A batch of an arbitrator's decided votes whose count of agreements is being decrypted
+struct ConsensusReveal {
+    address arbitrator;
+    DisputeCategory category;
+    uint256 votes;                     // Votes in the batch, the most the count can be
+}
+
+struct ArbitratorBond {
+    uint256 amount;                 // Posted at registration, slashed for missed votes
+    uint256 openAssignments;        // Panels seated on and not yet voted or slashed
+    uint256 withdrawalRequestedAt;  // Start of the withdrawal cooldown, 0 if none requested
+}
+
+struct ArbitratorRegistry {
+    address[] registered;                         // Append-only, every arbitrator active or paused
+    mapping(address => uint256) registeredIndex;  // index + 1, 0 = never registered
+    address[] active;                             // Enumerable pool of active arbitrators
+    mapping(address => uint256) activeIndex;      // index + 1, 0 = not in pool
+    mapping(address => ArbitratorBond) bonds;
+}
+
+struct ArbitratorSummary {
+    address arbitrator;
+    uint256 reputation;
+    uint256 totalDisputesHandled;
+    bool isActive;
+}
+
+struct SelectionRequest {
+    uint256 requestId;
+    uint256 requestedAt;
+    uint256 seed;
+    bool fulfilled;
+    address[] candidates;              // Arbitrators drawn this round: the panel, then each replacement
+    uint256 drawn;                     // Draws taken from the seed: panel seats, then replacements
+    uint256[] weights;                 // Reputation weight of each drawn arbitrator when it was drawn
+    uint256 poolSize;                  // Arbitrators registered at the request; later ones are not drawn this round
+}
+
+struct VoteRecord {
+    euint8 encryptedVote;
+    euint32 encryptedJustification;
+    bool hasVoted;
+    uint256 timestamp;
+    ebool agreed;                      // Whether the vote matched the panel majority, set by the tally
+}
+
+struct Appeal {
+    uint256 deadline;                  // End of the appeal window, 0 if the ruling cannot be appealed
+    uint256 heldEscrow;                // Escrow net of first-round fees, held until the ruling is final
+    address appellant;                 // Losing party who posted the bond, 0 if no appeal was filed
+    uint256 bond;
+    uint256 filedAt;
+    address originalWinner;
+    address[] originalPanel;           // First-round panel, excluded from the appeal draw
+    bool decided;
+    bool overturned;
+    bool escrowReleased;
+}
+
+struct SettlementOffer {
+    address proposer;                  // Party that proposed the current terms, 0 if none
+    uint256 plaintiffShareBps;         // Plaintiff's share of the escrow left after arbitrator fees
+    uint256 proposedAt;
+    bool accepted;
+}
+
+// Admin duties the owner can delegate; the owner itself holds every role
+enum Role {
+    Moderator,                         // Pauses and unpauses arbitrators
+    Governor,                          // Queues and cancels parameter changes
+    Treasurer,                         // Sets the fee schedule and the treasury
+    Pauser                             // Pauses and unpauses the whole platform
+}
+
+// An emergency pause, kept so voting deadlines can be moved back by the time it lasted
+struct PausePeriod {
+    uint256 start;
+    uint256 end;                       // 0 while the pause lasts
+}
+
+struct AccessRoles {
+    address owner;
+    address pendingOwner;              // Nominated by the owner, becomes owner on acceptOwnership
+    mapping(address => uint8) roles;   // Bitmask over Role, bit n for role n
+    bool paused;                       // Emergency pause: no new disputes, panels or votes
+    uint256 pausedAt;                  // Start of the latest pause, 0 if never paused
+    PausePeriod[] pauses;              // Every pause, oldest first
+}
+
+// Number of Parameter values
+uint256 constant PARAMETER_COUNT = 4;
+
+// Platform parameters a governor can change through a timelocked proposal
+enum Parameter {
+    VotingPeriod,                      // Time a seated panel has to vote
+    VotingTimeout,                     // Wait after the voting deadline before checkVotingTimeout refunds
+    DecryptionTimeout,                 // Wait for the verdict decryption before refunds
+    MinStake                           // Smallest plaintiff deposit
+}
+
+struct ParameterChange {
+    uint256 value;
+    uint256 eta;                       // Earliest execution time, 0 if no change is queued
+}
+
+struct PlatformParameters {
+    uint256[PARAMETER_COUNT] values;             // Current value of each Parameter
+    ParameterChange[PARAMETER_COUNT] queued;     // At most one pending change per Parameter
+}
+
+struct FeeLedger {
+    mapping(address => uint256) pendingBalances;       // Withdrawable ETH payouts, fees and refunds
+    mapping(address => uint256) arbitratorFeesEarned;  // Lifetime ETH fees credited per arbitrator
+    uint256 totalPlatformFees;                         // Lifetime ETH fees credited to the treasury
+    address treasury;
+    uint256 arbitratorFeeBps;
+    uint256 platformFeeBps;
+    mapping(address => mapping(address => uint256)) tokenBalances;  // Token => account => withdrawable amount
+    mapping(address => uint256) tokenMinStake;     // Smallest deposit per allowlisted token, 0 = not allowed
+    address[] allowedTokens;                       // Enumerable allowlist
+    mapping(address => uint256) allowedTokenIndex; // index + 1, 0 = not allowlisted
+}
@@ -1,192 +1,316 @@
-/**
- * Dispute Submission Form
- * Allows users to submit encrypted disputes
- */
-
-import { useState } from 'react';
-import { useFhevm } from '@fhevm/sdk';
-import { ethers } from 'ethers';
-
-interface DisputeFormProps {
-  account: string;
-}
-
-export default function DisputeForm({ account }: DisputeFormProps) {
-  const { createEncryptedInput, getContract } = useFhevm();
-  const [isSubmitting, setIsSubmitting] = useState(false);
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    category: '0'
-  });
-
-  const contractAddress = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS || '';
-  const contractABI = [
-    'function submitDispute(bytes32 encryptedCategory, bytes calldata proof) external returns (uint256)',
-    'event DisputeSubmitted(uint256 indexed disputeId, address indexed submitter)'
-  ];
-
-  const handleSubmit = async (e: React.FormEvent) => {
-    e.preventDefault();
-
-    if (!contractAddress) {
-      alert('Contract address not configured');
-      return;
-    }
-
-    setIsSubmitting(true);
-
-    try {
-      // Encrypt the category value
-      const encrypted = await createEncryptedInput(contractAddress, account)
-        .add8(Number(formData.category))
-        .encrypt();
-
-      // Get contract instance
-      const contract = getContract(contractAddress, contractABI);
-
-      // Submit dispute with encrypted data
-      const tx = await contract.submitDispute(
-        encrypted.handles[0],
-        encrypted.inputProof
-      );
-
-      console.log('Transaction sent:', tx.hash);
-
-      // Wait for confirmation
-      const receipt = await tx.wait();
-      console.log('Transaction confirmed:', receipt.hash);
-
-      alert('Dispute submitted successfully!');
-
-      // Reset form
-      setFormData({
-        title: '',
-        description: '',
-        category: '0'
-      });
-    } catch (error) {
-      console.error('Error submitting dispute:', error);
-      alert('Failed to submit dispute');
-    } finally {
-      setIsSubmitting(false);
-    }
-  };
-
-  return (
-    <div className="bg-white rounded-lg shadow-xl p-6">
-      <h2 className="text-2xl font-bold text-gray-900 mb-6">Submit New Dispute</h2>
-
-      <form onSubmit={handleSubmit} className="space-y-6">
-        <div>
-          <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-2">
-            Dispute Title
-          </label>
-          <input
-            type="text"
-            id="title"
-            value={formData.title}
-            onChange={(e) => setFormData({ ...formData, title: e.target.value })}
-            required
-            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-            placeholder="Brief description of the dispute"
-          />
-        </div>
-
-        <div>
-          <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-2">
-            Description
-          </label>
-          <textarea
-            id="description"
-            value={formData.description}
-            onChange={(e) => setFormData({ ...formData, description: e.target.value })}
-            required
-            rows={4}
-            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-            placeholder="Detailed description of the dispute and relevant context"
-          />
-        </div>
-
-        <div>
-          <label htmlFor="category" className="block text-sm font-medium text-gray-700 mb-2">
-            Category (Encrypted) 🔒
-          </label>
-          <select
-            id="category"
-            value={formData.category}
-            onChange={(e) => setFormData({ ...formData, category: e.target.value })}
-            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-          >
-            <option value="0">General</option>
-            <option value="1">Commercial</option>
-            <option value="2">Personal</option>
-            <option value="3">Technical</option>
-            <option value="4">Legal</option>
-          </select>
-          <p className="mt-2 text-sm text-gray-500">
-            This value will be encrypted using FHE before submission
-          </p>
-        </div>
-
-        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
-          <div className="flex">
-            <div className="flex-shrink-0">
-              <svg
-                className="h-5 w-5 text-blue-400"
-                fill="currentColor"
-                viewBox="0 0 20 20"
-              >
-                <path
-                  fillRule="evenodd"
-                  d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z"
-                  clipRule="evenodd"
-                />
-              </svg>
-            </div>
-            <div className="ml-3">
-              <h3 className="text-sm font-medium text-blue-800">Privacy Notice</h3>
-              <p className="mt-1 text-sm text-blue-700">
-                Your dispute category will be encrypted using Fully Homomorphic Encryption.
-                Arbitrators can vote without seeing individual votes.
-              </p>
-            </div>
-          </div>
-        </div>
-
-        <button
-          type="submit"
-          disabled={isSubmitting || !contractAddress}
-          className="w-full bg-primary-600 hover:bg-primary-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-        >
-          {isSubmitting ? (
-            <span className="flex items-center justify-center">
-              <svg
-                className="animate-spin -ml-1 mr-3 h-5 w-5 text-white"
-                fill="none"
-                viewBox="0 0 24 24"
-              >
-                <circle
-                  className="opacity-25"
-                  cx="12"
-                  cy="12"
-                  r="10"
-                  stroke="currentColor"
-                  strokeWidth="4"
-                />
-                <path
-                  className="opacity-75"
-                  fill="currentColor"
-                  d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-                />
-              </svg>
-              Submitting...
-            </span>
-          ) : (
-            'Submit Dispute'
-          )}
-        </button>
-      </form>
-    </div>
-  );
-}
+/**
+ * Dispute Submission Form
+ * Opens a dispute with an encrypted stake and evidence hash and a public category,
+ * staked in ETH or an allowlisted ERC-20 the platform is approved to pull
+ */
+
+import { useState, useEffect } from 'react';
+import { useFhevm } from '@fhevm/sdk';
+import { ethers } from 'ethers';
+
+interface DisputeFormProps {
+  account: string;
+}
+
+interface StakeCurrency {
+  address: string;
+  symbol: string;
+  decimals: number;
+}
+
+const ETH: StakeCurrency = { address: ethers.ZeroAddress, symbol: 'ETH', decimals: 18 };
+
+export default function DisputeForm({ account }: DisputeFormProps) {
+  const { createEncryptedInput, getContract } = useFhevm();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [currencies, setCurrencies] = useState<StakeCurrency[]>([ETH]);
+  const emptyForm = {
+    defendant: '',
+    token: ETH.address,
+    deposit: '0.001',
+    evidenceHash: '',
+    panelSize: '0',
+    category: '0'
+  };
+  const [formData, setFormData] = useState(emptyForm);
+
+  const contractAddress = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS || '';
+  const contractABI = [
+    'function createDispute(address _defendant, bytes32 encryptedStake, bytes32 encryptedEvidence, bytes stakeProof, bytes evidenceProof, uint8 _panelSize, uint8 _category, address _token, uint256 _amount, bytes _permit) external payable',
+    'function getAllowedTokens() external view returns (address[] tokens, uint256[] minStakes)',
+    'event DisputeCreated(uint256 indexed disputeId, address indexed plaintiff, address indexed defendant)'
+  ];
+  const tokenABI = [
+    'function symbol() external view returns (string)',
+    'function decimals() external view returns (uint8)',
+    'function allowance(address owner, address spender) external view returns (uint256)',
+    'function approve(address spender, uint256 amount) external returns (bool)'
+  ];
+
+  useEffect(() => {
+    loadCurrencies();
+  }, [account]);
+
+  // ETH plus the tokens the treasurer has allowlisted
+  const loadCurrencies = async () => {
+    if (!contractAddress || !account) return;
+
+    try {
+      const contract = getContract(contractAddress, contractABI);
+      const [tokens] = await contract.getAllowedTokens();
+      const allowed = await Promise.all(
+        tokens.map(async (address: string) => {
+          const token = getContract(address, tokenABI);
+          const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+          return { address, symbol, decimals: Number(decimals) };
+        })
+      );
+      setCurrencies([ETH, ...allowed]);
+    } catch (error) {
+      console.error('Error loading stake tokens:', error);
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!contractAddress) {
+      alert('Contract address not configured');
+      return;
+    }
+
+    if (!ethers.isAddress(formData.defendant)) {
+      alert('Please enter a valid defendant address');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const currency = currencies.find((c) => c.address === formData.token) || ETH;
+      const isEth = currency.address === ETH.address;
+      const deposit = ethers.parseUnits(formData.deposit, currency.decimals);
+
+      // Token deposits are pulled with transferFrom, so approve the platform first
+      if (!isEth) {
+        const token = getContract(currency.address, tokenABI);
+        if ((await token.allowance(account, contractAddress)) < deposit) {
+          await (await token.approve(contractAddress, deposit)).wait();
+        }
+      }
+
+      // Encrypt the stake (to 9 decimals, e.g. gwei, to fit euint64) and the evidence hash
+      const encrypted = await createEncryptedInput(contractAddress, account)
+        .add64(deposit / 10n ** BigInt(Math.max(currency.decimals - 9, 0)))
+        .add32(Number(formData.evidenceHash) % 2 ** 32)
+        .encrypt();
+
+      // Get contract instance
+      const contract = getContract(contractAddress, contractABI);
+
+      // The category is sent in the clear so the panel draw can favour specialists
+      const tx = await contract.createDispute(
+        formData.defendant,
+        encrypted.handles[0],
+        encrypted.handles[1],
+        encrypted.inputProof,
+        encrypted.inputProof,
+        Number(formData.panelSize),
+        Number(formData.category),
+        currency.address,
+        isEth ? 0n : deposit,
+        '0x',
+        { value: isEth ? deposit : 0n }
+      );
+
+      console.log('Transaction sent:', tx.hash);
+
+      // Wait for confirmation
+      const receipt = await tx.wait();
+      console.log('Transaction confirmed:', receipt.hash);
+
+      alert('Dispute submitted successfully!');
+
+      // Reset form
+      setFormData(emptyForm);
+    } catch (error) {
+      console.error('Error submitting dispute:', error);
+      alert('Failed to submit dispute');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-xl p-6">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">Submit New Dispute</h2>
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div>
+          <label htmlFor="defendant" className="block text-sm font-medium text-gray-700 mb-2">
+            Defendant Address
+          </label>
+          <input
+            type="text"
+            id="defendant"
+            value={formData.defendant}
+            onChange={(e) => setFormData({ ...formData, defendant: e.target.value })}
+            required
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            placeholder="0x..."
+          />
+        </div>
+
+        <div>
+          <label htmlFor="token" className="block text-sm font-medium text-gray-700 mb-2">
+            Stake Currency
+          </label>
+          <select
+            id="token"
+            value={formData.token}
+            onChange={(e) => setFormData({ ...formData, token: e.target.value })}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          >
+            {currencies.map((currency) => (
+              <option key={currency.address} value={currency.address}>
+                {currency.symbol}
+              </option>
+            ))}
+          </select>
+          <p className="mt-2 text-sm text-gray-500">
+            The defendant and any appellant deposit in the same currency, and payouts are credited in it.
+          </p>
+        </div>
+
+        <div>
+          <label htmlFor="deposit" className="block text-sm font-medium text-gray-700 mb-2">
+            Deposit ({currencies.find((c) => c.address === formData.token)?.symbol || 'ETH'}) 🔒
+          </label>
+          <input
+            type="number"
+            id="deposit"
+            value={formData.deposit}
+            onChange={(e) => setFormData({ ...formData, deposit: e.target.value })}
+            required
+            min="0.001"
+            step="0.001"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+        </div>
+
+        <div>
+          <label htmlFor="evidenceHash" className="block text-sm font-medium text-gray-700 mb-2">
+            Evidence Hash (Encrypted) 🔒
+          </label>
+          <input
+            type="number"
+            id="evidenceHash"
+            value={formData.evidenceHash}
+            onChange={(e) => setFormData({ ...formData, evidenceHash: e.target.value })}
+            required
+            min="0"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            placeholder="Numeric hash of your evidence document"
+          />
+        </div>
+
+        <div>
+          <label htmlFor="panelSize" className="block text-sm font-medium text-gray-700 mb-2">
+            Panel Size
+          </label>
+          <select
+            id="panelSize"
+            value={formData.panelSize}
+            onChange={(e) => setFormData({ ...formData, panelSize: e.target.value })}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          >
+            <option value="0">By deposit tier</option>
+            <option value="1">1 arbitrator</option>
+            <option value="3">3 arbitrators</option>
+            <option value="5">5 arbitrators</option>
+            <option value="7">7 arbitrators</option>
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="category" className="block text-sm font-medium text-gray-700 mb-2">
+            Category
+          </label>
+          <select
+            id="category"
+            value={formData.category}
+            onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          >
+            <option value="0">General</option>
+            <option value="1">Commercial</option>
+            <option value="2">Personal</option>
+            <option value="3">Technical</option>
+            <option value="4">Legal</option>
+          </select>
+          <p className="mt-2 text-sm text-gray-500">
+            Public, so the panel can be drawn from arbitrators specialising in it. Choose General to reveal nothing.
+          </p>
+        </div>
+
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <div className="flex">
+            <div className="flex-shrink-0">
+              <svg
+                className="h-5 w-5 text-blue-400"
+                fill="currentColor"
+                viewBox="0 0 20 20"
+              >
+                <path
+                  fillRule="evenodd"
+                  d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z"
+                  clipRule="evenodd"
+                />
+              </svg>
+            </div>
+            <div className="ml-3">
+              <h3 className="text-sm font-medium text-blue-800">Privacy Notice</h3>
+              <p className="mt-1 text-sm text-blue-700">
+                Your stake and evidence hash are encrypted using Fully Homomorphic Encryption.
+                Arbitrators can vote without seeing individual votes.
+              </p>
+            </div>
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={isSubmitting || !contractAddress}
+          className="w-full bg-primary-600 hover:bg-primary-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSubmitting ? (
+            <span className="flex items-center justify-center">
+              <svg
+                className="animate-spin -ml-1 mr-3 h-5 w-5 text-white"
+                fill="none"
+                viewBox="0 0 24 24"
+              >
+                <circle
+                  className="opacity-25"
+                  cx="12"
+                  cy="12"
+                  r="10"
+                  stroke="currentColor"
+                  strokeWidth="4"
+                />
+                <path
+                  className="opacity-75"
+                  fill="currentColor"
+                  d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+                />
+              </svg>
+              Submitting...
+            </span>
+          ) : (
+            'Submit Dispute'
+          )}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,178 @@
+/**
+ * Evidence Submission Form
+ * Lets either party attach encrypted evidence items to a dispute during its evidence window
+ */
+
+import { useState } from 'react';
+import { useFhevm } from '@fhevm/sdk';
+
+interface EvidenceFormProps {
+  account: string;
+}
+
+interface EvidenceItem {
+  submitter: string;
+  documentHash: string;
+  claimedAmount: string;
+  submittedAt: bigint;
+}
+
+export default function EvidenceForm({ account }: EvidenceFormProps) {
+  const { createEncryptedInput, getContract } = useFhevm();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [items, setItems] = useState<EvidenceItem[]>([]);
+  const [evidenceDeadline, setEvidenceDeadline] = useState<bigint>(0n);
+  const [formData, setFormData] = useState({
+    disputeId: '',
+    documentHash: '',
+    claimedAmount: ''
+  });
+
+  const contractAddress = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS || '';
+  const contractABI = [
+    'function submitEvidence(uint256 disputeId, bytes32 encryptedDocumentHash, bytes32 encryptedClaimedAmount, bytes inputProof) external',
+    'function getEvidence(uint256 disputeId) external view returns (uint256 evidenceDeadline, tuple(address submitter, bytes32 documentHash, bytes32 claimedAmount, uint256 submittedAt)[] items)',
+    'event EvidenceSubmitted(uint256 indexed disputeId, address indexed submitter, uint256 index)'
+  ];
+
+  const loadEvidence = async (disputeId: string) => {
+    if (!contractAddress || !disputeId) return;
+
+    try {
+      const contract = getContract(contractAddress, contractABI);
+      const evidence = await contract.getEvidence(Number(disputeId));
+      setEvidenceDeadline(evidence.evidenceDeadline);
+      setItems(evidence.items);
+    } catch (error) {
+      console.error('Error loading evidence:', error);
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!contractAddress) {
+      alert('Contract address not configured');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      // Encrypt the document hash and claimed amount together; the shared proof covers both handles
+      const encrypted = await createEncryptedInput(contractAddress, account)
+        .add32(Number(formData.documentHash))
+        .add64(BigInt(formData.claimedAmount || '0'))
+        .encrypt();
+
+      const contract = getContract(contractAddress, contractABI);
+
+      const tx = await contract.submitEvidence(
+        Number(formData.disputeId),
+        encrypted.handles[0],
+        encrypted.handles[1],
+        encrypted.inputProof
+      );
+
+      console.log('Evidence transaction sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('Evidence confirmed:', receipt.hash);
+
+      alert('Evidence submitted successfully!');
+
+      setFormData({ ...formData, documentHash: '', claimedAmount: '' });
+      await loadEvidence(formData.disputeId);
+    } catch (error) {
+      console.error('Error submitting evidence:', error);
+      alert('Failed to submit evidence');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-xl p-6">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">Submit Evidence</h2>
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div>
+          <label htmlFor="evidenceDisputeId" className="block text-sm font-medium text-gray-700 mb-2">
+            Dispute ID
+          </label>
+          <input
+            type="number"
+            id="evidenceDisputeId"
+            value={formData.disputeId}
+            onChange={(e) => setFormData({ ...formData, disputeId: e.target.value })}
+            onBlur={(e) => loadEvidence(e.target.value)}
+            required
+            min="1"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            placeholder="Dispute you are a party to"
+          />
+        </div>
+
+        <div>
+          <label htmlFor="documentHash" className="block text-sm font-medium text-gray-700 mb-2">
+            Document Hash (Encrypted) 🔒
+          </label>
+          <input
+            type="number"
+            id="documentHash"
+            value={formData.documentHash}
+            onChange={(e) => setFormData({ ...formData, documentHash: e.target.value })}
+            required
+            min="0"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            placeholder="Numeric hash of the document"
+          />
+        </div>
+
+        <div>
+          <label htmlFor="claimedAmount" className="block text-sm font-medium text-gray-700 mb-2">
+            Claimed Amount (Encrypted, Optional) 🔒
+          </label>
+          <input
+            type="number"
+            id="claimedAmount"
+            value={formData.claimedAmount}
+            onChange={(e) => setFormData({ ...formData, claimedAmount: e.target.value })}
+            min="0"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            placeholder="Amount claimed by this item"
+          />
+          <p className="mt-2 text-sm text-gray-500">
+            Both values are readable by the parties, and by the arbitrators once the panel is seated
+          </p>
+        </div>
+
+        {formData.disputeId && (
+          <div className="bg-gray-50 rounded-lg p-4 text-sm text-gray-700">
+            <p className="mb-2">
+              {evidenceDeadline > 0n
+                ? `Evidence window closes ${new Date(Number(evidenceDeadline) * 1000).toLocaleString()}`
+                : 'Evidence window stays open until the defendant responds'}
+            </p>
+            <ul className="space-y-1">
+              {items.map((item, i) => (
+                <li key={i}>
+                  #{i} {item.submitter === account ? 'You' : item.submitter.substring(0, 10) + '...'},{' '}
+                  {new Date(Number(item.submittedAt) * 1000).toLocaleString()} 🔒
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={isSubmitting || !contractAddress}
+          className="w-full bg-primary-600 hover:bg-primary-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSubmitting ? 'Submitting...' : 'Submit Evidence'}
+        </button>
+      </form>
+    </div>
+  );
+}
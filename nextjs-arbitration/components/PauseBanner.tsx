@@ -0,0 +1,55 @@
+/**
+ * Emergency Pause Banner
+ * Warns that the platform is paused: new disputes, arbitrator assignment and voting are blocked
+ */
+
+import { useState, useEffect } from 'react';
+import { useFhevm } from '@fhevm/sdk';
+
+interface PauseBannerProps {
+  account: string;
+}
+
+export default function PauseBanner({ account }: PauseBannerProps) {
+  const { getContract } = useFhevm();
+  const [pausedSince, setPausedSince] = useState<Date | null>(null);
+
+  const contractAddress = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS || '';
+  const contractABI = [
+    'function getPauseStatus() external view returns (bool paused, uint256 since)',
+    'event Paused(address indexed account)',
+    'event Unpaused(address indexed account)'
+  ];
+
+  useEffect(() => {
+    loadPauseStatus();
+  }, [account]);
+
+  const loadPauseStatus = async () => {
+    if (!contractAddress || !account) return;
+
+    try {
+      const contract = getContract(contractAddress, contractABI);
+      const [paused, since] = await contract.getPauseStatus();
+      setPausedSince(paused ? new Date(Number(since) * 1000) : null);
+    } catch (error) {
+      console.error('Error loading pause status:', error);
+    }
+  };
+
+  if (!pausedSince) {
+    return null;
+  }
+
+  return (
+    <div className="bg-red-50 border border-red-300 rounded-lg p-4 mb-8">
+      <h3 className="font-semibold text-red-800">
+        🛑 Platform paused since {pausedSince.toLocaleString()}
+      </h3>
+      <p className="text-sm text-red-700 mt-1">
+        New disputes, arbitrator assignment and voting are blocked until the platform is unpaused.
+        Refunds, timeouts, settlements, appeals and withdrawals remain available.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+/**
+ * Reveal My Data
+ * Lets a party, seated arbitrator or auditor decrypt a dispute's stake and evidence
+ * hashes for themselves, through a user decryption signed with their wallet
+ */
+
+import { useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import { useFhevm } from '@fhevm/sdk';
+
+interface RevealDataProps {
+  account: string;
+}
+
+interface RevealedData {
+  stake: string;
+  evidenceHash: string;
+  counterEvidence: string | null;
+}
+
+// Days the signed decryption request stays valid
+const DURATION_DAYS = 1;
+
+export default function RevealData({ account }: RevealDataProps) {
+  const { client, getContract } = useFhevm();
+  const [isRevealing, setIsRevealing] = useState(false);
+  const [disputeId, setDisputeId] = useState('');
+  const [revealed, setRevealed] = useState<RevealedData | null>(null);
+
+  // Cleartexts belong to the wallet that decrypted them; drop them when it changes
+  useEffect(() => {
+    setRevealed(null);
+  }, [account]);
+
+  const contractAddress = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS || '';
+  const contractABI = [
+    'function getDisputeHandles(uint256 disputeId) external view returns (bytes32 stake, bytes32 evidenceHash, bytes32 counterEvidence)',
+    'function getDisputeToken(uint256 disputeId) external view returns (address)'
+  ];
+
+  // Stakes are encrypted to at most 9 decimals (gwei for ETH), see DisputeForm
+  const stakeDecimals = async (disputeId: string) => {
+    const contract = getContract(contractAddress, contractABI);
+    const token = await contract.getDisputeToken(Number(disputeId));
+    if (token === ethers.ZeroAddress) return { symbol: 'ETH', decimals: 9 };
+
+    const erc20 = getContract(token, [
+      'function symbol() external view returns (string)',
+      'function decimals() external view returns (uint8)'
+    ]);
+    const [symbol, decimals] = await Promise.all([erc20.symbol(), erc20.decimals()]);
+    return { symbol, decimals: Math.min(Number(decimals), 9) };
+  };
+
+  const handleReveal = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!contractAddress) {
+      alert('Contract address not configured');
+      return;
+    }
+
+    setIsRevealing(true);
+    setRevealed(null);
+
+    try {
+      const contract = getContract(contractAddress, contractABI);
+      const { stake, evidenceHash, counterEvidence } = await contract.getDisputeHandles(Number(disputeId));
+      const hasCounterEvidence = counterEvidence !== ethers.ZeroHash;
+
+      const handles = [stake, evidenceHash, ...(hasCounterEvidence ? [counterEvidence] : [])]
+        .map((handle: string) => ({ handle, contractAddress }));
+
+      // Throwaway keypair: the KMS re-encrypts the values under its public key,
+      // and only this browser holds the private key to read them
+      const { publicKey, privateKey } = client.generateKeypair();
+      const startTimestamp = Math.floor(Date.now() / 1000);
+
+      // The wallet signs which contract the keypair may decrypt for, and for how long
+      const eip712 = client.createEIP712(publicKey, [contractAddress], startTimestamp, DURATION_DAYS);
+      const signer = await new ethers.BrowserProvider(window.ethereum).getSigner();
+      const signature = await signer.signTypedData(
+        eip712.domain,
+        { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+        eip712.message
+      );
+
+      const values = await client.userDecrypt(
+        handles,
+        privateKey,
+        publicKey,
+        signature.replace('0x', ''),
+        [contractAddress],
+        account,
+        startTimestamp,
+        DURATION_DAYS
+      );
+
+      const { symbol, decimals } = await stakeDecimals(disputeId);
+      setRevealed({
+        stake: `${ethers.formatUnits(values[stake], decimals)} ${symbol}`,
+        evidenceHash: values[evidenceHash].toString(),
+        counterEvidence: hasCounterEvidence ? values[counterEvidence].toString() : null
+      });
+    } catch (error) {
+      console.error('Error revealing dispute data:', error);
+      alert('Failed to reveal data. Only the parties, the seated arbitrators and granted auditors can decrypt it.');
+    } finally {
+      setIsRevealing(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-xl p-6">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">Reveal My Data</h2>
+
+      <form onSubmit={handleReveal} className="space-y-6">
+        <div>
+          <label htmlFor="revealDisputeId" className="block text-sm font-medium text-gray-700 mb-2">
+            Dispute ID
+          </label>
+          <input
+            type="number"
+            id="revealDisputeId"
+            value={disputeId}
+            onChange={(e) => {
+              setDisputeId(e.target.value);
+              setRevealed(null);
+            }}
+            required
+            min="1"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            placeholder="Dispute you have access to"
+          />
+          <p className="mt-2 text-sm text-gray-500">
+            Your wallet signs a decryption request; the values are decrypted in this browser and never sent on-chain
+          </p>
+        </div>
+
+        {revealed && (
+          <div className="bg-gray-50 rounded-lg p-4 text-sm text-gray-700 space-y-1">
+            <p>🔓 Encrypted stake: {revealed.stake}</p>
+            <p>🔓 Opening evidence hash: {revealed.evidenceHash}</p>
+            <p>🔓 Counter-evidence hash: {revealed.counterEvidence ?? 'none given'}</p>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={isRevealing || !contractAddress}
+          className="w-full bg-primary-600 hover:bg-primary-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isRevealing ? 'Decrypting...' : 'Reveal My Data'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+/**
+ * Mutual Settlement Form
+ * Lets either party propose a split of the escrow and the other party accept it before a verdict
+ */
+
+import { useState } from 'react';
+import { useFhevm } from '@fhevm/sdk';
+
+interface SettlementFormProps {
+  account: string;
+}
+
+interface SettlementOffer {
+  proposer: string;
+  plaintiffShareBps: bigint;
+  proposedAt: bigint;
+  accepted: boolean;
+}
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+export default function SettlementForm({ account }: SettlementFormProps) {
+  const { getContract } = useFhevm();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [offer, setOffer] = useState<SettlementOffer | null>(null);
+  const [formData, setFormData] = useState({
+    disputeId: '',
+    plaintiffShare: ''
+  });
+
+  const contractAddress = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS || '';
+  const contractABI = [
+    'function proposeSettlement(uint256 disputeId, uint256 plaintiffShareBps) external',
+    'function acceptSettlement(uint256 disputeId, uint256 plaintiffShareBps) external',
+    'function getSettlementOffer(uint256 disputeId) external view returns (address proposer, uint256 plaintiffShareBps, uint256 proposedAt, bool accepted)',
+    'event SettlementProposed(uint256 indexed disputeId, address indexed proposer, uint256 plaintiffShareBps)',
+    'event DisputeSettled(uint256 indexed disputeId, uint256 plaintiffAmount, uint256 defendantAmount, uint256 arbitratorFees)'
+  ];
+
+  const loadOffer = async (disputeId: string) => {
+    if (!contractAddress || !disputeId) return;
+
+    try {
+      const contract = getContract(contractAddress, contractABI);
+      setOffer(await contract.getSettlementOffer(Number(disputeId)));
+    } catch (error) {
+      console.error('Error loading settlement offer:', error);
+    }
+  };
+
+  // The other party's offer, if one is waiting for this account
+  const pendingOffer =
+    offer && offer.proposer !== ZERO_ADDRESS && !offer.accepted && offer.proposer.toLowerCase() !== account.toLowerCase()
+      ? offer
+      : null;
+
+  const handlePropose = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!contractAddress) {
+      alert('Contract address not configured');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const contract = getContract(contractAddress, contractABI);
+
+      const tx = await contract.proposeSettlement(
+        Number(formData.disputeId),
+        Math.round(Number(formData.plaintiffShare) * 100)
+      );
+
+      console.log('Settlement offer sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('Settlement offer confirmed:', receipt.hash);
+
+      alert('Settlement offer recorded! The other party can now accept it.');
+      await loadOffer(formData.disputeId);
+    } catch (error) {
+      console.error('Error proposing settlement:', error);
+      alert('Failed to propose settlement');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleAccept = async () => {
+    if (!pendingOffer) return;
+
+    setIsSubmitting(true);
+
+    try {
+      const contract = getContract(contractAddress, contractABI);
+
+      // Restate the offered split so a last-minute re-proposal cannot change the terms
+      const tx = await contract.acceptSettlement(Number(formData.disputeId), pendingOffer.plaintiffShareBps);
+
+      console.log('Settlement acceptance sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('Dispute settled:', receipt.hash);
+
+      alert('Dispute settled! Your share is ready to withdraw.');
+      await loadOffer(formData.disputeId);
+    } catch (error) {
+      console.error('Error accepting settlement:', error);
+      alert('Failed to accept settlement');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-xl p-6">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">Settle Dispute</h2>
+
+      <form onSubmit={handlePropose} className="space-y-6">
+        <div>
+          <label htmlFor="settlementDisputeId" className="block text-sm font-medium text-gray-700 mb-2">
+            Dispute ID
+          </label>
+          <input
+            type="number"
+            id="settlementDisputeId"
+            value={formData.disputeId}
+            onChange={(e) => setFormData({ ...formData, disputeId: e.target.value })}
+            onBlur={(e) => loadOffer(e.target.value)}
+            required
+            min="1"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            placeholder="Dispute you are a party to"
+          />
+        </div>
+
+        <div>
+          <label htmlFor="plaintiffShare" className="block text-sm font-medium text-gray-700 mb-2">
+            Plaintiff Share (%)
+          </label>
+          <input
+            type="number"
+            id="plaintiffShare"
+            value={formData.plaintiffShare}
+            onChange={(e) => setFormData({ ...formData, plaintiffShare: e.target.value })}
+            required
+            min="0"
+            max="100"
+            step="0.01"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            placeholder="e.g. 60"
+          />
+          <p className="mt-2 text-sm text-gray-500">
+            Share of the escrow left after arbitrator fees; the defendant receives the rest
+          </p>
+        </div>
+
+        {pendingOffer && (
+          <div className="bg-gray-50 rounded-lg p-4 text-sm text-gray-700">
+            <p className="mb-2">
+              The other party offers the plaintiff {Number(pendingOffer.plaintiffShareBps) / 100}% of the escrow,
+              proposed {new Date(Number(pendingOffer.proposedAt) * 1000).toLocaleString()}
+            </p>
+            <button
+              type="button"
+              onClick={handleAccept}
+              disabled={isSubmitting}
+              className="w-full bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-6 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSubmitting ? 'Settling...' : 'Accept Offer'}
+            </button>
+          </div>
+        )}
+
+        {offer?.accepted && (
+          <p className="text-sm text-green-700">
+            This dispute was settled with a plaintiff share of {Number(offer.plaintiffShareBps) / 100}%
+          </p>
+        )}
+
+        <button
+          type="submit"
+          disabled={isSubmitting || !contractAddress}
+          className="w-full bg-primary-600 hover:bg-primary-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSubmitting ? 'Submitting...' : 'Propose Settlement'}
+        </button>
+      </form>
+    </div>
+  );
+}
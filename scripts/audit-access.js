@@ -0,0 +1,107 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { readAccessList, checkEvidenceAccess } = require("./lib/access");
+
+// ACTION is one of status (default) or grant
+const ACTIONS = ["status", "grant"];
+
+// Parties, every arbitrator ever seated and the auditors with their granter
+async function printAccessList(platform, disputeId) {
+  const { parties, arbitrators, auditors } = await readAccessList(platform, disputeId);
+
+  console.log(`🔐 Access to the stake and evidence of dispute ${disputeId}:`);
+  console.log(`   Plaintiff:  ${parties[0]}`);
+  console.log(`   Defendant:  ${parties[1]}`);
+  if (arbitrators.length === 0) {
+    console.log("   Arbitrators: none seated yet");
+  } else {
+    console.log(`   Arbitrators (${arbitrators.length}, every panel member ever seated):`);
+    arbitrators.forEach((arbitrator) => console.log(`     - ${arbitrator}`));
+  }
+  if (auditors.length === 0) {
+    console.log("   Auditors:   none granted\n");
+  } else {
+    console.log(`   Auditors (${auditors.length}/${await platform.MAX_AUDITORS()}):`);
+    for (const { auditor, grantedBy, timestamp } of auditors) {
+      const party = grantedBy === parties[0] ? "plaintiff" : "defendant";
+      console.log(`     - ${auditor} (granted by the ${party} on ${timestamp.toISOString()})`);
+    }
+    console.log();
+  }
+}
+
+async function main() {
+  console.log("\n========================================");
+  console.log("Dispute Access Audit");
+  console.log("========================================\n");
+
+  // Get network information
+  const network = await hre.ethers.provider.getNetwork();
+  console.log(`📡 Network: ${network.name}`);
+  console.log(`🔗 Chain ID: ${network.chainId}\n`);
+
+  // Load contract address
+  const deploymentFile = path.join(__dirname, "..", "deployments", `${hre.network.name}_deployment.json`);
+  const contractAddress = process.env.PLATFORM_ADDRESS ||
+    (fs.existsSync(deploymentFile) && JSON.parse(fs.readFileSync(deploymentFile, "utf8")).contractAddress);
+
+  if (!contractAddress) {
+    console.log("❌ Deployment file not found. Please deploy first or set PLATFORM_ADDRESS.");
+    process.exit(1);
+  }
+
+  const platform = await hre.ethers.getContractAt("AnonymousArbitrationPlatform", contractAddress);
+  const [signer] = await hre.ethers.getSigners();
+  const action = (process.env.ACTION || "status").toLowerCase();
+  const disputeId = process.env.DISPUTE_ID;
+
+  console.log(`📍 Contract Address: ${contractAddress}`);
+  console.log(`👤 Signer Address: ${signer.address}\n`);
+
+  if (!ACTIONS.includes(action)) {
+    console.log(`❌ Unknown ACTION "${action}". Use one of: ${ACTIONS.join(", ")}`);
+    process.exit(1);
+  }
+  if (!disputeId) {
+    console.log("❌ Set DISPUTE_ID to the dispute to audit.");
+    process.exit(1);
+  }
+
+  if (action === "grant") {
+    const auditor = process.env.AUDITOR;
+    if (!auditor || !hre.ethers.isAddress(auditor)) {
+      console.log("❌ Set AUDITOR to the address to grant access to.");
+      process.exit(1);
+    }
+
+    console.log(`🔑 Granting ${auditor} access to dispute ${disputeId}...`);
+    console.log("   Access covers the stake and every evidence item, and cannot be revoked");
+    const tx = await platform.connect(signer).grantAuditorAccess(disputeId, auditor);
+    const receipt = await tx.wait();
+    console.log(`✅ Done (Hash: ${receipt.hash.substring(0, 10)}...)\n`);
+  }
+
+  await printAccessList(platform, disputeId);
+
+  // AUDIT_ACCOUNT checks one address against the ACL, handle by handle
+  const account = process.env.AUDIT_ACCOUNT;
+  if (account) {
+    console.log(`🔎 ACL check for ${account}:`);
+    for (const { index, field, allowed } of await checkEvidenceAccess(platform, disputeId, account)) {
+      console.log(`   ${allowed ? "✅" : "🚫"} Evidence #${index} ${field}`);
+    }
+    console.log();
+  }
+}
+
+// Execute access audit
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("\n❌ Access audit failed:");
+    console.error(error);
+    process.exit(1);
+  });
+
+module.exports = main;
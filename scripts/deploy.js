@@ -1,128 +1,220 @@
-const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
-
-async function main() {
-  console.log("\n========================================");
-  console.log("Anonymous Arbitration Platform Deployment");
-  console.log("========================================\n");
-
-  // Get network information
-  const network = await hre.ethers.provider.getNetwork();
-  console.log(`📡 Network: ${network.name}`);
-  console.log(`🔗 Chain ID: ${network.chainId}\n`);
-
-  // Get deployer account
-  const [deployer] = await hre.ethers.getSigners();
-  console.log(`👤 Deployer Address: ${deployer.address}`);
-
-  // Get balance
-  const balance = await hre.ethers.provider.getBalance(deployer.address);
-  console.log(`💰 Deployer Balance: ${hre.ethers.formatEther(balance)} ETH\n`);
-
-  // Check if sufficient balance
-  if (balance < hre.ethers.parseEther("0.01")) {
-    console.log("⚠️  Warning: Low balance. Deployment may fail.\n");
-  }
-
-  console.log("🚀 Starting deployment...\n");
-
-  // Deploy AnonymousArbitrationPlatform contract
-  console.log("📝 Deploying AnonymousArbitrationPlatform contract...");
-  const AnonymousArbitrationPlatform = await hre.ethers.getContractFactory("AnonymousArbitrationPlatform");
-
-  const startTime = Date.now();
-  const platform = await AnonymousArbitrationPlatform.deploy();
-
-  await platform.waitForDeployment();
-  const endTime = Date.now();
-
-  const contractAddress = await platform.getAddress();
-
-  console.log("✅ Contract deployed successfully!\n");
-  console.log("========================================");
-  console.log("📋 Deployment Summary");
-  console.log("========================================");
-  console.log(`📍 Contract Address: ${contractAddress}`);
-  console.log(`🌐 Network: ${network.name} (Chain ID: ${network.chainId})`);
-  console.log(`⏱️  Deployment Time: ${((endTime - startTime) / 1000).toFixed(2)}s`);
-  console.log(`🔗 Transaction Hash: ${platform.deploymentTransaction().hash}`);
-
-  // Wait for confirmations on live networks
-  if (network.chainId !== 31337n) {
-    console.log("\n⏳ Waiting for block confirmations...");
-    await platform.deploymentTransaction().wait(5);
-    console.log("✅ 5 block confirmations received");
-  }
-
-  // Get contract owner
-  const owner = await platform.owner();
-  console.log(`\n👑 Contract Owner: ${owner}`);
-
-  // Save deployment information
-  const deploymentInfo = {
-    network: network.name,
-    chainId: Number(network.chainId),
-    contractAddress: contractAddress,
-    deployer: deployer.address,
-    deploymentTime: new Date().toISOString(),
-    transactionHash: platform.deploymentTransaction().hash,
-    blockNumber: platform.deploymentTransaction().blockNumber,
-    gasUsed: platform.deploymentTransaction().gasLimit.toString(),
-    owner: owner
-  };
-
-  // Create deployments directory if it doesn't exist
-  const deploymentsDir = path.join(__dirname, "..", "deployments");
-  if (!fs.existsSync(deploymentsDir)) {
-    fs.mkdirSync(deploymentsDir);
-  }
-
-  // Save deployment info to file
-  const deploymentFile = path.join(deploymentsDir, `${network.name}_deployment.json`);
-  fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
-  console.log(`\n💾 Deployment info saved to: ${deploymentFile}`);
-
-  // Etherscan verification instructions
-  if (network.chainId !== 31337n) {
-    console.log("\n========================================");
-    console.log("📝 Etherscan Verification");
-    console.log("========================================");
-    console.log("To verify the contract on Etherscan, run:");
-    console.log(`\nnpx hardhat verify --network ${network.name} ${contractAddress}\n`);
-    console.log("Or use the verification script:");
-    console.log(`\nnpm run verify:${network.name}\n`);
-  }
-
-  // Contract interaction examples
-  console.log("========================================");
-  console.log("📚 Quick Start Guide");
-  console.log("========================================");
-  console.log("\n1️⃣  To interact with the contract:");
-  console.log(`   npm run interact${network.chainId !== 31337n ? ':' + network.name : ''}\n`);
-  console.log("2️⃣  To run simulations:");
-  console.log(`   npm run simulate${network.chainId !== 31337n ? ':' + network.name : ''}\n`);
-  console.log("3️⃣  To run tests:");
-  console.log("   npm test\n");
-
-  console.log("========================================");
-  console.log("🎉 Deployment Complete!");
-  console.log("========================================\n");
-
-  return {
-    platform,
-    contractAddress,
-    deploymentInfo
-  };
-}
-
-// Execute deployment
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error("\n❌ Deployment failed:");
-    console.error(error);
-    process.exit(1);
-  });
-
-module.exports = main;
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { getPlatformFactory, deployPlatformProxy } = require("./lib/platform");
+const { readStorageLayout } = require("./lib/storageLayout");
+
+async function main() {
+  console.log("\n========================================");
+  console.log("Anonymous Arbitration Platform Deployment");
+  console.log("========================================\n");
+
+  // Get network information
+  const network = await hre.ethers.provider.getNetwork();
+  console.log(`📡 Network: ${network.name}`);
+  console.log(`🔗 Chain ID: ${network.chainId}\n`);
+
+  // Get deployer account
+  const [deployer] = await hre.ethers.getSigners();
+  console.log(`👤 Deployer Address: ${deployer.address}`);
+
+  // Get balance
+  const balance = await hre.ethers.provider.getBalance(deployer.address);
+  console.log(`💰 Deployer Balance: ${hre.ethers.formatEther(balance)} ETH\n`);
+
+  // Check if sufficient balance
+  if (balance < hre.ethers.parseEther("0.01")) {
+    console.log("⚠️  Warning: Low balance. Deployment may fail.\n");
+  }
+
+  // UPGRADEABLE=true puts the platform behind a proxy that scripts/upgrade.js can upgrade
+  const upgradeable = process.env.UPGRADEABLE === "true";
+  console.log(`🚀 Starting ${upgradeable ? "upgradeable " : ""}deployment...\n`);
+
+  const startTime = Date.now();
+  let platform, libraries, deploymentTx, proxyInfo;
+  if (upgradeable) {
+    console.log("📝 Deploying linked libraries, AnonymousArbitrationPlatform implementation and PlatformProxy...");
+    const deployment = await deployPlatformProxy(hre, {
+      signer: deployer,
+      adminOwner: process.env.PROXY_ADMIN_OWNER
+    });
+    ({ platform, libraries } = deployment);
+    deploymentTx = deployment.proxy.deploymentTransaction();
+    proxyInfo = {
+      kind: "transparent",
+      admin: deployment.admin,
+      adminOwner: process.env.PROXY_ADMIN_OWNER || deployer.address,
+      implementation: await deployment.implementation.getAddress()
+    };
+    Object.entries(libraries).forEach(([name, address]) => console.log(`   ${name}: ${address}`));
+    console.log(`   Implementation: ${proxyInfo.implementation}`);
+    console.log(`   ProxyAdmin: ${proxyInfo.admin} (owner ${proxyInfo.adminOwner})`);
+  } else {
+    // Deploy the linked libraries, then the platform
+    console.log("📚 Deploying linked libraries...");
+    const { factory: AnonymousArbitrationPlatform, libraries: linked } = await getPlatformFactory(hre);
+    libraries = linked;
+    Object.entries(libraries).forEach(([name, address]) => console.log(`   ${name}: ${address}`));
+
+    console.log("\n📝 Deploying AnonymousArbitrationPlatform contract...");
+    platform = await AnonymousArbitrationPlatform.deploy();
+    await platform.waitForDeployment();
+    deploymentTx = platform.deploymentTransaction();
+  }
+  const endTime = Date.now();
+
+  const contractAddress = await platform.getAddress();
+
+  console.log("✅ Contract deployed successfully!\n");
+  console.log("========================================");
+  console.log("📋 Deployment Summary");
+  console.log("========================================");
+  console.log(`📍 Contract Address: ${contractAddress}`);
+  console.log(`🌐 Network: ${network.name} (Chain ID: ${network.chainId})`);
+  console.log(`⏱️  Deployment Time: ${((endTime - startTime) / 1000).toFixed(2)}s`);
+  console.log(`🔗 Transaction Hash: ${deploymentTx.hash}`);
+
+  // Wait for confirmations on live networks
+  if (network.chainId !== 31337n) {
+    console.log("\n⏳ Waiting for block confirmations...");
+    await deploymentTx.wait(5);
+    console.log("✅ 5 block confirmations received");
+  }
+
+  // Get contract owner
+  const owner = await platform.owner();
+  console.log(`\n👑 Contract Owner: ${owner}`);
+
+  // Configure the randomness source for arbitrator selection
+  let randomnessCoordinator = process.env.RANDOMNESS_COORDINATOR;
+  if (!randomnessCoordinator && network.chainId === 31337n) {
+    console.log("\n📝 Deploying MockRandomnessCoordinator...");
+    const Coordinator = await hre.ethers.getContractFactory("MockRandomnessCoordinator");
+    const coordinator = await Coordinator.deploy();
+    await coordinator.waitForDeployment();
+    randomnessCoordinator = await coordinator.getAddress();
+  }
+
+  if (randomnessCoordinator) {
+    const tx = await platform.setRandomnessCoordinator(randomnessCoordinator);
+    await tx.wait();
+    console.log(`🎲 Randomness Coordinator: ${randomnessCoordinator}`);
+  } else {
+    console.log("⚠️  RANDOMNESS_COORDINATOR not set - call setRandomnessCoordinator() before assigning arbitrators");
+  }
+
+  // Route platform fees to a dedicated treasury if one is configured
+  if (process.env.TREASURY_ADDRESS) {
+    const tx = await platform.setTreasury(process.env.TREASURY_ADDRESS);
+    await tx.wait();
+  }
+  const [treasury, arbitratorFeeBps, platformFeeBps] = await Promise.all([
+    platform.treasury(),
+    platform.arbitratorFeeBps(),
+    platform.platformFeeBps()
+  ]);
+  console.log(`🏦 Treasury: ${treasury}`);
+  console.log(`💸 Fees: ${Number(arbitratorFeeBps) / 100}% arbitrators, ${Number(platformFeeBps) / 100}% platform`);
+
+  // Allowlist an ERC-20 stake token; locally a mintable mock is deployed
+  let stakeToken = process.env.STAKE_TOKEN;
+  if (!stakeToken && network.chainId === 31337n) {
+    console.log("\n📝 Deploying MockERC20 stake token...");
+    const Token = await hre.ethers.getContractFactory("MockERC20");
+    const token = await Token.deploy("Test Stake Token", "TST");
+    await token.waitForDeployment();
+    stakeToken = await token.getAddress();
+  }
+
+  if (stakeToken) {
+    const minStake = BigInt(process.env.STAKE_TOKEN_MIN_STAKE || hre.ethers.parseUnits("10", 18));
+    const tx = await platform.setStakeToken(stakeToken, minStake);
+    await tx.wait();
+    console.log(`🪙 Stake Token: ${stakeToken} (minimum ${minStake} base units)`);
+  }
+
+  // Save deployment information
+  const deploymentInfo = {
+    network: network.name,
+    chainId: Number(network.chainId),
+    contractAddress: contractAddress,
+    deployer: deployer.address,
+    deploymentTime: new Date().toISOString(),
+    transactionHash: deploymentTx.hash,
+    blockNumber: deploymentTx.blockNumber,
+    gasUsed: deploymentTx.gasLimit.toString(),
+    owner: owner,
+    randomnessCoordinator: randomnessCoordinator || null,
+    stakeToken: stakeToken || null,
+    libraries: libraries
+  };
+
+  // Proxy deployments keep every implementation with the storage layout the next upgrade is checked against
+  if (proxyInfo) {
+    deploymentInfo.proxy = proxyInfo;
+    deploymentInfo.implementations = [{
+      version: 1,
+      address: proxyInfo.implementation,
+      libraries,
+      deploymentTime: deploymentInfo.deploymentTime,
+      transactionHash: deploymentTx.hash,
+      blockNumber: deploymentTx.blockNumber,
+      storageLayout: await readStorageLayout(hre)
+    }];
+  }
+
+  // Create deployments directory if it doesn't exist
+  const deploymentsDir = path.join(__dirname, "..", "deployments");
+  if (!fs.existsSync(deploymentsDir)) {
+    fs.mkdirSync(deploymentsDir);
+  }
+
+  // Save deployment info to file
+  const deploymentFile = path.join(deploymentsDir, `${network.name}_deployment.json`);
+  fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
+  console.log(`\n💾 Deployment info saved to: ${deploymentFile}`);
+
+  // Etherscan verification instructions
+  if (network.chainId !== 31337n) {
+    console.log("\n========================================");
+    console.log("📝 Etherscan Verification");
+    console.log("========================================");
+    console.log("To verify the contract on Etherscan, run:");
+    console.log(`\nnpx hardhat verify --network ${network.name} ${proxyInfo ? proxyInfo.implementation : contractAddress}\n`);
+    console.log("Or use the verification script:");
+    console.log(`\nnpm run verify:${network.name}\n`);
+  }
+
+  // Contract interaction examples
+  console.log("========================================");
+  console.log("📚 Quick Start Guide");
+  console.log("========================================");
+  console.log("\n1️⃣  To interact with the contract:");
+  console.log(`   npm run interact${network.chainId !== 31337n ? ':' + network.name : ''}\n`);
+  console.log("2️⃣  To run simulations:");
+  console.log(`   npm run simulate${network.chainId !== 31337n ? ':' + network.name : ''}\n`);
+  console.log("3️⃣  To run tests:");
+  console.log("   npm test\n");
+
+  console.log("========================================");
+  console.log("🎉 Deployment Complete!");
+  console.log("========================================\n");
+
+  return {
+    platform,
+    contractAddress,
+    deploymentInfo
+  };
+}
+
+// Execute deployment
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Deployment failed:");
+    console.error(error);
+    process.exit(1);
+  });
+
+module.exports = main;
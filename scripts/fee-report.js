@@ -0,0 +1,94 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { summarizeFees } = require("./lib/fees");
+const { ETH, readTokenInfo, formatStake } = require("./lib/tokens");
+
+async function main() {
+  console.log("\n========================================");
+  console.log("Arbitration Fee Report");
+  console.log("========================================\n");
+
+  // Get network information
+  const network = await hre.ethers.provider.getNetwork();
+  console.log(`📡 Network: ${network.name}`);
+  console.log(`🔗 Chain ID: ${network.chainId}\n`);
+
+  // Load contract address
+  const deploymentFile = path.join(__dirname, "..", "deployments", `${hre.network.name}_deployment.json`);
+  const deployment = fs.existsSync(deploymentFile) && JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+  const contractAddress = process.env.PLATFORM_ADDRESS || (deployment && deployment.contractAddress);
+
+  if (!contractAddress) {
+    console.log("❌ Deployment file not found. Please deploy first or set PLATFORM_ADDRESS.");
+    process.exit(1);
+  }
+
+  // Block range: FROM_BLOCK defaults to the deployment block, TO_BLOCK to the chain head
+  const latestBlock = await hre.ethers.provider.getBlockNumber();
+  const fromBlock = Number(process.env.FROM_BLOCK || (deployment && deployment.blockNumber) || 0);
+  const toBlock = Number(process.env.TO_BLOCK || latestBlock);
+
+  if (fromBlock > toBlock) {
+    console.log(`❌ FROM_BLOCK (${fromBlock}) is after TO_BLOCK (${toBlock})`);
+    process.exit(1);
+  }
+
+  const platform = await hre.ethers.getContractAt("AnonymousArbitrationPlatform", contractAddress);
+  // TOKEN reports fees from disputes staked in that ERC-20 instead of ETH
+  const token = process.env.TOKEN || ETH;
+  const currency = await readTokenInfo(hre.ethers.provider, token);
+  console.log(`📍 Contract Address: ${contractAddress}`);
+  console.log(`🧱 Blocks: ${fromBlock} → ${toBlock}`);
+  console.log(`🪙 Currency: ${currency.symbol}${token === ETH ? "" : ` (${token})`}\n`);
+
+  const [arbitratorFeeBps, platformFeeBps, treasury] = await Promise.all([
+    platform.arbitratorFeeBps(),
+    platform.platformFeeBps(),
+    platform.treasury(),
+  ]);
+  console.log("⚙️  Current Fee Schedule:");
+  console.log(`   Arbitrator Fee: ${Number(arbitratorFeeBps) / 100}% of the escrow`);
+  console.log(`   Platform Fee: ${Number(platformFeeBps) / 100}% of the escrow`);
+  console.log(`   Treasury: ${treasury}\n`);
+
+  const report = await summarizeFees(platform, { fromBlock, toBlock, token });
+  const eth = (amount) => formatStake(amount, currency);
+
+  console.log(`👥 Arbitrator Fees (${report.arbitrators.length} arbitrators):`);
+  if (report.arbitrators.length === 0) {
+    console.log("   No arbitrator fees in range");
+  }
+  report.arbitrators.forEach((entry) => {
+    console.log(`   ${entry.address}  ${eth(entry.amount)}  (${entry.disputes} disputes)`);
+  });
+
+  console.log("\n🏦 Treasury Income:");
+  if (report.treasury.length === 0) {
+    console.log("   No platform fees in range");
+  }
+  report.treasury.forEach((entry) => {
+    console.log(`   ${entry.address}  ${eth(entry.amount)}  (${entry.disputes} disputes)`);
+  });
+
+  console.log("\n📊 Totals:");
+  console.log(`   Disputes Settled With Fees: ${report.disputeIds.length}`);
+  console.log(`   Paid to Arbitrators: ${eth(report.arbitratorTotal)}`);
+  console.log(`   Paid to Treasury: ${eth(report.treasuryTotal)}`);
+  if (token === ETH) {
+    console.log(`   Treasury Income (all time): ${eth(await platform.totalPlatformFees())}\n`);
+  } else {
+    console.log(`   Treasury Balance: ${eth(await platform.getPendingTokenBalance(token, treasury))}\n`);
+  }
+}
+
+// Execute report
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Fee report failed:");
+    console.error(error);
+    process.exit(1);
+  });
+
+module.exports = main;
@@ -1,299 +1,920 @@
-const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
-const readline = require("readline");
-
-// Create readline interface for user input
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-function question(query) {
-  return new Promise((resolve) => rl.question(query, resolve));
-}
-
-async function main() {
-  console.log("\n========================================");
-  console.log("Anonymous Arbitration Platform Interaction");
-  console.log("========================================\n");
-
-  // Get network information
-  const network = await hre.ethers.provider.getNetwork();
-  console.log(`📡 Network: ${network.name}`);
-  console.log(`🔗 Chain ID: ${network.chainId}\n`);
-
-  // Get signer
-  const [signer] = await hre.ethers.getSigners();
-  console.log(`👤 Your Address: ${signer.address}`);
-
-  const balance = await hre.ethers.provider.getBalance(signer.address);
-  console.log(`💰 Your Balance: ${hre.ethers.formatEther(balance)} ETH\n`);
-
-  // Load contract address
-  let contractAddress;
-  const deploymentFile = path.join(__dirname, "..", "deployments", `${network.name}_deployment.json`);
-
-  if (fs.existsSync(deploymentFile)) {
-    const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
-    contractAddress = deploymentInfo.contractAddress;
-    console.log(`📍 Contract Address: ${contractAddress}\n`);
-  } else {
-    contractAddress = await question("Enter contract address: ");
-    console.log("");
-  }
-
-  // Connect to contract
-  const platform = await hre.ethers.getContractAt("AnonymousArbitrationPlatform", contractAddress);
-
-  // Main interaction loop
-  let running = true;
-
-  while (running) {
-    console.log("========================================");
-    console.log("🎯 Choose an action:");
-    console.log("========================================");
-    console.log("1️⃣  Register as Arbitrator");
-    console.log("2️⃣  Create Dispute");
-    console.log("3️⃣  Assign Arbitrators to Dispute");
-    console.log("4️⃣  Submit Vote (as Arbitrator)");
-    console.log("5️⃣  View Dispute Information");
-    console.log("6️⃣  View Arbitrator Profile");
-    console.log("7️⃣  View User Reputation");
-    console.log("8️⃣  View Platform Statistics");
-    console.log("9️⃣  Exit");
-    console.log("========================================\n");
-
-    const choice = await question("Enter your choice (1-9): ");
-    console.log("");
-
-    try {
-      switch (choice.trim()) {
-        case "1":
-          await registerArbitrator(platform);
-          break;
-
-        case "2":
-          await createDispute(platform);
-          break;
-
-        case "3":
-          await assignArbitrators(platform);
-          break;
-
-        case "4":
-          await submitVote(platform);
-          break;
-
-        case "5":
-          await viewDisputeInfo(platform);
-          break;
-
-        case "6":
-          await viewArbitratorProfile(platform);
-          break;
-
-        case "7":
-          await viewUserReputation(platform);
-          break;
-
-        case "8":
-          await viewPlatformStats(platform);
-          break;
-
-        case "9":
-          running = false;
-          console.log("👋 Goodbye!\n");
-          break;
-
-        default:
-          console.log("❌ Invalid choice. Please try again.\n");
-      }
-    } catch (error) {
-      console.log(`\n❌ Error: ${error.message}\n`);
-    }
-  }
-
-  rl.close();
-}
-
-// Register as arbitrator
-async function registerArbitrator(platform) {
-  console.log("\n🔐 Register as Arbitrator");
-  console.log("========================================\n");
-
-  const identityProof = await question("Enter identity proof (number): ");
-
-  console.log("\n⏳ Registering...");
-  const tx = await platform.registerArbitrator(parseInt(identityProof));
-  const receipt = await tx.wait();
-
-  console.log("✅ Registration successful!");
-  console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
-}
-
-// Create a new dispute
-async function createDispute(platform) {
-  console.log("\n📋 Create New Dispute");
-  console.log("========================================\n");
-
-  const defendant = await question("Enter defendant address: ");
-  const stakeAmount = await question("Enter stake amount (number): ");
-  const evidenceHash = await question("Enter evidence hash (number): ");
-  const ethAmount = await question("Enter ETH amount to send (in ETH, min 0.001): ");
-
-  console.log("\n⏳ Creating dispute...");
-  const tx = await platform.createDispute(
-    defendant,
-    parseInt(stakeAmount),
-    parseInt(evidenceHash),
-    {
-      value: hre.ethers.parseEther(ethAmount)
-    }
-  );
-  const receipt = await tx.wait();
-
-  // Get dispute ID from event
-  const event = receipt.logs.find(log => {
-    try {
-      return platform.interface.parseLog(log).name === "DisputeCreated";
-    } catch {
-      return false;
-    }
-  });
-
-  if (event) {
-    const parsedEvent = platform.interface.parseLog(event);
-    console.log(`✅ Dispute created successfully!`);
-    console.log(`🆔 Dispute ID: ${parsedEvent.args.disputeId.toString()}`);
-    console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
-  }
-}
-
-// Assign arbitrators to dispute
-async function assignArbitrators(platform) {
-  console.log("\n👥 Assign Arbitrators");
-  console.log("========================================\n");
-
-  const disputeId = await question("Enter dispute ID: ");
-
-  console.log("\n⏳ Assigning arbitrators...");
-  const tx = await platform.assignArbitrators(parseInt(disputeId));
-  const receipt = await tx.wait();
-
-  console.log("✅ Arbitrators assigned successfully!");
-  console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
-}
-
-// Submit vote as arbitrator
-async function submitVote(platform) {
-  console.log("\n🗳️  Submit Vote");
-  console.log("========================================\n");
-
-  const disputeId = await question("Enter dispute ID: ");
-  console.log("\nVote Options:");
-  console.log("1 - Favor Plaintiff");
-  console.log("2 - Favor Defendant");
-  console.log("3 - Neutral\n");
-
-  const vote = await question("Enter your vote (1-3): ");
-  const justification = await question("Enter justification (number): ");
-
-  console.log("\n⏳ Submitting vote...");
-  const tx = await platform.submitVote(
-    parseInt(disputeId),
-    parseInt(vote),
-    parseInt(justification)
-  );
-  const receipt = await tx.wait();
-
-  console.log("✅ Vote submitted successfully!");
-  console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
-}
-
-// View dispute information
-async function viewDisputeInfo(platform) {
-  console.log("\n📊 Dispute Information");
-  console.log("========================================\n");
-
-  const disputeId = await question("Enter dispute ID: ");
-
-  const info = await platform.getDisputeInfo(parseInt(disputeId));
-
-  const statusNames = ["Created", "InArbitration", "Voting", "Resolved", "Cancelled"];
-
-  console.log("\n📋 Dispute Details:");
-  console.log("========================================");
-  console.log(`Dispute ID: ${disputeId}`);
-  console.log(`Plaintiff: ${info.plaintiff}`);
-  console.log(`Defendant: ${info.defendant}`);
-  console.log(`Status: ${statusNames[info.status]}`);
-  console.log(`Created At: ${new Date(Number(info.createdAt) * 1000).toLocaleString()}`);
-  console.log(`Voting Deadline: ${info.votingDeadline > 0 ? new Date(Number(info.votingDeadline) * 1000).toLocaleString() : "Not set"}`);
-  console.log(`Arbitrators Assigned: ${info.arbitratorCount.toString()}`);
-  console.log(`Decision Revealed: ${info.decisionRevealed ? "Yes" : "No"}`);
-  console.log(`Winner: ${info.winner === hre.ethers.ZeroAddress ? "None" : info.winner}`);
-  console.log("========================================\n");
-}
-
-// View arbitrator profile
-async function viewArbitratorProfile(platform) {
-  console.log("\n👤 Arbitrator Profile");
-  console.log("========================================\n");
-
-  const address = await question("Enter arbitrator address (or press Enter for your address): ");
-  const targetAddress = address.trim() || (await hre.ethers.getSigners())[0].address;
-
-  const info = await platform.getArbitratorInfo(targetAddress);
-
-  console.log("\n📋 Arbitrator Details:");
-  console.log("========================================");
-  console.log(`Address: ${targetAddress}`);
-  console.log(`Active: ${info.isActive ? "Yes" : "No"}`);
-  console.log(`Reputation: ${info.reputation.toString()}`);
-  console.log(`Total Disputes Handled: ${info.totalDisputesHandled.toString()}`);
-  console.log(`Successful Arbitrations: ${info.successfulArbitrations.toString()}`);
-  console.log(`Identity Verified: ${info.identityVerified ? "Yes" : "No"}`);
-  console.log("========================================\n");
-}
-
-// View user reputation
-async function viewUserReputation(platform) {
-  console.log("\n⭐ User Reputation");
-  console.log("========================================\n");
-
-  const address = await question("Enter user address (or press Enter for your address): ");
-  const targetAddress = address.trim() || (await hre.ethers.getSigners())[0].address;
-
-  const reputation = await platform.getUserReputation(targetAddress);
-
-  console.log(`\n📊 Reputation for ${targetAddress}`);
-  console.log(`⭐ Score: ${reputation.toString()}\n`);
-}
-
-// View platform statistics
-async function viewPlatformStats(platform) {
-  console.log("\n📈 Platform Statistics");
-  console.log("========================================\n");
-
-  const disputeCounter = await platform.disputeCounter();
-  const arbitratorPool = await platform.arbitratorPool();
-  const owner = await platform.owner();
-
-  console.log(`Total Disputes Created: ${disputeCounter.toString()}`);
-  console.log(`Active Arbitrators: ${arbitratorPool.toString()}`);
-  console.log(`Platform Owner: ${owner}`);
-  console.log("========================================\n");
-}
-
-// Execute interaction
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error("\n❌ Interaction failed:");
-    console.error(error);
-    rl.close();
-    process.exit(1);
-  });
-
-module.exports = main;
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const {
+  initFhevm,
+  registerArbitratorArgs,
+  createDisputeArgs,
+  respondToDisputeArgs,
+  submitEvidenceArgs,
+  submitVoteArgs
+} = require("./lib/fhevmInputs");
+const { currentPanel, replaceSilentArbitrators } = require("./lib/replacements");
+const { CATEGORIES, categoryIndex, specialisationMask, specialisationNames } = require("./lib/categories");
+const { Parameter, formatParameterValue, readParameters } = require("./lib/parameters");
+const { ROLES, ROLE_DUTIES, roleIndex, readAccess, readPauseStatus } = require("./lib/roles");
+const { ETH, readAllowedTokens, readTokenInfo, formatStake, prepareDeposit } = require("./lib/tokens");
+const { readReputationHistory, decryptConsensusCount } = require("./lib/reputation");
+
+// Create readline interface for user input
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout
+});
+
+function question(query) {
+  return new Promise((resolve) => rl.question(query, resolve));
+}
+
+async function main() {
+  console.log("\n========================================");
+  console.log("Anonymous Arbitration Platform Interaction");
+  console.log("========================================\n");
+
+  // Get network information
+  const network = await hre.ethers.provider.getNetwork();
+  console.log(`📡 Network: ${network.name}`);
+  console.log(`🔗 Chain ID: ${network.chainId}\n`);
+
+  // Get signer
+  const [signer] = await hre.ethers.getSigners();
+  console.log(`👤 Your Address: ${signer.address}`);
+
+  const balance = await hre.ethers.provider.getBalance(signer.address);
+  console.log(`💰 Your Balance: ${hre.ethers.formatEther(balance)} ETH\n`);
+
+  // Load contract address
+  let contractAddress;
+  const deploymentFile = path.join(__dirname, "..", "deployments", `${network.name}_deployment.json`);
+
+  if (fs.existsSync(deploymentFile)) {
+    const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+    contractAddress = deploymentInfo.contractAddress;
+    console.log(`📍 Contract Address: ${contractAddress}\n`);
+  } else {
+    contractAddress = await question("Enter contract address: ");
+    console.log("");
+  }
+
+  // Encrypted inputs need the FHEVM CLI API outside `hardhat test`
+  await initFhevm(hre);
+
+  // Connect to contract
+  const platform = await hre.ethers.getContractAt("AnonymousArbitrationPlatform", contractAddress);
+
+  const pauseStatus = await readPauseStatus(platform);
+  if (pauseStatus.paused) {
+    console.log(`🛑 Platform paused since ${pauseStatus.since.toLocaleString()}`);
+    console.log("   New disputes, panel draws and votes are blocked; refunds and withdrawals stay open\n");
+  }
+
+  // Menu actions, numbered in this order
+  const actions = [
+    { label: "🔐 Register as Arbitrator", run: registerArbitrator },
+    { label: "📋 Create Dispute", run: createDispute },
+    { label: "🛡️  Respond to Dispute (as Defendant)", run: respondToDispute },
+    { label: "📎 Submit Evidence (as Party)", run: submitEvidence },
+    { label: "🤝 Settle Dispute (Propose or Accept)", run: settleDispute },
+    { label: "⚖️  Claim Default Judgment (as Plaintiff)", run: claimDefaultJudgment },
+    { label: "👥 Assign Arbitrators to Dispute", run: assignArbitrators },
+    { label: "🗳️  Submit Vote (as Arbitrator)", run: submitVote },
+    { label: "🔄 Replace Non-Responsive Arbitrators", run: replaceArbitrators },
+    { label: "⚔️  Manage Conflicts of Interest", run: manageConflicts },
+    { label: "🔁 File Appeal (as Losing Party)", run: fileAppeal },
+    { label: "🔓 Release Escrow", run: releaseEscrow },
+    { label: "💸 Withdraw Balance", run: withdrawBalance },
+    { label: "🏦 Withdraw Arbitrator Bond", run: withdrawBond },
+    { label: "🛡️  Manage Ownership and Roles", run: manageAccess },
+    { label: "📊 View Dispute Information", run: viewDisputeInfo },
+    { label: "👤 View Arbitrator Profile", run: viewArbitratorProfile },
+    { label: "⭐ View User Reputation", run: viewUserReputation },
+    { label: "📈 View Platform Statistics", run: viewPlatformStats },
+    { label: "📇 List Arbitrators", run: listArbitrators }
+  ];
+
+  // Main interaction loop
+  let running = true;
+
+  while (running) {
+    console.log("========================================");
+    console.log("🎯 Choose an action:");
+    console.log("========================================");
+    actions.forEach((action, i) => console.log(`${String(i + 1).padStart(2)}. ${action.label}`));
+    console.log(" 0. 👋 Exit");
+    console.log("========================================\n");
+
+    const choice = await question(`Enter your choice (0-${actions.length}): `);
+    console.log("");
+
+    const index = parseInt(choice.trim());
+
+    try {
+      if (index === 0) {
+        running = false;
+        console.log("👋 Goodbye!\n");
+      } else if (index >= 1 && index <= actions.length) {
+        await actions[index - 1].run(platform);
+      } else {
+        console.log("❌ Invalid choice. Please try again.\n");
+      }
+    } catch (error) {
+      console.log(`\n❌ Error: ${error.message}\n`);
+    }
+  }
+
+  rl.close();
+}
+
+// Register as arbitrator
+async function registerArbitrator(platform) {
+  console.log("\n🔐 Register as Arbitrator");
+  console.log("========================================\n");
+
+  const identityProof = await question("Enter identity proof (number): ");
+  const minBond = hre.ethers.formatEther(await platform.MIN_ARBITRATOR_BOND());
+  const bond = await question(`Enter bond to post (in ETH, press Enter for the ${minBond} minimum): `);
+  const specialisations = await question(
+    `Enter specialisations (comma-separated from ${CATEGORIES.slice(1).join(", ")}, or press Enter for none): `
+  );
+
+  console.log("\n🔒 Encrypting identity proof...");
+  const [signer] = await hre.ethers.getSigners();
+  const args = await registerArbitratorArgs(hre, platform, signer, parseInt(identityProof), {
+    specialisations: specialisationMask(specialisations.split(",").filter((name) => name.trim()))
+  });
+
+  console.log("⏳ Registering...");
+  const tx = await platform.registerArbitrator(...args, {
+    value: hre.ethers.parseEther(bond.trim() || minBond)
+  });
+  const receipt = await tx.wait();
+
+  console.log("✅ Registration successful!");
+  console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
+}
+
+// Create a new dispute
+async function createDispute(platform) {
+  console.log("\n📋 Create New Dispute");
+  console.log("========================================\n");
+
+  const defendant = await question("Enter defendant address: ");
+  const stakeAmount = await question("Enter stake amount (number): ");
+  const evidenceHash = await question("Enter evidence hash (number): ");
+
+  // Stake currency: ETH or one of the allowlisted tokens
+  const tokens = await readAllowedTokens(platform);
+  const minEth = await platform.getParameter(Parameter.MinStake);
+  const currencies = [{ address: ETH, symbol: "ETH", decimals: 18, minStake: minEth }, ...tokens];
+  currencies.forEach((currency, i) => {
+    console.log(`${i + 1}. ${currency.symbol} (min ${formatStake(currency.minStake, currency)})`);
+  });
+  const currency = currencies[parseInt(await question(`Choose stake currency (1-${currencies.length}, Enter for ETH): `) || "1") - 1];
+  if (!currency) {
+    console.log("❌ Invalid currency\n");
+    return;
+  }
+
+  const depositInput = await question(`Enter deposit (in ${currency.symbol}, min ${formatStake(currency.minStake, currency)}): `);
+  const deposit = hre.ethers.parseUnits(depositInput.trim(), currency.decimals);
+
+  // Tiers count multiples of the currency's minimum deposit
+  const tierSize = await platform.panelSizeForStake(currency.address, deposit);
+  const panelSize = await question(`Enter panel size (1, 3, 5 or 7, press Enter for ${tierSize} by stake tier): `);
+  // The category is public so the panel draw can favour specialists
+  const category = await question(`Enter category (${CATEGORIES.join(", ")}, press Enter for General): `);
+
+  const [signer] = await hre.ethers.getSigners();
+  const { permit, value } = await authorizeDeposit(platform, signer, currency.address, deposit);
+
+  console.log("\n🔒 Encrypting stake and evidence hash...");
+  const args = await createDisputeArgs(hre, platform, signer, defendant.trim(), {
+    stakeAmount: BigInt(stakeAmount),
+    evidenceHash: parseInt(evidenceHash),
+    panelSize: panelSize.trim() ? parseInt(panelSize) : 0,
+    category: categoryIndex(category.trim() || "General"),
+    token: currency.address,
+    amount: deposit,
+    permit
+  });
+
+  console.log("⏳ Creating dispute...");
+  const tx = await platform.createDispute(...args, { value });
+  const receipt = await tx.wait();
+
+  // Get dispute ID from event
+  const event = receipt.logs.find(log => {
+    try {
+      return platform.interface.parseLog(log).name === "DisputeCreated";
+    } catch {
+      return false;
+    }
+  });
+
+  if (event) {
+    const parsedEvent = platform.interface.parseLog(event);
+    console.log(`✅ Dispute created successfully!`);
+    console.log(`🆔 Dispute ID: ${parsedEvent.args.disputeId.toString()}`);
+    console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
+  }
+}
+
+// Respond to a dispute as the defendant
+async function respondToDispute(platform) {
+  console.log("\n🛡️  Respond to Dispute");
+  console.log("========================================\n");
+
+  const disputeId = await question("Enter dispute ID: ");
+  const info = await platform.getDisputeInfo(parseInt(disputeId));
+  const token = await platform.getDisputeToken(parseInt(disputeId));
+  const currency = await readTokenInfo(hre.ethers.provider, token);
+
+  console.log(`\n💰 Plaintiff Deposit: ${formatStake(info.plaintiffStake, currency)}`);
+  console.log(`⏰ Respond Before: ${new Date(Number(info.responseDeadline) * 1000).toLocaleString()}\n`);
+
+  const counterEvidence = await question("Enter counter-evidence hash (number, or press Enter to skip): ");
+
+  const [signer] = await hre.ethers.getSigners();
+  const { permit, value } = await authorizeDeposit(platform, signer, token, info.plaintiffStake);
+  if (counterEvidence.trim()) {
+    console.log("\n🔒 Encrypting counter-evidence...");
+  }
+  const args = await respondToDisputeArgs(hre, platform, signer, parseInt(disputeId), {
+    counterEvidence: counterEvidence.trim() ? parseInt(counterEvidence) : undefined,
+    permit
+  });
+
+  console.log("⏳ Posting matching deposit...");
+  const tx = await platform.respondToDispute(...args, { value });
+  const receipt = await tx.wait();
+
+  const { evidenceDeadline } = await platform.getEvidence(parseInt(disputeId));
+  console.log("✅ Response recorded! Arbitrators can be assigned once the evidence window closes.");
+  console.log(`⏰ Evidence Window Closes: ${new Date(Number(evidenceDeadline) * 1000).toLocaleString()}`);
+  console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
+}
+
+// Add an evidence item as the plaintiff or defendant
+async function submitEvidence(platform) {
+  console.log("\n📎 Submit Evidence");
+  console.log("========================================\n");
+
+  const disputeId = await question("Enter dispute ID: ");
+  const { evidenceDeadline, items } = await platform.getEvidence(parseInt(disputeId));
+
+  const [signer] = await hre.ethers.getSigners();
+  const max = await platform.MAX_EVIDENCE_ITEMS();
+  const own = items.filter((item) => item.submitter === signer.address).length;
+  console.log(`\n📂 Items Submitted: ${items.length} in total, ${own} of your ${max}`);
+  if (evidenceDeadline > 0n) {
+    console.log(`⏰ Evidence Window Closes: ${new Date(Number(evidenceDeadline) * 1000).toLocaleString()}\n`);
+  } else {
+    console.log("⏰ Evidence Window: Open until the defendant responds, then for the evidence period\n");
+  }
+
+  const documentHash = await question("Enter document hash (number): ");
+  const claimedAmount = await question("Enter claimed amount (number, or press Enter for none): ");
+
+  console.log("\n🔒 Encrypting document hash and claimed amount...");
+  const args = await submitEvidenceArgs(hre, platform, signer, parseInt(disputeId), {
+    documentHash: parseInt(documentHash),
+    claimedAmount: claimedAmount.trim() ? BigInt(claimedAmount) : 0
+  });
+
+  console.log("⏳ Submitting evidence...");
+  const tx = await platform.submitEvidence(...args);
+  const receipt = await tx.wait();
+
+  console.log(`✅ Evidence item #${items.length} recorded! The panel can read it once seated.`);
+  console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
+}
+
+// Propose a split of the escrow, or accept the other party's offer
+async function settleDispute(platform) {
+  console.log("\n🤝 Settle Dispute");
+  console.log("========================================\n");
+
+  const disputeId = await question("Enter dispute ID: ");
+  const [signer] = await hre.ethers.getSigners();
+  const offer = await platform.getSettlementOffer(parseInt(disputeId));
+
+  if (offer.proposer !== hre.ethers.ZeroAddress && !offer.accepted && offer.proposer !== signer.address) {
+    console.log(`\n📨 Pending Offer from ${offer.proposer}`);
+    console.log(`   Plaintiff Share: ${Number(offer.plaintiffShareBps) / 100}% of the escrow after arbitrator fees`);
+
+    const answer = await question("Accept this offer? (y/n): ");
+    if (answer.trim().toLowerCase() === "y") {
+      console.log("\n⏳ Accepting settlement...");
+      const tx = await platform.acceptSettlement(parseInt(disputeId), offer.plaintiffShareBps);
+      const receipt = await tx.wait();
+
+      console.log("✅ Dispute settled! Both shares are ready to withdraw.");
+      console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
+      return;
+    }
+  }
+
+  const share = await question("Enter plaintiff share of the escrow (percent, e.g. 60): ");
+
+  console.log("\n⏳ Proposing settlement...");
+  const tx = await platform.proposeSettlement(parseInt(disputeId), Math.round(parseFloat(share) * 100));
+  const receipt = await tx.wait();
+
+  console.log("✅ Offer recorded! The other party can now accept it.");
+  console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
+}
+
+// Claim a default judgment on an unanswered dispute
+async function claimDefaultJudgment(platform) {
+  console.log("\n⚖️  Claim Default Judgment");
+  console.log("========================================\n");
+
+  const disputeId = await question("Enter dispute ID: ");
+
+  console.log("\n⏳ Claiming default judgment...");
+  const tx = await platform.claimDefaultJudgment(parseInt(disputeId));
+  const receipt = await tx.wait();
+
+  console.log("✅ Default judgment granted! Your deposit is ready to withdraw.");
+  console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
+}
+
+// Assign arbitrators to dispute
+async function assignArbitrators(platform) {
+  console.log("\n👥 Assign Arbitrators");
+  console.log("========================================\n");
+
+  const disputeId = await question("Enter dispute ID: ");
+
+  console.log("\n⏳ Assigning arbitrators...");
+  const tx = await platform.assignArbitrators(parseInt(disputeId));
+  const receipt = await tx.wait();
+
+  console.log("✅ Arbitrators assigned successfully!");
+  console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
+}
+
+// Declare linked addresses, recuse from a panel or strike a panel member
+async function manageConflicts(platform) {
+  console.log("\n⚔️  Manage Conflicts of Interest");
+  console.log("========================================\n");
+
+  const [signer] = await hre.ethers.getSigners();
+  const linked = await platform.getLinkedAddresses(signer.address);
+  const max = await platform.MAX_LINKED_ADDRESSES();
+  console.log(`🔗 Your Linked Addresses (${linked.length}/${max}): ${linked.join(", ") || "None"}\n`);
+
+  console.log("1. Declare a linked address (kept off your panels, and you off theirs)");
+  console.log("2. Recuse from a panel (as Arbitrator, before voting)");
+  console.log(`3. Strike a panel member (as Party, ${await platform.STRIKES_PER_ROUND()} per round)`);
+  const choice = (await question("\nChoose (1-3): ")).trim();
+
+  let tx;
+  if (choice === "1") {
+    const address = await question("Enter linked address: ");
+    console.log("\n⏳ Declaring link...");
+    tx = await platform.declareLinkedAddress(address.trim());
+  } else if (choice === "2" || choice === "3") {
+    const disputeId = parseInt(await question("Enter dispute ID: "));
+    if (choice === "2") {
+      console.log("\n⏳ Recusing...");
+      tx = await platform.recuse(disputeId);
+    } else {
+      const arbitrators = await currentPanel(platform, disputeId);
+      console.log("\n👥 Panel:");
+      arbitrators.forEach((arbitrator, i) => console.log(`   ${i + 1}. ${arbitrator}`));
+      const seat = parseInt(await question("Strike which member? (number): ")) - 1;
+      console.log("\n⏳ Striking arbitrator...");
+      tx = await platform.strikeArbitrator(disputeId, arbitrators[seat]);
+    }
+  } else {
+    console.log("❌ Invalid choice\n");
+    return;
+  }
+
+  const receipt = await tx.wait();
+  const replaced = receipt.logs
+    .map((log) => platform.interface.parseLog(log))
+    .find((log) => log && log.name === "ArbitratorReplaced");
+  if (replaced) {
+    console.log(`✅ ${replaced.args.replaced} replaced by ${replaced.args.replacement}`);
+    console.log(`⏰ New Voting Deadline: ${new Date(Number(replaced.args.votingDeadline) * 1000).toLocaleString()}`);
+  } else {
+    console.log("✅ Link declared! It applies from the next panel snapshot.");
+  }
+  console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
+}
+
+// Replace panel members who have not voted within the grace period
+async function replaceArbitrators(platform) {
+  console.log("\n🔄 Replace Non-Responsive Arbitrators");
+  console.log("========================================\n");
+
+  const disputeId = await question("Enter dispute ID: ");
+
+  console.log("\n⏳ Checking the panel...");
+  const [signer] = await hre.ethers.getSigners();
+  const results = await replaceSilentArbitrators(platform, parseInt(disputeId), signer);
+
+  if (results.length === 0) {
+    console.log("ℹ️  No panel member is past the grace period without a vote\n");
+    return;
+  }
+
+  for (const { replaced, replacement, receipt } of results) {
+    console.log(`✅ ${replaced} replaced by ${replacement}`);
+    console.log(`📝 Transaction Hash: ${receipt.hash}`);
+  }
+  const { votingDeadline } = await platform.getDisputeInfo(parseInt(disputeId));
+  console.log(`⏰ New Voting Deadline: ${new Date(Number(votingDeadline) * 1000).toLocaleString()}\n`);
+}
+
+// Submit vote as arbitrator
+async function submitVote(platform) {
+  console.log("\n🗳️  Submit Vote");
+  console.log("========================================\n");
+
+  const disputeId = await question("Enter dispute ID: ");
+  console.log("\nVote Options:");
+  console.log("1 - Favor Plaintiff");
+  console.log("2 - Favor Defendant");
+  console.log("3 - Neutral\n");
+
+  const vote = parseInt(await question("Enter your vote (1-3): "));
+  const justification = await question("Enter justification (number): ");
+
+  // An out-of-range vote is recorded as an abstention on-chain, so catch typos here
+  if (!(vote >= 1 && vote <= 3)) {
+    console.log("❌ Vote must be 1, 2 or 3\n");
+    return;
+  }
+
+  console.log("\n🔒 Encrypting vote and justification...");
+  const [signer] = await hre.ethers.getSigners();
+  const args = await submitVoteArgs(hre, platform, signer, parseInt(disputeId), {
+    vote,
+    justification: parseInt(justification)
+  });
+
+  console.log("⏳ Submitting vote...");
+  const tx = await platform.submitVote(...args);
+  const receipt = await tx.wait();
+
+  console.log("✅ Vote submitted successfully!");
+  console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
+}
+
+// Appeal a ruling by posting a bond equal to the deposit
+async function fileAppeal(platform) {
+  console.log("\n🔁 File Appeal");
+  console.log("========================================\n");
+
+  const disputeId = parseInt(await question("Enter dispute ID: "));
+  const info = await platform.getDisputeInfo(disputeId);
+  const appeal = await platform.getAppealInfo(disputeId);
+  const token = await platform.getDisputeToken(disputeId);
+
+  if (appeal.deadline === 0n || appeal.escrowReleased) {
+    console.log("ℹ️  This ruling cannot be appealed\n");
+    return;
+  }
+
+  console.log(`💰 Appeal Bond: ${formatStake(info.plaintiffStake, await readTokenInfo(hre.ethers.provider, token))}`);
+  console.log(`⏰ Appeal Deadline: ${new Date(Number(appeal.deadline) * 1000).toLocaleString()}`);
+
+  const [signer] = await hre.ethers.getSigners();
+  const { permit, value } = await authorizeDeposit(platform, signer, token, info.plaintiffStake);
+
+  console.log("\n⏳ Filing appeal...");
+  const tx = await platform.fileAppeal(disputeId, permit, { value });
+  const receipt = await tx.wait();
+
+  const appealPanelSize = info.panelSize + (await platform.APPEAL_PANEL_GROWTH());
+  console.log(`✅ Appeal filed! Assign arbitrators to draw the ${appealPanelSize}-member appeal panel.`);
+  console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
+}
+
+// Pay out a ruling once its appeal window has closed
+async function releaseEscrow(platform) {
+  console.log("\n🔓 Release Escrow");
+  console.log("========================================\n");
+
+  const disputeId = await question("Enter dispute ID: ");
+
+  console.log("\n⏳ Releasing escrow...");
+  const tx = await platform.releaseEscrow(parseInt(disputeId));
+  const receipt = await tx.wait();
+
+  console.log("✅ Escrow released! The winner can now withdraw.");
+  console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
+}
+
+// Request a bond withdrawal, or complete it once the cooldown has passed
+async function withdrawBond(platform) {
+  console.log("\n🏦 Withdraw Arbitrator Bond");
+  console.log("========================================\n");
+
+  const [signer] = await hre.ethers.getSigners();
+  const bond = await platform.getArbitratorBond(signer.address);
+
+  console.log(`💰 Bond: ${hre.ethers.formatEther(bond.amount)} ETH`);
+  console.log(`📌 Open Assignments: ${bond.openAssignments.toString()}`);
+  if (bond.amount === 0n) {
+    console.log("ℹ️  No bond to withdraw\n");
+    return;
+  }
+  if (bond.openAssignments > 0n) {
+    console.log("❌ Vote on your open assignments before withdrawing\n");
+    return;
+  }
+
+  if (bond.withdrawableAt === 0n) {
+    const confirm = await question("Leave the arbitrator pool and start the cooldown? (yes/no): ");
+    if (confirm.trim().toLowerCase() !== "yes") {
+      console.log("ℹ️  Withdrawal not requested\n");
+      return;
+    }
+
+    console.log("\n⏳ Requesting withdrawal...");
+    const tx = await platform.requestBondWithdrawal();
+    await tx.wait();
+    const { withdrawableAt } = await platform.getArbitratorBond(signer.address);
+    console.log("✅ Withdrawal requested, you have left the arbitrator pool");
+    console.log(`⏰ Withdrawable At: ${new Date(Number(withdrawableAt) * 1000).toLocaleString()}\n`);
+    return;
+  }
+
+  const latest = await hre.ethers.provider.getBlock("latest");
+  if (BigInt(latest.timestamp) < bond.withdrawableAt) {
+    console.log(`⏰ Cooldown ends at ${new Date(Number(bond.withdrawableAt) * 1000).toLocaleString()}\n`);
+    return;
+  }
+
+  console.log("\n⏳ Withdrawing bond...");
+  const tx = await platform.withdrawBond();
+  const receipt = await tx.wait();
+
+  console.log("✅ Bond credited to your pending balance, collect it with Withdraw Balance");
+  console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
+}
+
+// Show ownership and roles, then run an admin action the signer is allowed to take
+async function manageAccess(platform) {
+  console.log("\n🛡️  Ownership and Roles");
+  console.log("========================================\n");
+
+  const [signer] = await hre.ethers.getSigners();
+  const access = await readAccess(platform, signer.address);
+
+  console.log(`Owner: ${access.owner}`);
+  console.log(`Pending Owner: ${access.pendingOwner === hre.ethers.ZeroAddress ? "None" : access.pendingOwner}`);
+  console.log(`Your Roles: ${access.roles.length > 0 ? access.roles.join(", ") : "None"}${access.isOwner ? " (as owner)" : ""}`);
+  ROLES.forEach((role) => console.log(`   ${role}: ${ROLE_DUTIES[role]}`));
+  console.log("   Parameter changes are queued with `npm run params`");
+
+  // Only offer what the signer can do
+  const options = [];
+  if (access.isOwner) {
+    options.push(["Grant Role", "grant"], ["Revoke Role", "revoke"], ["Transfer Ownership", "transfer"]);
+  }
+  if (access.pendingOwner === signer.address) {
+    options.push(["Accept Ownership", "accept"]);
+  }
+  if (access.roles.includes("Moderator")) {
+    options.push(["Pause Arbitrator", "pause"], ["Unpause Arbitrator", "unpause"]);
+  }
+  if (access.roles.includes("Treasurer")) {
+    options.push(["Set Fee Schedule", "fees"], ["Set Treasury", "treasury"], ["Set Stake Token", "token"]);
+  }
+  if (access.roles.includes("Pauser")) {
+    options.push((await readPauseStatus(platform)).paused
+      ? ["Unpause Platform", "resume"]
+      : ["Pause Platform", "halt"]);
+  }
+  if (options.length === 0) {
+    console.log("\nℹ️  No admin actions available to this account\n");
+    return;
+  }
+
+  console.log("");
+  options.forEach(([label], i) => console.log(`${i + 1}. ${label}`));
+  console.log("0. Back");
+  const option = options[parseInt(await question(`Choose (0-${options.length}): `)) - 1];
+  if (!option) {
+    return;
+  }
+
+  // Collect the inputs first, then send
+  let send;
+  if (option[1] === "grant" || option[1] === "revoke") {
+    const role = roleIndex(await question(`Role (${ROLES.join(", ")}): `));
+    const account = (await question("Account address: ")).trim();
+    send = () => (option[1] === "grant" ? platform.grantRole(role, account) : platform.revokeRole(role, account));
+  } else if (option[1] === "transfer") {
+    const nominee = (await question("New owner address (empty to withdraw the nomination): ")).trim();
+    send = () => platform.transferOwnership(nominee || hre.ethers.ZeroAddress);
+  } else if (option[1] === "accept") {
+    send = () => platform.acceptOwnership();
+  } else if (option[1] === "fees") {
+    const arbitratorFee = await question("Arbitrator fee (percent of the escrow): ");
+    const platformFee = await question("Platform fee (percent of the escrow): ");
+    send = () => platform.setFeeSchedule(
+      Math.round(parseFloat(arbitratorFee) * 100),
+      Math.round(parseFloat(platformFee) * 100)
+    );
+  } else if (option[1] === "treasury") {
+    const treasury = (await question("Treasury address: ")).trim();
+    send = () => platform.setTreasury(treasury);
+  } else if (option[1] === "token") {
+    const token = (await question("Token address: ")).trim();
+    const { symbol, decimals } = await readTokenInfo(hre.ethers.provider, token);
+    const minStake = await question(`Minimum deposit (in ${symbol}, 0 to remove the token): `);
+    send = () => platform.setStakeToken(token, hre.ethers.parseUnits(minStake.trim(), decimals));
+  } else if (option[1] === "halt") {
+    send = () => platform.pause();
+  } else if (option[1] === "resume") {
+    send = () => platform.unpause();
+  } else {
+    const arbitrator = (await question("Arbitrator address: ")).trim();
+    send = () => (option[1] === "pause" ? platform.pauseArbitrator(arbitrator) : platform.unpauseArbitrator(arbitrator));
+  }
+
+  console.log(`\n⏳ ${option[0]}...`);
+  const receipt = await (await send()).wait();
+  console.log(`✅ ${option[0]} done!`);
+  console.log(`📝 Transaction Hash: ${receipt.hash}\n`);
+}
+
+// View dispute information
+async function viewDisputeInfo(platform) {
+  console.log("\n📊 Dispute Information");
+  console.log("========================================\n");
+
+  const disputeId = await question("Enter dispute ID: ");
+
+  const info = await platform.getDisputeInfo(parseInt(disputeId));
+  const token = await platform.getDisputeToken(parseInt(disputeId));
+  const currency = await readTokenInfo(hre.ethers.provider, token);
+  const stake = (amount) => formatStake(amount, currency);
+
+  const appeal = await platform.getAppealInfo(parseInt(disputeId));
+  const { evidenceDeadline, items } = await platform.getEvidence(parseInt(disputeId));
+  const offer = await platform.getSettlementOffer(parseInt(disputeId));
+
+  const statusNames = ["Created", "InArbitration", "Voting", "Resolved", "Cancelled", "DecryptionFailed", "Refunded", "Appealed", "Settled"];
+  const responded = info.defendantStake > 0n;
+
+  console.log("\n📋 Dispute Details:");
+  console.log("========================================");
+  console.log(`Dispute ID: ${disputeId}`);
+  console.log(`Plaintiff: ${info.plaintiff}`);
+  console.log(`Defendant: ${info.defendant}`);
+  console.log(`Status: ${statusNames[info.status]}`);
+  console.log(`Category: ${CATEGORIES[info.category]}`);
+  console.log(`Created At: ${new Date(Number(info.createdAt) * 1000).toLocaleString()}`);
+  console.log(`Stake Currency: ${currency.symbol}${token === ETH ? "" : ` (${token})`}`);
+  console.log(`Plaintiff Deposit: ${stake(info.plaintiffStake)}`);
+  console.log(`Defendant Deposit: ${responded ? stake(info.defendantStake) : "Not yet posted"}`);
+  console.log(`Response Deadline: ${new Date(Number(info.responseDeadline) * 1000).toLocaleString()}`);
+  console.log(`Voting Deadline: ${info.votingDeadline > 0 ? new Date(Number(info.votingDeadline) * 1000).toLocaleString() : "Not set"}`);
+  console.log(`Panel Size: ${info.panelSize.toString()}`);
+  console.log(`Arbitrators Assigned: ${info.arbitratorCount.toString()}`);
+  console.log(`Decision Revealed: ${info.decisionRevealed ? "Yes" : "No"}`);
+  console.log(`Winner: ${info.winner === hre.ethers.ZeroAddress ? "None" : info.winner}`);
+
+  console.log("\n📎 Evidence:");
+  console.log(`Evidence Deadline: ${evidenceDeadline > 0n ? new Date(Number(evidenceDeadline) * 1000).toLocaleString() : "Not set"}`);
+  items.forEach((item, i) => {
+    const party = item.submitter === info.plaintiff ? "Plaintiff" : "Defendant";
+    const amount = item.claimedAmount === hre.ethers.ZeroHash ? "" : `, claimed amount ${item.claimedAmount}`;
+    console.log(`#${i} ${party} at ${new Date(Number(item.submittedAt) * 1000).toLocaleString()}: document ${item.documentHash}${amount}`);
+  });
+
+  if (offer.proposer !== hre.ethers.ZeroAddress) {
+    console.log("\n🤝 Settlement:");
+    console.log(`Proposed By: ${offer.proposer === info.plaintiff ? "Plaintiff" : "Defendant"}`);
+    console.log(`Plaintiff Share: ${Number(offer.plaintiffShareBps) / 100}% after arbitrator fees`);
+    console.log(`Accepted: ${offer.accepted ? "Yes" : "No"}`);
+  }
+
+  if (appeal.deadline > 0n) {
+    console.log("\n🔁 Appeal:");
+    console.log(`Appeal Deadline: ${new Date(Number(appeal.deadline) * 1000).toLocaleString()}`);
+    console.log(`Held Escrow: ${stake(appeal.heldEscrow)}`);
+    if (appeal.appellant !== hre.ethers.ZeroAddress) {
+      console.log(`Appellant: ${appeal.appellant}`);
+      console.log(`Bond: ${stake(appeal.bond)}`);
+      console.log(`Original Winner: ${appeal.originalWinner}`);
+      console.log(`Outcome: ${!appeal.decided ? "Pending" : appeal.overturned ? "Overturned" : "First ruling stands"}`);
+    }
+    console.log(`Escrow Released: ${appeal.escrowReleased ? "Yes" : "No"}`);
+  }
+  console.log("========================================\n");
+}
+
+// View arbitrator profile
+async function viewArbitratorProfile(platform) {
+  console.log("\n👤 Arbitrator Profile");
+  console.log("========================================\n");
+
+  const address = await question("Enter arbitrator address (or press Enter for your address): ");
+  const targetAddress = address.trim() || (await hre.ethers.getSigners())[0].address;
+
+  const info = await platform.getArbitratorInfo(targetAddress);
+
+  console.log("\n📋 Arbitrator Details:");
+  console.log("========================================");
+  console.log(`Address: ${targetAddress}`);
+  console.log(`Active: ${info.isActive ? "Yes" : "No"}`);
+  console.log(`Reputation: ${info.reputation.toString()}`);
+  console.log(`Total Disputes Handled: ${info.totalDisputesHandled.toString()}`);
+  console.log(`Successful Arbitrations: ${info.successfulArbitrations.toString()}`);
+  console.log(`Identity Verified: ${info.identityVerified ? "Yes" : "No"}`);
+  console.log(`Specialisations: ${specialisationNames(info.specialisations).join(", ") || "None"}`);
+  for (let category = 0; category < CATEGORIES.length; category++) {
+    const reputation = await platform.getCategoryReputation(targetAddress, category);
+    if (reputation > 0n) {
+      console.log(`  ${CATEGORIES[category]} Reputation: ${reputation.toString()}`);
+    }
+  }
+  // Only the arbitrator can decrypt how often they voted with the majority
+  const [signer] = await hre.ethers.getSigners();
+  if (targetAddress.toLowerCase() === signer.address.toLowerCase()) {
+    console.log(`Votes With The Majority: ${await decryptConsensusCount(hre, platform, signer)} (decrypted for you only)`);
+  }
+  const history = await readReputationHistory(platform, targetAddress);
+  if (history.length > 0) {
+    console.log("Reputation History:");
+    for (const entry of history.slice(-10)) {
+      const change = entry.change > 0n ? `+${entry.change}` : entry.change.toString();
+      console.log(`  ${entry.timestamp.toLocaleString()} | Dispute #${entry.disputeId} | ${entry.reason} ${change} → ${entry.reputation}`);
+    }
+  }
+  console.log(`Fees Earned: ${hre.ethers.formatEther(await platform.arbitratorFeesEarned(targetAddress))} ETH`);
+
+  const bond = await platform.getArbitratorBond(targetAddress);
+  console.log(`Bond: ${hre.ethers.formatEther(bond.amount)} ETH`);
+  console.log(`Open Assignments: ${bond.openAssignments.toString()}`);
+  if (bond.withdrawableAt > 0n) {
+    console.log(`Bond Withdrawable At: ${new Date(Number(bond.withdrawableAt) * 1000).toLocaleString()}`);
+  }
+  console.log("========================================\n");
+}
+
+// Page through the arbitrator registry
+async function listArbitrators(platform) {
+  console.log("\n📇 Arbitrator Registry");
+  console.log("========================================\n");
+
+  const filter = await question("Show only active arbitrators? (y/N): ");
+  const activeOnly = filter.trim().toLowerCase() === "y";
+  const pageSizeInput = await question("Page size (press Enter for 10): ");
+  const pageSize = parseInt(pageSizeInput) || 10;
+
+  let offset = 0;
+  let total;
+
+  do {
+    const [page, listLength] = await platform.getArbitrators(offset, pageSize, activeOnly);
+    total = Number(listLength);
+
+    if (total === 0) {
+      console.log("No arbitrators registered yet.\n");
+      return;
+    }
+
+    console.log(`\n📋 Arbitrators ${offset + 1}-${offset + page.length} of ${total}`);
+    console.log("========================================");
+    for (const entry of page) {
+      const status = entry.isActive ? "🟢 Active" : "⏸️  Paused";
+      offset++;
+      console.log(`${offset}. ${entry.arbitrator}`);
+      console.log(`   ${status} | Reputation: ${entry.reputation} | Disputes Handled: ${entry.totalDisputesHandled}`);
+    }
+    console.log("========================================\n");
+
+    if (offset >= total) {
+      break;
+    }
+  } while ((await question("Press Enter for the next page or q to stop: ")).trim().toLowerCase() !== "q");
+
+  console.log("");
+}
+
+// Withdraw settled payouts and refunds
+async function withdrawBalance(platform) {
+  console.log("\n💸 Withdraw Balance");
+  console.log("========================================\n");
+
+  const [signer] = await hre.ethers.getSigners();
+
+  // ETH and every allowlisted token; a token removed from the allowlist can be entered by address
+  const balances = [{ address: ETH, symbol: "ETH", decimals: 18, pending: await platform.getPendingBalance(signer.address) }];
+  for (const token of await readAllowedTokens(platform)) {
+    balances.push({ ...token, pending: await platform.getPendingTokenBalance(token.address, signer.address) });
+  }
+  const other = (await question("Other token address to check (or press Enter to skip): ")).trim();
+  if (other) {
+    const info = await readTokenInfo(hre.ethers.provider, other);
+    balances.push({ address: other, ...info, pending: await platform.getPendingTokenBalance(other, signer.address) });
+  }
+
+  const withdrawable = balances.filter(({ pending }) => pending > 0n);
+  balances.forEach((balance) => console.log(`💰 Pending ${balance.symbol}: ${formatStake(balance.pending, balance)}`));
+  if (withdrawable.length === 0) {
+    console.log("ℹ️  Nothing to withdraw\n");
+    return;
+  }
+
+  for (const balance of withdrawable) {
+    console.log(`\n⏳ Withdrawing ${balance.symbol}...`);
+    const tx = balance.address === ETH ? await platform.withdraw() : await platform.withdrawToken(balance.address);
+    const receipt = await tx.wait();
+    console.log(`✅ ${formatStake(balance.pending, balance)} withdrawn (Hash: ${receipt.hash.substring(0, 10)}...)`);
+  }
+  console.log("");
+}
+
+// Let the platform pull a deposit: ETH is sent with the call, tokens by permit or approval
+async function authorizeDeposit(platform, signer, token, amount) {
+  if (token === ETH) {
+    return prepareDeposit(signer, token, await platform.getAddress(), amount);
+  }
+
+  const usePermit = (await question("Sign a permit instead of sending an approval, where supported? (yes/no): "))
+    .trim().toLowerCase() !== "no";
+  console.log("\n🔏 Authorizing the token deposit...");
+  const deposit = await prepareDeposit(signer, token, await platform.getAddress(), amount, { usePermit });
+  console.log(deposit.method === "permit"
+    ? "✅ Permit signed"
+    : deposit.method === "approve" ? "✅ Approval confirmed" : "✅ Existing allowance covers the deposit");
+  return deposit;
+}
+
+// View user reputation
+async function viewUserReputation(platform) {
+  console.log("\n⭐ User Reputation");
+  console.log("========================================\n");
+
+  const address = await question("Enter user address (or press Enter for your address): ");
+  const targetAddress = address.trim() || (await hre.ethers.getSigners())[0].address;
+
+  const reputation = await platform.getUserReputation(targetAddress);
+
+  console.log(`\n📊 Reputation for ${targetAddress}`);
+  console.log(`⭐ Score: ${reputation.toString()}\n`);
+}
+
+// View platform statistics
+async function viewPlatformStats(platform) {
+  console.log("\n📈 Platform Statistics");
+  console.log("========================================\n");
+
+  const disputeCounter = await platform.disputeCounter();
+  const [registered, active] = await platform.getArbitratorCount();
+  const owner = await platform.owner();
+  const [arbitratorFeeBps, platformFeeBps, treasury, totalPlatformFees] = await Promise.all([
+    platform.arbitratorFeeBps(),
+    platform.platformFeeBps(),
+    platform.treasury(),
+    platform.totalPlatformFees()
+  ]);
+
+  console.log(`Total Disputes Created: ${disputeCounter.toString()}`);
+  console.log(`Registered Arbitrators: ${registered.toString()}`);
+  console.log(`Active Arbitrators: ${active.toString()}`);
+  console.log(`Platform Owner: ${owner}`);
+  const { paused, since } = await readPauseStatus(platform);
+  console.log(`Status: ${paused ? `🛑 Paused since ${since.toLocaleString()}` : "🟢 Running"}`);
+  console.log(`Arbitrator Fee: ${Number(arbitratorFeeBps) / 100}%`);
+  console.log(`Platform Fee: ${Number(platformFeeBps) / 100}%`);
+  console.log(`Treasury: ${treasury}`);
+  console.log(`Treasury Income: ${hre.ethers.formatEther(totalPlatformFees)} ETH`);
+
+  const tokens = await readAllowedTokens(platform);
+  console.log(`Stake Tokens: ${tokens.length > 0
+    ? tokens.map((token) => `${token.symbol} (min ${formatStake(token.minStake, token)})`).join(", ")
+    : "ETH only"}`);
+
+  console.log("\n⚙️  Parameters:");
+  for (const { name, value, queued } of await readParameters(platform)) {
+    const pending = queued
+      ? ` (→ ${formatParameterValue(name, queued.value)} from ${new Date(Number(queued.eta) * 1000).toLocaleString()})`
+      : "";
+    console.log(`${name}: ${formatParameterValue(name, value)}${pending}`);
+  }
+  console.log("========================================\n");
+}
+
+// Execute interaction
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Interaction failed:");
+    console.error(error);
+    rl.close();
+    process.exit(1);
+  });
+
+module.exports = main;
@@ -0,0 +1,90 @@
+/**
+ * Dispute access auditing
+ * Stake and evidence handles are readable by both parties, by every arbitrator ever
+ * seated on the dispute and by the auditors the parties grant access to. Grants are
+ * permanent in the FHE ACL, so former panel members keep their access.
+ */
+
+const { ethers } = require("ethers");
+
+// ERC-7201 slot of the coprocessor config set by ZamaConfig, keyed "confidential.storage.config";
+// its first word is the ACL address
+const COPROCESSOR_CONFIG_SLOT = "0x9e7b61f58c47dc699ac88507c4f5bb9f121c03808c5676a8078fe583e4649700";
+
+const ACL_ABI = ["function isAllowed(bytes32 handle, address account) view returns (bool)"];
+
+/**
+ * Address of the FHEVM ACL contract the platform records its grants with
+ * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform, or its proxy
+ * @returns {Promise<string>} Read from the platform's storage, so it matches Sepolia or the mock alike
+ */
+async function aclAddress(platform) {
+  const word = await platform.runner.provider.getStorage(await platform.getAddress(), COPROCESSOR_CONFIG_SLOT);
+  return ethers.getAddress(ethers.dataSlice(word, 12));
+}
+
+/**
+ * Everyone holding decryption rights on a dispute's stake and evidence
+ * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform
+ * @param {number|bigint} disputeId
+ * @returns {Promise<{parties: string[], arbitrators: string[],
+ *   auditors: {auditor: string, grantedBy: string, blockNumber: number, timestamp: Date}[]}>}
+ *   Arbitrators in the order they were seated, replacements included; auditors in grant order
+ */
+async function readAccessList(platform, disputeId) {
+  const { plaintiff, defendant } = await platform.getDisputeInfo(disputeId);
+
+  const arbitrators = [];
+  const seat = (address) => {
+    if (!arbitrators.includes(address)) {
+      arbitrators.push(address);
+    }
+  };
+  for (const event of await platform.queryFilter(platform.filters.ArbitratorsAssigned(disputeId))) {
+    event.args.arbitrators.forEach(seat);
+  }
+  for (const event of await platform.queryFilter(platform.filters.ArbitratorReplaced(disputeId))) {
+    seat(event.args.replacement);
+  }
+
+  const auditors = [];
+  for (const event of await platform.queryFilter(platform.filters.AuditorAccessGranted(disputeId))) {
+    const block = await event.getBlock();
+    auditors.push({
+      auditor: event.args.auditor,
+      grantedBy: event.args.party,
+      blockNumber: event.blockNumber,
+      timestamp: new Date(block.timestamp * 1000),
+    });
+  }
+
+  return { parties: [plaintiff, defendant], arbitrators, auditors };
+}
+
+/**
+ * Check with the ACL which evidence handles of a dispute an account can decrypt
+ * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform
+ * @param {number|bigint} disputeId
+ * @param {string} account Address to check
+ * @returns {Promise<{index: number, field: string, allowed: boolean}[]>} One entry per
+ *   evidence handle; claimedAmount is left out for items that carry none
+ */
+async function checkEvidenceAccess(platform, disputeId, account) {
+  const acl = new ethers.Contract(await aclAddress(platform), ACL_ABI, platform.runner);
+  const [, items] = await platform.getEvidence(disputeId);
+
+  const results = [];
+  for (const [index, item] of items.entries()) {
+    results.push({ index, field: "documentHash", allowed: await acl.isAllowed(item.documentHash, account) });
+    if (item.claimedAmount !== ethers.ZeroHash) {
+      results.push({ index, field: "claimedAmount", allowed: await acl.isAllowed(item.claimedAmount, account) });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  aclAddress,
+  readAccessList,
+  checkEvidenceAccess,
+};
@@ -0,0 +1,42 @@
+/**
+ * Dispute categories and arbitrator specialisations
+ * Mirrors the DisputeCategory enum; a specialisation bitmask sets bit n for category n.
+ */
+
+// DisputeCategory values, in enum order
+const CATEGORIES = ["General", "Commercial", "Personal", "Technical", "Legal"];
+
+/**
+ * Index of a category in the DisputeCategory enum
+ * @param {string|number} category Name (case-insensitive) or index
+ * @returns {number}
+ */
+function categoryIndex(category) {
+  const index = typeof category === "number"
+    ? category
+    : CATEGORIES.findIndex((name) => name.toLowerCase() === String(category).trim().toLowerCase());
+  if (!Number.isInteger(index) || index < 0 || index >= CATEGORIES.length) {
+    throw new Error(`Unknown dispute category: ${category}`);
+  }
+  return index;
+}
+
+/**
+ * Specialisation bitmask for registerArbitrator
+ * @param {(string|number)[]} categories Category names or indexes
+ * @returns {number}
+ */
+function specialisationMask(categories) {
+  return categories.reduce((mask, category) => mask | (1 << categoryIndex(category)), 0);
+}
+
+/**
+ * Category names set in a specialisation bitmask
+ * @param {number|bigint} mask
+ * @returns {string[]}
+ */
+function specialisationNames(mask) {
+  return CATEGORIES.filter((_, i) => (Number(mask) >> i) & 1);
+}
+
+module.exports = { CATEGORIES, categoryIndex, specialisationMask, specialisationNames };
@@ -0,0 +1,66 @@
+/**
+ * Fee reporting tooling
+ * Aggregates the ArbitratorFeePaid and PlatformFeeCollected events emitted when
+ * panel-resolved disputes settle, so fee income can be audited over a block range.
+ * Fees are paid in each dispute's stake token, so a summary covers one currency.
+ */
+
+const { ethers } = require("ethers");
+
+/**
+ * Summarise fees credited between two blocks (inclusive) in one currency
+ * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform
+ * @param {{fromBlock?: number, toBlock?: number|string, token?: string}} [range] Defaults to the
+ *   whole chain; `token` selects disputes staked in that ERC-20, ETH disputes by default
+ * @returns {Promise<{
+ *   arbitrators: {address: string, amount: bigint, disputes: number}[],
+ *   treasury: {address: string, amount: bigint, disputes: number}[],
+ *   arbitratorTotal: bigint,
+ *   treasuryTotal: bigint,
+ *   disputeIds: bigint[]
+ * }>} Arbitrators sorted by fees earned, highest first
+ */
+async function summarizeFees(platform, { fromBlock = 0, toBlock = "latest", token = ethers.ZeroAddress } = {}) {
+  const [arbitratorEvents, treasuryEvents] = await Promise.all([
+    platform.queryFilter(platform.filters.ArbitratorFeePaid(), fromBlock, toBlock),
+    platform.queryFilter(platform.filters.PlatformFeeCollected(), fromBlock, toBlock),
+  ]);
+
+  // Stake token of every dispute that paid fees, looked up once each
+  const tokens = new Map();
+  for (const event of [...arbitratorEvents, ...treasuryEvents]) {
+    const id = event.args.disputeId;
+    if (!tokens.has(id)) {
+      tokens.set(id, await platform.getDisputeToken(id));
+    }
+  }
+  const inCurrency = (event) => tokens.get(event.args.disputeId).toLowerCase() === token.toLowerCase();
+
+  const disputeIds = new Set();
+  const tally = (events, key) => {
+    const totals = new Map();
+    for (const event of events.filter(inCurrency)) {
+      const address = event.args[key];
+      const entry = totals.get(address) || { address, amount: 0n, disputes: 0 };
+      entry.amount += event.args.amount;
+      entry.disputes += 1;
+      totals.set(address, entry);
+      disputeIds.add(event.args.disputeId);
+    }
+    return [...totals.values()].sort((a, b) => (b.amount > a.amount ? 1 : b.amount < a.amount ? -1 : 0));
+  };
+
+  const arbitrators = tally(arbitratorEvents, "arbitrator");
+  const treasury = tally(treasuryEvents, "treasury");
+  const sum = (entries) => entries.reduce((total, e) => total + e.amount, 0n);
+
+  return {
+    arbitrators,
+    treasury,
+    arbitratorTotal: sum(arbitrators),
+    treasuryTotal: sum(treasury),
+    disputeIds: [...disputeIds].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0)),
+  };
+}
+
+module.exports = { summarizeFees };
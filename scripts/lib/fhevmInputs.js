@@ -0,0 +1,283 @@
+/**
+ * Encrypted input toolkit
+ * Builds FHEVM handles and input proofs for the platform's external* parameters.
+ * On the Hardhat network the handles come from the FHEVM mock coprocessor; on
+ * Sepolia the same calls go through the Zama relayer, so tests and scripts share
+ * one code path regardless of network.
+ */
+
+/**
+ * Prepare hre.fhevm for use outside `hardhat test`
+ * Scripts run with `hardhat run` must initialise the CLI API before encrypting.
+ * The CLI API needs a running node (`--network localhost`) or Sepolia; the
+ * in-process Hardhat network only provides the mock coprocessor to `hardhat test`.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ */
+async function initFhevm(hre) {
+  if (hre.network.name === "hardhat") {
+    throw new Error(
+      "Encrypted inputs need a running node: start `npx hardhat node` and pass --network localhost"
+    );
+  }
+  await hre.fhevm.initializeCLIApi();
+}
+
+/**
+ * Encrypt a list of values for one contract/user pair in a single input proof
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {import("ethers").Addressable|string} contract Target contract or its address
+ * @param {import("ethers").Signer|string} user Account that will send the transaction
+ * @param {Array<{type: "u8"|"u32"|"u64", value: number|bigint}>} values
+ * @returns {Promise<{handles: Uint8Array[], inputProof: Uint8Array}>}
+ */
+async function encryptValues(hre, contract, user, values) {
+  const contractAddress = typeof contract === "string" ? contract : await contract.getAddress();
+  const userAddress = typeof user === "string" ? user : await user.getAddress();
+
+  const input = hre.fhevm.createEncryptedInput(contractAddress, userAddress);
+  for (const { type, value } of values) {
+    switch (type) {
+    case "u8":
+      input.add8(value);
+      break;
+    case "u32":
+      input.add32(value);
+      break;
+    case "u64":
+      input.add64(value);
+      break;
+    default:
+      throw new Error(`Unsupported encrypted input type: ${type}`);
+    }
+  }
+
+  return input.encrypt();
+}
+
+/**
+ * Encrypted identity proof for registerArbitrator
+ * @returns {Promise<{identityHandle: Uint8Array, identityProof: Uint8Array}>}
+ */
+async function encryptIdentity(hre, platform, arbitrator, identity) {
+  const { handles, inputProof } = await encryptValues(hre, platform, arbitrator, [
+    { type: "u32", value: identity },
+  ]);
+  return { identityHandle: handles[0], identityProof: inputProof };
+}
+
+/**
+ * Encrypted stake and evidence hash for createDispute
+ * Both values share one input proof, which is passed for each parameter.
+ */
+async function encryptDisputeInputs(hre, platform, plaintiff, { stakeAmount, evidenceHash }) {
+  const { handles, inputProof } = await encryptValues(hre, platform, plaintiff, [
+    { type: "u64", value: stakeAmount },
+    { type: "u32", value: evidenceHash },
+  ]);
+  return {
+    stakeHandle: handles[0],
+    evidenceHandle: handles[1],
+    stakeProof: inputProof,
+    evidenceProof: inputProof,
+  };
+}
+
+/**
+ * Encrypted document hash and claimed amount for submitEvidence
+ * Both values share the single input proof the function takes.
+ */
+async function encryptEvidence(hre, platform, party, { documentHash, claimedAmount = 0 }) {
+  const { handles, inputProof } = await encryptValues(hre, platform, party, [
+    { type: "u32", value: documentHash },
+    { type: "u64", value: claimedAmount },
+  ]);
+  return { documentHandle: handles[0], amountHandle: handles[1], inputProof };
+}
+
+/**
+ * Encrypted vote and justification hash for submitVote
+ * Both values share one input proof, which is passed for each parameter.
+ */
+async function encryptVote(hre, platform, arbitrator, { vote, justification }) {
+  const { handles, inputProof } = await encryptValues(hre, platform, arbitrator, [
+    { type: "u8", value: vote },
+    { type: "u32", value: justification },
+  ]);
+  return {
+    voteHandle: handles[0],
+    justificationHandle: handles[1],
+    voteProof: inputProof,
+    justificationProof: inputProof,
+  };
+}
+
+/**
+ * Build the argument list for registerArbitrator (without transaction overrides)
+ * Usable with both the method and its estimateGas/staticCall variants; the bond
+ * goes in the `value` override. `specialisations` is a DisputeCategory bitmask
+ * (see scripts/lib/categories.js), none by default.
+ */
+async function registerArbitratorArgs(hre, platform, arbitrator, identity, { specialisations = 0 } = {}) {
+  const { identityHandle, identityProof } = await encryptIdentity(hre, platform, arbitrator, identity);
+  return [identityHandle, identityProof, specialisations];
+}
+
+/**
+ * Build the argument list for createDispute (without transaction overrides)
+ * A `panelSize` of 0 (the default) lets the contract pick it from the deposit tier;
+ * `category` is a DisputeCategory index, General (0) by default. ETH is staked
+ * unless `token` names an allowlisted ERC-20, in which case `amount` is the deposit
+ * and `permit` an optional encoded permit (see scripts/lib/tokens.js).
+ */
+async function createDisputeArgs(
+  hre,
+  platform,
+  plaintiff,
+  defendant,
+  { stakeAmount, evidenceHash, panelSize = 0, category = 0, token = hre.ethers.ZeroAddress, amount = 0n, permit = "0x" }
+) {
+  const inputs = await encryptDisputeInputs(hre, platform, plaintiff, { stakeAmount, evidenceHash });
+  const defendantAddress = typeof defendant === "string" ? defendant : await defendant.getAddress();
+  return [
+    defendantAddress,
+    inputs.stakeHandle,
+    inputs.evidenceHandle,
+    inputs.stakeProof,
+    inputs.evidenceProof,
+    panelSize,
+    category,
+    token,
+    amount,
+    permit,
+  ];
+}
+
+/**
+ * Build the argument list for respondToDispute (without transaction overrides)
+ * Without `counterEvidence` the handle is zero and the proof empty, which the
+ * contract treats as a response without counter-evidence. `permit` covers a
+ * token deposit, empty by default.
+ */
+async function respondToDisputeArgs(hre, platform, defendant, disputeId, { counterEvidence, permit = "0x" } = {}) {
+  if (counterEvidence === undefined) {
+    return [disputeId, hre.ethers.ZeroHash, "0x", permit];
+  }
+  const { handles, inputProof } = await encryptValues(hre, platform, defendant, [
+    { type: "u32", value: counterEvidence },
+  ]);
+  return [disputeId, handles[0], inputProof, permit];
+}
+
+/**
+ * Build the argument list for submitEvidence
+ * A `claimedAmount` of 0 (the default) marks an item that claims no amount.
+ */
+async function submitEvidenceArgs(hre, platform, party, disputeId, { documentHash, claimedAmount }) {
+  const inputs = await encryptEvidence(hre, platform, party, { documentHash, claimedAmount });
+  return [disputeId, inputs.documentHandle, inputs.amountHandle, inputs.inputProof];
+}
+
+/**
+ * Build the argument list for submitVote
+ */
+async function submitVoteArgs(hre, platform, arbitrator, disputeId, { vote, justification }) {
+  const inputs = await encryptVote(hre, platform, arbitrator, { vote, justification });
+  return [
+    disputeId,
+    inputs.voteHandle,
+    inputs.justificationHandle,
+    inputs.voteProof,
+    inputs.justificationProof,
+  ];
+}
+
+/**
+ * Register `arbitrator` with an encrypted identity proof
+ * Posts the platform's minimum bond unless `value` is given.
+ * @param {{value?: bigint, specialisations?: number}} [options]
+ * @returns {Promise<import("ethers").ContractTransactionResponse>}
+ */
+async function registerArbitrator(hre, platform, arbitrator, identity, { value, specialisations } = {}) {
+  const args = await registerArbitratorArgs(hre, platform, arbitrator, identity, { specialisations });
+  const bond = value === undefined ? await platform.MIN_ARBITRATOR_BOND() : value;
+  return platform.connect(arbitrator).registerArbitrator(...args, { value: bond });
+}
+
+/**
+ * Open a dispute from `plaintiff` with an encrypted stake and evidence hash
+ * An ETH deposit goes in `value`; a token deposit in `amount`, with `token` and
+ * an optional `permit`, and no `value`.
+ * @param {{
+ *   stakeAmount: number|bigint, evidenceHash: number|bigint, value?: bigint, panelSize?: number, category?: number,
+ *   token?: string, amount?: bigint, permit?: string
+ * }} options
+ * @returns {Promise<import("ethers").ContractTransactionResponse>}
+ */
+async function createDispute(
+  hre,
+  platform,
+  plaintiff,
+  defendant,
+  { stakeAmount, evidenceHash, value = 0n, panelSize, category, token, amount, permit }
+) {
+  const args = await createDisputeArgs(hre, platform, plaintiff, defendant, {
+    stakeAmount,
+    evidenceHash,
+    panelSize,
+    category,
+    token,
+    amount,
+    permit,
+  });
+  return platform.connect(plaintiff).createDispute(...args, { value });
+}
+
+/**
+ * Answer `disputeId` as `defendant`, matching the plaintiff's deposit
+ * `value` is the ETH deposit; a token deposit is pulled, using `permit` when given.
+ * @param {{value?: bigint, counterEvidence?: number|bigint, permit?: string}} options
+ * @returns {Promise<import("ethers").ContractTransactionResponse>}
+ */
+async function respondToDispute(hre, platform, defendant, disputeId, { value = 0n, counterEvidence, permit }) {
+  const args = await respondToDisputeArgs(hre, platform, defendant, disputeId, { counterEvidence, permit });
+  return platform.connect(defendant).respondToDispute(...args, { value });
+}
+
+/**
+ * Add an encrypted evidence item to `disputeId` as `party`
+ * @param {{documentHash: number|bigint, claimedAmount?: number|bigint}} options
+ * @returns {Promise<import("ethers").ContractTransactionResponse>}
+ */
+async function submitEvidence(hre, platform, party, disputeId, { documentHash, claimedAmount }) {
+  const args = await submitEvidenceArgs(hre, platform, party, disputeId, { documentHash, claimedAmount });
+  return platform.connect(party).submitEvidence(...args);
+}
+
+/**
+ * Cast an encrypted vote on `disputeId` as `arbitrator`
+ * @param {{vote: number, justification: number|bigint}} options
+ * @returns {Promise<import("ethers").ContractTransactionResponse>}
+ */
+async function submitVote(hre, platform, arbitrator, disputeId, { vote, justification }) {
+  const args = await submitVoteArgs(hre, platform, arbitrator, disputeId, { vote, justification });
+  return platform.connect(arbitrator).submitVote(...args);
+}
+
+module.exports = {
+  initFhevm,
+  encryptValues,
+  encryptIdentity,
+  encryptDisputeInputs,
+  encryptEvidence,
+  encryptVote,
+  registerArbitratorArgs,
+  createDisputeArgs,
+  respondToDisputeArgs,
+  submitEvidenceArgs,
+  submitVoteArgs,
+  registerArbitrator,
+  createDispute,
+  respondToDispute,
+  submitEvidence,
+  submitVote,
+};
@@ -0,0 +1,179 @@
+/**
+ * Local Gateway stand-in
+ * Plays the role of the Zama Gateway/decryption oracle on Hardhat networks:
+ * picks up DecryptionRequested and ConsensusRevealRequested events, decrypts the
+ * requested handles through the FHEVM mock coprocessor, signs the cleartexts with
+ * the mock KMS signers and relays them to processDecisionCallback.
+ */
+
+const { FhevmHandle } = require("@fhevm/mock-utils");
+
+class LocalGateway {
+  /**
+   * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+   * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform
+   * @param {import("ethers").Signer} [relayer] Account paying for callback transactions
+   */
+  constructor(hre, platform, relayer) {
+    this.hre = hre;
+    this.platform = platform;
+    this.relayer = relayer;
+    this._listener = null;
+    this._consensusListener = null;
+  }
+
+  /**
+   * Locate the oracle request emitted alongside DecryptionRequested for a dispute
+   */
+  async getRequest(disputeId) {
+    const events = await this.platform.queryFilter(
+      this.platform.filters.DecryptionRequested(disputeId)
+    );
+    if (events.length === 0) {
+      throw new Error(`No decryption requested for dispute ${disputeId}`);
+    }
+
+    const event = events[events.length - 1];
+    const request = await this._oracleRequest(event);
+    if (!request) {
+      throw new Error(`Oracle request ${event.args.requestId} not found for dispute ${disputeId}`);
+    }
+    return { disputeId: BigInt(disputeId), ...request };
+  }
+
+  /**
+   * Locate the oracle request of a consensus batch announced by ConsensusRevealRequested
+   */
+  async getConsensusRequest(requestId) {
+    const events = await this.platform.queryFilter(this.platform.filters.ConsensusRevealRequested());
+    const event = events.find((e) => e.args.requestId === BigInt(requestId));
+    const request = event && (await this._oracleRequest(event));
+    if (!request) {
+      throw new Error(`Oracle request ${requestId} not found for a consensus batch`);
+    }
+    return { arbitrator: event.args.arbitrator, ...request };
+  }
+
+  // Oracle request of the platform logged in the same transaction as `event`, matched by requestId
+  async _oracleRequest(event) {
+    const requestId = event.args.requestId;
+    const receipt = await event.getTransactionReceipt();
+    const platformAddress = (await this.platform.getAddress()).toLowerCase();
+
+    const oracleRequest = this.hre.fhevm
+      .parseDecryptionRequestEvents(receipt.logs)
+      .find(
+        (r) =>
+          r.requestID === requestId && r.contractCallerAddress.toLowerCase() === platformAddress
+      );
+    return oracleRequest ? { requestId, handles: oracleRequest.handlesBytes32Hex } : null;
+  }
+
+  /**
+   * Decrypt the requested handles and build the callback payload
+   * @returns {Promise<{values: bigint[], cleartexts: string, decryptionProof: string}>}
+   */
+  async buildResponse(request) {
+    const { ethers } = this.hre;
+    const values = [];
+
+    for (const handle of request.handles) {
+      const fhevmType = FhevmHandle.fromBytes32Hex(handle).fhevmType;
+      values.push(await this.hre.fhevm.debugger.decryptEuint(fhevmType, handle));
+    }
+
+    const { signatures } = await this.hre.fhevm.debugger.createDecryptionSignatures(
+      request.handles,
+      values
+    );
+
+    // One 32-byte word per handle, as the KMS encodes decryption results
+    const cleartexts = ethers.AbiCoder.defaultAbiCoder().encode(
+      values.map(() => "uint256"),
+      values
+    );
+
+    // numSigners (uint8) | signatures | extraData (v0)
+    const decryptionProof = ethers.concat([
+      ethers.solidityPacked(["uint8"], [signatures.length]),
+      ...signatures,
+      ethers.solidityPacked(["uint8"], [0]),
+    ]);
+
+    return { values, cleartexts, decryptionProof };
+  }
+
+  /**
+   * Relay a callback payload to the platform
+   */
+  async relay(requestId, cleartexts, decryptionProof) {
+    const platform = this.relayer ? this.platform.connect(this.relayer) : this.platform;
+    const tx = await platform.processDecisionCallback(requestId, cleartexts, decryptionProof);
+    return tx.wait();
+  }
+
+  /**
+   * Fulfil the pending decryption request of a dispute
+   * @param {number|bigint} disputeId
+   * @param {{delaySeconds?: number}} [options] Advance time before answering to simulate a slow Gateway
+   */
+  async fulfill(disputeId, options = {}) {
+    const request = await this.getRequest(disputeId);
+    const { cleartexts, decryptionProof } = await this.buildResponse(request);
+
+    if (options.delaySeconds) {
+      await this.hre.network.provider.send("evm_increaseTime", [options.delaySeconds]);
+      await this.hre.network.provider.send("evm_mine", []);
+    }
+
+    return this.relay(request.requestId, cleartexts, decryptionProof);
+  }
+
+  /**
+   * Fulfil the decryption of a consensus batch
+   * @param {number|bigint} requestId Request ID of the ConsensusRevealRequested event
+   */
+  async fulfillConsensus(requestId) {
+    const request = await this.getConsensusRequest(requestId);
+    const { cleartexts, decryptionProof } = await this.buildResponse(request);
+    return this.relay(request.requestId, cleartexts, decryptionProof);
+  }
+
+  /**
+   * Answer every DecryptionRequested and ConsensusRevealRequested event until stop() is called
+   * @param {(disputeId: bigint, receipt?: object, error?: Error) => void} [onResult]
+   * @param {(arbitrator: string, receipt?: object, error?: Error) => void} [onConsensus]
+   */
+  async watch(onResult = () => {}, onConsensus = () => {}) {
+    this._listener = async (disputeId) => {
+      try {
+        if (!(await this.platform.pendingDecryptions(disputeId))) {
+          return;
+        }
+        onResult(disputeId, await this.fulfill(disputeId));
+      } catch (error) {
+        onResult(disputeId, undefined, error);
+      }
+    };
+    this._consensusListener = async (arbitrator, category, requestId) => {
+      try {
+        onConsensus(arbitrator, await this.fulfillConsensus(requestId));
+      } catch (error) {
+        onConsensus(arbitrator, undefined, error);
+      }
+    };
+    await this.platform.on("DecryptionRequested", this._listener);
+    await this.platform.on("ConsensusRevealRequested", this._consensusListener);
+  }
+
+  async stop() {
+    if (this._listener) {
+      await this.platform.off("DecryptionRequested", this._listener);
+      await this.platform.off("ConsensusRevealRequested", this._consensusListener);
+      this._listener = null;
+      this._consensusListener = null;
+    }
+  }
+}
+
+module.exports = { LocalGateway };
@@ -0,0 +1,85 @@
+/**
+ * Local randomness stand-in
+ * Answers MockRandomnessCoordinator requests on Hardhat networks so that
+ * assignArbitrators() can seat a panel without an external VRF service.
+ */
+
+const { ethers } = require("ethers");
+
+class LocalRandomness {
+  /**
+   * @param {import("ethers").Contract} coordinator Deployed MockRandomnessCoordinator
+   * @param {import("ethers").Signer} [relayer] Account paying for fulfillment transactions
+   */
+  constructor(coordinator, relayer) {
+    this.coordinator = relayer ? coordinator.connect(relayer) : coordinator;
+    this._listener = null;
+  }
+
+  /**
+   * Answer a pending request
+   * @param {number|bigint} requestId
+   * @param {bigint} [seed] Random word; fresh random bytes when omitted
+   */
+  async fulfill(requestId, seed = BigInt(ethers.hexlify(ethers.randomBytes(32)))) {
+    const tx = await this.coordinator.fulfill(requestId, seed);
+    return tx.wait();
+  }
+
+  /**
+   * Requests still waiting for a random word, oldest first
+   * @param {string} [consumer] Only requests made by this contract
+   * @returns {Promise<bigint[]>}
+   */
+  async pending(consumer) {
+    const counter = await this.coordinator.requestCounter();
+    const requestIds = [];
+    for (let requestId = 1n; requestId <= counter; requestId++) {
+      const requester = await this.coordinator.consumers(requestId);
+      if (requester !== ethers.ZeroAddress && (!consumer || requester.toLowerCase() === consumer.toLowerCase())) {
+        requestIds.push(requestId);
+      }
+    }
+    return requestIds;
+  }
+
+  /**
+   * Answer the requests made before watching started; a failed one is reported and
+   * skipped like a live request, so it cannot hold up the rest
+   * @param {string} [consumer] Only requests made by this contract
+   * @param {(requestId: bigint, receipt?: object, error?: Error) => void} [onResult]
+   */
+  async fulfillPending(consumer, onResult = () => {}) {
+    for (const requestId of await this.pending(consumer)) {
+      try {
+        onResult(requestId, await this.fulfill(requestId));
+      } catch (error) {
+        onResult(requestId, undefined, error);
+      }
+    }
+  }
+
+  /**
+   * Answer every RandomnessRequested event until stop() is called
+   * @param {(requestId: bigint, receipt?: object, error?: Error) => void} [onResult]
+   */
+  async watch(onResult = () => {}) {
+    this._listener = async (requestId) => {
+      try {
+        onResult(requestId, await this.fulfill(requestId));
+      } catch (error) {
+        onResult(requestId, undefined, error);
+      }
+    };
+    await this.coordinator.on("RandomnessRequested", this._listener);
+  }
+
+  async stop() {
+    if (this._listener) {
+      await this.coordinator.off("RandomnessRequested", this._listener);
+      this._listener = null;
+    }
+  }
+}
+
+module.exports = { LocalRandomness };
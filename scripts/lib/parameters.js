@@ -0,0 +1,87 @@
+/**
+ * Governable platform parameters
+ * Mirrors the Parameter enum; durations are in seconds and MinStake in wei.
+ * Changes are queued by a governor and executed once PARAMETER_TIMELOCK has passed.
+ */
+
+const { ethers } = require("ethers");
+
+// Parameter values, in enum order
+const PARAMETERS = ["VotingPeriod", "VotingTimeout", "DecryptionTimeout", "MinStake"];
+
+// Name → enum value, e.g. Parameter.VotingTimeout === 1
+const Parameter = Object.fromEntries(PARAMETERS.map((name, i) => [name, i]));
+
+const DURATION_UNITS = { d: 86400, h: 3600, m: 60, s: 1 };
+
+/**
+ * Index of a parameter in the Parameter enum
+ * @param {string|number} parameter Name (case-insensitive) or index
+ * @returns {number}
+ */
+function parameterIndex(parameter) {
+  const index = typeof parameter === "number"
+    ? parameter
+    : PARAMETERS.findIndex((name) => name.toLowerCase() === String(parameter).trim().toLowerCase());
+  if (!Number.isInteger(index) || index < 0 || index >= PARAMETERS.length) {
+    throw new Error(`Unknown parameter: ${parameter}`);
+  }
+  return index;
+}
+
+/**
+ * Parse a human-entered value into the unit the contract stores
+ * @param {string|number} parameter Name or index
+ * @param {string} input ETH for MinStake (e.g. "0.002"); seconds or a d/h/m/s suffix otherwise (e.g. "5d")
+ * @returns {bigint}
+ */
+function parseParameterValue(parameter, input) {
+  const text = String(input).trim();
+  if (parameterIndex(parameter) === Parameter.MinStake) {
+    return ethers.parseEther(text);
+  }
+
+  const match = /^(\d+)([dhms]?)$/i.exec(text);
+  if (!match) {
+    throw new Error(`Invalid duration: ${input}`);
+  }
+  return BigInt(match[1]) * BigInt(DURATION_UNITS[(match[2] || "s").toLowerCase()]);
+}
+
+/**
+ * Human-readable value of a parameter
+ * @param {string|number} parameter Name or index
+ * @param {bigint} value Stored value
+ * @returns {string}
+ */
+function formatParameterValue(parameter, value) {
+  if (parameterIndex(parameter) === Parameter.MinStake) {
+    return `${ethers.formatEther(value)} ETH`;
+  }
+  const seconds = Number(value);
+  return seconds % 86400 === 0 ? `${seconds / 86400} days` : `${seconds / 3600} hours`;
+}
+
+/**
+ * Current value and queued change of every parameter
+ * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform
+ * @returns {Promise<{name: string, value: bigint, queued: ({value: bigint, eta: bigint}|null)}[]>}
+ */
+async function readParameters(platform) {
+  const entries = [];
+  for (let i = 0; i < PARAMETERS.length; i++) {
+    const value = await platform.getParameter(i);
+    const { value: queuedValue, eta } = await platform.getQueuedParameterChange(i);
+    entries.push({ name: PARAMETERS[i], value, queued: eta > 0n ? { value: queuedValue, eta } : null });
+  }
+  return entries;
+}
+
+module.exports = {
+  PARAMETERS,
+  Parameter,
+  parameterIndex,
+  parseParameterValue,
+  formatParameterValue,
+  readParameters,
+};
@@ -0,0 +1,144 @@
+/**
+ * Platform deployment tooling
+ * AnonymousArbitrationPlatform links against external libraries that keep it under
+ * the EIP-170 size limit, so the libraries are deployed first and the platform
+ * factory is linked against their addresses.
+ *
+ * The platform can also run behind a PlatformProxy (an OpenZeppelin transparent proxy):
+ * the proxy holds the state and a ProxyAdmin switches it to a new implementation.
+ */
+
+const { ethers } = require("ethers");
+
+// ERC-1967 slots holding a proxy's implementation and admin addresses
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+// Libraries the platform bytecode links against, in deployment order
+const PLATFORM_LIBRARIES = [
+  "DisputeLogic",
+  "PanelLogic",
+  "AppealLogic",
+  "SettlementLogic",
+  "ResolutionLogic",
+  "RegistryLogic",
+  "GovernanceLogic",
+  "TokenLogic",
+  "ReputationLogic",
+];
+
+/**
+ * Deploy every library the platform links against
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {import("ethers").Signer} [signer] Deployer; the first signer when omitted
+ * @returns {Promise<Record<string, string>>} Library name → deployed address
+ */
+async function deployLibraries(hre, signer) {
+  const libraries = {};
+  for (const name of PLATFORM_LIBRARIES) {
+    const factory = await hre.ethers.getContractFactory(name, signer);
+    const library = await factory.deploy();
+    await library.waitForDeployment();
+    libraries[name] = await library.getAddress();
+  }
+  return libraries;
+}
+
+/**
+ * AnonymousArbitrationPlatform factory linked against its libraries
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {{libraries?: Record<string, string>, signer?: import("ethers").Signer}} [options]
+ *   Already deployed libraries to link against; fresh ones are deployed when omitted
+ * @returns {Promise<{factory: import("ethers").ContractFactory, libraries: Record<string, string>}>}
+ */
+async function getPlatformFactory(hre, { libraries, signer } = {}) {
+  const linked = libraries || (await deployLibraries(hre, signer));
+  const factory = await hre.ethers.getContractFactory("AnonymousArbitrationPlatform", {
+    signer,
+    libraries: linked,
+  });
+  return { factory, libraries: linked };
+}
+
+/**
+ * Deploy a platform implementation with fresh libraries
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {import("ethers").Signer} [signer] Deployer; the first signer when omitted
+ * @returns {Promise<{implementation: import("ethers").Contract, libraries: Record<string, string>}>}
+ */
+async function deployImplementation(hre, signer) {
+  const { factory, libraries } = await getPlatformFactory(hre, { signer });
+  const implementation = await factory.deploy();
+  await implementation.waitForDeployment();
+  return { implementation, libraries };
+}
+
+/**
+ * Deploy the platform behind a PlatformProxy, initialized with the signer as owner
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {{signer?: import("ethers").Signer, adminOwner?: string}} [options]
+ *   adminOwner owns the ProxyAdmin and may upgrade; the signer when omitted
+ * @returns {Promise<{platform: import("ethers").Contract, proxy: import("ethers").Contract,
+ *   implementation: import("ethers").Contract, libraries: Record<string, string>, admin: string}>}
+ *   platform is the platform ABI attached to the proxy address
+ */
+async function deployPlatformProxy(hre, { signer, adminOwner } = {}) {
+  const deployer = signer || (await hre.ethers.getSigners())[0];
+  const { implementation, libraries } = await deployImplementation(hre, deployer);
+
+  const Proxy = await hre.ethers.getContractFactory("PlatformProxy", deployer);
+  const proxy = await Proxy.deploy(
+    await implementation.getAddress(),
+    adminOwner || deployer.address,
+    implementation.interface.encodeFunctionData("initialize")
+  );
+  await proxy.waitForDeployment();
+
+  const platform = implementation.attach(await proxy.getAddress());
+  const { admin } = await readProxySlots(hre.ethers.provider, await proxy.getAddress());
+  return { platform, proxy, implementation, libraries, admin };
+}
+
+/**
+ * Point a PlatformProxy at a newly deployed implementation
+ * Check the storage layout with scripts/lib/storageLayout.js first: the proxy's state is
+ * read through the new implementation's layout.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} proxyAddress PlatformProxy address
+ * @param {{signer?: import("ethers").Signer}} [options] Owner of the ProxyAdmin
+ * @returns {Promise<{implementation: import("ethers").Contract, libraries: Record<string, string>,
+ *   receipt: import("ethers").TransactionReceipt}>}
+ */
+async function upgradePlatformProxy(hre, proxyAddress, { signer } = {}) {
+  const owner = signer || (await hre.ethers.getSigners())[0];
+  const { admin } = await readProxySlots(hre.ethers.provider, proxyAddress);
+  const proxyAdmin = await hre.ethers.getContractAt("ProxyAdmin", admin, owner);
+  const { implementation, libraries } = await deployImplementation(hre, owner);
+
+  const tx = await proxyAdmin.upgradeAndCall(proxyAddress, await implementation.getAddress(), "0x");
+  const receipt = await tx.wait();
+  return { implementation, libraries, receipt };
+}
+
+/**
+ * Implementation and ProxyAdmin behind a proxy, from its ERC-1967 slots
+ * @param {import("ethers").Provider} provider
+ * @param {string} proxyAddress PlatformProxy address
+ * @returns {Promise<{implementation: string, admin: string}>} Zero addresses for a plain platform
+ */
+async function readProxySlots(provider, proxyAddress) {
+  // The address sits in the low 20 bytes of the slot
+  const read = async (slot) => ethers.getAddress(ethers.dataSlice(await provider.getStorage(proxyAddress, slot), 12));
+  const [implementation, admin] = await Promise.all([read(IMPLEMENTATION_SLOT), read(ADMIN_SLOT)]);
+  return { implementation, admin };
+}
+
+module.exports = {
+  PLATFORM_LIBRARIES,
+  deployLibraries,
+  getPlatformFactory,
+  deployImplementation,
+  deployPlatformProxy,
+  upgradePlatformProxy,
+  readProxySlots,
+};
@@ -0,0 +1,90 @@
+/**
+ * Panel replacement tooling
+ * Finds panel members who let the replacement grace period pass without voting
+ * and swaps them out through replaceArbitrator, as a keeper would.
+ */
+
+const { pausedTime } = require("./roles");
+
+const IN_ARBITRATION = 1n;
+
+/**
+ * Current panel of a dispute: the last seated panel with every later replacement applied
+ * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform
+ * @param {number|bigint} disputeId
+ * @returns {Promise<string[]>} Panel members, in seat order
+ */
+async function currentPanel(platform, disputeId) {
+  const seated = await platform.queryFilter(platform.filters.ArbitratorsAssigned(disputeId));
+  if (seated.length === 0) {
+    return [];
+  }
+
+  const last = seated[seated.length - 1];
+  const panel = [...last.args.arbitrators];
+
+  const replaced = await platform.queryFilter(platform.filters.ArbitratorReplaced(disputeId), last.blockNumber);
+  for (const event of replaced) {
+    const seat = panel.indexOf(event.args.replaced);
+    if (seat !== -1) {
+      panel[seat] = event.args.replacement;
+    }
+  }
+  return panel;
+}
+
+/**
+ * Panel members of a dispute that replaceArbitrator accepts at `now`
+ * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform
+ * @param {number|bigint} disputeId
+ * @param {bigint} now Timestamp to check against, normally that of the latest block
+ * @returns {Promise<string[]>} Silent panel members past the grace period and before the deadline
+ */
+async function silentArbitrators(platform, disputeId, now) {
+  const info = await platform.getDisputeInfo(disputeId);
+  if (info.status !== IN_ARBITRATION) {
+    return [];
+  }
+
+  // Time spent paused does not count towards the grace period
+  const gracePeriod = await platform.REPLACEMENT_GRACE_PERIOD();
+  if (now < info.votingStartedAt + gracePeriod + (await pausedTime(platform, info.votingStartedAt, now))) {
+    return [];
+  }
+  // The next block lands after `now`; past the deadline, moved back by any pause, the voting timeout applies instead
+  if (now >= info.votingDeadline) {
+    return [];
+  }
+
+  const silent = [];
+  for (const arbitrator of await currentPanel(platform, disputeId)) {
+    if (!(await platform.getVote(disputeId, arbitrator)).hasVoted) {
+      silent.push(arbitrator);
+    }
+  }
+  return silent;
+}
+
+/**
+ * Replace every silent panel member of a dispute
+ * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform
+ * @param {number|bigint} disputeId
+ * @param {import("ethers").Signer} keeper Account sending the replacements
+ * @returns {Promise<{replaced: string, replacement: string, receipt: import("ethers").TransactionReceipt}[]>}
+ */
+async function replaceSilentArbitrators(platform, disputeId, keeper) {
+  const { timestamp } = await keeper.provider.getBlock("latest");
+  const silent = await silentArbitrators(platform, disputeId, BigInt(timestamp));
+
+  const results = [];
+  for (const arbitrator of silent) {
+    const receipt = await (await platform.connect(keeper).replaceArbitrator(disputeId, arbitrator)).wait();
+    const event = receipt.logs
+      .map((log) => platform.interface.parseLog(log))
+      .find((log) => log && log.name === "ArbitratorReplaced");
+    results.push({ replaced: arbitrator, replacement: event.args.replacement, receipt });
+  }
+  return results;
+}
+
+module.exports = { currentPanel, silentArbitrators, replaceSilentArbitrators };
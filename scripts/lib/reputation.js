@@ -0,0 +1,79 @@
+/**
+ * Arbitrator reputation tooling
+ * Reputation changes are published as ReputationChanged events: each vote with the
+ * panel majority earns the consensus reward, a missed vote costs the missed-vote penalty.
+ * Agreement is revealed per batch of CONSENSUS_BATCH decided votes in a category, so a
+ * consensus change carries dispute ID 0. Between changes scores decay back towards the
+ * starting 100, so the platform views report the current score rather than the last one
+ * in the history. Only the arbitrator can decrypt its running count of votes with the majority.
+ */
+
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+
+// ReputationReason values, in enum order
+const REPUTATION_REASONS = ["Consensus", "MissedVote"];
+
+// Name → enum value, e.g. ReputationReason.MissedVote === 1
+const ReputationReason = Object.fromEntries(REPUTATION_REASONS.map((name, i) => [name, i]));
+
+/**
+ * Every published change to an arbitrator's reputation, oldest first
+ * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform
+ * @param {string} arbitrator Address of the arbitrator
+ * @param {{fromBlock?: number, toBlock?: number|string}} [range] Defaults to the whole chain
+ * @returns {Promise<{disputeId: bigint, reason: string, change: bigint, reputation: bigint,
+ *   blockNumber: number, timestamp: Date}[]>}
+ */
+async function readReputationHistory(platform, arbitrator, { fromBlock = 0, toBlock = "latest" } = {}) {
+  const events = await platform.queryFilter(platform.filters.ReputationChanged(arbitrator), fromBlock, toBlock);
+
+  const history = [];
+  for (const event of events) {
+    const block = await event.getBlock();
+    history.push({
+      disputeId: event.args.disputeId,
+      reason: REPUTATION_REASONS[Number(event.args.reason)],
+      change: event.args.change,
+      reputation: event.args.reputation,
+      blockNumber: event.blockNumber,
+      timestamp: new Date(block.timestamp * 1000),
+    });
+  }
+  return history;
+}
+
+/**
+ * Decrypt an arbitrator's own count of votes cast with the panel majority
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime with the FHEVM plugin
+ * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform
+ * @param {import("ethers").Signer} arbitrator Signer of the arbitrator; nobody else can decrypt the count
+ * @returns {Promise<bigint>} 0 before the arbitrator's first ruling
+ */
+async function decryptConsensusCount(hre, platform, arbitrator) {
+  const handle = await platform.getConsensusCount(await arbitrator.getAddress());
+  if (handle === hre.ethers.ZeroHash) {
+    return 0n;
+  }
+
+  return hre.fhevm.userDecryptEuint(FhevmType.euint32, handle, await platform.getAddress(), arbitrator);
+}
+
+/**
+ * Share of the panel draw each candidate of a sample had
+ * @param {{candidates: string[], weights: bigint[]}} sample Arguments of a CandidatesSampled event, or sampleCandidates
+ * @returns {{arbitrator: string, weight: bigint, share: number}[]} In sample order;
+ *   `share` is the chance of taking the first seat, equal for a uniform draw
+ */
+function selectionShares({ candidates, weights }) {
+  const list = candidates.map((arbitrator, i) => ({ arbitrator, weight: weights.length ? weights[i] : 1n }));
+  const total = list.reduce((sum, entry) => sum + entry.weight, 0n);
+  return list.map((entry) => ({ ...entry, share: total > 0n ? Number((entry.weight * 10000n) / total) / 10000 : 0 }));
+}
+
+module.exports = {
+  REPUTATION_REASONS,
+  ReputationReason,
+  readReputationHistory,
+  decryptConsensusCount,
+  selectionShares,
+};
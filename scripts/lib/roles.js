@@ -0,0 +1,109 @@
+/**
+ * Delegated admin roles and the emergency pause
+ * Mirrors the Role enum. The owner holds every role implicitly; other accounts
+ * are granted roles by the owner.
+ */
+
+// Role values, in enum order
+const ROLES = ["Moderator", "Governor", "Treasurer", "Pauser"];
+
+// Name → enum value, e.g. Role.Governor === 1
+const Role = Object.fromEntries(ROLES.map((name, i) => [name, i]));
+
+// What each role may do, for listings
+const ROLE_DUTIES = {
+  Moderator: "pause and unpause arbitrators",
+  Governor: "queue and cancel parameter changes",
+  Treasurer: "set the fee schedule, the treasury and the stake tokens",
+  Pauser: "pause and unpause the whole platform",
+};
+
+/**
+ * Emergency pause status
+ * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform
+ * @returns {Promise<{paused: boolean, since: Date|null}>}
+ */
+async function readPauseStatus(platform) {
+  const [paused, since] = await platform.getPauseStatus();
+  return { paused, since: paused ? new Date(Number(since) * 1000) : null };
+}
+
+/**
+ * Time the platform spent paused within a span, from its Paused and Unpaused events
+ * Voting deadlines and the replacement grace period are moved back by this much.
+ * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform
+ * @param {bigint} from Start of the span, e.g. the start of a voting period
+ * @param {bigint} to End of the span, normally the latest block
+ * @returns {Promise<bigint>} Seconds paused, a pause still running counted up to `to`
+ */
+async function pausedTime(platform, from, to) {
+  const events = [
+    ...(await platform.queryFilter(platform.filters.Paused())),
+    ...(await platform.queryFilter(platform.filters.Unpaused())),
+  ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  let total = 0n;
+  let start = null;
+  for (const event of events) {
+    const { timestamp } = await event.getBlock();
+    if (event.fragment.name === "Paused") {
+      start = BigInt(timestamp);
+    } else if (start !== null) {
+      total += overlap(start, BigInt(timestamp), from, to);
+      start = null;
+    }
+  }
+  if (start !== null) {
+    total += overlap(start, to, from, to);
+  }
+  return total;
+}
+
+// Length of the part of [start, end] that falls within [from, to]
+function overlap(start, end, from, to) {
+  const lower = start > from ? start : from;
+  const upper = end < to ? end : to;
+  return upper > lower ? upper - lower : 0n;
+}
+
+/**
+ * Index of a role in the Role enum
+ * @param {string|number} role Name (case-insensitive) or index
+ * @returns {number}
+ */
+function roleIndex(role) {
+  const index = typeof role === "number"
+    ? role
+    : ROLES.findIndex((name) => name.toLowerCase() === String(role).trim().toLowerCase());
+  if (!Number.isInteger(index) || index < 0 || index >= ROLES.length) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+  return index;
+}
+
+/**
+ * Ownership and the roles an account may act in
+ * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform
+ * @param {string} account Address to check
+ * @returns {Promise<{owner: string, pendingOwner: string, isOwner: boolean, roles: string[]}>}
+ */
+async function readAccess(platform, account) {
+  const [owner, pendingOwner] = await Promise.all([platform.owner(), platform.pendingOwner()]);
+  const roles = [];
+  for (let i = 0; i < ROLES.length; i++) {
+    if (await platform.hasRole(i, account)) {
+      roles.push(ROLES[i]);
+    }
+  }
+  return { owner, pendingOwner, isOwner: owner.toLowerCase() === account.toLowerCase(), roles };
+}
+
+module.exports = {
+  ROLES,
+  Role,
+  ROLE_DUTIES,
+  roleIndex,
+  readAccess,
+  readPauseStatus,
+  pausedTime,
+};
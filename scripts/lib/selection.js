@@ -0,0 +1,269 @@
+/**
+ * Arbitrator selection tooling
+ * Mirrors ArbitratorSelection and the candidate sampling of PanelLogic, so a past panel
+ * can be re-derived from the pool, the coordinator seed and the published samples.
+ */
+
+const { ethers } = require("ethers");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const MAX_UINT256 = ethers.MaxUint256;
+
+/**
+ * Weighted partial Fisher-Yates draw, identical to ArbitratorSelection.draw
+ * @param {string[]} candidates Eligible arbitrators, in sample order
+ * @param {bigint} seed Random word delivered by the coordinator
+ * @param {number} count Panel size
+ * @param {bigint[]} [weights] Reputation weight of each candidate; empty for a uniform draw
+ * @returns {string[]} Drawn arbitrators, in draw order
+ */
+function drawPanel(candidates, seed, count, weights = []) {
+  const n = candidates.length;
+  if (count > n) {
+    throw new Error("Not enough candidates");
+  }
+
+  const pool = [...candidates];
+  const poolWeights = candidates.map((_, i) => (weights.length ? BigInt(weights[i]) : 1n));
+  let total = poolWeights.reduce((sum, weight) => sum + weight, 0n);
+  const selected = [];
+
+  for (let i = 0; i < count; i++) {
+    let ticket = BigInt(ethers.keccak256(coder.encode(["uint256", "uint256"], [seed, i]))) % total;
+    let j = i;
+    while (ticket >= poolWeights[j]) {
+      ticket -= poolWeights[j];
+      j++;
+    }
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+    [poolWeights[i], poolWeights[j]] = [poolWeights[j], poolWeights[i]];
+    total -= poolWeights[i];
+    selected.push(pool[i]);
+  }
+
+  return selected;
+}
+
+/**
+ * Pool positions a draw reads, identical to ArbitratorSelection.sample
+ * @param {number} length Pool length
+ * @param {bigint} seed Seed of the draw
+ * @param {number} size Largest sample (MAX_CANDIDATES)
+ * @returns {number[]} Every position in order when the pool fits, otherwise a seeded sample
+ */
+function samplePositions(length, seed, size) {
+  if (length <= size) {
+    return Array.from({ length }, (_, i) => i);
+  }
+
+  const complement = MAX_UINT256 ^ BigInt(seed);
+  const swapped = new Map();
+  const positions = [];
+  for (let t = 0; t < size; t++) {
+    const ticket = BigInt(ethers.keccak256(coder.encode(["uint256", "uint256"], [complement, t])));
+    const j = t + Number(ticket % BigInt(length - t));
+    positions.push(swapped.has(j) ? swapped.get(j) : j);
+    swapped.set(j, swapped.has(t) ? swapped.get(t) : t);
+  }
+  return positions;
+}
+
+/**
+ * Seed of a draw within a round: the coordinator seed for the panel, then
+ * keccak256(abi.encode(seed, drawIndex)) for each replacement
+ * @param {bigint} seed Coordinator seed
+ * @param {number|bigint} drawIndex Draws taken before this one
+ * @returns {bigint}
+ */
+function drawSeed(seed, drawIndex) {
+  if (BigInt(drawIndex) === 0n) {
+    return BigInt(seed);
+  }
+  return BigInt(ethers.keccak256(coder.encode(["uint256", "uint256"], [seed, drawIndex])));
+}
+
+/**
+ * Candidates and weights a draw would see, as PanelLogic builds them on-chain
+ * Weights are current reputations at `blockTag`, so they can differ by decay from those of a
+ * draw made in a later block; verifySelection takes the published weights instead.
+ * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform
+ * @param {number|bigint} disputeId
+ * @param {object} options
+ * @param {bigint} options.seed Seed of the draw (see drawSeed)
+ * @param {number} options.count Seats drawn; the sample narrows to specialists when at least this many are eligible
+ * @param {number|string} [options.blockTag] Chain state to read, the latest block by default
+ * @returns {Promise<{candidates: string[], weights: bigint[]}>}
+ */
+async function sampleCandidates(platform, disputeId, { seed, count, blockTag = "latest" }) {
+  const at = { blockTag };
+  const requests = await platform.queryFilter(platform.filters.ArbitratorSelectionRequested(disputeId), 0, blockTag);
+  if (requests.length === 0) {
+    throw new Error("No selection requested");
+  }
+  const request = requests[requests.length - 1];
+  const { total: poolSize } = await platform.getArbitratorCount({ blockTag: request.blockNumber });
+  const [registered] = await platform.getArbitrators(0, poolSize, false, at);
+  const eligibleRegistrations = new Set(registered.map((entry) => entry.arbitrator));
+
+  const dispute = await platform.getDisputeInfo(disputeId, at);
+  const parties = [dispute.plaintiff, dispute.defendant];
+  const partyLinks = await Promise.all(parties.map((party) => platform.getLinkedAddresses(party, at)));
+  const { originalPanel } = await platform.getAppealInfo(disputeId, at);
+  const { candidates: drawn } = await platform.getSelection(disputeId, at);
+  const categoryBit = Number(dispute.category) === 0 ? 0 : 1 << Number(dispute.category);
+
+  const pool = await platform.getActiveArbitrators(at);
+  const maxCandidates = Number(await platform.MAX_CANDIDATES());
+  const all = { candidates: [], weights: [] };
+  const specialists = { candidates: [], weights: [] };
+  for (const position of samplePositions(pool.length, seed, maxCandidates)) {
+    const candidate = pool[position];
+    if (
+      !eligibleRegistrations.has(candidate) ||
+      parties.includes(candidate) ||
+      originalPanel.includes(candidate) ||
+      drawn.includes(candidate) ||
+      partyLinks.some((links) => links.includes(candidate))
+    ) {
+      continue;
+    }
+    const ownLinks = await platform.getLinkedAddresses(candidate, at);
+    if (parties.some((party) => ownLinks.includes(party))) {
+      continue;
+    }
+
+    const info = await platform.getArbitratorInfo(candidate, at);
+    const weight = info.reputation > 0n ? info.reputation : 1n;
+    all.candidates.push(candidate);
+    all.weights.push(weight);
+    if ((Number(info.specialisations) & categoryBit) !== 0) {
+      specialists.candidates.push(candidate);
+      specialists.weights.push(weight);
+    }
+  }
+
+  return count > 0 && specialists.candidates.length >= count ? specialists : all;
+}
+
+/**
+ * Arbitrator the next replacement, recusal or strike of the dispute's current round would seat
+ * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform
+ * @param {number|bigint} disputeId
+ * @returns {Promise<string>}
+ */
+async function nextReplacement(platform, disputeId) {
+  const { seed, candidates: drawn } = await platform.getSelection(disputeId);
+  const roundSeed = drawSeed(seed, drawn.length);
+  const { candidates, weights } = await sampleCandidates(platform, disputeId, { seed: roundSeed, count: 1 });
+  if (candidates.length === 0) {
+    throw new Error("No replacement available");
+  }
+  return drawPanel(candidates, roundSeed, 1, weights)[0];
+}
+
+// The CandidatesSampled event a draw published in the transaction of `event`
+async function sampleIn(platform, disputeId, event, drawIndex) {
+  const samples = await platform.queryFilter(
+    platform.filters.CandidatesSampled(disputeId),
+    event.blockNumber,
+    event.blockNumber
+  );
+  return samples.find((e) => e.transactionHash === event.transactionHash && Number(e.args.drawIndex) === drawIndex);
+}
+
+// Whether a published sample holds exactly the candidates re-derived from the pool
+async function matchesPool(platform, disputeId, sample, seed, count, blockNumber) {
+  const { candidates } = await sampleCandidates(platform, disputeId, { seed, count, blockTag: blockNumber - 1 });
+  const published = [...sample.args.candidates];
+  return candidates.length === published.length && candidates.every((c, i) => c === published[i]);
+}
+
+/**
+ * Re-derive the panel of a dispute and compare it with the on-chain assignment
+ * Each draw of the round (the panel, then each replacement) must come from the sample it
+ * published, and that sample must be the one the pool gave in the block before the draw.
+ * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform
+ * @param {number|bigint} disputeId
+ * @returns {Promise<{valid: boolean, reason?: string, seed?: bigint, requestId?: bigint,
+ *   candidates?: string[], weights?: bigint[], expected?: string[], actual?: string[],
+ *   replacements?: {replaced: string, replacement: string, drawIndex: number}[]}>}
+ */
+async function verifySelection(platform, disputeId) {
+  const selection = await platform.getSelection(disputeId);
+  if (!selection.fulfilled) {
+    return { valid: false, reason: "Selection not fulfilled yet" };
+  }
+
+  const events = await platform.queryFilter(platform.filters.ArbitratorsSelected(disputeId));
+  const event = events.find((e) => e.args.requestId === selection.requestId);
+  if (!event) {
+    return { valid: false, reason: "ArbitratorsSelected event not found" };
+  }
+  if (event.args.seed !== selection.seed) {
+    return { valid: false, reason: "Seed in event does not match stored seed" };
+  }
+
+  const assigned = (await platform.queryFilter(platform.filters.ArbitratorsAssigned(disputeId)))
+    .find((e) => e.transactionHash === event.transactionHash);
+  const actual = assigned ? [...assigned.args.arbitrators] : [];
+
+  const sample = await sampleIn(platform, disputeId, event, 0);
+  if (!sample) {
+    return { valid: false, reason: "CandidatesSampled event not found" };
+  }
+  const candidates = [...sample.args.candidates];
+  const weights = [...sample.args.weights];
+  const expected = drawPanel(candidates, selection.seed, actual.length, weights);
+
+  const dispute = await platform.getDisputeInfo(disputeId);
+  const parties = [dispute.plaintiff, dispute.defendant];
+
+  const replacementEvents = await platform.queryFilter(
+    platform.filters.ArbitratorReplaced(disputeId),
+    event.blockNumber
+  );
+  const replacements = replacementEvents.map((e) => ({
+    replaced: e.args.replaced,
+    replacement: e.args.replacement,
+    drawIndex: Number(e.args.drawIndex),
+  }));
+
+  const result = {
+    seed: selection.seed,
+    requestId: selection.requestId,
+    candidates,
+    weights,
+    expected,
+    actual,
+    replacements,
+  };
+
+  if (candidates.some((c) => parties.includes(c))) {
+    return { ...result, valid: false, reason: "A dispute party is in the candidate sample" };
+  }
+  if (!(await matchesPool(platform, disputeId, sample, selection.seed, actual.length, event.blockNumber))) {
+    return { ...result, valid: false, reason: "Candidate sample does not match the pool" };
+  }
+  if (expected.length !== actual.length || expected.some((a, i) => a !== actual[i])) {
+    return { ...result, valid: false, reason: "Assigned panel does not match the seed" };
+  }
+
+  let nextDraw = actual.length;
+  for (const [i, { replacement, drawIndex }] of replacements.entries()) {
+    const seed = drawSeed(selection.seed, drawIndex);
+    const drawSample = await sampleIn(platform, disputeId, replacementEvents[i], drawIndex);
+    if (
+      drawIndex !== nextDraw ||
+      !drawSample ||
+      !(await matchesPool(platform, disputeId, drawSample, seed, 1, replacementEvents[i].blockNumber)) ||
+      drawPanel([...drawSample.args.candidates], seed, 1, [...drawSample.args.weights])[0] !== replacement
+    ) {
+      return { ...result, valid: false, reason: "Replacement does not match the seed" };
+    }
+    nextDraw = drawIndex + 1;
+  }
+
+  return { ...result, valid: true };
+}
+
+module.exports = { drawPanel, samplePositions, drawSeed, sampleCandidates, nextReplacement, verifySelection };
@@ -0,0 +1,149 @@
+/**
+ * Storage layout checks for upgrades
+ * A proxy keeps its state in the slots the previous implementation assigned, so a new
+ * implementation may only add state: every variable and struct member of the old layout
+ * must keep its slot, offset and type. Layouts are read from the compiler's storageLayout
+ * output and normalised into self-contained type trees without AST ids, so a layout saved
+ * in the deployment record can be compared with a later compilation.
+ */
+
+/**
+ * Normalised storage layout of a compiled contract
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} [contractName] Fully qualified or plain contract name
+ * @returns {Promise<{storage: object[]}>}
+ */
+async function readStorageLayout(hre, contractName = "AnonymousArbitrationPlatform") {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const layout = buildInfo?.output.contracts[artifact.sourceName][artifact.contractName].storageLayout;
+  if (!layout) {
+    throw new Error(`No storage layout for ${contractName}: compile with "storageLayout" in the output selection`);
+  }
+  return normalizeLayout(layout);
+}
+
+/**
+ * Resolve the compiler's type ids into nested type descriptions
+ * @param {{storage: object[], types: Record<string, object>}} layout Compiler storageLayout output
+ * @returns {{storage: object[]}}
+ */
+function normalizeLayout({ storage, types }) {
+  const describe = (id, seen = []) => {
+    const type = types[id];
+    const node = { label: type.label, encoding: type.encoding, numberOfBytes: type.numberOfBytes };
+    // A struct reached again through its own mapping or array is recorded by name only
+    if (seen.includes(id)) {
+      return node;
+    }
+    const path = [...seen, id];
+    if (type.members) {
+      node.members = type.members.map((member) => variable(member, path));
+    }
+    if (type.key) {
+      node.key = describe(type.key, path);
+    }
+    if (type.value) {
+      node.value = describe(type.value, path);
+    }
+    if (type.base) {
+      node.base = describe(type.base, path);
+    }
+    return node;
+  };
+  const variable = ({ label, slot, offset, type }, seen = []) => ({ label, slot, offset, type: describe(type, seen) });
+
+  return { storage: storage.map((entry) => variable(entry)) };
+}
+
+/**
+ * Storage-safety problems of moving from one layout to the next
+ * @param {{storage: object[]}} previous Normalised layout of the deployed implementation
+ * @param {{storage: object[]}} next Normalised layout of the new implementation
+ * @returns {string[]} Empty when the upgrade keeps every existing slot
+ */
+function compareLayouts(previous, next) {
+  const errors = [];
+  compareVariables(previous.storage, next.storage, "", errors);
+  return errors;
+}
+
+// Each old variable must keep its position and a compatible type; new ones must not overlap old ones
+function compareVariables(previous, next, prefix, errors) {
+  for (const old of previous) {
+    const name = `${prefix}${old.label}`;
+    const current = next.find((entry) => entry.slot === old.slot && entry.offset === old.offset);
+    if (!current) {
+      const moved = next.find((entry) => entry.label === old.label);
+      errors.push(moved
+        ? `${name} moved from slot ${old.slot}+${old.offset} to slot ${moved.slot}+${moved.offset}`
+        : `${name} was removed from slot ${old.slot}+${old.offset}`);
+      continue;
+    }
+    if (current.label !== old.label) {
+      errors.push(`${name} at slot ${old.slot}+${old.offset} was replaced by ${current.label}`);
+      continue;
+    }
+    compareTypes(old.type, current.type, name, errors);
+  }
+
+  const end = previous.reduce((max, { slot, type }) => Math.max(max, slotEnd(slot, type)), 0);
+  for (const added of next) {
+    const existed = previous.some((old) => old.label === added.label);
+    if (!existed && BigInt(added.slot) < BigInt(end)) {
+      errors.push(`${prefix}${added.label} was inserted at slot ${added.slot}, inside the existing layout`);
+    }
+  }
+}
+
+// First slot after a variable
+function slotEnd(slot, type) {
+  return Number(BigInt(slot) + (BigInt(type.numberOfBytes) + 31n) / 32n);
+}
+
+/**
+ * Whether values of the old type can be read as the new type
+ * Structs may gain members at the end; the size check is left to the enclosing layout,
+ * which reports a grown struct once it moves a following variable. Array elements and
+ * mapping keys must keep their exact size, since their positions are computed from it.
+ */
+function compareTypes(old, current, name, errors) {
+  if (old.encoding !== current.encoding) {
+    errors.push(`${name} changed encoding from ${old.encoding} to ${current.encoding}`);
+    return;
+  }
+
+  if (old.members) {
+    if (!current.members) {
+      errors.push(`${name} changed type from ${old.label} to ${current.label}`);
+      return;
+    }
+    compareVariables(old.members, current.members, `${name}.`, errors);
+    return;
+  }
+
+  if (old.key || old.value) {
+    if (old.key.label !== current.key.label) {
+      errors.push(`${name} changed key type from ${old.key.label} to ${current.key.label}`);
+    }
+    compareTypes(old.value, current.value, `${name}[]`, errors);
+    return;
+  }
+
+  if (old.base) {
+    if (old.base.numberOfBytes !== current.base.numberOfBytes) {
+      errors.push(`${name} changed element size from ${old.base.numberOfBytes} to ${current.base.numberOfBytes} bytes`);
+    }
+    if (old.encoding === "inplace" && old.numberOfBytes !== current.numberOfBytes) {
+      errors.push(`${name} changed length from ${old.label} to ${current.label}`);
+    }
+    compareTypes(old.base, current.base, `${name}[]`, errors);
+    return;
+  }
+
+  if (old.label !== current.label) {
+    errors.push(`${name} changed type from ${old.label} to ${current.label}`);
+  }
+}
+
+module.exports = { readStorageLayout, normalizeLayout, compareLayouts };
@@ -0,0 +1,171 @@
+/**
+ * Stake token tooling
+ * Disputes are staked in ETH or in an ERC-20 allowlisted by the treasurer. Token
+ * deposits are pulled with transferFrom, so the depositor either approves the
+ * platform first or signs an EIP-2612 permit that is passed along with the call.
+ */
+
+const { ethers } = require("ethers");
+
+// The ERC-20 surface the tooling needs, including the optional permit extension
+const ERC20_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+];
+
+// Sentinel for ETH stakes
+const ETH = ethers.ZeroAddress;
+
+/**
+ * ERC-20 contract bound to a runner
+ * @param {string} address Token address
+ * @param {import("ethers").ContractRunner} runner Signer or provider
+ * @returns {import("ethers").Contract}
+ */
+function tokenContract(address, runner) {
+  return new ethers.Contract(address, ERC20_ABI, runner);
+}
+
+/**
+ * Allowlisted stake tokens with their metadata
+ * @param {import("ethers").Contract} platform Deployed AnonymousArbitrationPlatform
+ * @returns {Promise<{address: string, symbol: string, decimals: number, minStake: bigint}[]>}
+ */
+async function readAllowedTokens(platform) {
+  const [tokens, minStakes] = await platform.getAllowedTokens();
+  const runner = platform.runner;
+  return Promise.all(
+    tokens.map(async (address, i) => {
+      const token = tokenContract(address, runner);
+      const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+      return { address, symbol, decimals: Number(decimals), minStake: minStakes[i] };
+    })
+  );
+}
+
+/**
+ * Symbol and decimals of a stake currency
+ * @param {import("ethers").ContractRunner} runner Signer or provider
+ * @param {string} token Token address, or the zero address for ETH
+ * @returns {Promise<{symbol: string, decimals: number}>}
+ */
+async function readTokenInfo(runner, token) {
+  if (token === ETH) {
+    return { symbol: "ETH", decimals: 18 };
+  }
+  const contract = tokenContract(token, runner);
+  const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+  return { symbol, decimals: Number(decimals) };
+}
+
+/**
+ * Format an amount in a stake currency, e.g. "1.5 USDC"
+ * @param {bigint} amount Amount in base units
+ * @param {{symbol: string, decimals: number}} info From readTokenInfo
+ * @returns {string}
+ */
+function formatStake(amount, { symbol, decimals }) {
+  return `${ethers.formatUnits(amount, decimals)} ${symbol}`;
+}
+
+/**
+ * Whether a token implements EIP-2612 permits
+ * @param {import("ethers").Contract} token ERC-20 contract
+ * @param {string} owner Account that would sign
+ * @returns {Promise<boolean>}
+ */
+async function supportsPermit(token, owner) {
+  try {
+    await Promise.all([token.nonces(owner), token.DOMAIN_SEPARATOR()]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Sign an EIP-2612 permit letting the platform pull `amount`
+ * Uses the token's EIP-5267 domain when it has one, else its name and version "1".
+ * @param {import("ethers").Signer} signer Token holder
+ * @param {string} tokenAddress Token address
+ * @param {string} spender Platform address
+ * @param {bigint} amount Deposit the permit covers
+ * @param {{deadline?: bigint}} [options] Defaults to one hour after the latest block
+ * @returns {Promise<string>} abi.encode(deadline, v, r, s), the _permit argument of the platform
+ */
+async function signPermit(signer, tokenAddress, spender, amount, { deadline } = {}) {
+  const token = tokenContract(tokenAddress, signer);
+  const owner = await signer.getAddress();
+  const { chainId } = await signer.provider.getNetwork();
+
+  let domain;
+  try {
+    const [, name, version, domainChainId, verifyingContract] = await token.eip712Domain();
+    domain = { name, version, chainId: domainChainId, verifyingContract };
+  } catch {
+    domain = { name: await token.name(), version: "1", chainId, verifyingContract: tokenAddress };
+  }
+
+  const expiry = deadline ?? BigInt((await signer.provider.getBlock("latest")).timestamp + 3600);
+  const types = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+  const message = { owner, spender, value: amount, nonce: await token.nonces(owner), deadline: expiry };
+  const { v, r, s } = ethers.Signature.from(await signer.signTypedData(domain, types, message));
+
+  return ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint8", "bytes32", "bytes32"], [expiry, v, r, s]);
+}
+
+/**
+ * Let the platform pull a token deposit, by permit when the token supports it
+ * @param {import("ethers").Signer} signer Depositor
+ * @param {string} tokenAddress Stake token, or the zero address for ETH
+ * @param {string} spender Platform address
+ * @param {bigint} amount Deposit owed
+ * @param {{usePermit?: boolean}} [options] Set usePermit to false to always approve
+ * @returns {Promise<{permit: string, value: bigint, method: "eth"|"allowance"|"approve"|"permit"}>}
+ *   The _permit argument and the ETH to send with the deposit call
+ */
+async function prepareDeposit(signer, tokenAddress, spender, amount, { usePermit = true } = {}) {
+  if (tokenAddress === ETH) {
+    return { permit: "0x", value: amount, method: "eth" };
+  }
+
+  const token = tokenContract(tokenAddress, signer);
+  const owner = await signer.getAddress();
+  if ((await token.allowance(owner, spender)) >= amount) {
+    return { permit: "0x", value: 0n, method: "allowance" };
+  }
+
+  if (usePermit && (await supportsPermit(token, owner))) {
+    return { permit: await signPermit(signer, tokenAddress, spender, amount), value: 0n, method: "permit" };
+  }
+
+  await (await token.approve(spender, amount)).wait();
+  return { permit: "0x", value: 0n, method: "approve" };
+}
+
+module.exports = {
+  ERC20_ABI,
+  ETH,
+  tokenContract,
+  readAllowedTokens,
+  readTokenInfo,
+  formatStake,
+  supportsPermit,
+  signPermit,
+  prepareDeposit,
+};
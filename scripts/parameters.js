@@ -0,0 +1,104 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const {
+  PARAMETERS,
+  parameterIndex,
+  parseParameterValue,
+  formatParameterValue,
+  readParameters,
+} = require("./lib/parameters");
+
+// ACTION is one of show (default), queue, cancel or execute
+const ACTIONS = ["show", "queue", "cancel", "execute"];
+
+// Queue, cancel or execute the change named by PARAMETER (and VALUE when queueing)
+async function runAction(platform, signer, action) {
+  if (!process.env.PARAMETER) {
+    console.log(`❌ Set PARAMETER to one of: ${PARAMETERS.join(", ")}`);
+    process.exit(1);
+  }
+  const parameter = parameterIndex(process.env.PARAMETER);
+  const name = PARAMETERS[parameter];
+
+  let tx;
+  if (action === "queue") {
+    if (!process.env.VALUE) {
+      console.log("❌ Set VALUE (ETH for MinStake, seconds or e.g. 5d / 12h for durations)");
+      process.exit(1);
+    }
+    const value = parseParameterValue(parameter, process.env.VALUE);
+    console.log(`📝 Queueing ${name} = ${formatParameterValue(parameter, value)}...`);
+    tx = await platform.connect(signer).queueParameterChange(parameter, value);
+  } else if (action === "cancel") {
+    console.log(`🚫 Cancelling the change queued for ${name}...`);
+    tx = await platform.connect(signer).cancelParameterChange(parameter);
+  } else {
+    console.log(`⚙️  Executing the change queued for ${name}...`);
+    tx = await platform.connect(signer).executeParameterChange(parameter);
+  }
+
+  const receipt = await tx.wait();
+  console.log(`✅ Done (Hash: ${receipt.hash.substring(0, 10)}...)\n`);
+}
+
+async function main() {
+  console.log("\n========================================");
+  console.log("Platform Parameters");
+  console.log("========================================\n");
+
+  // Get network information
+  const network = await hre.ethers.provider.getNetwork();
+  console.log(`📡 Network: ${network.name}`);
+  console.log(`🔗 Chain ID: ${network.chainId}\n`);
+
+  // Load contract address
+  const deploymentFile = path.join(__dirname, "..", "deployments", `${hre.network.name}_deployment.json`);
+  const contractAddress = process.env.PLATFORM_ADDRESS ||
+    (fs.existsSync(deploymentFile) && JSON.parse(fs.readFileSync(deploymentFile, "utf8")).contractAddress);
+
+  if (!contractAddress) {
+    console.log("❌ Deployment file not found. Please deploy first or set PLATFORM_ADDRESS.");
+    process.exit(1);
+  }
+
+  const platform = await hre.ethers.getContractAt("AnonymousArbitrationPlatform", contractAddress);
+  const [signer] = await hre.ethers.getSigners();
+  const action = (process.env.ACTION || "show").toLowerCase();
+
+  console.log(`📍 Contract Address: ${contractAddress}`);
+  console.log(`👤 Signer Address: ${signer.address}`);
+  console.log(`⏳ Timelock: ${Number(await platform.PARAMETER_TIMELOCK()) / 86400} days\n`);
+
+  if (!ACTIONS.includes(action)) {
+    console.log(`❌ Unknown ACTION "${action}". Use one of: ${ACTIONS.join(", ")}`);
+    process.exit(1);
+  }
+
+  if (action !== "show") {
+    await runAction(platform, signer, action);
+  }
+
+  // Current values and pending changes
+  const { timestamp: now } = await hre.ethers.provider.getBlock("latest");
+  for (const { name, value, queued } of await readParameters(platform)) {
+    console.log(`📊 ${name}: ${formatParameterValue(name, value)}`);
+    if (queued) {
+      const eta = new Date(Number(queued.eta) * 1000).toISOString();
+      const status = BigInt(now) >= queued.eta ? "ready to execute" : "waiting";
+      console.log(`   ⏰ Queued: ${formatParameterValue(name, queued.value)} at ${eta} (${status})`);
+    }
+  }
+  console.log("");
+}
+
+// Execute parameter command
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("\n❌ Parameter command failed:");
+    console.error(error);
+    process.exit(1);
+  });
+
+module.exports = main;
@@ -0,0 +1,67 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { readPauseStatus } = require("./lib/roles");
+
+// ACTION is one of status (default), pause or unpause
+const ACTIONS = ["status", "pause", "unpause"];
+
+async function main() {
+  console.log("\n========================================");
+  console.log("Emergency Pause");
+  console.log("========================================\n");
+
+  // Get network information
+  const network = await hre.ethers.provider.getNetwork();
+  console.log(`📡 Network: ${network.name}`);
+  console.log(`🔗 Chain ID: ${network.chainId}\n`);
+
+  // Load contract address
+  const deploymentFile = path.join(__dirname, "..", "deployments", `${hre.network.name}_deployment.json`);
+  const contractAddress = process.env.PLATFORM_ADDRESS ||
+    (fs.existsSync(deploymentFile) && JSON.parse(fs.readFileSync(deploymentFile, "utf8")).contractAddress);
+
+  if (!contractAddress) {
+    console.log("❌ Deployment file not found. Please deploy first or set PLATFORM_ADDRESS.");
+    process.exit(1);
+  }
+
+  const platform = await hre.ethers.getContractAt("AnonymousArbitrationPlatform", contractAddress);
+  const [signer] = await hre.ethers.getSigners();
+  const action = (process.env.ACTION || "status").toLowerCase();
+
+  console.log(`📍 Contract Address: ${contractAddress}`);
+  console.log(`👤 Signer Address: ${signer.address}\n`);
+
+  if (!ACTIONS.includes(action)) {
+    console.log(`❌ Unknown ACTION "${action}". Use one of: ${ACTIONS.join(", ")}`);
+    process.exit(1);
+  }
+
+  if (action !== "status") {
+    console.log(action === "pause" ? "🛑 Pausing the platform..." : "▶️  Unpausing the platform...");
+    const tx = await platform.connect(signer)[action]();
+    const receipt = await tx.wait();
+    console.log(`✅ Done (Hash: ${receipt.hash.substring(0, 10)}...)\n`);
+  }
+
+  const { paused, since } = await readPauseStatus(platform);
+  if (paused) {
+    console.log(`🛑 Platform PAUSED since ${since.toISOString()}`);
+    console.log("   New disputes, panel draws and votes are blocked");
+    console.log("   Refunds, timeouts, settlements, appeals and withdrawals stay open\n");
+  } else {
+    console.log("🟢 Platform running\n");
+  }
+}
+
+// Execute pause command
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("\n❌ Pause command failed:");
+    console.error(error);
+    process.exit(1);
+  });
+
+module.exports = main;
@@ -0,0 +1,148 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { LocalGateway } = require("./lib/localGateway");
+const { LocalRandomness } = require("./lib/localRandomness");
+
+// Answer requests that were emitted before the relayer started; a failed one is
+// logged and skipped like a live request, so it cannot hold up the rest
+async function fulfillBacklog(platform, gateway, randomness) {
+  if (randomness) {
+    await randomness.fulfillPending(await platform.getAddress(), (requestId, receipt, error) => {
+      if (error) {
+        console.log(`❌ Randomness request ${requestId}: ${error.message}`);
+      } else {
+        console.log(`🎲 Randomness request ${requestId}: backlog panel drawn (Hash: ${receipt.hash.substring(0, 10)}...)`);
+      }
+    });
+  }
+
+  const counter = Number(await platform.disputeCounter());
+  for (let disputeId = 1; disputeId <= counter; disputeId++) {
+    if (!(await platform.pendingDecryptions(disputeId))) {
+      continue;
+    }
+    try {
+      const receipt = await gateway.fulfill(disputeId);
+      console.log(`✅ Dispute ${disputeId}: backlog request fulfilled (Hash: ${receipt.hash.substring(0, 10)}...)`);
+    } catch (error) {
+      console.log(`❌ Dispute ${disputeId}: ${error.message}`);
+    }
+  }
+
+  // Consensus batches are not listed by the platform: replay every announced one,
+  // and those already scored revert with "Invalid request ID"
+  const batches = await platform.queryFilter(platform.filters.ConsensusRevealRequested());
+  for (const { args } of batches) {
+    try {
+      const receipt = await gateway.fulfillConsensus(args.requestId);
+      console.log(`✅ Consensus batch of ${args.arbitrator}: backlog request fulfilled (Hash: ${receipt.hash.substring(0, 10)}...)`);
+    } catch (error) {
+      if (!error.message.includes("Invalid request ID")) {
+        console.log(`❌ Consensus batch of ${args.arbitrator}: ${error.message}`);
+      }
+    }
+  }
+}
+
+async function main() {
+  console.log("\n========================================");
+  console.log("Anonymous Arbitration Platform Local Gateway");
+  console.log("========================================\n");
+
+  // Get network information
+  const network = await hre.ethers.provider.getNetwork();
+  console.log(`📡 Network: ${network.name}`);
+  console.log(`🔗 Chain ID: ${network.chainId}\n`);
+
+  // The stand-in signs with the mock KMS keys, so it only works against a mock FHEVM node
+  if (network.chainId !== 31337n) {
+    console.log("❌ The local Gateway only runs against a Hardhat node.");
+    console.log("   On Sepolia, decryptions are fulfilled by the Zama Gateway.\n");
+    process.exit(1);
+  }
+
+  await hre.fhevm.initializeCLIApi();
+
+  // Load contract address
+  const deploymentFile = path.join(__dirname, "..", "deployments", `${hre.network.name}_deployment.json`);
+  const deploymentInfo = fs.existsSync(deploymentFile)
+    ? JSON.parse(fs.readFileSync(deploymentFile, "utf8"))
+    : {};
+  const contractAddress = process.env.PLATFORM_ADDRESS || deploymentInfo.contractAddress;
+
+  if (!contractAddress) {
+    console.log("❌ Deployment file not found. Please deploy first or set PLATFORM_ADDRESS.");
+    process.exit(1);
+  }
+
+  const platform = await hre.ethers.getContractAt("AnonymousArbitrationPlatform", contractAddress);
+  const [relayer] = await hre.ethers.getSigners();
+
+  console.log(`📍 Contract Address: ${contractAddress}`);
+  console.log(`👤 Relayer Address: ${relayer.address}\n`);
+
+  const gateway = new LocalGateway(hre, platform, relayer);
+
+  // Answer arbitrator selection requests when the platform uses the mock coordinator
+  const coordinatorAddress = await platform.randomnessCoordinator();
+  let randomness = null;
+  if (coordinatorAddress !== hre.ethers.ZeroAddress) {
+    const coordinator = await hre.ethers.getContractAt("MockRandomnessCoordinator", coordinatorAddress);
+    randomness = new LocalRandomness(coordinator, relayer);
+    console.log(`🎲 Randomness Coordinator: ${coordinatorAddress}\n`);
+  }
+
+  await fulfillBacklog(platform, gateway, randomness);
+
+  await gateway.watch(
+    (disputeId, receipt, error) => {
+      if (error) {
+        console.log(`❌ Dispute ${disputeId}: ${error.message}`);
+      } else {
+        console.log(`✅ Dispute ${disputeId}: decryption fulfilled (Hash: ${receipt.hash.substring(0, 10)}...)`);
+      }
+    },
+    (arbitrator, receipt, error) => {
+      if (error) {
+        console.log(`❌ Consensus batch of ${arbitrator}: ${error.message}`);
+      } else {
+        console.log(`✅ Consensus batch of ${arbitrator}: scored (Hash: ${receipt.hash.substring(0, 10)}...)`);
+      }
+    }
+  );
+
+  if (randomness) {
+    await randomness.watch((requestId, receipt, error) => {
+      if (error) {
+        console.log(`❌ Randomness request ${requestId}: ${error.message}`);
+      } else {
+        console.log(`🎲 Randomness request ${requestId}: panel drawn (Hash: ${receipt.hash.substring(0, 10)}...)`);
+      }
+    });
+  }
+
+  console.log("👂 Watching for DecryptionRequested events (Ctrl+C to stop)...\n");
+
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+
+  await gateway.stop();
+  if (randomness) {
+    await randomness.stop();
+  }
+  console.log("\n👋 Local Gateway stopped\n");
+}
+
+// Execute relayer
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Local Gateway failed:");
+    console.error(error);
+    process.exit(1);
+  });
+
+module.exports = main;
@@ -0,0 +1,69 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { replaceSilentArbitrators } = require("./lib/replacements");
+
+async function main() {
+  console.log("\n========================================");
+  console.log("Non-Responsive Arbitrator Replacement");
+  console.log("========================================\n");
+
+  // Get network information
+  const network = await hre.ethers.provider.getNetwork();
+  console.log(`📡 Network: ${network.name}`);
+  console.log(`🔗 Chain ID: ${network.chainId}\n`);
+
+  // Load contract address
+  const deploymentFile = path.join(__dirname, "..", "deployments", `${hre.network.name}_deployment.json`);
+  const contractAddress = process.env.PLATFORM_ADDRESS ||
+    (fs.existsSync(deploymentFile) && JSON.parse(fs.readFileSync(deploymentFile, "utf8")).contractAddress);
+
+  if (!contractAddress) {
+    console.log("❌ Deployment file not found. Please deploy first or set PLATFORM_ADDRESS.");
+    process.exit(1);
+  }
+
+  const platform = await hre.ethers.getContractAt("AnonymousArbitrationPlatform", contractAddress);
+  const [keeper] = await hre.ethers.getSigners();
+
+  console.log(`📍 Contract Address: ${contractAddress}`);
+  console.log(`👤 Keeper Address: ${keeper.address}`);
+  console.log(`⏳ Grace Period: ${Number(await platform.REPLACEMENT_GRACE_PERIOD()) / 86400} days\n`);
+
+  // DISPUTE_ID limits the run to one dispute; otherwise every dispute is checked
+  const counter = Number(await platform.disputeCounter());
+  const disputeIds = process.env.DISPUTE_ID
+    ? [Number(process.env.DISPUTE_ID)]
+    : Array.from({ length: counter }, (_, i) => i + 1);
+
+  let replacedCount = 0;
+  for (const disputeId of disputeIds) {
+    try {
+      const results = await replaceSilentArbitrators(platform, disputeId, keeper);
+      for (const { replaced, replacement, receipt } of results) {
+        console.log(`🔄 Dispute ${disputeId}: ${replaced} → ${replacement} (Hash: ${receipt.hash.substring(0, 10)}...)`);
+      }
+      replacedCount += results.length;
+    } catch (error) {
+      console.log(`❌ Dispute ${disputeId}: ${error.reason || error.message}`);
+      process.exitCode = 1;
+    }
+  }
+
+  if (replacedCount === 0) {
+    console.log("✅ No panel member is past the grace period without a vote\n");
+  } else {
+    console.log(`\n✅ Replaced ${replacedCount} arbitrator(s)\n`);
+  }
+}
+
+// Execute replacement
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("\n❌ Arbitrator replacement failed:");
+    console.error(error);
+    process.exit(1);
+  });
+
+module.exports = main;
@@ -1,209 +1,341 @@
-const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
-
-async function main() {
-  console.log("\n========================================");
-  console.log("Anonymous Arbitration Platform Simulation");
-  console.log("========================================\n");
-
-  // Get network information
-  const network = await hre.ethers.provider.getNetwork();
-  console.log(`📡 Network: ${network.name}`);
-  console.log(`🔗 Chain ID: ${network.chainId}\n`);
-
-  let platform;
-  let contractAddress;
-
-  // Check if we should deploy a new contract or use existing one
-  const deploymentFile = path.join(__dirname, "..", "deployments", `${network.name}_deployment.json`);
-
-  if (network.chainId === 31337n) {
-    // Deploy for local testing
-    console.log("🚀 Deploying contract for simulation...\n");
-    const Platform = await hre.ethers.getContractFactory("AnonymousArbitrationPlatform");
-    platform = await Platform.deploy();
-    await platform.waitForDeployment();
-    contractAddress = await platform.getAddress();
-    console.log(`✅ Contract deployed at: ${contractAddress}\n`);
-  } else {
-    // Use existing deployment
-    if (!fs.existsSync(deploymentFile)) {
-      console.log("❌ Deployment file not found. Please deploy first.");
-      process.exit(1);
-    }
-    const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
-    contractAddress = deploymentInfo.contractAddress;
-    platform = await hre.ethers.getContractAt("AnonymousArbitrationPlatform", contractAddress);
-    console.log(`📍 Using deployed contract at: ${contractAddress}\n`);
-  }
-
-  // Get signers
-  const [deployer, arbitrator1, arbitrator2, arbitrator3, plaintiff, defendant] = await hre.ethers.getSigners();
-
-  console.log("========================================");
-  console.log("👥 Simulation Participants");
-  console.log("========================================");
-  console.log(`Deployer: ${deployer.address}`);
-  console.log(`Arbitrator 1: ${arbitrator1.address}`);
-  console.log(`Arbitrator 2: ${arbitrator2.address}`);
-  console.log(`Arbitrator 3: ${arbitrator3.address}`);
-  console.log(`Plaintiff: ${plaintiff.address}`);
-  console.log(`Defendant: ${defendant.address}\n`);
-
-  console.log("========================================");
-  console.log("🎬 Starting Simulation Scenario");
-  console.log("========================================\n");
-
-  // Step 1: Register Arbitrators
-  console.log("📝 Step 1: Registering Arbitrators");
-  console.log("----------------------------------------");
-
-  try {
-    const tx1 = await platform.connect(arbitrator1).registerArbitrator(12345);
-    await tx1.wait();
-    console.log(`✅ Arbitrator 1 registered (Hash: ${tx1.hash.substring(0, 10)}...)`);
-
-    const tx2 = await platform.connect(arbitrator2).registerArbitrator(23456);
-    await tx2.wait();
-    console.log(`✅ Arbitrator 2 registered (Hash: ${tx2.hash.substring(0, 10)}...)`);
-
-    const tx3 = await platform.connect(arbitrator3).registerArbitrator(34567);
-    await tx3.wait();
-    console.log(`✅ Arbitrator 3 registered (Hash: ${tx3.hash.substring(0, 10)}...)\n`);
-  } catch (error) {
-    console.log(`⚠️  Arbitrators already registered or error: ${error.message}\n`);
-  }
-
-  // Verify arbitrators
-  const arb1Info = await platform.getArbitratorInfo(arbitrator1.address);
-  const arb2Info = await platform.getArbitratorInfo(arbitrator2.address);
-  const arb3Info = await platform.getArbitratorInfo(arbitrator3.address);
-
-  console.log("📊 Arbitrator Status:");
-  console.log(`   Arbitrator 1: Active=${arb1Info.isActive}, Reputation=${arb1Info.reputation}`);
-  console.log(`   Arbitrator 2: Active=${arb2Info.isActive}, Reputation=${arb2Info.reputation}`);
-  console.log(`   Arbitrator 3: Active=${arb3Info.isActive}, Reputation=${arb3Info.reputation}\n`);
-
-  // Step 2: Create Dispute
-  console.log("📝 Step 2: Creating Dispute");
-  console.log("----------------------------------------");
-
-  const stakeAmount = 1000;
-  const evidenceHash = 999888777;
-  const ethValue = hre.ethers.parseEther("0.001");
-
-  const createTx = await platform.connect(plaintiff).createDispute(
-    defendant.address,
-    stakeAmount,
-    evidenceHash,
-    { value: ethValue }
-  );
-  const createReceipt = await createTx.wait();
-
-  // Get dispute ID from event
-  let disputeId = 0;
-  for (const log of createReceipt.logs) {
-    try {
-      const parsedLog = platform.interface.parseLog(log);
-      if (parsedLog.name === "DisputeCreated") {
-        disputeId = Number(parsedLog.args.disputeId);
-        console.log(`✅ Dispute created successfully!`);
-        console.log(`   Dispute ID: ${disputeId}`);
-        console.log(`   Transaction Hash: ${createTx.hash.substring(0, 10)}...`);
-        break;
-      }
-    } catch (e) {
-      // Skip logs that don't match our interface
-    }
-  }
-
-  if (disputeId === 0) {
-    // Fallback: get dispute counter
-    disputeId = Number(await platform.disputeCounter());
-    console.log(`✅ Dispute created! ID: ${disputeId}\n`);
-  } else {
-    console.log("");
-  }
-
-  // Get dispute info
-  const disputeInfo = await platform.getDisputeInfo(disputeId);
-  const statusNames = ["Created", "InArbitration", "Voting", "Resolved", "Cancelled"];
-  console.log("📊 Dispute Details:");
-  console.log(`   Status: ${statusNames[disputeInfo.status]}`);
-  console.log(`   Plaintiff: ${disputeInfo.plaintiff}`);
-  console.log(`   Defendant: ${disputeInfo.defendant}\n`);
-
-  // Step 3: Assign Arbitrators (Note: This may fail due to simplified random selection)
-  console.log("📝 Step 3: Assigning Arbitrators");
-  console.log("----------------------------------------");
-
-  try {
-    const assignTx = await platform.connect(deployer).assignArbitrators(disputeId);
-    await assignTx.wait();
-    console.log(`✅ Arbitrators assigned successfully!`);
-    console.log(`   Transaction Hash: ${assignTx.hash.substring(0, 10)}...\n`);
-
-    const updatedInfo = await platform.getDisputeInfo(disputeId);
-    console.log("📊 Updated Dispute Status:");
-    console.log(`   Status: ${statusNames[updatedInfo.status]}`);
-    console.log(`   Arbitrators Assigned: ${updatedInfo.arbitratorCount}\n`);
-
-  } catch (error) {
-    console.log(`⚠️  Note: Arbitrator assignment uses simplified random selection`);
-    console.log(`   and may not succeed in simulation environment.`);
-    console.log(`   Error: ${error.message.substring(0, 100)}...\n`);
-    console.log(`   This is expected behavior in the current implementation.`);
-    console.log(`   In production, this would use Chainlink VRF or similar.\n`);
-  }
-
-  // Step 4: Display Platform Statistics
-  console.log("📝 Step 4: Platform Statistics");
-  console.log("----------------------------------------");
-
-  const totalDisputes = await platform.disputeCounter();
-  const totalArbitrators = await platform.arbitratorPool();
-
-  console.log(`📊 Current Platform Stats:`);
-  console.log(`   Total Disputes: ${totalDisputes}`);
-  console.log(`   Active Arbitrators: ${totalArbitrators}\n`);
-
-  // Step 5: Check Reputations
-  console.log("📝 Step 5: User Reputations");
-  console.log("----------------------------------------");
-
-  const plaintiffRep = await platform.getUserReputation(plaintiff.address);
-  const defendantRep = await platform.getUserReputation(defendant.address);
-
-  console.log(`⭐ Reputation Scores:`);
-  console.log(`   Plaintiff: ${plaintiffRep}`);
-  console.log(`   Defendant: ${defendantRep}\n`);
-
-  // Summary
-  console.log("========================================");
-  console.log("✅ Simulation Complete!");
-  console.log("========================================");
-  console.log("\n📋 Simulation Summary:");
-  console.log(`   ✓ Registered 3 arbitrators`);
-  console.log(`   ✓ Created 1 dispute (ID: ${disputeId})`);
-  console.log(`   ✓ Demonstrated platform functionality`);
-  console.log(`   ✓ Verified contract interactions\n`);
-
-  console.log("📚 Next Steps:");
-  console.log(`   • Use interact.js to manually interact with the contract`);
-  console.log(`   • Run tests with: npm test`);
-  console.log(`   • Deploy to testnet with: npm run deploy:sepolia\n`);
-
-  console.log("========================================\n");
-}
-
-// Execute simulation
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error("\n❌ Simulation failed:");
-    console.error(error);
-    process.exit(1);
-  });
-
-module.exports = main;
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const {
+  initFhevm,
+  registerArbitrator,
+  createDispute,
+  respondToDispute,
+  submitEvidence,
+  submitVote
+} = require("./lib/fhevmInputs");
+const { LocalRandomness } = require("./lib/localRandomness");
+const { CATEGORIES, specialisationMask, specialisationNames } = require("./lib/categories");
+const { LocalGateway } = require("./lib/localGateway");
+const { getPlatformFactory } = require("./lib/platform");
+
+async function main() {
+  console.log("\n========================================");
+  console.log("Anonymous Arbitration Platform Simulation");
+  console.log("========================================\n");
+
+  // Get network information
+  const network = await hre.ethers.provider.getNetwork();
+  console.log(`📡 Network: ${network.name}`);
+  console.log(`🔗 Chain ID: ${network.chainId}\n`);
+
+  // Encrypted inputs need the FHEVM CLI API outside `hardhat test`
+  await initFhevm(hre);
+
+  let platform;
+  let contractAddress;
+
+  // Check if we should deploy a new contract or use existing one
+  const deploymentFile = path.join(__dirname, "..", "deployments", `${network.name}_deployment.json`);
+
+  if (network.chainId === 31337n) {
+    // Deploy for local testing
+    console.log("🚀 Deploying contract for simulation...\n");
+    const { factory: Platform } = await getPlatformFactory(hre);
+    platform = await Platform.deploy();
+    await platform.waitForDeployment();
+    contractAddress = await platform.getAddress();
+    console.log(`✅ Contract deployed at: ${contractAddress}`);
+
+    const Coordinator = await hre.ethers.getContractFactory("MockRandomnessCoordinator");
+    const coordinator = await Coordinator.deploy();
+    await coordinator.waitForDeployment();
+    await (await platform.setRandomnessCoordinator(await coordinator.getAddress())).wait();
+    console.log(`✅ Mock randomness coordinator at: ${await coordinator.getAddress()}\n`);
+  } else {
+    // Use existing deployment
+    if (!fs.existsSync(deploymentFile)) {
+      console.log("❌ Deployment file not found. Please deploy first.");
+      process.exit(1);
+    }
+    const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+    contractAddress = deploymentInfo.contractAddress;
+    platform = await hre.ethers.getContractAt("AnonymousArbitrationPlatform", contractAddress);
+    console.log(`📍 Using deployed contract at: ${contractAddress}\n`);
+  }
+
+  // Get signers
+  const [deployer, arbitrator1, arbitrator2, arbitrator3, plaintiff, defendant] = await hre.ethers.getSigners();
+
+  console.log("========================================");
+  console.log("👥 Simulation Participants");
+  console.log("========================================");
+  console.log(`Deployer: ${deployer.address}`);
+  console.log(`Arbitrator 1: ${arbitrator1.address}`);
+  console.log(`Arbitrator 2: ${arbitrator2.address}`);
+  console.log(`Arbitrator 3: ${arbitrator3.address}`);
+  console.log(`Plaintiff: ${plaintiff.address}`);
+  console.log(`Defendant: ${defendant.address}\n`);
+
+  console.log("========================================");
+  console.log("🎬 Starting Simulation Scenario");
+  console.log("========================================\n");
+
+  // Step 1: Register Arbitrators
+  console.log("📝 Step 1: Registering Arbitrators");
+  console.log("----------------------------------------");
+
+  try {
+    const tx1 = await registerArbitrator(hre, platform, arbitrator1, 12345, {
+      specialisations: specialisationMask(["Commercial", "Legal"])
+    });
+    await tx1.wait();
+    console.log(`✅ Arbitrator 1 registered (Hash: ${tx1.hash.substring(0, 10)}...)`);
+
+    const tx2 = await registerArbitrator(hre, platform, arbitrator2, 23456, {
+      specialisations: specialisationMask(["Commercial"])
+    });
+    await tx2.wait();
+    console.log(`✅ Arbitrator 2 registered (Hash: ${tx2.hash.substring(0, 10)}...)`);
+
+    const tx3 = await registerArbitrator(hre, platform, arbitrator3, 34567, {
+      specialisations: specialisationMask(["Technical"])
+    });
+    await tx3.wait();
+    console.log(`✅ Arbitrator 3 registered (Hash: ${tx3.hash.substring(0, 10)}...)\n`);
+  } catch (error) {
+    console.log(`⚠️  Arbitrators already registered or error: ${error.message}\n`);
+  }
+
+  // Verify arbitrators
+  const arb1Info = await platform.getArbitratorInfo(arbitrator1.address);
+  const arb2Info = await platform.getArbitratorInfo(arbitrator2.address);
+  const arb3Info = await platform.getArbitratorInfo(arbitrator3.address);
+
+  console.log("📊 Arbitrator Status:");
+  console.log(`   Arbitrator 1: Active=${arb1Info.isActive}, Reputation=${arb1Info.reputation}, Specialisations=${specialisationNames(arb1Info.specialisations).join("/")}`);
+  console.log(`   Arbitrator 2: Active=${arb2Info.isActive}, Reputation=${arb2Info.reputation}, Specialisations=${specialisationNames(arb2Info.specialisations).join("/")}`);
+  console.log(`   Arbitrator 3: Active=${arb3Info.isActive}, Reputation=${arb3Info.reputation}, Specialisations=${specialisationNames(arb3Info.specialisations).join("/")}`);
+  const { amount: bond } = await platform.getArbitratorBond(arbitrator1.address);
+  console.log(`   Bond posted by each: ${hre.ethers.formatEther(bond)} ETH\n`);
+
+  // Step 2: Create Dispute
+  console.log("📝 Step 2: Creating Dispute");
+  console.log("----------------------------------------");
+
+  const stakeAmount = 1000;
+  const evidenceHash = 999888777;
+  const ethValue = hre.ethers.parseEther("0.001");
+
+  // Three arbitrators rather than the single one the 0.001 ETH tier would get.
+  // Only two Commercial specialists are registered, so the draw falls back to the whole pool.
+  const createTx = await createDispute(hre, platform, plaintiff, defendant, {
+    stakeAmount,
+    evidenceHash,
+    value: ethValue,
+    panelSize: 3,
+    category: CATEGORIES.indexOf("Commercial")
+  });
+  const createReceipt = await createTx.wait();
+
+  // Get dispute ID from event
+  let disputeId = 0;
+  for (const log of createReceipt.logs) {
+    try {
+      const parsedLog = platform.interface.parseLog(log);
+      if (parsedLog.name === "DisputeCreated") {
+        disputeId = Number(parsedLog.args.disputeId);
+        console.log(`✅ Dispute created successfully!`);
+        console.log(`   Dispute ID: ${disputeId}`);
+        console.log(`   Transaction Hash: ${createTx.hash.substring(0, 10)}...`);
+        break;
+      }
+    } catch (e) {
+      // Skip logs that don't match our interface
+    }
+  }
+
+  if (disputeId === 0) {
+    // Fallback: get dispute counter
+    disputeId = Number(await platform.disputeCounter());
+    console.log(`✅ Dispute created! ID: ${disputeId}\n`);
+  } else {
+    console.log("");
+  }
+
+  // Get dispute info
+  const disputeInfo = await platform.getDisputeInfo(disputeId);
+  const statusNames = ["Created", "InArbitration", "Voting", "Resolved", "Cancelled", "DecryptionFailed", "Refunded", "Appealed", "Settled"];
+  console.log("📊 Dispute Details:");
+  console.log(`   Status: ${statusNames[disputeInfo.status]}`);
+  console.log(`   Category: ${CATEGORIES[disputeInfo.category]}`);
+  console.log(`   Plaintiff: ${disputeInfo.plaintiff}`);
+  console.log(`   Defendant: ${disputeInfo.defendant}`);
+  console.log(`   Panel Size: ${disputeInfo.panelSize}`);
+  console.log(`   Respond Before: ${new Date(Number(disputeInfo.responseDeadline) * 1000).toLocaleString()}\n`);
+
+  // The defendant answers with a matching deposit and encrypted counter-evidence
+  const respondTx = await respondToDispute(hre, platform, defendant, disputeId, {
+    value: disputeInfo.plaintiffStake,
+    counterEvidence: 555444333
+  });
+  await respondTx.wait();
+
+  const answeredInfo = await platform.getDisputeInfo(disputeId);
+  console.log(`✅ Defendant responded (Hash: ${respondTx.hash.substring(0, 10)}...)`);
+  console.log(`   Plaintiff Deposit: ${hre.ethers.formatEther(answeredInfo.plaintiffStake)} ETH`);
+  console.log(`   Defendant Deposit: ${hre.ethers.formatEther(answeredInfo.defendantStake)} ETH\n`);
+
+  // Both parties add encrypted evidence items during the evidence window
+  const plaintiffEvidenceTx = await submitEvidence(hre, platform, plaintiff, disputeId, {
+    documentHash: 111222333,
+    claimedAmount: 1000
+  });
+  await plaintiffEvidenceTx.wait();
+  const defendantEvidenceTx = await submitEvidence(hre, platform, defendant, disputeId, {
+    documentHash: 444555666,
+    claimedAmount: 250
+  });
+  await defendantEvidenceTx.wait();
+
+  const evidence = await platform.getEvidence(disputeId);
+  console.log("✅ Evidence submitted by both parties");
+  console.log(`   Items on Record: ${evidence.items.length}`);
+  console.log(`   Evidence Window Closes: ${new Date(Number(evidence.evidenceDeadline) * 1000).toLocaleString()}\n`);
+
+  // Step 3: Assign Arbitrators (randomness request + coordinator fulfillment)
+  console.log("📝 Step 3: Assigning Arbitrators");
+  console.log("----------------------------------------");
+
+  const isLocal = network.chainId === 31337n;
+  let panelSeated = false;
+
+  // The panel can only be requested once the evidence window has closed
+  if (isLocal) {
+    console.log("⏳ Fast-forwarding past the evidence window...");
+    await hre.network.provider.send("evm_increaseTime", [Number(await platform.EVIDENCE_PERIOD()) + 1]);
+    await hre.network.provider.send("evm_mine");
+  }
+
+  try {
+    const assignTx = await platform.connect(deployer).assignArbitrators(disputeId);
+    await assignTx.wait();
+    const selection = await platform.getSelection(disputeId);
+    console.log("✅ Arbitrator selection requested!");
+    console.log(`   Randomness Request ID: ${selection.requestId}`);
+    console.log(`   Registered Arbitrators: ${(await platform.getArbitratorCount()).total}`);
+    console.log(`   Transaction Hash: ${assignTx.hash.substring(0, 10)}...\n`);
+
+    if (isLocal) {
+      const coordinator = await hre.ethers.getContractAt(
+        "MockRandomnessCoordinator",
+        await platform.randomnessCoordinator()
+      );
+      await new LocalRandomness(coordinator, deployer).fulfill(selection.requestId);
+      console.log("🎲 Mock coordinator delivered the selection seed");
+    } else {
+      console.log("⏳ Waiting for the randomness coordinator to draw the panel...");
+    }
+
+    const updatedInfo = await platform.getDisputeInfo(disputeId);
+    panelSeated = updatedInfo.status === 1n;
+    console.log("📊 Updated Dispute Status:");
+    console.log(`   Status: ${statusNames[updatedInfo.status]}`);
+    console.log(`   Arbitrators Assigned: ${updatedInfo.arbitratorCount}\n`);
+  } catch (error) {
+    console.log(`⚠️  Arbitrator assignment failed: ${error.message.substring(0, 100)}...\n`);
+  }
+
+  // Step 4: Arbitrators vote and the local Gateway reveals the decision
+  if (panelSeated && isLocal) {
+    console.log("📝 Step 4: Voting and Decision Reveal");
+    console.log("----------------------------------------");
+
+    const panelEvents = await platform.queryFilter(platform.filters.ArbitratorsAssigned(disputeId));
+    const panel = panelEvents[panelEvents.length - 1].args.arbitrators;
+    const signers = [arbitrator1, arbitrator2, arbitrator3];
+    const votes = [1, 1, 2];
+
+    for (let i = 0; i < panel.length; i++) {
+      const arbitrator = signers.find((s) => s.address === panel[i]);
+      const voteTx = await submitVote(hre, platform, arbitrator, disputeId, {
+        vote: votes[i],
+        justification: 1000 + i
+      });
+      await voteTx.wait();
+      console.log(`✅ Arbitrator ${panel[i].substring(0, 10)}... voted (Hash: ${voteTx.hash.substring(0, 10)}...)`);
+    }
+
+    await new LocalGateway(hre, platform, deployer).fulfill(disputeId);
+    const resolvedInfo = await platform.getDisputeInfo(disputeId);
+    console.log("🔓 Decision revealed via local Gateway");
+    console.log(`   Status: ${statusNames[resolvedInfo.status]}`);
+    console.log(`   Winner: ${resolvedInfo.winner === plaintiff.address ? "Plaintiff" : resolvedInfo.winner}\n`);
+
+    // The escrow is held while the loser may appeal; fast-forward past the window and release it
+    const appeal = await platform.getAppealInfo(disputeId);
+    if (!appeal.escrowReleased) {
+      console.log(`⏳ Appeal window open until ${new Date(Number(appeal.deadline) * 1000).toLocaleString()}, fast-forwarding...`);
+      await hre.network.provider.send("evm_increaseTime", [Number(await platform.APPEAL_WINDOW()) + 1]);
+      await hre.network.provider.send("evm_mine");
+      const releaseTx = await platform.releaseEscrow(disputeId);
+      await releaseTx.wait();
+      console.log(`🔓 No appeal filed - escrow released (Hash: ${releaseTx.hash.substring(0, 10)}...)\n`);
+    }
+
+    // Settlement is pull-based: the winner collects the escrowed deposits
+    const payout = await platform.getPendingBalance(plaintiff.address);
+    console.log(`💰 Plaintiff Pending Balance: ${hre.ethers.formatEther(payout)} ETH`);
+    if (payout > 0n) {
+      const withdrawTx = await platform.connect(plaintiff).withdraw();
+      await withdrawTx.wait();
+      console.log(`✅ Plaintiff withdrew the payout (Hash: ${withdrawTx.hash.substring(0, 10)}...)\n`);
+    }
+  }
+
+  // Step 5: Display Platform Statistics
+  console.log("📝 Step 5: Platform Statistics");
+  console.log("----------------------------------------");
+
+  const totalDisputes = await platform.disputeCounter();
+  const totalArbitrators = await platform.arbitratorPool();
+
+  console.log(`📊 Current Platform Stats:`);
+  console.log(`   Total Disputes: ${totalDisputes}`);
+  console.log(`   Active Arbitrators: ${totalArbitrators}\n`);
+
+  // Step 6: Check Reputations
+  console.log("📝 Step 6: User Reputations");
+  console.log("----------------------------------------");
+
+  const plaintiffRep = await platform.getUserReputation(plaintiff.address);
+  const defendantRep = await platform.getUserReputation(defendant.address);
+
+  console.log(`⭐ Reputation Scores:`);
+  console.log(`   Plaintiff: ${plaintiffRep}`);
+  console.log(`   Defendant: ${defendantRep}\n`);
+
+  // Summary
+  console.log("========================================");
+  console.log("✅ Simulation Complete!");
+  console.log("========================================");
+  console.log("\n📋 Simulation Summary:");
+  console.log(`   ✓ Registered 3 arbitrators`);
+  console.log(`   ✓ Created 1 dispute (ID: ${disputeId})`);
+  console.log("   ✓ Defendant matched the plaintiff's deposit");
+  console.log(`   ✓ Demonstrated platform functionality`);
+  console.log(`   ✓ Verified contract interactions\n`);
+
+  console.log("📚 Next Steps:");
+  console.log(`   • Use interact.js to manually interact with the contract`);
+  console.log(`   • Run tests with: npm test`);
+  console.log(`   • Deploy to testnet with: npm run deploy:sepolia\n`);
+
+  console.log("========================================\n");
+}
+
+// Execute simulation
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Simulation failed:");
+    console.error(error);
+    process.exit(1);
+  });
+
+module.exports = main;
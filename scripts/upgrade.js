@@ -0,0 +1,110 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { upgradePlatformProxy, readProxySlots } = require("./lib/platform");
+const { readStorageLayout, compareLayouts } = require("./lib/storageLayout");
+
+// CHECK_ONLY=true stops after the storage layout check
+async function main() {
+  console.log("\n========================================");
+  console.log("Platform Upgrade");
+  console.log("========================================\n");
+
+  // Get network information
+  const network = await hre.ethers.provider.getNetwork();
+  console.log(`📡 Network: ${network.name}`);
+  console.log(`🔗 Chain ID: ${network.chainId}\n`);
+
+  // Load the deployment record, which holds the implementation history
+  const deploymentFile = path.join(__dirname, "..", "deployments", `${hre.network.name}_deployment.json`);
+  if (!fs.existsSync(deploymentFile)) {
+    console.log("❌ Deployment file not found. Please deploy first with UPGRADEABLE=true.");
+    process.exit(1);
+  }
+  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+  if (!deploymentInfo.proxy) {
+    console.log("❌ This deployment is not upgradeable. Redeploy with UPGRADEABLE=true.");
+    process.exit(1);
+  }
+
+  const proxyAddress = deploymentInfo.contractAddress;
+  const history = deploymentInfo.implementations;
+  const current = history[history.length - 1];
+  const [signer] = await hre.ethers.getSigners();
+
+  console.log(`📍 Proxy Address: ${proxyAddress}`);
+  console.log(`🧩 Current Implementation: v${current.version} at ${current.address}`);
+  console.log(`👤 Signer Address: ${signer.address}\n`);
+
+  // The record must describe what the proxy actually runs, or the layout check means nothing
+  const { implementation, admin } = await readProxySlots(hre.ethers.provider, proxyAddress);
+  if (implementation !== current.address) {
+    console.log(`❌ The proxy points at ${implementation}, not the recorded implementation.`);
+    console.log("   Restore the deployment record before upgrading.");
+    process.exit(1);
+  }
+
+  const proxyAdmin = await hre.ethers.getContractAt("ProxyAdmin", admin);
+  const adminOwner = await proxyAdmin.owner();
+  if (adminOwner !== signer.address) {
+    console.log(`❌ Only the ProxyAdmin owner (${adminOwner}) can upgrade.`);
+    process.exit(1);
+  }
+
+  // Compare the compiled layout with the one recorded for the running implementation
+  console.log("🔍 Checking storage layout against the current implementation...");
+  const storageLayout = await readStorageLayout(hre);
+  const problems = compareLayouts(current.storageLayout, storageLayout);
+  if (problems.length > 0) {
+    console.log(`❌ Storage layout is not compatible (${problems.length} problem${problems.length === 1 ? "" : "s"}):`);
+    problems.forEach((problem) => console.log(`   • ${problem}`));
+    console.log("\n   Only append new state: keep existing variables and struct members in place.\n");
+    process.exit(1);
+  }
+  console.log(`✅ Storage layout compatible (${storageLayout.storage.length} variables)\n`);
+
+  if (process.env.CHECK_ONLY === "true") {
+    console.log("ℹ️  CHECK_ONLY set - no upgrade performed\n");
+    return;
+  }
+
+  console.log("📝 Deploying linked libraries and the new implementation...");
+  const upgrade = await upgradePlatformProxy(hre, proxyAddress, { signer });
+  const newAddress = await upgrade.implementation.getAddress();
+  Object.entries(upgrade.libraries).forEach(([name, address]) => console.log(`   ${name}: ${address}`));
+  console.log(`✅ Proxy upgraded to ${newAddress} (Hash: ${upgrade.receipt.hash.substring(0, 10)}...)`);
+
+  // Record the new implementation, keeping the previous ones
+  const entry = {
+    version: current.version + 1,
+    address: newAddress,
+    libraries: upgrade.libraries,
+    deploymentTime: new Date().toISOString(),
+    transactionHash: upgrade.receipt.hash,
+    blockNumber: upgrade.receipt.blockNumber,
+    storageLayout
+  };
+  deploymentInfo.implementations.push(entry);
+  deploymentInfo.proxy.implementation = newAddress;
+  deploymentInfo.libraries = upgrade.libraries;
+  fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
+
+  console.log("\n========================================");
+  console.log("📋 Upgrade Summary");
+  console.log("========================================");
+  console.log(`📍 Proxy Address: ${proxyAddress}`);
+  console.log(`🧩 Implementation: v${entry.version} at ${newAddress}`);
+  console.log(`📚 History: ${deploymentInfo.implementations.length} implementations recorded`);
+  console.log(`💾 Deployment info saved to: ${deploymentFile}\n`);
+}
+
+// Execute upgrade
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("\n❌ Upgrade failed:");
+    console.error(error);
+    process.exit(1);
+  });
+
+module.exports = main;
@@ -0,0 +1,76 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { verifySelection } = require("./lib/selection");
+
+async function main() {
+  console.log("\n========================================");
+  console.log("Arbitrator Selection Verification");
+  console.log("========================================\n");
+
+  // Get network information
+  const network = await hre.ethers.provider.getNetwork();
+  console.log(`📡 Network: ${network.name}`);
+  console.log(`🔗 Chain ID: ${network.chainId}\n`);
+
+  const disputeId = process.env.DISPUTE_ID;
+  if (!disputeId) {
+    console.log("❌ Set DISPUTE_ID to the dispute to check, e.g.:");
+    console.log("   DISPUTE_ID=1 npm run verify:selection\n");
+    process.exit(1);
+  }
+
+  // Load contract address
+  const deploymentFile = path.join(__dirname, "..", "deployments", `${hre.network.name}_deployment.json`);
+  const contractAddress = process.env.PLATFORM_ADDRESS ||
+    (fs.existsSync(deploymentFile) && JSON.parse(fs.readFileSync(deploymentFile, "utf8")).contractAddress);
+
+  if (!contractAddress) {
+    console.log("❌ Deployment file not found. Please deploy first or set PLATFORM_ADDRESS.");
+    process.exit(1);
+  }
+
+  const platform = await hre.ethers.getContractAt("AnonymousArbitrationPlatform", contractAddress);
+  console.log(`📍 Contract Address: ${contractAddress}`);
+  console.log(`🆔 Dispute ID: ${disputeId}\n`);
+
+  const result = await verifySelection(platform, disputeId);
+
+  if (result.seed !== undefined) {
+    console.log("📋 Selection Record:");
+    console.log(`   Request ID: ${result.requestId}`);
+    console.log(`   Seed: ${hre.ethers.toBeHex(result.seed, 32)}`);
+    console.log(`   Candidates (${result.candidates.length}):`);
+    result.candidates.forEach((c, i) => {
+      const weight = result.weights.length ? ` (weight ${result.weights[i]})` : "";
+      console.log(`     ${i}. ${c}${weight}`);
+    });
+    console.log("   Re-derived Panel:");
+    result.expected.forEach((a) => console.log(`     • ${a}`));
+    console.log("   Assigned Panel:");
+    result.actual.forEach((a) => console.log(`     • ${a}`));
+    if (result.replacements.length > 0) {
+      console.log("   Replacements:");
+      result.replacements.forEach((r) => console.log(`     • ${r.replaced} → ${r.replacement} (draw ${r.drawIndex})`));
+    }
+    console.log("");
+  }
+
+  if (result.valid) {
+    console.log("✅ Panel matches the coordinator seed and reputation weights and excludes both parties\n");
+  } else {
+    console.log(`❌ Verification failed: ${result.reason}\n`);
+    process.exitCode = 1;
+  }
+}
+
+// Execute verification
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("\n❌ Selection verification failed:");
+    console.error(error);
+    process.exit(1);
+  });
+
+module.exports = main;
@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const { fhevm } = require("hardhat");
+const { DEFAULT_STAKE, deployWithPanel, seatPanel, castVotes } = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Mutual Settlement", function () {
+  const DisputeStatus = { Created: 0, InArbitration: 1, Resolved: 3, Settled: 8 };
+  const ESCROW = 2n * DEFAULT_STAKE;
+  const ARBITRATOR_FEE = (ESCROW * 500n) / 10000n;
+
+  before(function () {
+    if (!fhevm.isMock) {
+      console.warn("⚠️  Mutual settlement tests require the FHEVM mock environment");
+      this.skip();
+    }
+  });
+
+  describe("Proposing", function () {
+    it("should record an offer from either party and let it be replaced", async function () {
+      const { platform, plaintiff, defendant, disputeId } = await deployWithPanel({ seat: false });
+
+      await expect(platform.connect(plaintiff).proposeSettlement(disputeId, 7000))
+        .to.emit(platform, "SettlementProposed")
+        .withArgs(disputeId, plaintiff.address, 7000);
+      await platform.connect(defendant).proposeSettlement(disputeId, 5000);
+
+      const offer = await platform.getSettlementOffer(disputeId);
+      expect(offer.proposer).to.equal(defendant.address);
+      expect(offer.plaintiffShareBps).to.equal(5000);
+      expect(offer.accepted).to.be.false;
+    });
+
+    it("should reject offers from outsiders and splits above 100%", async function () {
+      const { platform, plaintiff, outsider, disputeId } = await deployWithPanel({ seat: false });
+
+      await expect(platform.connect(outsider).proposeSettlement(disputeId, 5000))
+        .to.be.revertedWith("Not a dispute party");
+      await expect(platform.connect(plaintiff).proposeSettlement(disputeId, 10001))
+        .to.be.revertedWith("Invalid share");
+    });
+
+    it("should wait for the defendant's response", async function () {
+      const { platform, plaintiff, disputeId } = await deployWithPanel({ seat: false, respond: false });
+
+      await expect(platform.connect(plaintiff).proposeSettlement(disputeId, 5000))
+        .to.be.revertedWith("Awaiting defendant response");
+    });
+  });
+
+  describe("Accepting", function () {
+    it("should split the whole escrow before a panel is seated", async function () {
+      const { platform, plaintiff, defendant, disputeId } = await deployWithPanel({ seat: false });
+      const plaintiffAmount = (ESCROW * 6000n) / 10000n;
+
+      await platform.connect(plaintiff).proposeSettlement(disputeId, 6000);
+      await expect(platform.connect(defendant).acceptSettlement(disputeId, 6000))
+        .to.emit(platform, "DisputeSettled")
+        .withArgs(disputeId, plaintiffAmount, ESCROW - plaintiffAmount, 0);
+
+      expect((await platform.getDisputeInfo(disputeId)).status).to.equal(DisputeStatus.Settled);
+      expect((await platform.getSettlementOffer(disputeId)).accepted).to.be.true;
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(plaintiffAmount);
+      expect(await platform.getPendingBalance(defendant.address)).to.equal(ESCROW - plaintiffAmount);
+    });
+
+    it("should only accept the other party's offer on the same terms", async function () {
+      const { platform, plaintiff, defendant, disputeId } = await deployWithPanel({ seat: false });
+
+      await expect(platform.connect(defendant).acceptSettlement(disputeId, 5000))
+        .to.be.revertedWith("No settlement offer");
+
+      await platform.connect(plaintiff).proposeSettlement(disputeId, 9000);
+      await expect(platform.connect(plaintiff).acceptSettlement(disputeId, 9000))
+        .to.be.revertedWith("Cannot accept own offer");
+      await expect(platform.connect(defendant).acceptSettlement(disputeId, 5000))
+        .to.be.revertedWith("Settlement terms changed");
+    });
+
+    it("should close the dispute to the panel and further offers", async function () {
+      const { platform, plaintiff, defendant, disputeId } = await deployWithPanel({ seat: false });
+
+      await platform.connect(defendant).proposeSettlement(disputeId, 2500);
+      await platform.connect(plaintiff).acceptSettlement(disputeId, 2500);
+
+      await expect(platform.assignArbitrators(disputeId)).to.be.revertedWith("Invalid dispute status");
+      await expect(platform.connect(plaintiff).proposeSettlement(disputeId, 5000))
+        .to.be.revertedWith("Settlement not available");
+    });
+  });
+
+  describe("Seated Panel", function () {
+    it("should pay every panel member an equal fee and the parties the rest", async function () {
+      const { platform, owner, plaintiff, defendant, disputeId, arbitrators } = await deployWithPanel();
+      const share = ARBITRATOR_FEE / BigInt(arbitrators.length);
+      const dust = ARBITRATOR_FEE - share * BigInt(arbitrators.length);
+      const net = ESCROW - ARBITRATOR_FEE;
+
+      await castVotes(platform, disputeId, arbitrators, [1]);
+      await platform.connect(plaintiff).proposeSettlement(disputeId, 5000);
+      const tx = await platform.connect(defendant).acceptSettlement(disputeId, 5000);
+
+      for (const arbitrator of arbitrators) {
+        await expect(tx).to.emit(platform, "ArbitratorFeePaid").withArgs(disputeId, arbitrator.address, share);
+        expect(await platform.getPendingBalance(arbitrator.address)).to.equal(share);
+      }
+      await expect(tx)
+        .to.emit(platform, "DisputeSettled")
+        .withArgs(disputeId, net / 2n, net - net / 2n, ARBITRATOR_FEE);
+      expect(await platform.getPendingBalance(owner.address)).to.equal(dust);
+    });
+
+    it("should close the open assignments of the panel", async function () {
+      const { platform, plaintiff, defendant, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [2]);
+      await platform.connect(defendant).proposeSettlement(disputeId, 0);
+      await platform.connect(plaintiff).acceptSettlement(disputeId, 0);
+
+      for (const arbitrator of arbitrators) {
+        expect((await platform.getArbitratorBond(arbitrator.address)).openAssignments).to.equal(0);
+      }
+      await expect(platform.checkVotingTimeout(disputeId)).to.be.revertedWith("Voting timeout not reached");
+    });
+
+    it("should not be available once an appeal has been filed", async function () {
+      const { platform, gateway, plaintiff, defendant, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 2]);
+      await gateway.fulfill(disputeId);
+      await expect(platform.connect(plaintiff).proposeSettlement(disputeId, 5000))
+        .to.be.revertedWith("Settlement not available");
+
+      const { defendantStake } = await platform.getDisputeInfo(disputeId);
+      await platform.connect(defendant).fileAppeal(disputeId, "0x", { value: defendantStake });
+      await seatPanel(platform, disputeId, 7n);
+
+      await expect(platform.connect(plaintiff).proposeSettlement(disputeId, 5000))
+        .to.be.revertedWith("Appeal in progress");
+    });
+  });
+});
@@ -0,0 +1,310 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { Parameter } = require("../scripts/lib/parameters");
+const {
+  DEFAULT_STAKE,
+  bondsHeld,
+  seatPanel,
+  deployWithPanel,
+  castVotes,
+  closeAppealWindow,
+} = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Appeals", function () {
+  const DisputeStatus = { Resolved: 3, Appealed: 7 };
+  const ESCROW = 2n * DEFAULT_STAKE;
+  const feesOn = (amount) => (amount * 500n) / 10000n + (amount * 100n) / 10000n;
+
+  before(function () {
+    if (!fhevm.isMock) {
+      console.warn("⚠️  Appeal tests require the FHEVM mock environment");
+      this.skip();
+    }
+  });
+
+  // The first panel rules for the plaintiff, so the defendant is the losing party
+  async function deployWithRulingFixture() {
+    const { arbitrators: firstPanel, ...fixture } = await deployWithPanel();
+    await castVotes(fixture.platform, fixture.disputeId, firstPanel, [1, 1, 2]);
+    await fixture.gateway.fulfill(fixture.disputeId);
+
+    return { ...fixture, firstPanel };
+  }
+
+  // File the defendant's appeal and seat the appeal panel
+  async function appealFixture() {
+    const fixture = await deployWithRulingFixture();
+    const { platform, defendant, disputeId } = fixture;
+
+    await platform.connect(defendant).fileAppeal(disputeId, "0x", { value: DEFAULT_STAKE });
+    const appealPanel = await seatPanel(platform, disputeId, 9n);
+
+    return { ...fixture, appealPanel };
+  }
+
+  async function decideAppeal(fixture, votes) {
+    const { platform, gateway, disputeId, appealPanel } = fixture;
+    await castVotes(platform, disputeId, appealPanel, votes);
+    return gateway.fulfill(disputeId);
+  }
+
+  describe("Appeal Window", function () {
+    it("should hold the escrow net of fees after a panel ruling", async function () {
+      const { platform, plaintiff, disputeId } = await deployWithRulingFixture();
+
+      const appeal = await platform.getAppealInfo(disputeId);
+      expect(appeal.deadline).to.be.gt(0);
+      expect(appeal.heldEscrow).to.equal(ESCROW - feesOn(ESCROW));
+      expect(appeal.escrowReleased).to.be.false;
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(0);
+
+      const events = await platform.queryFilter(platform.filters.AppealWindowOpened(disputeId));
+      expect(events).to.have.lengthOf(1);
+      expect(events[0].args.deadline).to.equal(appeal.deadline);
+    });
+
+    it("should settle a ruling without a winner immediately", async function () {
+      const { platform, gateway, defendant, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 2, 3]);
+      await gateway.fulfill(disputeId);
+
+      expect((await platform.getAppealInfo(disputeId)).escrowReleased).to.be.true;
+      await expect(platform.connect(defendant).fileAppeal(disputeId, "0x", { value: DEFAULT_STAKE }))
+        .to.be.revertedWith("Ruling not appealable");
+    });
+
+    it("should not allow appealing a default judgment", async function () {
+      const { platform, plaintiff, defendant, disputeId } = await deployWithPanel({ seat: false, respond: false });
+
+      const { responseDeadline } = await platform.getDisputeInfo(disputeId);
+      await time.increaseTo(responseDeadline + 1n);
+      await platform.connect(plaintiff).claimDefaultJudgment(disputeId);
+
+      await expect(platform.connect(defendant).fileAppeal(disputeId, "0x", { value: DEFAULT_STAKE }))
+        .to.be.revertedWith("Ruling not appealable");
+    });
+  });
+
+  describe("Filing", function () {
+    it("should let the losing party appeal with a matching bond", async function () {
+      const { platform, plaintiff, defendant, disputeId, firstPanel } = await deployWithRulingFixture();
+
+      await expect(platform.connect(defendant).fileAppeal(disputeId, "0x", { value: DEFAULT_STAKE }))
+        .to.emit(platform, "AppealFiled")
+        .withArgs(disputeId, defendant.address, DEFAULT_STAKE);
+
+      const info = await platform.getDisputeInfo(disputeId);
+      expect(info.status).to.equal(DisputeStatus.Appealed);
+
+      const appeal = await platform.getAppealInfo(disputeId);
+      expect(appeal.appellant).to.equal(defendant.address);
+      expect(appeal.bond).to.equal(DEFAULT_STAKE);
+      expect(appeal.originalWinner).to.equal(plaintiff.address);
+      expect([...appeal.originalPanel]).to.deep.equal(firstPanel.map((signer) => signer.address));
+    });
+
+    it("should reject appeals from the winner and outsiders", async function () {
+      const { platform, plaintiff, outsider, disputeId } = await deployWithRulingFixture();
+
+      await expect(platform.connect(plaintiff).fileAppeal(disputeId, "0x", { value: DEFAULT_STAKE }))
+        .to.be.revertedWith("Only losing party can appeal");
+      await expect(platform.connect(outsider).fileAppeal(disputeId, "0x", { value: DEFAULT_STAKE }))
+        .to.be.revertedWith("Not a dispute party");
+    });
+
+    it("should require the bond to match the deposit", async function () {
+      const { platform, defendant, disputeId } = await deployWithRulingFixture();
+
+      await expect(platform.connect(defendant).fileAppeal(disputeId, "0x", { value: DEFAULT_STAKE - 1n }))
+        .to.be.revertedWith("Appeal bond must match deposit");
+    });
+
+    it("should reject appeals after the window closes", async function () {
+      const { platform, defendant, disputeId } = await deployWithRulingFixture();
+
+      const { deadline } = await platform.getAppealInfo(disputeId);
+      await time.increaseTo(deadline + 1n);
+
+      await expect(platform.connect(defendant).fileAppeal(disputeId, "0x", { value: DEFAULT_STAKE }))
+        .to.be.revertedWith("Appeal window closed");
+    });
+
+    it("should not release the escrow while an appeal is pending", async function () {
+      const { platform, defendant, disputeId } = await deployWithRulingFixture();
+
+      await platform.connect(defendant).fileAppeal(disputeId, "0x", { value: DEFAULT_STAKE });
+
+      await expect(platform.releaseEscrow(disputeId)).to.be.revertedWith("Appeal panel pending");
+    });
+  });
+
+  describe("Appeal Panel", function () {
+    it("should draw an enlarged panel without the first panel or the parties", async function () {
+      const { platform, plaintiff, defendant, firstPanel, appealPanel } = await appealFixture();
+
+      expect(appealPanel).to.have.lengthOf(firstPanel.length + Number(await platform.APPEAL_PANEL_GROWTH()));
+      const excluded = [plaintiff, defendant, ...firstPanel].map((signer) => signer.address);
+      for (const arbitrator of appealPanel) {
+        expect(arbitrator).to.not.equal(undefined);
+        expect(excluded).to.not.include(arbitrator.address);
+      }
+    });
+
+    it("should require enough arbitrators outside the first panel", async function () {
+      const { platform, owner, defendant, disputeId, firstPanel } = await deployWithRulingFixture();
+
+      const firstAddresses = firstPanel.map((signer) => signer.address);
+      const others = (await platform.getActiveArbitrators()).filter((a) => !firstAddresses.includes(a));
+      for (const arbitrator of others.slice(0, others.length - 4)) {
+        await platform.connect(owner).pauseArbitrator(arbitrator);
+      }
+
+      await platform.connect(defendant).fileAppeal(disputeId, "0x", { value: DEFAULT_STAKE });
+      await expect(platform.assignArbitrators(disputeId)).to.be.revertedWith("Not enough arbitrators available");
+    });
+  });
+
+  describe("Final Ruling", function () {
+    it("should overturn the first ruling on an appellant majority", async function () {
+      const fixture = await appealFixture();
+      const { platform, plaintiff, defendant, disputeId } = fixture;
+      const held = (await platform.getAppealInfo(disputeId)).heldEscrow;
+
+      const receipt = await decideAppeal(fixture, [2, 2, 2, 1, 1]);
+
+      await expect(receipt.hash).to.emit(platform, "AppealDecided").withArgs(disputeId, defendant.address, true);
+      await expect(receipt.hash).to.emit(platform, "DisputeResolved").withArgs(disputeId, defendant.address);
+
+      const info = await platform.getDisputeInfo(disputeId);
+      expect(info.status).to.equal(DisputeStatus.Resolved);
+      expect(info.winner).to.equal(defendant.address);
+
+      const appeal = await platform.getAppealInfo(disputeId);
+      expect(appeal.decided).to.be.true;
+      expect(appeal.overturned).to.be.true;
+      expect(appeal.escrowReleased).to.be.true;
+
+      expect(await platform.getPendingBalance(defendant.address))
+        .to.equal(held + DEFAULT_STAKE - feesOn(DEFAULT_STAKE));
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(0);
+    });
+
+    it("should confirm the first ruling and award the bond to the original winner", async function () {
+      const fixture = await appealFixture();
+      const { platform, plaintiff, defendant, disputeId } = fixture;
+      const held = (await platform.getAppealInfo(disputeId)).heldEscrow;
+
+      const receipt = await decideAppeal(fixture, [1, 1, 1, 2, 3]);
+
+      await expect(receipt.hash).to.emit(platform, "AppealDecided").withArgs(disputeId, plaintiff.address, false);
+      expect(await platform.getPendingBalance(plaintiff.address))
+        .to.equal(held + DEFAULT_STAKE - feesOn(DEFAULT_STAKE));
+      expect(await platform.getPendingBalance(defendant.address)).to.equal(0);
+    });
+
+    it("should confirm the first ruling when the appeal panel has no majority", async function () {
+      const fixture = await appealFixture();
+      const { platform, plaintiff, disputeId } = fixture;
+
+      await decideAppeal(fixture, [1, 2, 3, 1, 2]);
+
+      expect((await platform.getDisputeInfo(disputeId)).winner).to.equal(plaintiff.address);
+      expect((await platform.getAppealInfo(disputeId)).overturned).to.be.false;
+    });
+
+    it("should pay the appeal panel out of the bond only", async function () {
+      const fixture = await appealFixture();
+      const { platform, disputeId, firstPanel, appealPanel } = fixture;
+      const firstShare = await platform.arbitratorFeesEarned(firstPanel[0].address);
+
+      const receipt = await decideAppeal(fixture, [2, 2, 2, 2, 2]);
+
+      const share = ((DEFAULT_STAKE * 500n) / 10000n) / BigInt(appealPanel.length);
+      for (const arbitrator of appealPanel) {
+        await expect(receipt.hash)
+          .to.emit(platform, "ArbitratorFeePaid")
+          .withArgs(disputeId, arbitrator.address, share);
+      }
+      expect(await platform.arbitratorFeesEarned(firstPanel[0].address)).to.equal(firstShare);
+    });
+
+    it("should make the appeal ruling final", async function () {
+      const fixture = await appealFixture();
+      const { platform, plaintiff, disputeId } = fixture;
+
+      await decideAppeal(fixture, [2, 2, 2, 1, 1]);
+
+      await expect(platform.connect(plaintiff).fileAppeal(disputeId, "0x", { value: DEFAULT_STAKE }))
+        .to.be.revertedWith("Ruling not appealable");
+      await expect(platform.releaseEscrow(disputeId)).to.be.revertedWith("No escrow held");
+    });
+
+    it("should keep the contract balance equal to the ledger", async function () {
+      const fixture = await appealFixture();
+      const { platform, owner, plaintiff, defendant, firstPanel, appealPanel } = fixture;
+
+      await decideAppeal(fixture, [2, 2, 1, 1, 3]);
+
+      let credited = 0n;
+      for (const account of [owner, plaintiff, defendant, ...firstPanel, ...appealPanel]) {
+        credited += await platform.getPendingBalance(account.address);
+      }
+      expect(credited + (await bondsHeld(platform)))
+        .to.equal(await ethers.provider.getBalance(await platform.getAddress()));
+    });
+  });
+
+  describe("Lapsed Appeals", function () {
+    it("should let the first ruling stand when the appeal panel times out", async function () {
+      const fixture = await appealFixture();
+      const { platform, plaintiff, defendant, disputeId } = fixture;
+      const held = (await platform.getAppealInfo(disputeId)).heldEscrow;
+
+      const { votingDeadline } = await platform.getDisputeInfo(disputeId);
+      await time.increaseTo(votingDeadline + (await platform.getParameter(Parameter.VotingTimeout)) + 1n);
+
+      const tx = await platform.checkVotingTimeout(disputeId);
+      await expect(tx).to.emit(platform, "AppealLapsed").withArgs(disputeId, "Voting timeout exceeded");
+
+      // The silent appeal panel's slashed bonds are split between the parties
+      const slashed = (await tx.wait()).logs
+        .map((log) => platform.interface.parseLog(log))
+        .filter((log) => log && log.name === "ArbitratorSlashed")
+        .reduce((total, log) => total + log.args.amount, 0n);
+      expect(slashed).to.be.gt(0);
+
+      const info = await platform.getDisputeInfo(disputeId);
+      expect(info.status).to.equal(DisputeStatus.Resolved);
+      expect(info.winner).to.equal(plaintiff.address);
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(held + slashed - slashed / 2n);
+      expect(await platform.getPendingBalance(defendant.address)).to.equal(DEFAULT_STAKE + slashed / 2n);
+    });
+
+    it("should end an appeal whose panel is never seated", async function () {
+      const { platform, plaintiff, defendant, disputeId } = await deployWithRulingFixture();
+
+      await platform.connect(defendant).fileAppeal(disputeId, "0x", { value: DEFAULT_STAKE });
+      await time.increase(Number(await platform.APPEAL_WINDOW()) + 1);
+
+      await expect(platform.releaseEscrow(disputeId))
+        .to.emit(platform, "AppealLapsed")
+        .withArgs(disputeId, "Appeal panel not seated");
+      expect(await platform.getPendingBalance(defendant.address)).to.equal(DEFAULT_STAKE);
+      expect(await platform.getPendingBalance(plaintiff.address))
+        .to.equal((await platform.getAppealInfo(disputeId)).heldEscrow);
+    });
+
+    it("should release an unappealed ruling once the window closes", async function () {
+      const { platform, plaintiff, disputeId } = await deployWithRulingFixture();
+      const { heldEscrow } = await platform.getAppealInfo(disputeId);
+
+      const receipt = await closeAppealWindow(platform, disputeId);
+
+      await expect(receipt.hash)
+        .to.emit(platform, "PayoutCredited")
+        .withArgs(disputeId, plaintiff.address, heldEscrow);
+    });
+  });
+});
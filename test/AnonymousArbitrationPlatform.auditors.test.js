@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, fhevm } = hre;
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { submitEvidence } = require("../scripts/lib/fhevmInputs");
+const { readAccessList, checkEvidenceAccess } = require("../scripts/lib/access");
+const { openDispute, answerDispute, seatPanel, deployWithPanel, castVotes } = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Auditor Access", function () {
+  before(function () {
+    if (!fhevm.isMock) {
+      console.warn("⚠️  Auditor tests require the FHEVM mock environment");
+      this.skip();
+    }
+  });
+
+  async function deployAnsweredFixture() {
+    const fixture = await deployWithPanel({ seat: false, respond: false });
+    await answerDispute(fixture.platform, fixture.defendant, fixture.disputeId, { counterEvidence: 424242 });
+
+    return { ...fixture, auditors: (await ethers.getSigners()).slice(5, 10) };
+  }
+
+  async function decrypt(platform, type, handle, user) {
+    return fhevm.userDecryptEuint(type, handle, await platform.getAddress(), user);
+  }
+
+  describe("Granting", function () {
+    it("should let either party grant access and list the auditors in order", async function () {
+      const { platform, plaintiff, defendant, auditors, disputeId } = await deployAnsweredFixture();
+
+      await expect(platform.connect(plaintiff).grantAuditorAccess(disputeId, auditors[0].address))
+        .to.emit(platform, "AuditorAccessGranted")
+        .withArgs(disputeId, plaintiff.address, auditors[0].address);
+      await expect(platform.connect(defendant).grantAuditorAccess(disputeId, auditors[1].address))
+        .to.emit(platform, "AuditorAccessGranted")
+        .withArgs(disputeId, defendant.address, auditors[1].address);
+
+      expect(await platform.getAuditors(disputeId)).to.deep.equal([auditors[0].address, auditors[1].address]);
+    });
+
+    it("should let an auditor decrypt the evidence already submitted", async function () {
+      const { platform, plaintiff, auditors, disputeId } = await deployAnsweredFixture();
+      await submitEvidence(hre, platform, plaintiff, disputeId, { documentHash: 1001, claimedAmount: 5000 });
+
+      await platform.connect(plaintiff).grantAuditorAccess(disputeId, auditors[0].address);
+
+      const { items } = await platform.getEvidence(disputeId);
+      expect(await decrypt(platform, FhevmType.euint32, items[0].documentHash, auditors[0])).to.equal(999888777n);
+      expect(await decrypt(platform, FhevmType.euint32, items[1].documentHash, auditors[0])).to.equal(424242n);
+      expect(await decrypt(platform, FhevmType.euint64, items[2].claimedAmount, auditors[0])).to.equal(5000n);
+    });
+
+    it("should let an auditor decrypt the stake", async function () {
+      const { platform, defendant, auditors, disputeId } = await deployAnsweredFixture();
+
+      await platform.connect(defendant).grantAuditorAccess(disputeId, auditors[0].address);
+
+      const { stake } = await platform.getDisputeHandles(disputeId);
+      expect(await decrypt(platform, FhevmType.euint64, stake, auditors[0])).to.equal(1000n);
+    });
+
+    it("should share evidence submitted after the grant", async function () {
+      const { platform, plaintiff, defendant, auditors, disputeId } = await deployAnsweredFixture();
+
+      await platform.connect(plaintiff).grantAuditorAccess(disputeId, auditors[0].address);
+      await submitEvidence(hre, platform, defendant, disputeId, { documentHash: 2001, claimedAmount: 1200 });
+
+      const { items } = await platform.getEvidence(disputeId);
+      expect(await decrypt(platform, FhevmType.euint32, items[2].documentHash, auditors[0])).to.equal(2001n);
+      expect(await decrypt(platform, FhevmType.euint64, items[2].claimedAmount, auditors[0])).to.equal(1200n);
+    });
+
+    it("should keep evidence from everyone not granted access", async function () {
+      const { platform, plaintiff, outsider, auditors, disputeId } = await deployAnsweredFixture();
+
+      await platform.connect(plaintiff).grantAuditorAccess(disputeId, auditors[0].address);
+
+      const { items } = await platform.getEvidence(disputeId);
+      for (const signer of [outsider, auditors[1]]) {
+        await expect(decrypt(platform, FhevmType.euint32, items[0].documentHash, signer)).to.be.rejected;
+      }
+    });
+
+    it("should only share the dispute the grant was made for", async function () {
+      const { platform, plaintiff, defendant, auditors, disputeId } = await deployAnsweredFixture();
+      const otherId = await openDispute(platform, plaintiff, defendant);
+
+      await platform.connect(plaintiff).grantAuditorAccess(disputeId, auditors[0].address);
+
+      const { items } = await platform.getEvidence(otherId);
+      await expect(decrypt(platform, FhevmType.euint32, items[0].documentHash, auditors[0])).to.be.rejected;
+      expect(await platform.getAuditors(otherId)).to.deep.equal([]);
+    });
+
+    it("should stay open after the dispute is resolved", async function () {
+      const { platform, gateway, plaintiff, auditors, disputeId } = await deployAnsweredFixture();
+      const arbitrators = await seatPanel(platform, disputeId);
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 2]);
+      await gateway.fulfill(disputeId);
+      expect((await platform.getDisputeInfo(disputeId)).winner).to.equal(plaintiff.address);
+
+      await platform.connect(plaintiff).grantAuditorAccess(disputeId, auditors[0].address);
+
+      const { items } = await platform.getEvidence(disputeId);
+      expect(await decrypt(platform, FhevmType.euint32, items[1].documentHash, auditors[0])).to.equal(424242n);
+    });
+  });
+
+  describe("Validation", function () {
+    it("should reject grants by anyone but the parties", async function () {
+      const { platform, outsider, auditors, disputeId } = await deployAnsweredFixture();
+
+      await expect(platform.connect(outsider).grantAuditorAccess(disputeId, auditors[0].address))
+        .to.be.revertedWith("Not a dispute party");
+      await expect(platform.connect(outsider).grantAuditorAccess(99, auditors[0].address))
+        .to.be.revertedWith("Dispute does not exist");
+    });
+
+    it("should reject the zero address, the parties and repeated auditors", async function () {
+      const { platform, plaintiff, defendant, auditors, disputeId } = await deployAnsweredFixture();
+
+      for (const auditor of [ethers.ZeroAddress, plaintiff.address, defendant.address]) {
+        await expect(platform.connect(plaintiff).grantAuditorAccess(disputeId, auditor))
+          .to.be.revertedWith("Invalid auditor");
+      }
+
+      await platform.connect(plaintiff).grantAuditorAccess(disputeId, auditors[0].address);
+      await expect(platform.connect(defendant).grantAuditorAccess(disputeId, auditors[0].address))
+        .to.be.revertedWith("Already an auditor");
+    });
+
+    it("should cap the auditors per dispute", async function () {
+      const { platform, plaintiff, auditors, disputeId } = await deployAnsweredFixture();
+      const max = Number(await platform.MAX_AUDITORS());
+
+      for (const auditor of auditors.slice(0, max)) {
+        await platform.connect(plaintiff).grantAuditorAccess(disputeId, auditor.address);
+      }
+      await expect(platform.connect(plaintiff).grantAuditorAccess(disputeId, auditors[max].address))
+        .to.be.revertedWith("Too many auditors");
+    });
+  });
+
+  describe("Access List", function () {
+    it("should list parties, every seated arbitrator and the auditors with their granter", async function () {
+      const { platform, plaintiff, defendant, auditors, disputeId } = await deployAnsweredFixture();
+      const arbitrators = await seatPanel(platform, disputeId);
+      await platform.connect(arbitrators[0]).recuse(disputeId);
+      await platform.connect(defendant).grantAuditorAccess(disputeId, auditors[0].address);
+
+      const access = await readAccessList(platform, disputeId);
+      const { replacement } = (await platform.queryFilter(platform.filters.ArbitratorReplaced(disputeId)))[0].args;
+
+      expect(access.parties).to.deep.equal([plaintiff.address, defendant.address]);
+      expect(access.arbitrators).to.deep.equal([...arbitrators.map((signer) => signer.address), replacement]);
+      expect(access.auditors).to.have.lengthOf(1);
+      expect(access.auditors[0].auditor).to.equal(auditors[0].address);
+      expect(access.auditors[0].grantedBy).to.equal(defendant.address);
+    });
+
+    it("should confirm the ACL grants for an auditor", async function () {
+      const { platform, plaintiff, outsider, auditors, disputeId } = await deployAnsweredFixture();
+      await submitEvidence(hre, platform, plaintiff, disputeId, { documentHash: 1001, claimedAmount: 5000 });
+      await platform.connect(plaintiff).grantAuditorAccess(disputeId, auditors[0].address);
+
+      const granted = await checkEvidenceAccess(platform, disputeId, auditors[0].address);
+      expect(granted.map(({ index, field }) => `${index}.${field}`)).to.deep.equal([
+        "0.documentHash",
+        "1.documentHash",
+        "2.documentHash",
+        "2.claimedAmount",
+      ]);
+      expect(granted.every(({ allowed }) => allowed)).to.be.true;
+
+      const denied = await checkEvidenceAccess(platform, disputeId, outsider.address);
+      expect(denied.some(({ allowed }) => allowed)).to.be.false;
+    });
+  });
+});
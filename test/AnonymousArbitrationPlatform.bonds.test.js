@@ -0,0 +1,265 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, fhevm } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { registerArbitrator } = require("../scripts/lib/fhevmInputs");
+const { Parameter } = require("../scripts/lib/parameters");
+const { drawPanel, sampleCandidates, verifySelection } = require("../scripts/lib/selection");
+const { currentPanel } = require("../scripts/lib/replacements");
+const {
+  DEFAULT_STAKE,
+  deployPlatform,
+  getCoordinator,
+  closeEvidencePeriod,
+  registerArbitrators,
+  openDispute,
+  deployWithPanel,
+  castVotes,
+} = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Arbitrator Bonds", function () {
+  before(function () {
+    if (!fhevm.isMock) {
+      console.warn("⚠️  Bond tests require the FHEVM mock environment");
+      this.skip();
+    }
+  });
+
+  async function deployFixture() {
+    const [owner, plaintiff, defendant, , outsider] = await ethers.getSigners();
+
+    const platform = await deployPlatform();
+    const minBond = await platform.MIN_ARBITRATOR_BOND();
+
+    return { platform, owner, plaintiff, defendant, outsider, minBond };
+  }
+
+  async function deployWithPanelFixture() {
+    const fixture = await deployWithPanel();
+    return { ...fixture, minBond: await fixture.platform.MIN_ARBITRATOR_BOND() };
+  }
+
+  // Let the voting deadline and its timeout pass, then trigger the timeout
+  async function timeOutVoting(platform, disputeId) {
+    const { votingDeadline } = await platform.getDisputeInfo(disputeId);
+    await time.increaseTo(votingDeadline + (await platform.getParameter(Parameter.VotingTimeout)) + 1n);
+    return platform.checkVotingTimeout(disputeId);
+  }
+
+  describe("Posting", function () {
+    it("should hold the value sent at registration as the bond", async function () {
+      const { platform, outsider, minBond } = await deployFixture();
+
+      const tx = await registerArbitrator(hre, platform, outsider, 12345, { value: 3n * minBond });
+      await expect(tx).to.emit(platform, "BondPosted").withArgs(outsider.address, 3n * minBond);
+
+      const bond = await platform.getArbitratorBond(outsider.address);
+      expect(bond.amount).to.equal(3n * minBond);
+      expect(bond.openAssignments).to.equal(0);
+      expect(bond.withdrawableAt).to.equal(0);
+    });
+
+    it("should reject a registration below the minimum bond", async function () {
+      const { platform, outsider, minBond } = await deployFixture();
+
+      await expect(registerArbitrator(hre, platform, outsider, 12345, { value: minBond - 1n }))
+        .to.be.revertedWith("Bond below minimum");
+      expect(await platform.arbitratorPool()).to.equal(0);
+    });
+
+    it("should count an open assignment per seat until the vote is cast", async function () {
+      const { platform, disputeId, arbitrators } = await deployWithPanelFixture();
+
+      for (const arbitrator of arbitrators) {
+        expect((await platform.getArbitratorBond(arbitrator.address)).openAssignments).to.equal(1);
+      }
+
+      await castVotes(platform, disputeId, arbitrators, [1]);
+      expect((await platform.getArbitratorBond(arbitrators[0].address)).openAssignments).to.equal(0);
+      expect((await platform.getArbitratorBond(arbitrators[1].address)).openAssignments).to.equal(1);
+    });
+  });
+
+  describe("Slashing", function () {
+    it("should slash only the arbitrators who missed the vote", async function () {
+      const { platform, disputeId, arbitrators, minBond } = await deployWithPanelFixture();
+
+      await castVotes(platform, disputeId, arbitrators, [1]);
+      const tx = await timeOutVoting(platform, disputeId);
+
+      const slash = (minBond * (await platform.BOND_SLASH_BPS())) / 10000n;
+      const reputation = 100n - (await platform.MISSED_VOTE_PENALTY());
+      for (const arbitrator of arbitrators.slice(1)) {
+        await expect(tx)
+          .to.emit(platform, "ArbitratorSlashed")
+          .withArgs(disputeId, arbitrator.address, slash, reputation);
+
+        const bond = await platform.getArbitratorBond(arbitrator.address);
+        expect(bond.amount).to.equal(minBond - slash);
+        expect(bond.openAssignments).to.equal(0);
+        expect((await platform.getArbitratorInfo(arbitrator.address)).reputation).to.equal(reputation);
+      }
+
+      expect((await platform.getArbitratorBond(arbitrators[0].address)).amount).to.equal(minBond);
+      expect((await platform.getArbitratorInfo(arbitrators[0].address)).reputation).to.equal(100);
+    });
+
+    it("should credit the slashed bonds to the parties alongside their refunds", async function () {
+      const { platform, plaintiff, defendant, disputeId, arbitrators, minBond } = await deployWithPanelFixture();
+
+      await castVotes(platform, disputeId, arbitrators, [2]);
+      const tx = await timeOutVoting(platform, disputeId);
+
+      const slashed = (2n * minBond * (await platform.BOND_SLASH_BPS())) / 10000n;
+      await expect(tx).to.emit(platform, "PayoutCredited").withArgs(disputeId, plaintiff.address, slashed / 2n);
+      await expect(tx).to.emit(platform, "PayoutCredited").withArgs(disputeId, defendant.address, slashed / 2n);
+
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(DEFAULT_STAKE + slashed / 2n);
+      expect(await platform.getPendingBalance(defendant.address)).to.equal(DEFAULT_STAKE + slashed / 2n);
+    });
+
+    it("should let a member paused after being seated vote instead of being slashed", async function () {
+      const { platform, owner, disputeId, arbitrators, minBond } = await deployWithPanelFixture();
+      await platform.connect(owner).pauseArbitrator(arbitrators[0].address);
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 2]);
+      expect((await platform.getArbitratorBond(arbitrators[0].address)).amount).to.equal(minBond);
+      expect((await platform.getArbitratorBond(arbitrators[0].address)).openAssignments).to.equal(0);
+      expect((await platform.getArbitratorInfo(arbitrators[0].address)).isActive).to.be.false;
+    });
+
+    it("should not slash anyone once the whole panel has voted", async function () {
+      const { platform, disputeId, arbitrators, minBond } = await deployWithPanelFixture();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 2, 3]);
+
+      for (const arbitrator of arbitrators) {
+        const bond = await platform.getArbitratorBond(arbitrator.address);
+        expect(bond.amount).to.equal(minBond);
+        expect(bond.openAssignments).to.equal(0);
+      }
+    });
+  });
+
+  describe("Withdrawal", function () {
+    it("should take the arbitrator out of the pool when a withdrawal is requested", async function () {
+      const { platform, outsider } = await deployFixture();
+      await registerArbitrator(hre, platform, outsider, 12345);
+
+      const tx = await platform.connect(outsider).requestBondWithdrawal();
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      const availableAt = BigInt(timestamp) + (await platform.BOND_COOLDOWN());
+      await expect(tx).to.emit(platform, "BondWithdrawalRequested").withArgs(outsider.address, availableAt);
+
+      expect((await platform.getArbitratorBond(outsider.address)).withdrawableAt).to.equal(availableAt);
+      expect((await platform.getArbitratorInfo(outsider.address)).isActive).to.be.false;
+      expect(await platform.getActiveArbitrators()).to.not.include(outsider.address);
+    });
+
+    it("should credit the bond to the pending balance after the cooldown", async function () {
+      const { platform, outsider, minBond } = await deployFixture();
+      await registerArbitrator(hre, platform, outsider, 12345);
+      await platform.connect(outsider).requestBondWithdrawal();
+
+      await expect(platform.connect(outsider).withdrawBond()).to.be.revertedWith("Bond cooldown active");
+
+      await time.increase(await platform.BOND_COOLDOWN());
+      await expect(platform.connect(outsider).withdrawBond())
+        .to.emit(platform, "BondWithdrawn")
+        .withArgs(outsider.address, minBond);
+      expect((await platform.getArbitratorBond(outsider.address)).amount).to.equal(0);
+
+      await expect(platform.connect(outsider).withdraw()).to.changeEtherBalance(outsider, minBond);
+      await expect(platform.connect(outsider).withdrawBond()).to.be.revertedWith("No bond posted");
+    });
+
+    it("should leave the registry for good once the bond is withdrawn", async function () {
+      const { platform, owner, outsider, minBond } = await deployFixture();
+      await registerArbitrator(hre, platform, outsider, 12345);
+      await platform.connect(outsider).requestBondWithdrawal();
+      await time.increase(await platform.BOND_COOLDOWN());
+      await platform.connect(outsider).withdrawBond();
+
+      await expect(registerArbitrator(hre, platform, outsider, 12345, { value: minBond }))
+        .to.be.revertedWith("Already registered as arbitrator");
+      await expect(platform.connect(owner).unpauseArbitrator(outsider.address))
+        .to.be.revertedWith("Bond withdrawal requested");
+      await expect(platform.connect(outsider).requestBondWithdrawal()).to.be.revertedWith("No bond posted");
+
+      expect((await platform.getArbitratorInfo(outsider.address)).isActive).to.be.false;
+      expect(await platform.getActiveArbitrators()).to.not.include(outsider.address);
+    });
+
+    it("should pay out what is left of a slashed bond", async function () {
+      const { platform, disputeId, arbitrators, minBond } = await deployWithPanelFixture();
+      const [, silent] = arbitrators;
+
+      await castVotes(platform, disputeId, arbitrators, [1]);
+      await timeOutVoting(platform, disputeId);
+      await platform.connect(silent).requestBondWithdrawal();
+      await time.increase(await platform.BOND_COOLDOWN());
+
+      const slash = (minBond * (await platform.BOND_SLASH_BPS())) / 10000n;
+      await expect(platform.connect(silent).withdrawBond())
+        .to.emit(platform, "BondWithdrawn")
+        .withArgs(silent.address, minBond - slash);
+    });
+
+    it("should not seat an arbitrator who left the pool while the seed was pending", async function () {
+      const { platform, owner, plaintiff, defendant } = await deployFixture();
+      const pool = (await ethers.getSigners()).slice(10);
+      await registerArbitrators(platform, pool);
+      const disputeId = await openDispute(platform, plaintiff, defendant);
+
+      await closeEvidencePeriod(platform, disputeId);
+      await platform.assignArbitrators(disputeId);
+      const { requestId } = await platform.getSelection(disputeId);
+      const before = await sampleCandidates(platform, disputeId, { seed: 42n, count: 3 });
+      const panel = drawPanel(before.candidates, 42n, 3, before.weights);
+
+      // Two of the panel the seed would have drawn leave the pool before it arrives
+      await platform.connect(pool.find((signer) => signer.address === panel[0])).requestBondWithdrawal();
+      await platform.connect(owner).pauseArbitrator(panel[1]);
+      const after = await sampleCandidates(platform, disputeId, { seed: 42n, count: 3 });
+      await (await getCoordinator(platform)).fulfill(requestId, 42n);
+
+      const seated = await currentPanel(platform, disputeId);
+      for (const address of panel.slice(0, 2)) {
+        expect(seated).to.not.include(address);
+      }
+      expect(seated).to.deep.equal(drawPanel(after.candidates, 42n, 3, after.weights));
+      for (const address of panel.slice(0, 2)) {
+        expect((await platform.getArbitratorBond(address)).openAssignments).to.equal(0);
+      }
+      expect((await verifySelection(platform, disputeId)).valid).to.be.true;
+    });
+
+    it("should refuse a withdrawal while a vote is owed", async function () {
+      const { platform, arbitrators } = await deployWithPanelFixture();
+
+      await expect(platform.connect(arbitrators[0]).requestBondWithdrawal())
+        .to.be.revertedWith("Open assignments pending");
+    });
+
+    it("should reject withdrawals that were not requested or already requested", async function () {
+      const { platform, outsider } = await deployFixture();
+
+      await expect(platform.connect(outsider).requestBondWithdrawal()).to.be.revertedWith("No bond posted");
+      await expect(platform.connect(outsider).withdrawBond()).to.be.revertedWith("Withdrawal not requested");
+
+      await registerArbitrator(hre, platform, outsider, 12345);
+      await platform.connect(outsider).requestBondWithdrawal();
+      await expect(platform.connect(outsider).requestBondWithdrawal())
+        .to.be.revertedWith("Withdrawal already requested");
+    });
+
+    it("should not let the owner return a withdrawing arbitrator to the pool", async function () {
+      const { platform, owner, outsider } = await deployFixture();
+      await registerArbitrator(hre, platform, outsider, 12345);
+      await platform.connect(outsider).requestBondWithdrawal();
+
+      await expect(platform.connect(owner).unpauseArbitrator(outsider.address))
+        .to.be.revertedWith("Bond withdrawal requested");
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, fhevm } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { registerArbitrator } = require("../scripts/lib/fhevmInputs");
+const { specialisationMask } = require("../scripts/lib/categories");
+const { Parameter } = require("../scripts/lib/parameters");
+const {
+  deployPlatform,
+  requestPanel,
+  openDispute,
+  deployWithPanel,
+  castVotes,
+  closeAppealWindow,
+} = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Categories and Specialisations", function () {
+  const Category = { General: 0, Commercial: 1, Personal: 2, Technical: 3, Legal: 4 };
+
+  before(function () {
+    if (!fhevm.isMock) {
+      console.warn("⚠️  Category tests require the FHEVM mock environment");
+      this.skip();
+    }
+  });
+
+  // The pool holds `technical` Technical specialists, one Commercial/Legal specialist
+  // and two generalists, registered in that order. The fixture's dispute is Technical.
+  async function deployWithPoolFixture({ technical = 3 } = {}) {
+    const fixture = await deployWithPanel({ seat: false, category: Category.Technical });
+    const pool = fixture.pool.slice(0, 3 + technical);
+    const masks = [
+      ...Array(technical).fill(specialisationMask(["Technical"])),
+      specialisationMask(["Commercial", "Legal"]),
+      0,
+      0,
+    ];
+
+    for (let i = 0; i < pool.length; i++) {
+      await registerArbitrator(hre, fixture.platform, pool[i], 11111 * (i + 1), { specialisations: masks[i] });
+    }
+
+    return { ...fixture, pool, specialists: pool.slice(0, technical) };
+  }
+
+  // Candidates the panel of a new dispute in `category` was drawn from
+  async function candidatesFor(platform, plaintiff, defendant, category) {
+    const disputeId = await openDispute(platform, plaintiff, defendant, { category });
+    await requestPanel(platform, disputeId);
+    const [event] = await platform.queryFilter(platform.filters.CandidatesSampled(disputeId));
+    return [...event.args.candidates];
+  }
+
+  describe("Dispute Category", function () {
+    it("should store the category chosen by the plaintiff", async function () {
+      const { platform, plaintiff, defendant, disputeId: legal } = await deployWithPanel({
+        seat: false,
+        category: Category.Legal,
+      });
+      const general = await openDispute(platform, plaintiff, defendant);
+
+      expect((await platform.getDisputeInfo(legal)).category).to.equal(Category.Legal);
+      expect((await platform.getDisputeInfo(general)).category).to.equal(Category.General);
+    });
+
+    it("should reject an unknown category", async function () {
+      const { platform, plaintiff, defendant } = await deployWithPanel({ seat: false });
+
+      await expect(openDispute(platform, plaintiff, defendant, { category: 5 })).to.be.reverted;
+    });
+  });
+
+  describe("Specialisations", function () {
+    it("should record the declared specialisations", async function () {
+      const platform = await deployPlatform();
+      const [arbitrator] = (await ethers.getSigners()).slice(10);
+      const mask = specialisationMask(["Personal", "Technical"]);
+
+      await expect(registerArbitrator(hre, platform, arbitrator, 12345, { specialisations: mask }))
+        .to.emit(platform, "SpecialisationsDeclared")
+        .withArgs(arbitrator.address, mask);
+
+      expect((await platform.getArbitratorInfo(arbitrator.address)).specialisations).to.equal(mask);
+    });
+
+    it("should reject bits beyond the last category", async function () {
+      const platform = await deployPlatform();
+      const [arbitrator] = (await ethers.getSigners()).slice(10);
+
+      await expect(registerArbitrator(hre, platform, arbitrator, 12345, { specialisations: 1 << 5 }))
+        .to.be.revertedWith("Invalid specialisations");
+    });
+  });
+
+  describe("Matching", function () {
+    it("should draw from the specialists when they can fill the panel", async function () {
+      const { platform, plaintiff, defendant, specialists } = await deployWithPoolFixture();
+
+      const candidates = await candidatesFor(platform, plaintiff, defendant, Category.Technical);
+      expect(candidates).to.deep.equal(specialists.map((s) => s.address));
+    });
+
+    it("should fall back to the whole pool when too few specialists are active", async function () {
+      const { platform, plaintiff, defendant, pool } = await deployWithPoolFixture({ technical: 2 });
+
+      const candidates = await candidatesFor(platform, plaintiff, defendant, Category.Technical);
+      expect(candidates).to.deep.equal(pool.map((s) => s.address));
+    });
+
+    it("should leave paused specialists out of the count", async function () {
+      const { platform, owner, plaintiff, defendant, pool, specialists } = await deployWithPoolFixture();
+
+      await platform.connect(owner).pauseArbitrator(specialists[0].address);
+
+      const candidates = await candidatesFor(platform, plaintiff, defendant, Category.Technical);
+      expect(candidates).to.have.members(pool.slice(1).map((s) => s.address));
+    });
+
+    it("should use the whole pool for general disputes", async function () {
+      const { platform, plaintiff, defendant, pool } = await deployWithPoolFixture();
+
+      const candidates = await candidatesFor(platform, plaintiff, defendant, Category.General);
+      expect(candidates).to.deep.equal(pool.map((s) => s.address));
+    });
+  });
+
+  describe("Category Reputation", function () {
+    it("should credit consensus batches in the category of their disputes", async function () {
+      const { platform, gateway, plaintiff, defendant, disputeId: first, specialists } = await deployWithPoolFixture();
+      const batch = Number(await platform.CONSENSUS_BATCH());
+
+      // With three specialists every Technical panel seats all of them
+      for (let i = 0; i < batch; i++) {
+        const disputeId =
+          i === 0 ? first : await openDispute(platform, plaintiff, defendant, { category: Category.Technical });
+        await requestPanel(platform, disputeId, BigInt(i));
+        await castVotes(platform, disputeId, specialists, [1, 1, 1]);
+        await gateway.fulfill(disputeId);
+        await closeAppealWindow(platform, disputeId);
+      }
+      for (const event of await platform.queryFilter(platform.filters.ConsensusRevealRequested())) {
+        expect(event.args.category).to.equal(Category.Technical);
+        await gateway.fulfillConsensus(event.args.requestId);
+      }
+
+      const reward = await platform.CONSENSUS_REWARD();
+      for (const arbitrator of specialists) {
+        expect(await platform.getCategoryReputation(arbitrator.address, Category.Technical)).to.equal(
+          BigInt(batch) * reward
+        );
+        expect(await platform.getCategoryReputation(arbitrator.address, Category.Legal)).to.equal(0);
+      }
+    });
+
+    it("should take the missed-vote penalty from the category, floored at zero", async function () {
+      const { platform, disputeId, specialists } = await deployWithPoolFixture();
+
+      const panel = await requestPanel(platform, disputeId);
+      const voter = specialists.find((s) => s.address === panel[0]);
+      await castVotes(platform, disputeId, [voter], [1]);
+
+      const { votingDeadline } = await platform.getDisputeInfo(disputeId);
+      await time.increaseTo(votingDeadline + (await platform.getParameter(Parameter.VotingTimeout)) + 1n);
+      await platform.checkVotingTimeout(disputeId);
+
+      expect(await platform.getCategoryReputation(voter.address, Category.Technical)).to.equal(0);
+      for (const silent of panel.slice(1)) {
+        expect((await platform.getArbitratorInfo(silent)).reputation).to.equal(90);
+        expect(await platform.getCategoryReputation(silent, Category.Technical)).to.equal(0);
+      }
+    });
+  });
+});
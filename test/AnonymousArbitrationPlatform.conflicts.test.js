@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, fhevm } = hre;
+const { nextReplacement, verifySelection } = require("../scripts/lib/selection");
+const { currentPanel } = require("../scripts/lib/replacements");
+const {
+  DEFAULT_STAKE,
+  deployPlatform,
+  registerArbitrators,
+  openDispute,
+  requestPanel,
+  seatPanel,
+  deployWithPanel,
+  castVotes,
+} = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Conflicts of Interest", function () {
+  before(function () {
+    if (!fhevm.isMock) {
+      console.warn("⚠️  Conflict tests require the FHEVM mock environment");
+      this.skip();
+    }
+  });
+
+  // Candidates the dispute's panel was drawn from
+  async function panelCandidates(platform, disputeId) {
+    const [event] = await platform.queryFilter(platform.filters.CandidatesSampled(disputeId));
+    return [...event.args.candidates];
+  }
+
+  describe("Linked Addresses", function () {
+    it("should record declarations in order", async function () {
+      const [, plaintiff, first, second] = await ethers.getSigners();
+      const platform = await deployPlatform();
+
+      await expect(platform.connect(plaintiff).declareLinkedAddress(first.address))
+        .to.emit(platform, "LinkedAddressDeclared")
+        .withArgs(plaintiff.address, first.address);
+      await platform.connect(plaintiff).declareLinkedAddress(second.address);
+
+      expect(await platform.getLinkedAddresses(plaintiff.address)).to.deep.equal([first.address, second.address]);
+      expect(await platform.getLinkedAddresses(first.address)).to.deep.equal([]);
+    });
+
+    it("should reject invalid, repeated and surplus declarations", async function () {
+      const signers = await ethers.getSigners();
+      const [, plaintiff, linked] = signers;
+      const platform = await deployPlatform();
+
+      await expect(platform.connect(plaintiff).declareLinkedAddress(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid linked address");
+      await expect(platform.connect(plaintiff).declareLinkedAddress(plaintiff.address))
+        .to.be.revertedWith("Invalid linked address");
+
+      await platform.connect(plaintiff).declareLinkedAddress(linked.address);
+      await expect(platform.connect(plaintiff).declareLinkedAddress(linked.address))
+        .to.be.revertedWith("Already linked");
+
+      const max = await platform.MAX_LINKED_ADDRESSES();
+      for (const signer of signers.slice(3, 2 + Number(max))) {
+        await platform.connect(plaintiff).declareLinkedAddress(signer.address);
+      }
+      await expect(platform.connect(plaintiff).declareLinkedAddress(signers[2 + Number(max)].address))
+        .to.be.revertedWith("Too many linked addresses");
+    });
+
+    it("should keep a party's linked arbitrators out of the draw", async function () {
+      const [, plaintiff, defendant] = await ethers.getSigners();
+      const pool = (await ethers.getSigners()).slice(10);
+      const platform = await deployPlatform();
+      await registerArbitrators(platform, pool);
+
+      await platform.connect(plaintiff).declareLinkedAddress(pool[0].address);
+      await platform.connect(defendant).declareLinkedAddress(pool[1].address);
+      const disputeId = await openDispute(platform, plaintiff, defendant);
+      await requestPanel(platform, disputeId);
+
+      const candidates = await panelCandidates(platform, disputeId);
+      expect(candidates).to.have.lengthOf(pool.length - 2);
+      expect(candidates).to.not.include(pool[0].address);
+      expect(candidates).to.not.include(pool[1].address);
+      expect((await verifySelection(platform, disputeId)).valid).to.be.true;
+    });
+
+    it("should keep an arbitrator that declared a link to a party out of the draw", async function () {
+      const [, plaintiff, defendant] = await ethers.getSigners();
+      const pool = (await ethers.getSigners()).slice(10);
+      const platform = await deployPlatform();
+      await registerArbitrators(platform, pool);
+
+      await platform.connect(pool[2]).declareLinkedAddress(defendant.address);
+      const disputeId = await openDispute(platform, plaintiff, defendant);
+      await requestPanel(platform, disputeId);
+
+      const candidates = await panelCandidates(platform, disputeId);
+      expect(candidates).to.have.lengthOf(pool.length - 1);
+      expect(candidates).to.not.include(pool[2].address);
+    });
+  });
+
+  describe("Recusal", function () {
+    it("should seat an arbitrator drawn from the round's seed without penalty", async function () {
+      const { platform, disputeId, arbitrators } = await deployWithPanel();
+      const [, recusing] = arbitrators;
+      const next = await nextReplacement(platform, disputeId);
+      const bond = await platform.getArbitratorBond(recusing.address);
+
+      const tx = await platform.connect(recusing).recuse(disputeId);
+      const { votingDeadline } = await platform.getDisputeInfo(disputeId);
+
+      await expect(tx).to.emit(platform, "ArbitratorRecused").withArgs(disputeId, recusing.address);
+      await expect(tx)
+        .to.emit(platform, "ArbitratorReplaced")
+        .withArgs(disputeId, recusing.address, next, 3, votingDeadline);
+      await expect(tx).to.not.emit(platform, "ArbitratorSlashed");
+
+      expect(await currentPanel(platform, disputeId)).to.deep.equal([arbitrators[0].address, next, arbitrators[2].address]);
+      expect((await platform.getArbitratorBond(recusing.address)).amount).to.equal(bond.amount);
+      expect((await platform.getArbitratorBond(recusing.address)).openAssignments).to.equal(0);
+      expect((await platform.getArbitratorBond(next)).openAssignments).to.equal(1);
+      expect((await platform.getArbitratorInfo(recusing.address)).reputation).to.equal(100);
+      expect((await verifySelection(platform, disputeId)).valid).to.be.true;
+    });
+
+    it("should let the replacement panel rule", async function () {
+      const { platform, gateway, plaintiff, disputeId, arbitrators, pool } = await deployWithPanel();
+
+      await platform.connect(arbitrators[0]).recuse(disputeId);
+      const panel = (await currentPanel(platform, disputeId))
+        .map((address) => pool.find((signer) => signer.address === address));
+      await castVotes(platform, disputeId, panel, [1, 1, 2]);
+      await gateway.fulfill(disputeId);
+
+      expect((await platform.getDisputeInfo(disputeId)).winner).to.equal(plaintiff.address);
+      expect((await platform.getArbitratorInfo(arbitrators[0].address)).totalDisputesHandled).to.equal(0);
+    });
+
+    it("should only let a panel member who has not voted recuse", async function () {
+      const { platform, disputeId, arbitrators, pool } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1]);
+      await expect(platform.connect(arbitrators[0]).recuse(disputeId))
+        .to.be.revertedWith("Arbitrator already voted");
+
+      const panel = new Set(arbitrators.map((arbitrator) => arbitrator.address));
+      const outsider = pool.find((signer) => !panel.has(signer.address));
+      await expect(platform.connect(outsider).recuse(disputeId))
+        .to.be.revertedWith("Not assigned to this dispute");
+    });
+
+    it("should reject recusal while paused or outside the arbitration phase", async function () {
+      const { platform, owner, gateway, disputeId, arbitrators } = await deployWithPanel();
+
+      await platform.connect(owner).pause();
+      await expect(platform.connect(arbitrators[0]).recuse(disputeId)).to.be.revertedWith("Platform paused");
+      await platform.connect(owner).unpause();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 2]);
+      await gateway.fulfill(disputeId);
+      await expect(platform.connect(arbitrators[0]).recuse(disputeId))
+        .to.be.revertedWith("Not in arbitration phase");
+    });
+  });
+
+  describe("Strikes", function () {
+    it("should replace a struck arbitrator and use up the party's strike", async function () {
+      const { platform, plaintiff, disputeId, arbitrators } = await deployWithPanel();
+      const next = await nextReplacement(platform, disputeId);
+
+      const tx = await platform.connect(plaintiff).strikeArbitrator(disputeId, arbitrators[2].address);
+      await expect(tx)
+        .to.emit(platform, "ArbitratorStruck")
+        .withArgs(disputeId, plaintiff.address, arbitrators[2].address);
+      await expect(tx).to.emit(platform, "ArbitratorReplaced");
+      await expect(tx).to.not.emit(platform, "ArbitratorSlashed");
+
+      expect(await currentPanel(platform, disputeId)).to.deep.equal([arbitrators[0].address, arbitrators[1].address, next]);
+      expect((await platform.getArbitratorBond(arbitrators[2].address)).openAssignments).to.equal(0);
+      expect(await platform.STRIKES_PER_ROUND()).to.equal(1);
+      await expect(platform.connect(plaintiff).strikeArbitrator(disputeId, arbitrators[0].address))
+        .to.be.revertedWith("No strikes left");
+    });
+
+    it("should give each party its own strikes", async function () {
+      const { platform, plaintiff, defendant, disputeId, arbitrators } = await deployWithPanel();
+
+      const first = await nextReplacement(platform, disputeId);
+      await platform.connect(plaintiff).strikeArbitrator(disputeId, arbitrators[0].address);
+      const second = await nextReplacement(platform, disputeId);
+      await platform.connect(defendant).strikeArbitrator(disputeId, arbitrators[1].address);
+
+      expect(second).to.not.equal(first);
+      expect(await currentPanel(platform, disputeId)).to.deep.equal([first, second, arbitrators[2].address]);
+      await expect(platform.connect(defendant).strikeArbitrator(disputeId, arbitrators[2].address))
+        .to.be.revertedWith("No strikes left");
+      expect((await verifySelection(platform, disputeId)).valid).to.be.true;
+    });
+
+    it("should reject strikes by outsiders and against members who voted", async function () {
+      const { platform, plaintiff, outsider, disputeId, arbitrators } = await deployWithPanel();
+
+      await expect(platform.connect(outsider).strikeArbitrator(disputeId, arbitrators[0].address))
+        .to.be.revertedWith("Not a dispute party");
+
+      await castVotes(platform, disputeId, arbitrators, [2]);
+      await expect(platform.connect(plaintiff).strikeArbitrator(disputeId, arbitrators[0].address))
+        .to.be.revertedWith("Arbitrator already voted");
+    });
+
+    it("should restore strikes for the appeal round", async function () {
+      const { platform, gateway, defendant, disputeId, arbitrators, pool } = await deployWithPanel();
+
+      await platform.connect(defendant).strikeArbitrator(disputeId, arbitrators[0].address);
+      const seated = (await currentPanel(platform, disputeId))
+        .map((address) => pool.find((signer) => signer.address === address));
+      await castVotes(platform, disputeId, seated, [1, 1, 1]);
+      await gateway.fulfill(disputeId);
+
+      await platform.connect(defendant).fileAppeal(disputeId, "0x", { value: DEFAULT_STAKE });
+      const appealPanel = await seatPanel(platform, disputeId, 9n);
+
+      await expect(platform.connect(defendant).strikeArbitrator(disputeId, appealPanel[0].address))
+        .to.emit(platform, "ArbitratorStruck")
+        .withArgs(disputeId, defendant.address, appealPanel[0].address);
+    });
+  });
+});
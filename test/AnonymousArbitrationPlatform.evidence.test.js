@@ -0,0 +1,232 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, fhevm } = hre;
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { submitEvidence } = require("../scripts/lib/fhevmInputs");
+const { answerDispute, seatPanel, deployWithPanel } = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Evidence", function () {
+  before(function () {
+    if (!fhevm.isMock) {
+      console.warn("⚠️  Evidence tests require the FHEVM mock environment");
+      this.skip();
+    }
+  });
+
+  async function deployAnsweredFixture() {
+    const fixture = await deployWithPanel({ seat: false, respond: false });
+    await answerDispute(fixture.platform, fixture.defendant, fixture.disputeId, { counterEvidence: 424242 });
+    return fixture;
+  }
+
+  async function decrypt(platform, type, handle, user) {
+    return fhevm.userDecryptEuint(type, handle, await platform.getAddress(), user);
+  }
+
+  describe("Submitting", function () {
+    it("should list the opening evidence and counter-evidence first", async function () {
+      const { platform, plaintiff, defendant, disputeId } = await deployWithPanel({ seat: false, respond: false });
+
+      const tx = await answerDispute(platform, defendant, disputeId, { counterEvidence: 424242 });
+      await expect(tx).to.emit(platform, "EvidenceSubmitted").withArgs(disputeId, defendant.address, 1);
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+
+      const { evidenceDeadline, items } = await platform.getEvidence(disputeId);
+      expect(evidenceDeadline).to.equal(BigInt(timestamp) + (await platform.EVIDENCE_PERIOD()));
+      expect(items.map((item) => item.submitter)).to.deep.equal([plaintiff.address, defendant.address]);
+      expect(items[0].claimedAmount).to.equal(ethers.ZeroHash);
+
+      expect(await decrypt(platform, FhevmType.euint32, items[0].documentHash, defendant)).to.equal(999888777n);
+      expect(await decrypt(platform, FhevmType.euint32, items[1].documentHash, plaintiff)).to.equal(424242n);
+    });
+
+    it("should accept several items from both parties", async function () {
+      const { platform, plaintiff, defendant, disputeId } = await deployWithPanel({ seat: false, respond: false });
+
+      // The plaintiff may add evidence while the response is still awaited
+      await expect(submitEvidence(hre, platform, plaintiff, disputeId, { documentHash: 1001, claimedAmount: 5000 }))
+        .to.emit(platform, "EvidenceSubmitted")
+        .withArgs(disputeId, plaintiff.address, 1);
+
+      await answerDispute(platform, defendant, disputeId);
+      await submitEvidence(hre, platform, defendant, disputeId, { documentHash: 2001, claimedAmount: 1200 });
+      await submitEvidence(hre, platform, plaintiff, disputeId, { documentHash: 1002 });
+
+      const { items } = await platform.getEvidence(disputeId);
+      expect(items.map((item) => item.submitter)).to.deep.equal([
+        plaintiff.address,
+        plaintiff.address,
+        defendant.address,
+        plaintiff.address,
+      ]);
+      expect(await decrypt(platform, FhevmType.euint32, items[2].documentHash, plaintiff)).to.equal(2001n);
+      expect(await decrypt(platform, FhevmType.euint64, items[2].claimedAmount, plaintiff)).to.equal(1200n);
+      expect(await decrypt(platform, FhevmType.euint64, items[3].claimedAmount, defendant)).to.equal(0n);
+    });
+
+    it("should reject items from anyone but the parties", async function () {
+      const { platform, outsider, disputeId } = await deployAnsweredFixture();
+
+      await expect(submitEvidence(hre, platform, outsider, disputeId, { documentHash: 1 }))
+        .to.be.revertedWith("Not a dispute party");
+      await expect(submitEvidence(hre, platform, outsider, 99, { documentHash: 1 }))
+        .to.be.revertedWith("Dispute does not exist");
+    });
+
+    it("should cap the items of each party without touching the other's share", async function () {
+      const { platform, plaintiff, defendant, disputeId } = await deployAnsweredFixture();
+      const max = Number(await platform.MAX_EVIDENCE_ITEMS());
+
+      // Opening evidence and counter-evidence already take one slot of each party
+      for (let i = 1; i < max; i++) {
+        await submitEvidence(hre, platform, plaintiff, disputeId, { documentHash: i });
+      }
+      await expect(submitEvidence(hre, platform, plaintiff, disputeId, { documentHash: max }))
+        .to.be.revertedWith("Evidence limit reached");
+
+      for (let i = 1; i < max; i++) {
+        await submitEvidence(hre, platform, defendant, disputeId, { documentHash: 100 + i });
+      }
+      await expect(submitEvidence(hre, platform, defendant, disputeId, { documentHash: 100 + max }))
+        .to.be.revertedWith("Evidence limit reached");
+
+      const { items } = await platform.getEvidence(disputeId);
+      expect(items).to.have.lengthOf(2 * max);
+      expect(items.filter((item) => item.submitter === defendant.address)).to.have.lengthOf(max);
+    });
+
+    it("should count counter-evidence against the defendant's share", async function () {
+      const { platform, defendant, disputeId } = await deployWithPanel({ seat: false, respond: false });
+      const max = Number(await platform.MAX_EVIDENCE_ITEMS());
+
+      for (let i = 0; i < max; i++) {
+        await submitEvidence(hre, platform, defendant, disputeId, { documentHash: 100 + i });
+      }
+
+      await expect(answerDispute(platform, defendant, disputeId, { counterEvidence: 424242 }))
+        .to.be.revertedWith("Evidence limit reached");
+      await answerDispute(platform, defendant, disputeId);
+      expect((await platform.getEvidence(disputeId)).items).to.have.lengthOf(max + 1);
+    });
+  });
+
+  describe("Evidence Window", function () {
+    it("should hold back the panel until the window has closed", async function () {
+      const { platform, plaintiff, disputeId } = await deployAnsweredFixture();
+
+      await expect(platform.assignArbitrators(disputeId)).to.be.revertedWith("Evidence period active");
+
+      const { evidenceDeadline } = await platform.getEvidence(disputeId);
+      await time.increaseTo(evidenceDeadline + 1n);
+
+      await expect(submitEvidence(hre, platform, plaintiff, disputeId, { documentHash: 1 }))
+        .to.be.revertedWith("Evidence period ended");
+      // Past the window the request gets as far as the (empty) arbitrator pool
+      await expect(platform.assignArbitrators(disputeId)).to.be.revertedWith("Not enough arbitrators available");
+    });
+
+    it("should reject items once the panel is seated", async function () {
+      const { platform, defendant, disputeId } = await deployAnsweredFixture();
+
+      await seatPanel(platform, disputeId);
+
+      await expect(submitEvidence(hre, platform, defendant, disputeId, { documentHash: 1 }))
+        .to.be.revertedWith("Invalid dispute status");
+    });
+  });
+
+  describe("Dispute Handles", function () {
+    it("should return the stake and evidence handles the parties can decrypt", async function () {
+      const { platform, plaintiff, defendant, disputeId } = await deployAnsweredFixture();
+
+      const { stake, evidenceHash, counterEvidence } = await platform.getDisputeHandles(disputeId);
+      const { items } = await platform.getEvidence(disputeId);
+      expect(evidenceHash).to.equal(items[0].documentHash);
+      expect(counterEvidence).to.equal(items[1].documentHash);
+
+      for (const party of [plaintiff, defendant]) {
+        expect(await decrypt(platform, FhevmType.euint64, stake, party)).to.equal(1000n);
+        expect(await decrypt(platform, FhevmType.euint32, evidenceHash, party)).to.equal(999888777n);
+        expect(await decrypt(platform, FhevmType.euint32, counterEvidence, party)).to.equal(424242n);
+      }
+    });
+
+    it("should return a zero counter-evidence handle until the defendant gives one", async function () {
+      const { platform, defendant, disputeId } = await deployWithPanel({ seat: false, respond: false });
+
+      expect((await platform.getDisputeHandles(disputeId)).counterEvidence).to.equal(ethers.ZeroHash);
+      await answerDispute(platform, defendant, disputeId);
+      expect((await platform.getDisputeHandles(disputeId)).counterEvidence).to.equal(ethers.ZeroHash);
+      await expect(platform.getDisputeHandles(99)).to.be.revertedWith("Dispute does not exist");
+    });
+
+    it("should decrypt through a signed keypair request, as the web app does", async function () {
+      const { platform, plaintiff, outsider, disputeId } = await deployAnsweredFixture();
+      const contractAddress = await platform.getAddress();
+      const { stake, evidenceHash } = await platform.getDisputeHandles(disputeId);
+
+      // Keypair generated client-side, authorised for this contract by an EIP-712 signature
+      const { publicKey, privateKey } = fhevm.generateKeypair();
+      const startTimestamp = Math.floor(Date.now() / 1000);
+      const durationDays = 1;
+      const request = async (user) => {
+        const eip712 = fhevm.createEIP712(publicKey, [contractAddress], startTimestamp, durationDays);
+        const signature = await user.signTypedData(
+          eip712.domain,
+          { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+          eip712.message
+        );
+        return fhevm.userDecrypt(
+          [{ handle: stake, contractAddress }, { handle: evidenceHash, contractAddress }],
+          privateKey,
+          publicKey,
+          signature.replace("0x", ""),
+          [contractAddress],
+          user.address,
+          startTimestamp,
+          durationDays
+        );
+      };
+
+      const values = await request(plaintiff);
+      expect(values[stake]).to.equal(1000n);
+      expect(values[evidenceHash]).to.equal(999888777n);
+      await expect(request(outsider)).to.be.rejected;
+    });
+  });
+
+  describe("Panel Access", function () {
+    it("should let every seated arbitrator read every item", async function () {
+      const { platform, plaintiff, defendant, disputeId } = await deployAnsweredFixture();
+
+      await submitEvidence(hre, platform, plaintiff, disputeId, { documentHash: 1001, claimedAmount: 5000 });
+      await submitEvidence(hre, platform, defendant, disputeId, { documentHash: 2001, claimedAmount: 1200 });
+      const arbitrators = await seatPanel(platform, disputeId);
+
+      const { items } = await platform.getEvidence(disputeId);
+      for (const arbitrator of arbitrators) {
+        const hashes = [];
+        for (const item of items) {
+          hashes.push(await decrypt(platform, FhevmType.euint32, item.documentHash, arbitrator));
+        }
+        expect(hashes).to.deep.equal([999888777n, 424242n, 1001n, 2001n]);
+        expect(await decrypt(platform, FhevmType.euint64, items[3].claimedAmount, arbitrator)).to.equal(1200n);
+      }
+    });
+
+    it("should keep the items from arbitrators outside the panel", async function () {
+      const { platform, plaintiff, disputeId } = await deployAnsweredFixture();
+
+      await submitEvidence(hre, platform, plaintiff, disputeId, { documentHash: 1001, claimedAmount: 5000 });
+      const arbitrators = await seatPanel(platform, disputeId);
+
+      const panel = new Set(arbitrators.map((arbitrator) => arbitrator.address));
+      const outsider = (await ethers.getSigners()).slice(10).find((signer) => !panel.has(signer.address));
+
+      const { items } = await platform.getEvidence(disputeId);
+      await expect(decrypt(platform, FhevmType.euint32, items[2].documentHash, outsider)).to.be.rejected;
+      await expect(decrypt(platform, FhevmType.euint64, items[2].claimedAmount, outsider)).to.be.rejected;
+    });
+  });
+});
@@ -0,0 +1,255 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, fhevm } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { summarizeFees } = require("../scripts/lib/fees");
+const { Parameter } = require("../scripts/lib/parameters");
+const {
+  DEFAULT_STAKE,
+  deployPlatform,
+  bondsHeld,
+  openDispute,
+  seatPanel,
+  deployWithPanel,
+  castVotes,
+  closeAppealWindow,
+} = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Fees", function () {
+  const ESCROW = 2n * DEFAULT_STAKE;
+  const ARBITRATOR_FEE = (ESCROW * 500n) / 10000n;
+  const PLATFORM_FEE = (ESCROW * 100n) / 10000n;
+
+  before(function () {
+    if (!fhevm.isMock) {
+      console.warn("⚠️  Fee tests require the FHEVM mock environment");
+      this.skip();
+    }
+  });
+
+  async function resolveWith(fixture, votes, disputeId = fixture.disputeId, arbitrators = fixture.arbitrators) {
+    await castVotes(fixture.platform, disputeId, arbitrators, votes);
+    return fixture.gateway.fulfill(disputeId);
+  }
+
+  describe("Fee Schedule", function () {
+    it("should start at 5% for arbitrators and 1% for the owner's treasury", async function () {
+      const [owner] = await ethers.getSigners();
+      const platform = await deployPlatform();
+
+      expect(await platform.arbitratorFeeBps()).to.equal(500);
+      expect(await platform.platformFeeBps()).to.equal(100);
+      expect(await platform.treasury()).to.equal(owner.address);
+    });
+
+    it("should let the owner update the schedule", async function () {
+      const platform = await deployPlatform();
+
+      await expect(platform.setFeeSchedule(1200, 300))
+        .to.emit(platform, "FeeScheduleUpdated")
+        .withArgs(1200, 300);
+
+      expect(await platform.arbitratorFeeBps()).to.equal(1200);
+      expect(await platform.platformFeeBps()).to.equal(300);
+    });
+
+    it("should cap the combined fees", async function () {
+      const platform = await deployPlatform();
+      const max = await platform.MAX_TOTAL_FEE_BPS();
+
+      await expect(platform.setFeeSchedule(max, 1)).to.be.revertedWith("Fees exceed maximum");
+      await expect(platform.setFeeSchedule(max, 0)).to.not.be.reverted;
+    });
+
+    it("should let the owner move the treasury", async function () {
+      const [, , , , outsider] = await ethers.getSigners();
+      const platform = await deployPlatform();
+
+      await expect(platform.setTreasury(outsider.address))
+        .to.emit(platform, "TreasuryUpdated")
+        .withArgs(outsider.address);
+      await expect(platform.setTreasury(ethers.ZeroAddress)).to.be.revertedWith("Invalid treasury");
+    });
+
+    it("should reject schedule and treasury changes from non-owners", async function () {
+      const [, , , , outsider] = await ethers.getSigners();
+      const platform = await deployPlatform();
+
+      await expect(platform.connect(outsider).setFeeSchedule(0, 0)).to.be.revertedWith("Not authorized");
+      await expect(platform.connect(outsider).setTreasury(outsider.address)).to.be.revertedWith("Not authorized");
+    });
+  });
+
+  describe("Charging", function () {
+    it("should split the arbitrator fee among the panel", async function () {
+      const fixture = await deployWithPanel();
+      const { platform, disputeId, arbitrators } = fixture;
+      const share = ARBITRATOR_FEE / BigInt(arbitrators.length);
+
+      const receipt = await resolveWith(fixture, [1, 1, 2]);
+
+      for (const arbitrator of arbitrators) {
+        await expect(receipt.hash)
+          .to.emit(platform, "ArbitratorFeePaid")
+          .withArgs(disputeId, arbitrator.address, share);
+        expect(await platform.getPendingBalance(arbitrator.address)).to.equal(share);
+        expect(await platform.arbitratorFeesEarned(arbitrator.address)).to.equal(share);
+      }
+    });
+
+    it("should credit the platform fee and rounding dust to the treasury", async function () {
+      const fixture = await deployWithPanel();
+      const { platform, owner, disputeId, arbitrators } = fixture;
+      const dust = ARBITRATOR_FEE % BigInt(arbitrators.length);
+
+      const receipt = await resolveWith(fixture, [1, 1, 2]);
+
+      await expect(receipt.hash)
+        .to.emit(platform, "PlatformFeeCollected")
+        .withArgs(disputeId, owner.address, PLATFORM_FEE + dust);
+      expect(await platform.getPendingBalance(owner.address)).to.equal(PLATFORM_FEE + dust);
+      expect(await platform.totalPlatformFees()).to.equal(PLATFORM_FEE + dust);
+    });
+
+    it("should pay the winner the escrow net of fees", async function () {
+      const fixture = await deployWithPanel();
+      const { platform, defendant, disputeId } = fixture;
+
+      await resolveWith(fixture, [2, 2, 1]);
+      await closeAppealWindow(platform, disputeId);
+
+      expect(await platform.getPendingBalance(defendant.address))
+        .to.equal(ESCROW - ARBITRATOR_FEE - PLATFORM_FEE);
+    });
+
+    it("should share the fees between the parties when there is no winner", async function () {
+      const fixture = await deployWithPanel();
+      const { platform, plaintiff, defendant } = fixture;
+      const fees = ARBITRATOR_FEE + PLATFORM_FEE;
+
+      await resolveWith(fixture, [3, 3, 1]);
+
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(DEFAULT_STAKE - fees / 2n);
+      expect(await platform.getPendingBalance(defendant.address)).to.equal(DEFAULT_STAKE - fees / 2n);
+    });
+
+    it("should keep the contract balance equal to the ledger", async function () {
+      const fixture = await deployWithPanel();
+      const { platform, owner, plaintiff, defendant, arbitrators } = fixture;
+
+      await resolveWith(fixture, [1, 2, 3]);
+
+      const accounts = [owner, plaintiff, defendant, ...arbitrators];
+      let credited = 0n;
+      for (const account of accounts) {
+        credited += await platform.getPendingBalance(account.address);
+      }
+      expect(credited + (await bondsHeld(platform)))
+        .to.equal(await ethers.provider.getBalance(await platform.getAddress()));
+    });
+
+    it("should send fees to the current treasury", async function () {
+      const fixture = await deployWithPanel();
+      const { platform, owner, outsider } = fixture;
+
+      await platform.connect(owner).setTreasury(outsider.address);
+      await resolveWith(fixture, [1, 1, 2]);
+
+      expect(await platform.getPendingBalance(outsider.address)).to.be.gte(PLATFORM_FEE);
+      expect(await platform.getPendingBalance(owner.address)).to.equal(0);
+    });
+
+    it("should let arbitrators and the treasury withdraw their fees", async function () {
+      const fixture = await deployWithPanel();
+      const { platform, owner, arbitrators } = fixture;
+
+      await resolveWith(fixture, [1, 1, 2]);
+
+      const share = await platform.getPendingBalance(arbitrators[0].address);
+      await expect(platform.connect(arbitrators[0]).withdraw()).to.changeEtherBalance(arbitrators[0], share);
+      const income = await platform.getPendingBalance(owner.address);
+      await expect(platform.connect(owner).withdraw()).to.changeEtherBalance(owner, income);
+    });
+
+    it("should not charge fees under a zero schedule", async function () {
+      const fixture = await deployWithPanel();
+      const { platform, plaintiff, disputeId } = fixture;
+
+      await platform.setFeeSchedule(0, 0);
+      const receipt = await resolveWith(fixture, [1, 1, 2]);
+
+      await expect(receipt.hash).to.not.emit(platform, "ArbitratorFeePaid");
+      await expect(receipt.hash).to.not.emit(platform, "PlatformFeeCollected");
+      await closeAppealWindow(platform, disputeId);
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(ESCROW);
+    });
+  });
+
+  describe("Fee-free Outcomes", function () {
+    it("should not charge fees on a default judgment", async function () {
+      const { platform, plaintiff, disputeId } = await deployWithPanel({ seat: false, respond: false });
+
+      const { responseDeadline } = await platform.getDisputeInfo(disputeId);
+      await time.increaseTo(responseDeadline + 1n);
+
+      await expect(platform.connect(plaintiff).claimDefaultJudgment(disputeId))
+        .to.not.emit(platform, "PlatformFeeCollected");
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(DEFAULT_STAKE);
+    });
+
+    it("should not charge fees on a decryption timeout refund", async function () {
+      const { platform, plaintiff, defendant, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 2]);
+      await time.increase(Number(await platform.getParameter(Parameter.DecryptionTimeout)) + 1);
+
+      await expect(platform.checkDecryptionTimeout(disputeId))
+        .to.not.emit(platform, "PlatformFeeCollected");
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(DEFAULT_STAKE);
+      expect(await platform.getPendingBalance(defendant.address)).to.equal(DEFAULT_STAKE);
+      expect(await platform.arbitratorFeesEarned(arbitrators[0].address)).to.equal(0);
+    });
+  });
+
+  describe("Reporting", function () {
+    it("should summarise fees per arbitrator and treasury income", async function () {
+      const fixture = await deployWithPanel();
+      const { platform, owner, plaintiff, defendant } = fixture;
+
+      await resolveWith(fixture, [1, 1, 2]);
+      const secondId = await openDispute(platform, plaintiff, defendant);
+      const panel = await seatPanel(platform, secondId, 7n);
+      await resolveWith(fixture, [2, 2, 2], secondId, panel);
+
+      const report = await summarizeFees(platform);
+
+      expect(report.disputeIds).to.deep.equal([fixture.disputeId, secondId]);
+      expect(report.treasuryTotal).to.equal(await platform.totalPlatformFees());
+      expect(report.treasury).to.have.lengthOf(1);
+      expect(report.treasury[0].address).to.equal(owner.address);
+      expect(report.treasury[0].disputes).to.equal(2);
+
+      for (const entry of report.arbitrators) {
+        expect(entry.amount).to.equal(await platform.arbitratorFeesEarned(entry.address));
+      }
+      expect(report.arbitratorTotal).to.equal(2n * (ARBITRATOR_FEE - (ARBITRATOR_FEE % 3n)));
+    });
+
+    it("should only count fees inside the block range", async function () {
+      const fixture = await deployWithPanel();
+      const { platform, plaintiff, defendant } = fixture;
+
+      await resolveWith(fixture, [1, 1, 2]);
+      const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+      const secondId = await openDispute(platform, plaintiff, defendant);
+      const panel = await seatPanel(platform, secondId, 7n);
+      await resolveWith(fixture, [2, 2, 2], secondId, panel);
+
+      const report = await summarizeFees(platform, { fromBlock });
+
+      expect(report.disputeIds).to.deep.equal([secondId]);
+      expect(report.treasury[0].disputes).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, fhevm } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { submitVote } = require("../scripts/lib/fhevmInputs");
+const { Parameter } = require("../scripts/lib/parameters");
+const { deployWithPanel, castVotes, closeAppealWindow } = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Local Gateway", function () {
+  const DisputeStatus = { InArbitration: 1, Voting: 2, Resolved: 3, DecryptionFailed: 5 };
+
+  before(function () {
+    if (!fhevm.isMock) {
+      console.warn("⚠️  Local Gateway tests require the FHEVM mock environment");
+      this.skip();
+    }
+  });
+
+  describe("Panel Setup", function () {
+    it("should seat three arbitrators", async function () {
+      const { platform, disputeId } = await deployWithPanel();
+
+      const info = await platform.getDisputeInfo(disputeId);
+      expect(info.status).to.equal(DisputeStatus.InArbitration);
+      expect(info.arbitratorCount).to.equal(3);
+    });
+  });
+
+  describe("Decryption Request", function () {
+    it("should request decryption once all votes are cast", async function () {
+      const { platform, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1]);
+      await expect(submitVote(hre, platform, arbitrators[2], disputeId, { vote: 2, justification: 1002 }))
+        .to.emit(platform, "DecryptionRequested");
+
+      expect((await platform.getDisputeInfo(disputeId)).status).to.equal(DisputeStatus.Voting);
+      expect(await platform.pendingDecryptions(disputeId)).to.be.true;
+    });
+
+    it("should send only the encrypted verdict to the Gateway", async function () {
+      const { platform, gateway, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 2, 2]);
+
+      const request = await gateway.getRequest(disputeId);
+      const { values } = await gateway.buildResponse(request);
+      expect(request.handles).to.have.lengthOf(1);
+      expect(values).to.deep.equal([2n]);
+    });
+  });
+
+  describe("Resolution", function () {
+    it("should resolve in favour of the plaintiff on a plaintiff majority", async function () {
+      const { platform, gateway, plaintiff, disputeId, arbitrators } =
+        await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 2]);
+
+      await expect(gateway.fulfill(disputeId)).to.not.be.reverted;
+
+      const info = await platform.getDisputeInfo(disputeId);
+      expect(info.status).to.equal(DisputeStatus.Resolved);
+      expect(info.decisionRevealed).to.be.true;
+      expect(info.winner).to.equal(plaintiff.address);
+      expect(await platform.pendingDecryptions(disputeId)).to.be.false;
+    });
+
+    it("should resolve in favour of the defendant on a defendant majority", async function () {
+      const { platform, gateway, defendant, disputeId, arbitrators } =
+        await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [2, 1, 2]);
+      await gateway.fulfill(disputeId);
+
+      const info = await platform.getDisputeInfo(disputeId);
+      expect(info.status).to.equal(DisputeStatus.Resolved);
+      expect(info.winner).to.equal(defendant.address);
+    });
+
+    it("should resolve without a winner when there is no majority", async function () {
+      const { platform, gateway, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 2, 3]);
+      await gateway.fulfill(disputeId);
+
+      const info = await platform.getDisputeInfo(disputeId);
+      expect(info.status).to.equal(DisputeStatus.Resolved);
+      expect(info.winner).to.equal(ethers.ZeroAddress);
+    });
+
+    it("should emit DisputeResolved with the winner", async function () {
+      const { platform, gateway, plaintiff, disputeId, arbitrators } =
+        await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 1]);
+      const request = await gateway.getRequest(disputeId);
+      const { cleartexts, decryptionProof } = await gateway.buildResponse(request);
+
+      await expect(platform.processDecisionCallback(request.requestId, cleartexts, decryptionProof))
+        .to.emit(platform, "DisputeResolved")
+        .withArgs(disputeId, plaintiff.address);
+    });
+
+    it("should update arbitrator and party reputation", async function () {
+      const { platform, gateway, plaintiff, disputeId, arbitrators } =
+        await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 2]);
+      await gateway.fulfill(disputeId);
+      await closeAppealWindow(platform, disputeId);
+
+      expect(await platform.getUserReputation(plaintiff.address)).to.equal(10);
+      const info = await platform.getArbitratorInfo(arbitrators[0].address);
+      expect(info.totalDisputesHandled).to.equal(1);
+      expect(info.reputation).to.equal(100);
+    });
+  });
+
+  describe("Callback Authentication", function () {
+    it("should reject cleartexts that do not match the KMS signatures", async function () {
+      const { platform, gateway, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [2, 2, 2]);
+      const request = await gateway.getRequest(disputeId);
+      const { decryptionProof } = await gateway.buildResponse(request);
+      const forged = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [1]);
+
+      await expect(platform.processDecisionCallback(request.requestId, forged, decryptionProof))
+        .to.be.reverted;
+      expect(await platform.pendingDecryptions(disputeId)).to.be.true;
+    });
+
+    it("should reject unknown request IDs", async function () {
+      const { platform } = await deployWithPanel();
+
+      await expect(platform.processDecisionCallback(999, "0x", "0x"))
+        .to.be.revertedWith("Invalid request ID");
+    });
+
+    it("should reject a replayed callback", async function () {
+      const { platform, gateway, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 2]);
+      const request = await gateway.getRequest(disputeId);
+      const { cleartexts, decryptionProof } = await gateway.buildResponse(request);
+      await gateway.relay(request.requestId, cleartexts, decryptionProof);
+
+      await expect(gateway.relay(request.requestId, cleartexts, decryptionProof))
+        .to.be.revertedWith("No pending decryption");
+    });
+  });
+
+  describe("Failure and Timeout Paths", function () {
+    it("should mark the dispute DecryptionFailed when the Gateway answers too late", async function () {
+      const { platform, gateway, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 2]);
+      const timeout = Number(await platform.getParameter(Parameter.DecryptionTimeout));
+
+      await expect(gateway.fulfill(disputeId, { delaySeconds: timeout + 1 })).to.not.be.reverted;
+
+      const info = await platform.getDisputeInfo(disputeId);
+      expect(info.status).to.equal(DisputeStatus.DecryptionFailed);
+      expect(info.winner).to.equal(ethers.ZeroAddress);
+    });
+
+    it("should refund the plaintiff when the Gateway never answers", async function () {
+      const { platform, plaintiff, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 2]);
+      await time.increase(Number(await platform.getParameter(Parameter.DecryptionTimeout)) + 1);
+
+      await expect(platform.checkDecryptionTimeout(disputeId))
+        .to.emit(platform, "TimeoutTriggered")
+        .withArgs(disputeId, "Decryption")
+        .and.to.emit(platform, "RefundIssued")
+        .withArgs(disputeId, plaintiff.address, ethers.parseEther("0.001"));
+
+      const info = await platform.getDisputeInfo(disputeId);
+      expect(info.status).to.equal(DisputeStatus.DecryptionFailed);
+    });
+
+    it("should cancel the dispute when arbitrators never vote", async function () {
+      const { platform, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1]);
+      const info = await platform.getDisputeInfo(disputeId);
+      await time.increaseTo(info.votingDeadline + (await platform.getParameter(Parameter.VotingTimeout)) + 1n);
+
+      await expect(platform.checkVotingTimeout(disputeId))
+        .to.emit(platform, "TimeoutTriggered")
+        .withArgs(disputeId, "Voting");
+
+      const status = await platform.getTimeoutStatus(disputeId);
+      expect(status.canClaimRefund).to.be.true;
+    });
+  });
+
+  describe("Relayer Watch Mode", function () {
+    it("should answer DecryptionRequested events as they are emitted", async function () {
+      const { platform, gateway, plaintiff, disputeId, arbitrators } =
+        await deployWithPanel();
+
+      const resolved = new Promise((resolve, reject) => {
+        gateway.watch((id, receipt, error) => (error ? reject(error) : resolve(receipt)));
+      });
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 2]);
+      await resolved;
+      await gateway.stop();
+
+      const info = await platform.getDisputeInfo(disputeId);
+      expect(info.status).to.equal(DisputeStatus.Resolved);
+      expect(info.winner).to.equal(plaintiff.address);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { verifySelection } = require("../scripts/lib/selection");
+const {
+  DEFAULT_STAKE,
+  deployPlatform,
+  openDispute,
+  closeEvidencePeriod,
+  registerArbitrators,
+  seatPanel,
+  deployWithPanel,
+  castVotes,
+} = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Panel Sizes", function () {
+  const DisputeStatus = { InArbitration: 1, Voting: 2, Resolved: 3 };
+
+  before(function () {
+    if (!fhevm.isMock) {
+      console.warn("⚠️  Panel size tests require the FHEVM mock environment");
+      this.skip();
+    }
+  });
+
+  async function deployFixture() {
+    const [owner, plaintiff, defendant] = await ethers.getSigners();
+    const platform = await deployPlatform();
+
+    return { platform, owner, plaintiff, defendant };
+  }
+
+  describe("Choosing a Size", function () {
+    it("should map deposits to stake tiers", async function () {
+      const { platform } = await deployFixture();
+
+      for (const [value, size] of [["0.001", 1], ["0.01", 3], ["0.1", 5], ["1", 7]]) {
+        expect(await platform.panelSizeForStake(ethers.ZeroAddress, ethers.parseEther(value))).to.equal(size);
+      }
+    });
+
+    it("should follow the stake tier when no size is chosen", async function () {
+      const { platform, plaintiff, defendant } = await deployFixture();
+
+      for (const [value, size] of [["0.001", 1n], ["0.05", 3n], ["0.5", 5n], ["2", 7n]]) {
+        const disputeId = await openDispute(platform, plaintiff, defendant, {
+          value: ethers.parseEther(value),
+          panelSize: 0,
+          respond: false,
+        });
+        expect((await platform.getDisputeInfo(disputeId)).panelSize).to.equal(size);
+      }
+    });
+
+    it("should let the plaintiff override the tier", async function () {
+      const { platform, plaintiff, defendant } = await deployFixture();
+
+      const disputeId = await openDispute(platform, plaintiff, defendant, { panelSize: 7, respond: false });
+      expect((await platform.getDisputeInfo(disputeId)).panelSize).to.equal(7);
+    });
+
+    it("should reject even and oversized panels", async function () {
+      const { platform, plaintiff, defendant } = await deployFixture();
+
+      for (const panelSize of [2, 4, 9]) {
+        await expect(openDispute(platform, plaintiff, defendant, { panelSize, respond: false }))
+          .to.be.revertedWith("Invalid panel size");
+      }
+    });
+
+    it("should require a pool at least as large as the panel", async function () {
+      const { platform, plaintiff, defendant } = await deployFixture();
+
+      const pool = (await ethers.getSigners()).slice(10, 15);
+      await registerArbitrators(platform, pool);
+      const disputeId = await openDispute(platform, plaintiff, defendant, { panelSize: 7 });
+      await closeEvidencePeriod(platform, disputeId);
+
+      await expect(platform.assignArbitrators(disputeId))
+        .to.be.revertedWith("Not enough arbitrators available");
+    });
+  });
+
+  for (const panelSize of [1, 3, 5, 7]) {
+    describe(`${panelSize}-Arbitrator Panel`, function () {
+      const majority = Math.floor(panelSize / 2) + 1;
+
+      it("should seat a reproducible panel of that size", async function () {
+        const { platform, disputeId, arbitrators } = await deployWithPanel({ panelSize });
+
+        expect(arbitrators).to.have.lengthOf(panelSize);
+        expect(new Set(arbitrators.map((arbitrator) => arbitrator.address)).size).to.equal(panelSize);
+        expect((await platform.getDisputeInfo(disputeId)).arbitratorCount).to.equal(panelSize);
+        expect((await verifySelection(platform, disputeId)).valid).to.be.true;
+      });
+
+      it("should keep voting open until the whole panel has voted", async function () {
+        const { platform, disputeId, arbitrators } = await deployWithPanel({ panelSize });
+
+        await castVotes(platform, disputeId, arbitrators, Array(panelSize - 1).fill(1));
+        expect((await platform.getDisputeInfo(disputeId)).status).to.equal(DisputeStatus.InArbitration);
+
+        await castVotes(platform, disputeId, arbitrators.slice(panelSize - 1), [1]);
+        expect((await platform.getDisputeInfo(disputeId)).status).to.equal(DisputeStatus.Voting);
+      });
+
+      it("should rule for the defendant on a bare majority and pay every voter", async function () {
+        const { platform, gateway, defendant, disputeId, arbitrators } = await deployWithPanel({ panelSize });
+
+        const votes = [...Array(majority).fill(2), ...Array(panelSize - majority).fill(1)];
+        await castVotes(platform, disputeId, arbitrators, votes);
+        const receipt = await gateway.fulfill(disputeId);
+
+        const info = await platform.getDisputeInfo(disputeId);
+        expect(info.status).to.equal(DisputeStatus.Resolved);
+        expect(info.winner).to.equal(defendant.address);
+
+        const paid = receipt.logs
+          .map((log) => platform.interface.parseLog(log))
+          .filter((log) => log && log.name === "ArbitratorFeePaid");
+        expect(paid).to.have.lengthOf(panelSize);
+        const expectedShare = (2n * DEFAULT_STAKE * 500n) / 10000n / BigInt(panelSize);
+        for (const log of paid) {
+          expect(log.args.amount).to.equal(expectedShare);
+        }
+      });
+    });
+  }
+
+  describe("Larger Panel Tallies", function () {
+    it("should find no winner when a five-member panel splits 2-2-1", async function () {
+      const { platform, gateway, disputeId, arbitrators } = await deployWithPanel({ panelSize: 5 });
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 2, 2, 3]);
+      await gateway.fulfill(disputeId);
+
+      expect((await platform.getDisputeInfo(disputeId)).winner).to.equal(ethers.ZeroAddress);
+    });
+
+    it("should find a plurality winner on a seven-member panel", async function () {
+      const { platform, gateway, plaintiff, disputeId, arbitrators } = await deployWithPanel({ panelSize: 7 });
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 1, 2, 2, 3, 3]);
+      await gateway.fulfill(disputeId);
+
+      expect((await platform.getDisputeInfo(disputeId)).winner).to.equal(plaintiff.address);
+    });
+  });
+
+  describe("Appeals", function () {
+    it("should grow a single-arbitrator panel to three on appeal", async function () {
+      const { platform, gateway, plaintiff, disputeId, arbitrators } = await deployWithPanel({ panelSize: 1 });
+
+      await castVotes(platform, disputeId, arbitrators, [2]);
+      await gateway.fulfill(disputeId);
+      await platform.connect(plaintiff).fileAppeal(disputeId, "0x", { value: DEFAULT_STAKE });
+
+      const appealPanel = await seatPanel(platform, disputeId, 9n);
+      expect(appealPanel).to.have.lengthOf(1 + Number(await platform.APPEAL_PANEL_GROWTH()));
+      expect(appealPanel.map((arbitrator) => arbitrator.address)).to.not.include(arbitrators[0].address);
+    });
+  });
+});
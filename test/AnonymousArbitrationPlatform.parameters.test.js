@@ -0,0 +1,209 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, fhevm } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createDispute } = require("../scripts/lib/fhevmInputs");
+const { Parameter, readParameters } = require("../scripts/lib/parameters");
+const { deployPlatform, openDispute, seatPanel, deployWithPanel, castVotes } = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Governable Parameters", function () {
+  const DAY = 86400n;
+
+  async function deployFixture() {
+    const [owner, keeper, outsider] = await ethers.getSigners();
+    const platform = await deployPlatform();
+    const timelock = await platform.PARAMETER_TIMELOCK();
+
+    return { platform, owner, keeper, outsider, timelock };
+  }
+
+  // Queue `value` for `parameter` and let the timelock run out
+  async function queueAndWait(platform, owner, parameter, value) {
+    await platform.connect(owner).queueParameterChange(parameter, value);
+    const { eta } = await platform.getQueuedParameterChange(parameter);
+    await time.increaseTo(eta);
+  }
+
+  describe("Defaults", function () {
+    it("should start with the former constant values and nothing queued", async function () {
+      const { platform } = await loadFixture(deployFixture);
+
+      const entries = await readParameters(platform);
+      expect(entries.map((entry) => entry.name)).to.deep.equal([
+        "VotingPeriod",
+        "VotingTimeout",
+        "DecryptionTimeout",
+        "MinStake",
+      ]);
+      expect(entries.map((entry) => entry.value)).to.deep.equal([
+        7n * DAY,
+        7n * DAY,
+        3n * DAY,
+        ethers.parseEther("0.001"),
+      ]);
+      expect(entries.every((entry) => entry.queued === null)).to.be.true;
+    });
+  });
+
+  describe("Queueing", function () {
+    it("should record the change with an eta one timelock away", async function () {
+      const { platform, owner, timelock } = await loadFixture(deployFixture);
+
+      const tx = await platform.connect(owner).queueParameterChange(Parameter.VotingPeriod, 5n * DAY);
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      const eta = BigInt(timestamp) + timelock;
+
+      await expect(tx)
+        .to.emit(platform, "ParameterChangeQueued")
+        .withArgs(Parameter.VotingPeriod, 5n * DAY, eta);
+
+      const queued = await platform.getQueuedParameterChange(Parameter.VotingPeriod);
+      expect(queued.value).to.equal(5n * DAY);
+      expect(queued.eta).to.equal(eta);
+      expect(await platform.getParameter(Parameter.VotingPeriod)).to.equal(7n * DAY);
+    });
+
+    it("should reject accounts without the Governor role", async function () {
+      const { platform, outsider } = await loadFixture(deployFixture);
+
+      await expect(platform.connect(outsider).queueParameterChange(Parameter.VotingTimeout, 5n * DAY))
+        .to.be.revertedWith("Not authorized");
+    });
+
+    it("should reject durations outside 1 to 30 days and a zero minimum stake", async function () {
+      const { platform, owner } = await loadFixture(deployFixture);
+
+      await expect(platform.connect(owner).queueParameterChange(Parameter.VotingPeriod, DAY - 1n))
+        .to.be.revertedWith("Invalid parameter value");
+      await expect(platform.connect(owner).queueParameterChange(Parameter.DecryptionTimeout, 30n * DAY + 1n))
+        .to.be.revertedWith("Invalid parameter value");
+      await expect(platform.connect(owner).queueParameterChange(Parameter.MinStake, 0))
+        .to.be.revertedWith("Invalid parameter value");
+    });
+
+    it("should restart the delay when a change is queued again", async function () {
+      const { platform, owner, timelock } = await loadFixture(deployFixture);
+
+      await platform.connect(owner).queueParameterChange(Parameter.VotingTimeout, 5n * DAY);
+      await time.increase(timelock - 60n);
+      await platform.connect(owner).queueParameterChange(Parameter.VotingTimeout, 10n * DAY);
+      await time.increase(120);
+
+      await expect(platform.executeParameterChange(Parameter.VotingTimeout))
+        .to.be.revertedWith("Timelock not expired");
+      expect((await platform.getQueuedParameterChange(Parameter.VotingTimeout)).value).to.equal(10n * DAY);
+    });
+  });
+
+  describe("Executing", function () {
+    it("should wait for the timelock", async function () {
+      const { platform, owner } = await loadFixture(deployFixture);
+
+      await expect(platform.executeParameterChange(Parameter.MinStake)).to.be.revertedWith("No change queued");
+
+      await platform.connect(owner).queueParameterChange(Parameter.MinStake, ethers.parseEther("0.01"));
+      await expect(platform.executeParameterChange(Parameter.MinStake)).to.be.revertedWith("Timelock not expired");
+    });
+
+    it("should let anyone apply the change once the timelock has expired", async function () {
+      const { platform, owner, keeper } = await loadFixture(deployFixture);
+
+      await queueAndWait(platform, owner, Parameter.DecryptionTimeout, 5n * DAY);
+
+      await expect(platform.connect(keeper).executeParameterChange(Parameter.DecryptionTimeout))
+        .to.emit(platform, "ParameterUpdated")
+        .withArgs(Parameter.DecryptionTimeout, 3n * DAY, 5n * DAY);
+
+      expect(await platform.getParameter(Parameter.DecryptionTimeout)).to.equal(5n * DAY);
+      expect((await platform.getQueuedParameterChange(Parameter.DecryptionTimeout)).eta).to.equal(0);
+      await expect(platform.executeParameterChange(Parameter.DecryptionTimeout)).to.be.revertedWith("No change queued");
+    });
+  });
+
+  describe("Cancelling", function () {
+    it("should let the owner drop a queued change", async function () {
+      const { platform, owner, outsider, timelock } = await loadFixture(deployFixture);
+
+      await expect(platform.connect(owner).cancelParameterChange(Parameter.VotingPeriod))
+        .to.be.revertedWith("No change queued");
+
+      await platform.connect(owner).queueParameterChange(Parameter.VotingPeriod, 3n * DAY);
+      await expect(platform.connect(outsider).cancelParameterChange(Parameter.VotingPeriod))
+        .to.be.revertedWith("Not authorized");
+      await expect(platform.connect(owner).cancelParameterChange(Parameter.VotingPeriod))
+        .to.emit(platform, "ParameterChangeCancelled")
+        .withArgs(Parameter.VotingPeriod);
+
+      await time.increase(timelock);
+      await expect(platform.executeParameterChange(Parameter.VotingPeriod)).to.be.revertedWith("No change queued");
+      expect(await platform.getParameter(Parameter.VotingPeriod)).to.equal(7n * DAY);
+    });
+  });
+
+  describe("Effect on Disputes", function () {
+    before(function () {
+      if (!fhevm.isMock) {
+        console.warn("⚠️  Parameter effect tests require the FHEVM mock environment");
+        this.skip();
+      }
+    });
+
+    it("should enforce a raised minimum stake on new disputes", async function () {
+      const { platform, owner } = await deployFixture();
+      const [, plaintiff, defendant] = await ethers.getSigners();
+
+      await queueAndWait(platform, owner, Parameter.MinStake, ethers.parseEther("0.01"));
+      await platform.executeParameterChange(Parameter.MinStake);
+
+      await expect(
+        createDispute(hre, platform, plaintiff, defendant, {
+          stakeAmount: 1000,
+          evidenceHash: 1,
+          value: ethers.parseEther("0.005"),
+        })
+      ).to.be.revertedWith("Minimum stake required");
+    });
+
+    it("should count stake tiers in multiples of a changed minimum stake", async function () {
+      const { platform, owner } = await deployFixture();
+      const [, plaintiff, defendant] = await ethers.getSigners();
+
+      await queueAndWait(platform, owner, Parameter.MinStake, ethers.parseEther("0.01"));
+      await platform.executeParameterChange(Parameter.MinStake);
+
+      expect(await platform.panelSizeForStake(ethers.ZeroAddress, ethers.parseEther("0.05"))).to.equal(1);
+      const disputeId = await openDispute(platform, plaintiff, defendant, {
+        value: ethers.parseEther("0.1"),
+        panelSize: 0,
+        respond: false,
+      });
+      expect((await platform.getDisputeInfo(disputeId)).panelSize).to.equal(3);
+    });
+
+    it("should give panels seated after a change the new voting period", async function () {
+      const { platform, owner, disputeId } = await deployWithPanel({ seat: false });
+
+      await queueAndWait(platform, owner, Parameter.VotingPeriod, 2n * DAY);
+      await platform.executeParameterChange(Parameter.VotingPeriod);
+
+      await seatPanel(platform, disputeId);
+
+      const { votingStartedAt, votingDeadline } = await platform.getDisputeInfo(disputeId);
+      expect(votingDeadline - votingStartedAt).to.equal(2n * DAY);
+    });
+
+    it("should apply a new voting timeout to disputes already voting", async function () {
+      const { platform, owner, disputeId, arbitrators } = await deployWithPanel();
+      await castVotes(platform, disputeId, arbitrators, [1]);
+
+      await queueAndWait(platform, owner, Parameter.VotingTimeout, DAY);
+      await platform.executeParameterChange(Parameter.VotingTimeout);
+
+      const { votingDeadline } = await platform.getDisputeInfo(disputeId);
+      await time.increaseTo(votingDeadline + DAY + 1n);
+      await expect(platform.checkVotingTimeout(disputeId))
+        .to.emit(platform, "TimeoutTriggered")
+        .withArgs(disputeId, "Voting");
+    });
+  });
+});
@@ -0,0 +1,245 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, fhevm } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createDispute, submitVote } = require("../scripts/lib/fhevmInputs");
+const { Parameter } = require("../scripts/lib/parameters");
+const { Role, readPauseStatus } = require("../scripts/lib/roles");
+const {
+  DEFAULT_STAKE,
+  deployPlatform,
+  getCoordinator,
+  closeEvidencePeriod,
+  openDispute,
+  seatPanel,
+  deployWithPanel,
+  castVotes,
+} = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Emergency Pause", function () {
+  async function deployFixture() {
+    const [owner, pauser, plaintiff, defendant, outsider] = await ethers.getSigners();
+    const platform = await deployPlatform();
+    await platform.connect(owner).grantRole(Role.Pauser, pauser.address);
+
+    return { platform, owner, pauser, plaintiff, defendant, outsider };
+  }
+
+  // Seated panel, with the relayer account holding the Pauser role
+  async function deployWithPanelFixture(options) {
+    const fixture = await deployWithPanel(options);
+    await fixture.platform.connect(fixture.owner).grantRole(Role.Pauser, fixture.relayer.address);
+
+    return { ...fixture, pauser: fixture.relayer };
+  }
+
+  // Let the voting deadline and its timeout pass, then trigger the timeout
+  async function timeOutVoting(platform, disputeId) {
+    const { votingDeadline } = await platform.getDisputeInfo(disputeId);
+    await time.increaseTo(votingDeadline + (await platform.getParameter(Parameter.VotingTimeout)) + 1n);
+    return platform.checkVotingTimeout(disputeId);
+  }
+
+  describe("Pausing", function () {
+    it("should start unpaused", async function () {
+      const { platform } = await loadFixture(deployFixture);
+
+      const [paused, since] = await platform.getPauseStatus();
+      expect(paused).to.be.false;
+      expect(since).to.equal(0);
+    });
+
+    it("should let a pauser pause and unpause", async function () {
+      const { platform, pauser } = await loadFixture(deployFixture);
+
+      const tx = await platform.connect(pauser).pause();
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      await expect(tx).to.emit(platform, "Paused").withArgs(pauser.address);
+
+      const status = await readPauseStatus(platform);
+      expect(status.paused).to.be.true;
+      expect(status.since.getTime()).to.equal(timestamp * 1000);
+
+      await expect(platform.connect(pauser).unpause())
+        .to.emit(platform, "Unpaused")
+        .withArgs(pauser.address);
+      expect(await readPauseStatus(platform)).to.deep.equal({ paused: false, since: null });
+    });
+
+    it("should let the owner pause without the role being granted", async function () {
+      const { platform, owner } = await loadFixture(deployFixture);
+
+      await expect(platform.connect(owner).pause()).to.emit(platform, "Paused").withArgs(owner.address);
+    });
+
+    it("should only let pausers pause and unpause", async function () {
+      const { platform, owner, pauser, outsider } = await loadFixture(deployFixture);
+
+      await platform.connect(owner).grantRole(Role.Moderator, outsider.address);
+      await expect(platform.connect(outsider).pause()).to.be.revertedWith("Not authorized");
+
+      await platform.connect(pauser).pause();
+      await expect(platform.connect(outsider).unpause()).to.be.revertedWith("Not authorized");
+
+      await platform.connect(owner).revokeRole(Role.Pauser, pauser.address);
+      await expect(platform.connect(pauser).unpause()).to.be.revertedWith("Not authorized");
+    });
+
+    it("should reject pausing twice and unpausing when not paused", async function () {
+      const { platform, pauser } = await loadFixture(deployFixture);
+
+      await expect(platform.connect(pauser).unpause()).to.be.revertedWith("Not paused");
+      await platform.connect(pauser).pause();
+      await expect(platform.connect(pauser).pause()).to.be.revertedWith("Already paused");
+    });
+  });
+
+  describe("While Paused", function () {
+    before(function () {
+      if (!fhevm.isMock) {
+        console.warn("⚠️  Pause tests require the FHEVM mock environment");
+        this.skip();
+      }
+    });
+
+    it("should block dispute creation until unpaused", async function () {
+      const { platform, pauser, plaintiff, defendant } = await deployFixture();
+
+      await platform.connect(pauser).pause();
+      const args = [hre, platform, plaintiff, defendant, { stakeAmount: 1000, evidenceHash: 1, value: DEFAULT_STAKE }];
+      await expect(createDispute(...args)).to.be.revertedWith("Platform paused");
+
+      await platform.connect(pauser).unpause();
+      await expect(createDispute(...args)).to.emit(platform, "DisputeCreated");
+    });
+
+    it("should block panel requests and hold back a pending draw", async function () {
+      const { platform, pauser, plaintiff, defendant } = await deployWithPanelFixture();
+
+      const other = await openDispute(platform, plaintiff, defendant);
+      await closeEvidencePeriod(platform, other);
+
+      await platform.connect(pauser).pause();
+      await expect(platform.assignArbitrators(other)).to.be.revertedWith("Platform paused");
+
+      await platform.connect(pauser).unpause();
+      await platform.assignArbitrators(other);
+      const { requestId } = await platform.getSelection(other);
+
+      await platform.connect(pauser).pause();
+      const coordinator = await getCoordinator(platform);
+      await expect(coordinator.fulfill(requestId, 7n)).to.be.revertedWith("Platform paused");
+
+      await platform.connect(pauser).unpause();
+      await expect(coordinator.fulfill(requestId, 7n)).to.emit(platform, "ArbitratorsAssigned");
+    });
+
+    it("should block votes and replacements", async function () {
+      const { platform, pauser, disputeId, arbitrators } = await deployWithPanelFixture();
+      await platform.connect(pauser).pause();
+
+      await expect(submitVote(hre, platform, arbitrators[0], disputeId, { vote: 1, justification: 1 }))
+        .to.be.revertedWith("Platform paused");
+
+      await time.increase(await platform.REPLACEMENT_GRACE_PERIOD());
+      await expect(platform.replaceArbitrator(disputeId, arbitrators[0].address))
+        .to.be.revertedWith("Platform paused");
+
+      await platform.connect(pauser).unpause();
+      await expect(submitVote(hre, platform, arbitrators[0], disputeId, { vote: 1, justification: 1 }))
+        .to.emit(platform, "VoteSubmitted");
+    });
+
+    it("should hold a voting timeout back while a pause runs over the deadline", async function () {
+      const { platform, pauser, plaintiff, disputeId, arbitrators } = await deployWithPanelFixture();
+      const minBond = await platform.MIN_ARBITRATOR_BOND();
+      const timeout = await platform.getParameter(Parameter.VotingTimeout);
+      const { votingDeadline } = await platform.getDisputeInfo(disputeId);
+      await platform.connect(pauser).pause();
+
+      await time.increaseTo(votingDeadline + timeout + 1n);
+      await expect(platform.checkVotingTimeout(disputeId)).to.be.revertedWith("Voting timeout not reached");
+      expect((await platform.getDisputeInfo(disputeId)).votingDeadline).to.be.greaterThan(votingDeadline + timeout);
+
+      await platform.connect(pauser).unpause();
+      const tx = await timeOutVoting(platform, disputeId);
+      const slash = (minBond * (await platform.BOND_SLASH_BPS())) / 10000n;
+      for (const arbitrator of arbitrators) {
+        await expect(tx)
+          .to.emit(platform, "ArbitratorSlashed")
+          .withArgs(disputeId, arbitrator.address, slash, 90);
+      }
+      expect(await platform.getPendingBalance(plaintiff.address)).to.be.greaterThan(DEFAULT_STAKE);
+    });
+
+    it("should refund a dispute whose voting timed out before the pause", async function () {
+      const { platform, pauser, plaintiff, disputeId } = await deployWithPanelFixture();
+      const timeout = await platform.getParameter(Parameter.VotingTimeout);
+      const { votingDeadline } = await platform.getDisputeInfo(disputeId);
+
+      await time.increaseTo(votingDeadline + timeout + 1n);
+      await platform.connect(pauser).pause();
+      expect((await platform.getDisputeInfo(disputeId)).votingDeadline).to.equal(votingDeadline);
+      await expect(platform.checkVotingTimeout(disputeId))
+        .to.emit(platform, "TimeoutTriggered")
+        .withArgs(disputeId, "Voting");
+
+      await expect(platform.connect(plaintiff).withdraw()).to.emit(platform, "Withdrawal");
+    });
+
+    it("should move the voting deadline and grace period back by a lifted pause", async function () {
+      const { platform, pauser, plaintiff, defendant, disputeId, arbitrators } = await deployWithPanelFixture();
+      const { votingDeadline } = await platform.getDisputeInfo(disputeId);
+      const slash = ((await platform.MIN_ARBITRATOR_BOND()) * (await platform.BOND_SLASH_BPS())) / 10000n;
+      const pause = 2n * 24n * 3600n;
+      await platform.connect(pauser).pause();
+      await time.increase(pause);
+      await platform.connect(pauser).unpause();
+
+      const pausedFor = (await platform.getDisputeInfo(disputeId)).votingDeadline - votingDeadline;
+      expect(pausedFor).to.be.greaterThanOrEqual(pause);
+      await time.increaseTo(votingDeadline + 1n);
+      await expect(submitVote(hre, platform, arbitrators[0], disputeId, { vote: 1, justification: 1 }))
+        .to.emit(platform, "VoteSubmitted");
+
+      // Members the pause kept from voting are slashed once the moved deadline has passed
+      const tx = await timeOutVoting(platform, disputeId);
+      for (const arbitrator of arbitrators.slice(1)) {
+        await expect(tx)
+          .to.emit(platform, "ArbitratorSlashed")
+          .withArgs(disputeId, arbitrator.address, slash, 90);
+      }
+      expect((await platform.getArbitratorInfo(arbitrators[0].address)).reputation).to.equal(100);
+
+      // The paused time does not count towards the grace period before a replacement
+      const nextId = await openDispute(platform, plaintiff, defendant);
+      const [silent] = await seatPanel(platform, nextId, 7n);
+      await platform.connect(pauser).pause();
+      await time.increase(pause);
+      await platform.connect(pauser).unpause();
+
+      const { votingStartedAt } = await platform.getDisputeInfo(nextId);
+      const gracePeriod = await platform.REPLACEMENT_GRACE_PERIOD();
+      await time.increaseTo(votingStartedAt + gracePeriod);
+      await expect(platform.replaceArbitrator(nextId, silent.address)).to.be.revertedWith("Grace period not over");
+
+      await time.increaseTo(votingStartedAt + gracePeriod + pause + 2n);
+      await expect(platform.replaceArbitrator(nextId, silent.address))
+        .to.emit(platform, "ArbitratorSlashed")
+        .withArgs(nextId, silent.address, slash, 90);
+    });
+
+    it("should keep settlements and withdrawals open", async function () {
+      const { platform, pauser, plaintiff, defendant, disputeId } = await deployWithPanelFixture({ seat: false });
+      await platform.connect(pauser).pause();
+
+      await platform.connect(plaintiff).proposeSettlement(disputeId, 5000);
+      await expect(platform.connect(defendant).acceptSettlement(disputeId, 5000))
+        .to.emit(platform, "DisputeSettled");
+
+      await expect(platform.connect(defendant).withdraw())
+        .to.emit(platform, "Withdrawal")
+        .withArgs(defendant.address, DEFAULT_STAKE);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { registerArbitrator } = require("../scripts/lib/fhevmInputs");
+const { deployPlatform, registerArbitrators } = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Arbitrator Registry", function () {
+  // Fixture with five registered arbitrators, the second of which is paused
+  async function deployRegistryFixture() {
+    const [owner, outsider, ...rest] = await ethers.getSigners();
+    const pool = rest.slice(0, 5);
+
+    const platform = await deployPlatform();
+    await registerArbitrators(platform, pool);
+    await platform.connect(owner).pauseArbitrator(pool[1].address);
+
+    return { platform, owner, outsider, pool };
+  }
+
+  async function collectPages(platform, pageSize, activeOnly) {
+    const entries = [];
+    let offset = 0;
+    let total;
+    do {
+      const [page, listLength] = await platform.getArbitrators(offset, pageSize, activeOnly);
+      total = Number(listLength);
+      entries.push(...page);
+      offset += pageSize;
+    } while (offset < total);
+    return entries;
+  }
+
+  describe("Counts", function () {
+    it("should start empty", async function () {
+      const platform = await deployPlatform();
+
+      const [total, active] = await platform.getArbitratorCount();
+      expect(total).to.equal(0);
+      expect(active).to.equal(0);
+    });
+
+    it("should count paused arbitrators as registered but not active", async function () {
+      const { platform, pool } = await loadFixture(deployRegistryFixture);
+
+      const [total, active] = await platform.getArbitratorCount();
+      expect(total).to.equal(pool.length);
+      expect(active).to.equal(pool.length - 1);
+      expect(await platform.arbitratorPool()).to.equal(active);
+    });
+  });
+
+  describe("Pagination", function () {
+    it("should list the full registry in registration order", async function () {
+      const { platform, pool } = await loadFixture(deployRegistryFixture);
+
+      const entries = await collectPages(platform, 2, false);
+
+      expect(entries.map((e) => e.arbitrator)).to.deep.equal(pool.map((s) => s.address));
+      expect(entries.map((e) => e.isActive)).to.deep.equal([true, false, true, true, true]);
+    });
+
+    it("should return profile fields for each entry", async function () {
+      const { platform, pool } = await loadFixture(deployRegistryFixture);
+
+      const [page] = await platform.getArbitrators(0, 1, false);
+      const info = await platform.getArbitratorInfo(pool[0].address);
+
+      expect(page).to.have.lengthOf(1);
+      expect(page[0].arbitrator).to.equal(pool[0].address);
+      expect(page[0].reputation).to.equal(info.reputation);
+      expect(page[0].totalDisputesHandled).to.equal(info.totalDisputesHandled);
+      expect(page[0].isActive).to.be.true;
+    });
+
+    it("should page through the active pool only", async function () {
+      const { platform, pool } = await loadFixture(deployRegistryFixture);
+
+      const entries = await collectPages(platform, 3, true);
+
+      expect(entries).to.have.lengthOf(pool.length - 1);
+      expect(entries.map((e) => e.arbitrator)).to.not.include(pool[1].address);
+      expect(entries.every((e) => e.isActive)).to.be.true;
+    });
+
+    it("should truncate the last page", async function () {
+      const { platform, pool } = await loadFixture(deployRegistryFixture);
+
+      const [page, total] = await platform.getArbitrators(4, 10, false);
+      expect(total).to.equal(pool.length);
+      expect(page).to.have.lengthOf(1);
+      expect(page[0].arbitrator).to.equal(pool[4].address);
+    });
+
+    it("should return an empty page past the end", async function () {
+      const { platform, pool } = await loadFixture(deployRegistryFixture);
+
+      const [page, total] = await platform.getArbitrators(pool.length, 10, false);
+      expect(total).to.equal(pool.length);
+      expect(page).to.have.lengthOf(0);
+    });
+
+    it("should not overflow on an unbounded limit", async function () {
+      const { platform, pool } = await loadFixture(deployRegistryFixture);
+
+      const [page] = await platform.getArbitrators(1, ethers.MaxUint256, false);
+      expect(page).to.have.lengthOf(pool.length - 1);
+    });
+  });
+
+  describe("Pause Lifecycle", function () {
+    it("should keep a paused arbitrator's registry slot on unpause", async function () {
+      const { platform, owner, pool } = await loadFixture(deployRegistryFixture);
+
+      await platform.connect(owner).unpauseArbitrator(pool[1].address);
+
+      const [page] = await platform.getArbitrators(1, 1, false);
+      expect(page[0].arbitrator).to.equal(pool[1].address);
+      expect(page[0].isActive).to.be.true;
+
+      const [total, active] = await platform.getArbitratorCount();
+      expect(total).to.equal(pool.length);
+      expect(active).to.equal(pool.length);
+    });
+
+    it("should prevent a paused arbitrator from re-registering", async function () {
+      const { platform, pool } = await loadFixture(deployRegistryFixture);
+
+      await expect(registerArbitrator(hre, platform, pool[1], 99999))
+        .to.be.revertedWith("Already registered as arbitrator");
+      expect((await platform.getArbitratorInfo(pool[1].address)).isActive).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,246 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, fhevm } = hre;
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { nextReplacement, verifySelection } = require("../scripts/lib/selection");
+const { currentPanel, replaceSilentArbitrators } = require("../scripts/lib/replacements");
+const { submitVote } = require("../scripts/lib/fhevmInputs");
+const { Parameter } = require("../scripts/lib/parameters");
+const {
+  deployPlatform,
+  requestPanel,
+  registerArbitrators,
+  openDispute,
+  deployWithPanel,
+  castVotes,
+} = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Arbitrator Replacement", function () {
+  const DisputeStatus = { InArbitration: 1, Voting: 2, Resolved: 3 };
+
+  before(function () {
+    if (!fhevm.isMock) {
+      console.warn("⚠️  Replacement tests require the FHEVM mock environment");
+      this.skip();
+    }
+  });
+
+  // Let the replacement grace period run out for the current voting period
+  async function passGracePeriod(platform, disputeId) {
+    const { votingStartedAt } = await platform.getDisputeInfo(disputeId);
+    await time.increaseTo(votingStartedAt + (await platform.REPLACEMENT_GRACE_PERIOD()));
+  }
+
+  describe("Eligibility", function () {
+    it("should reject a replacement before the grace period is over", async function () {
+      const { platform, relayer: keeper, disputeId, arbitrators } = await deployWithPanel();
+
+      await expect(platform.connect(keeper).replaceArbitrator(disputeId, arbitrators[0].address))
+        .to.be.revertedWith("Grace period not over");
+    });
+
+    it("should only replace silent members of the panel", async function () {
+      const { platform, relayer: keeper, disputeId, arbitrators, pool } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1]);
+      await passGracePeriod(platform, disputeId);
+
+      await expect(platform.connect(keeper).replaceArbitrator(disputeId, arbitrators[0].address))
+        .to.be.revertedWith("Arbitrator already voted");
+
+      const panel = new Set(arbitrators.map((arbitrator) => arbitrator.address));
+      const outsider = pool.find((signer) => !panel.has(signer.address));
+      await expect(platform.connect(keeper).replaceArbitrator(disputeId, outsider.address))
+        .to.be.revertedWith("Not assigned to this dispute");
+    });
+
+    it("should reject a replacement outside the arbitration phase", async function () {
+      const { platform, relayer: keeper, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 2]);
+      await passGracePeriod(platform, disputeId);
+
+      await expect(platform.connect(keeper).replaceArbitrator(disputeId, arbitrators[0].address))
+        .to.be.revertedWith("Not in arbitration phase");
+    });
+
+    it("should reject a replacement after the voting deadline", async function () {
+      const { platform, relayer: keeper, disputeId, arbitrators } = await deployWithPanel();
+
+      const { votingDeadline } = await platform.getDisputeInfo(disputeId);
+      await time.increaseTo(votingDeadline + 1n);
+
+      await expect(platform.connect(keeper).replaceArbitrator(disputeId, arbitrators[0].address))
+        .to.be.revertedWith("Voting period ended");
+    });
+  });
+
+  describe("Replacing", function () {
+    it("should seat an arbitrator drawn from the round's seed and restart the deadline", async function () {
+      const { platform, relayer: keeper, disputeId, arbitrators } = await deployWithPanel();
+      const [, silent] = arbitrators;
+
+      await passGracePeriod(platform, disputeId);
+      const next = await nextReplacement(platform, disputeId);
+
+      const tx = await platform.connect(keeper).replaceArbitrator(disputeId, silent.address);
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      const deadline = BigInt(timestamp) + (await platform.getParameter(Parameter.VotingPeriod));
+
+      await expect(tx)
+        .to.emit(platform, "ArbitratorReplaced")
+        .withArgs(disputeId, silent.address, next, 3, deadline);
+      expect((await platform.getDisputeInfo(disputeId)).votingDeadline).to.equal(deadline);
+
+      const panel = await currentPanel(platform, disputeId);
+      expect(panel).to.deep.equal([arbitrators[0].address, next, arbitrators[2].address]);
+      expect((await verifySelection(platform, disputeId)).valid).to.be.true;
+    });
+
+    it("should let the newcomer read the evidence", async function () {
+      const { platform, relayer: keeper, plaintiff, disputeId, arbitrators, pool } = await deployWithPanel();
+
+      await passGracePeriod(platform, disputeId);
+      const receipt = await (await platform.connect(keeper).replaceArbitrator(disputeId, arbitrators[0].address)).wait();
+      const event = receipt.logs
+        .map((log) => platform.interface.parseLog(log))
+        .find((log) => log && log.name === "ArbitratorReplaced");
+      const newcomer = pool.find((signer) => signer.address === event.args.replacement);
+
+      const [created] = await platform.queryFilter(platform.filters.DisputeCreated(disputeId, plaintiff.address));
+      const { args } = platform.interface.parseTransaction(await created.getTransaction());
+      const evidence = await fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        args[2],
+        await platform.getAddress(),
+        newcomer
+      );
+      expect(evidence).to.equal(999888777n);
+    });
+
+    it("should slash the replaced arbitrator and move the open assignment", async function () {
+      const { platform, relayer: keeper, disputeId, arbitrators } = await deployWithPanel();
+      const [silent] = arbitrators;
+      const minBond = await platform.MIN_ARBITRATOR_BOND();
+
+      await passGracePeriod(platform, disputeId);
+      const next = await nextReplacement(platform, disputeId);
+      const tx = await platform.connect(keeper).replaceArbitrator(disputeId, silent.address);
+
+      const slash = (minBond * (await platform.BOND_SLASH_BPS())) / 10000n;
+      const reputation = 100n - (await platform.MISSED_VOTE_PENALTY());
+      await expect(tx)
+        .to.emit(platform, "ArbitratorSlashed")
+        .withArgs(disputeId, silent.address, slash, reputation);
+
+      const replacedBond = await platform.getArbitratorBond(silent.address);
+      expect(replacedBond.amount).to.equal(minBond - slash);
+      expect(replacedBond.openAssignments).to.equal(0);
+      expect((await platform.getArbitratorBond(next)).openAssignments).to.equal(1);
+    });
+
+    it("should pass over arbitrators who are no longer active", async function () {
+      const { platform, owner, relayer: keeper, disputeId, arbitrators } = await deployWithPanel();
+
+      await passGracePeriod(platform, disputeId);
+      const paused = await nextReplacement(platform, disputeId);
+      await platform.connect(owner).pauseArbitrator(paused);
+      const next = await nextReplacement(platform, disputeId);
+
+      expect(next).to.not.equal(paused);
+      await expect(platform.connect(keeper).replaceArbitrator(disputeId, arbitrators[0].address))
+        .to.emit(platform, "ArbitratorReplaced")
+        .withArgs(disputeId, arbitrators[0].address, next, 3, (deadline) => deadline > 0n);
+      expect((await verifySelection(platform, disputeId)).valid).to.be.true;
+    });
+
+    it("should never seat the same arbitrator twice", async function () {
+      const { platform, relayer: keeper, disputeId, arbitrators } = await deployWithPanel();
+
+      await passGracePeriod(platform, disputeId);
+      await platform.connect(keeper).replaceArbitrator(disputeId, arbitrators[0].address);
+      await passGracePeriod(platform, disputeId);
+      await platform.connect(keeper).replaceArbitrator(disputeId, arbitrators[1].address);
+
+      const { candidates: drawn } = await platform.getSelection(disputeId);
+      const panel = await currentPanel(platform, disputeId);
+      expect(new Set(drawn).size).to.equal(5);
+      expect(panel).to.deep.equal([drawn[3], drawn[4], arbitrators[2].address]);
+      expect((await verifySelection(platform, disputeId)).valid).to.be.true;
+    });
+
+    it("should fail when every eligible arbitrator has been drawn", async function () {
+      const [, plaintiff, defendant, keeper] = await ethers.getSigners();
+      const platform = await deployPlatform();
+      const pool = (await ethers.getSigners()).slice(10, 13);
+      await registerArbitrators(platform, pool);
+
+      const disputeId = await openDispute(platform, plaintiff, defendant);
+      const [first] = await requestPanel(platform, disputeId);
+      await passGracePeriod(platform, disputeId);
+
+      await expect(platform.connect(keeper).replaceArbitrator(disputeId, first))
+        .to.be.revertedWith("No replacement available");
+    });
+  });
+
+  describe("Voting After a Replacement", function () {
+    it("should stop the replaced arbitrator from voting", async function () {
+      const { platform, relayer: keeper, disputeId, arbitrators } = await deployWithPanel();
+
+      await passGracePeriod(platform, disputeId);
+      await platform.connect(keeper).replaceArbitrator(disputeId, arbitrators[2].address);
+
+      await expect(submitVote(hre, platform, arbitrators[2], disputeId, { vote: 1, justification: 1000 }))
+        .to.be.revertedWith("Not assigned to this dispute");
+    });
+
+    it("should resolve the dispute once the newcomer has voted", async function () {
+      const { platform, gateway, plaintiff, relayer: keeper, disputeId, arbitrators, pool } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 2]);
+      await passGracePeriod(platform, disputeId);
+      const [{ replacement }] = await replaceSilentArbitrators(platform, disputeId, keeper);
+      expect((await platform.getDisputeInfo(disputeId)).status).to.equal(DisputeStatus.InArbitration);
+
+      const newcomer = pool.find((signer) => signer.address === replacement);
+      await submitVote(hre, platform, newcomer, disputeId, { vote: 1, justification: 1002 });
+      expect((await platform.getDisputeInfo(disputeId)).status).to.equal(DisputeStatus.Voting);
+
+      await gateway.fulfill(disputeId);
+      const info = await platform.getDisputeInfo(disputeId);
+      expect(info.status).to.equal(DisputeStatus.Resolved);
+      expect(info.winner).to.equal(plaintiff.address);
+    });
+
+    it("should leave voters alone when the keeper runs", async function () {
+      const { platform, relayer: keeper, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 2]);
+      expect(await replaceSilentArbitrators(platform, disputeId, keeper)).to.deep.equal([]);
+
+      await passGracePeriod(platform, disputeId);
+      const results = await replaceSilentArbitrators(platform, disputeId, keeper);
+      expect(results.map((result) => result.replaced)).to.deep.equal([arbitrators[2].address]);
+    });
+
+    it("should not count time the platform spent paused towards the grace period", async function () {
+      const { platform, owner, relayer: keeper, disputeId, arbitrators } = await deployWithPanel();
+      const pause = 24n * 3600n;
+
+      await castVotes(platform, disputeId, arbitrators, [1, 2]);
+      await platform.connect(owner).pause();
+      await time.increase(pause);
+      await platform.connect(owner).unpause();
+
+      await passGracePeriod(platform, disputeId);
+      expect(await replaceSilentArbitrators(platform, disputeId, keeper)).to.deep.equal([]);
+
+      // The unpause lands a second after the increase
+      await time.increase(pause + 1n);
+      const results = await replaceSilentArbitrators(platform, disputeId, keeper);
+      expect(results.map((result) => result.replaced)).to.deep.equal([arbitrators[2].address]);
+    });
+  });
+});
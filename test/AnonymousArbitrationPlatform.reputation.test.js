@@ -0,0 +1,369 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, fhevm } = hre;
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { Parameter } = require("../scripts/lib/parameters");
+const {
+  ReputationReason,
+  readReputationHistory,
+  decryptConsensusCount,
+  selectionShares,
+} = require("../scripts/lib/reputation");
+const { drawPanel, sampleCandidates, verifySelection } = require("../scripts/lib/selection");
+const {
+  DEFAULT_STAKE,
+  getCoordinator,
+  closeEvidencePeriod,
+  openDispute,
+  requestPanel,
+  seatPanel,
+  registerArbitrators,
+  deployWithPanel,
+  castVotes,
+} = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Arbitrator Reputation", function () {
+  before(function () {
+    if (!fhevm.isMock) {
+      console.warn("⚠️  Reputation tests require the FHEVM mock environment");
+      this.skip();
+    }
+  });
+
+  // Answer the pending decryption directly so the callback transaction can be inspected
+  async function decide(platform, gateway, disputeId) {
+    const request = await gateway.getRequest(disputeId);
+    const { cleartexts, decryptionProof } = await gateway.buildResponse(request);
+    return platform.processDecisionCallback(request.requestId, cleartexts, decryptionProof);
+  }
+
+  // Let the voting timeout pass and cancel the dispute, penalising every silent member
+  async function timeOutVoting(platform, disputeId) {
+    const { votingDeadline } = await platform.getDisputeInfo(disputeId);
+    await time.increaseTo(votingDeadline + (await platform.getParameter(Parameter.VotingTimeout)) + 1n);
+    return platform.checkVotingTimeout(disputeId);
+  }
+
+  // Seat a three-member panel on the first seed whose weighted draw includes `member`
+  async function seatPanelWith(platform, disputeId, member, pool) {
+    await closeEvidencePeriod(platform, disputeId);
+    await platform.assignArbitrators(disputeId);
+    const { requestId } = await platform.getSelection(disputeId);
+    // The pool fits in one sample, so the candidates do not depend on the seed
+    const { candidates, weights } = await sampleCandidates(platform, disputeId, { seed: 0n, count: 3 });
+
+    let seed = 0n;
+    while (!drawPanel([...candidates], seed, 3, [...weights]).includes(member.address)) {
+      seed++;
+    }
+    await (await getCoordinator(platform)).fulfill(requestId, seed);
+
+    const panel = drawPanel([...candidates], seed, 3, [...weights]);
+    return panel.map((address) => pool.find((signer) => signer.address === address));
+  }
+
+  // Rule on a full consensus batch with the same three-member panel; `votesOf(i)` gives the
+  // members' votes on the i-th ruling. Returns the ConsensusRevealRequested events of the last
+  // one, in member order
+  async function ruleBatch(platform, gateway, plaintiff, defendant, members, votesOf) {
+    const batch = Number(await platform.CONSENSUS_BATCH());
+    let receipt;
+    for (let i = 0; i < batch; i++) {
+      const disputeId = await openDispute(platform, plaintiff, defendant);
+      await requestPanel(platform, disputeId, BigInt(i));
+      await castVotes(platform, disputeId, members, votesOf(i));
+      receipt = await (await decide(platform, gateway, disputeId)).wait();
+    }
+    const requests = receipt.logs
+      .map((log) => platform.interface.parseLog(log))
+      .filter((event) => event && event.name === "ConsensusRevealRequested");
+    return members.map((member) => requests.find((event) => event.args.arbitrator === member.address));
+  }
+
+  // Deploy with a pool of exactly three arbitrators, so every panel holds all of them
+  async function deployWithTrio() {
+    const fixture = await deployWithPanel({ seat: false });
+    const members = fixture.pool.slice(0, 3);
+    await registerArbitrators(fixture.platform, members);
+    return { ...fixture, members };
+  }
+
+  const reputationOf = async (platform, signer) => (await platform.getArbitratorInfo(signer.address)).reputation;
+  const consensusOf = (platform, signer) => decryptConsensusCount(hre, platform, signer);
+
+  describe("Consensus Scoring", function () {
+    it("should leave the score of voters alone until a batch is full", async function () {
+      const { platform, gateway, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 2, 1]);
+      const tx = await decide(platform, gateway, disputeId);
+
+      await expect(tx).to.not.emit(platform, "ReputationChanged");
+      await expect(tx).to.not.emit(platform, "ConsensusRevealRequested");
+      for (const member of arbitrators) {
+        const info = await platform.getArbitratorInfo(member.address);
+        expect(info.reputation).to.equal(100);
+        expect(info.successfulArbitrations).to.equal(0);
+        expect(info.totalDisputesHandled).to.equal(1);
+      }
+    });
+
+    it("should reward the agreements of a full batch, revealed only as a count", async function () {
+      const { platform, gateway, plaintiff, defendant, members } = await deployWithTrio();
+      const reward = await platform.CONSENSUS_REWARD();
+
+      // The third member sides with the majority on the first ruling only
+      const requests = await ruleBatch(platform, gateway, plaintiff, defendant, members, (i) => [1, 1, i === 0 ? 1 : 2]);
+      expect(requests.every(Boolean)).to.be.true;
+      for (const member of members) {
+        expect(await reputationOf(platform, member)).to.equal(100);
+      }
+
+      for (const { args } of requests) {
+        const { values } = await gateway.buildResponse(await gateway.getConsensusRequest(args.requestId));
+        expect(values).to.have.lengthOf(1);
+        await gateway.fulfillConsensus(args.requestId);
+      }
+
+      const batch = await platform.CONSENSUS_BATCH();
+      for (const [member, agreements] of [[members[0], batch], [members[1], batch], [members[2], 1n]]) {
+        const info = await platform.getArbitratorInfo(member.address);
+        expect(info.reputation).to.equal(100n + agreements * reward);
+        expect(info.successfulArbitrations).to.equal(agreements);
+        expect(await platform.getCategoryReputation(member.address, 0)).to.equal(agreements * reward);
+      }
+
+      const history = await readReputationHistory(platform, members[2].address);
+      expect(history[history.length - 1]).to.include({ disputeId: 0n, reason: "Consensus", change: reward });
+    });
+
+    it("should score each batch once and reject unknown requests", async function () {
+      const { platform, gateway, plaintiff, defendant, members } = await deployWithTrio();
+
+      const [{ args }] = await ruleBatch(platform, gateway, plaintiff, defendant, members, () => [2, 2, 2]);
+      const { cleartexts, decryptionProof } = await gateway.buildResponse(
+        await gateway.getConsensusRequest(args.requestId)
+      );
+      await platform.processDecisionCallback(args.requestId, cleartexts, decryptionProof);
+
+      await expect(
+        platform.processDecisionCallback(args.requestId, cleartexts, decryptionProof)
+      ).to.be.revertedWith("Invalid request ID");
+      await expect(
+        platform.processDecisionCallback(args.requestId + 100n, cleartexts, decryptionProof)
+      ).to.be.revertedWith("Invalid request ID");
+    });
+
+    it("should not count the votes of a round whose verdict is not decoded", async function () {
+      const { platform, gateway, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 1]);
+      const timeout = await platform.getParameter(Parameter.DecryptionTimeout);
+      const receipt = await gateway.fulfill(disputeId, { delaySeconds: Number(timeout) + 1 });
+
+      expect(receipt.logs.map((log) => platform.interface.parseLog(log)?.name)).to.include("DecryptionFailed");
+      for (const member of arbitrators) {
+        expect(await consensusOf(platform, member)).to.equal(0n);
+        expect((await platform.getArbitratorInfo(member.address)).totalDisputesHandled).to.equal(0);
+      }
+    });
+  });
+
+  describe("Consensus", function () {
+    it("should count votes with the majority encrypted, for each arbitrator alone", async function () {
+      const { platform, gateway, disputeId, arbitrators, pool } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 2, 1]);
+      await decide(platform, gateway, disputeId);
+
+      expect(await consensusOf(platform, arbitrators[0])).to.equal(1n);
+      expect(await consensusOf(platform, arbitrators[1])).to.equal(0n);
+      expect(await consensusOf(platform, arbitrators[2])).to.equal(1n);
+
+      const outsider = pool.find((signer) => !arbitrators.includes(signer));
+      const handle = await platform.getConsensusCount(arbitrators[0].address);
+      for (const signer of [arbitrators[1], outsider]) {
+        await expect(
+          fhevm.userDecryptEuint(FhevmType.euint32, handle, await platform.getAddress(), signer)
+        ).to.be.rejected;
+      }
+    });
+
+    it("should count a neutral majority although no party wins", async function () {
+      const { platform, gateway, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [3, 1, 3]);
+      await decide(platform, gateway, disputeId);
+
+      expect((await platform.getDisputeInfo(disputeId)).winner).to.equal(ethers.ZeroAddress);
+      expect(await consensusOf(platform, arbitrators[0])).to.equal(1n);
+      expect(await consensusOf(platform, arbitrators[1])).to.equal(0n);
+      expect(await consensusOf(platform, arbitrators[2])).to.equal(1n);
+    });
+
+    it("should count nobody without a majority", async function () {
+      const { platform, gateway, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 2, 3]);
+      await decide(platform, gateway, disputeId);
+
+      for (const member of arbitrators) {
+        expect(await consensusOf(platform, member)).to.equal(0n);
+      }
+    });
+
+    it("should count the appeal panel on its own round and add up across rounds", async function () {
+      const { platform, gateway, defendant, disputeId, arbitrators } = await deployWithPanel();
+
+      expect(await consensusOf(platform, arbitrators[0])).to.equal(0n);
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 1]);
+      await decide(platform, gateway, disputeId);
+      await platform.connect(defendant).fileAppeal(disputeId, "0x", { value: DEFAULT_STAKE });
+      const appealPanel = await seatPanel(platform, disputeId, 9n);
+
+      await castVotes(platform, disputeId, appealPanel, [2, 2, 2, 2, 1]);
+      await decide(platform, gateway, disputeId);
+
+      expect((await platform.getDisputeInfo(disputeId)).winner).to.equal(defendant.address);
+      for (const member of appealPanel.slice(0, 4)) {
+        expect(await consensusOf(platform, member)).to.equal(1n);
+      }
+      expect(await consensusOf(platform, appealPanel[4])).to.equal(0n);
+      for (const member of arbitrators) {
+        expect(await consensusOf(platform, member)).to.equal(1n);
+      }
+    });
+  });
+
+  describe("Missed Votes", function () {
+    it("should publish the missed-vote penalty of a voting timeout", async function () {
+      const { platform, disputeId, arbitrators } = await deployWithPanel();
+      const penalty = await platform.MISSED_VOTE_PENALTY();
+
+      await castVotes(platform, disputeId, arbitrators, [1]);
+      const tx = await timeOutVoting(platform, disputeId);
+
+      for (const silent of arbitrators.slice(1)) {
+        await expect(tx)
+          .to.emit(platform, "ReputationChanged")
+          .withArgs(silent.address, disputeId, ReputationReason.MissedVote, -penalty, 100n - penalty);
+      }
+      expect(await reputationOf(platform, arbitrators[0])).to.equal(100);
+    });
+  });
+
+  describe("Decay", function () {
+    it("should halve the distance to the starting score every half-life", async function () {
+      const { platform, gateway, plaintiff, defendant, members } = await deployWithTrio();
+      const halfLife = await platform.REPUTATION_HALF_LIFE();
+
+      const requests = await ruleBatch(platform, gateway, plaintiff, defendant, members, () => [1, 1, 2]);
+      const receipt = await gateway.fulfillConsensus(requests[0].args.requestId);
+      const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+      expect(await reputationOf(platform, members[0])).to.equal(125);
+
+      await time.increaseTo(BigInt(timestamp) + halfLife);
+      expect(await reputationOf(platform, members[0])).to.equal(112);
+      expect(await platform.getCategoryReputation(members[0].address, 0)).to.equal(12);
+
+      await time.increaseTo(BigInt(timestamp) + 2n * halfLife);
+      expect(await reputationOf(platform, members[0])).to.equal(106);
+
+      await time.increase(10n * halfLife);
+      expect(await reputationOf(platform, members[0])).to.equal(100);
+      expect(await platform.getCategoryReputation(members[0].address, 0)).to.equal(0);
+    });
+
+    it("should let a penalty wear off", async function () {
+      const { platform, disputeId, arbitrators } = await deployWithPanel();
+
+      await timeOutVoting(platform, disputeId);
+      expect(await reputationOf(platform, arbitrators[0])).to.equal(90);
+
+      await time.increase(await platform.REPUTATION_HALF_LIFE());
+      expect(await reputationOf(platform, arbitrators[0])).to.equal(95);
+
+      const [page] = await platform.getArbitrators(0, 10, false);
+      expect(page.find((entry) => entry.arbitrator === arbitrators[0].address).reputation).to.equal(95);
+    });
+
+    it("should apply a change to the decayed score", async function () {
+      const { platform, plaintiff, defendant, disputeId, arbitrators, pool } = await deployWithPanel();
+
+      await timeOutVoting(platform, disputeId);
+      await time.increase(await platform.REPUTATION_HALF_LIFE());
+
+      const next = await openDispute(platform, plaintiff, defendant);
+      await seatPanelWith(platform, next, arbitrators[0], pool);
+      await timeOutVoting(platform, next);
+
+      const history = await readReputationHistory(platform, arbitrators[0].address);
+      expect(history[history.length - 1]).to.include({
+        disputeId: next,
+        reason: "MissedVote",
+        change: -10n,
+        reputation: 85n,
+      });
+    });
+  });
+
+  describe("History", function () {
+    it("should list every change of an arbitrator in order", async function () {
+      const { platform, gateway, plaintiff, defendant, members } = await deployWithTrio();
+
+      const [{ args }] = await ruleBatch(platform, gateway, plaintiff, defendant, members, () => [1, 1, 1]);
+      await gateway.fulfillConsensus(args.requestId);
+
+      const next = await openDispute(platform, plaintiff, defendant);
+      await requestPanel(platform, next);
+      await castVotes(platform, next, members.slice(1), [1, 1]);
+      await timeOutVoting(platform, next);
+
+      const history = await readReputationHistory(platform, members[0].address);
+      expect(history.map(({ disputeId: id, reason, change }) => [id, reason, change])).to.deep.equal([
+        [0n, "Consensus", 25n],
+        [next, "MissedVote", -10n],
+      ]);
+      expect(history[1].reputation).to.equal(await reputationOf(platform, members[0]));
+      expect(history[1].timestamp.getTime()).to.be.greaterThan(history[0].timestamp.getTime());
+    });
+  });
+
+  describe("Weighted Selection", function () {
+    it("should weigh each candidate by its reputation at the draw", async function () {
+      const { platform, plaintiff, defendant, disputeId, arbitrators } = await deployWithPanel();
+
+      await timeOutVoting(platform, disputeId);
+      const next = await openDispute(platform, plaintiff, defendant);
+      const seated = await requestPanel(platform, next, 99n);
+
+      const [{ args }] = await platform.queryFilter(platform.filters.CandidatesSampled(next));
+      const { candidates, weights, seed } = await platform.getSelection(next);
+      const penalised = new Set(arbitrators.map((member) => member.address));
+      const weightOf = (candidate) => (penalised.has(candidate) ? 90n : 100n);
+      expect([...args.weights]).to.deep.equal(args.candidates.map(weightOf));
+      expect([...weights]).to.deep.equal(candidates.map(weightOf));
+      expect(seated).to.deep.equal(drawPanel([...args.candidates], seed, 3, [...args.weights]));
+      expect((await verifySelection(platform, next)).valid).to.be.true;
+    });
+
+    it("should favour candidates in proportion to their weight", function () {
+      const candidates = ["0x01", "0x02", "0x03"].map((address) => ethers.zeroPadValue(address, 20));
+      const weights = [1n, 98n, 1n];
+
+      const firstSeats = Array.from({ length: 50 }, (_, seed) => drawPanel(candidates, BigInt(seed), 1, weights)[0]);
+      expect(firstSeats.filter((address) => address === candidates[1]).length).to.be.greaterThan(45);
+      expect(selectionShares({ candidates, weights }).map(({ share }) => share)).to.deep.equal([0.01, 0.98, 0.01]);
+    });
+
+    it("should draw uniformly from a selection without weights", function () {
+      const candidates = ["0x01", "0x02", "0x03", "0x04"].map((address) => ethers.zeroPadValue(address, 20));
+
+      for (let seed = 0n; seed < 10n; seed++) {
+        expect(drawPanel(candidates, seed, 4, [])).to.deep.equal(drawPanel(candidates, seed, 4, [1n, 1n, 1n, 1n]));
+      }
+      expect(selectionShares({ candidates, weights: [] }).map(({ share }) => share)).to.deep.equal([0.25, 0.25, 0.25, 0.25]);
+    });
+  });
+});
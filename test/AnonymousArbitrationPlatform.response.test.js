@@ -0,0 +1,219 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { respondToDispute } = require("../scripts/lib/fhevmInputs");
+const { Parameter } = require("../scripts/lib/parameters");
+const {
+  DEFAULT_STAKE,
+  deployPlatform,
+  openDispute,
+  answerDispute,
+  seatPanel,
+  castVotes,
+} = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Defendant Response", function () {
+  const DisputeStatus = { Created: 0, InArbitration: 1, Resolved: 3, DecryptionFailed: 5 };
+
+  // Fixture with one dispute awaiting the defendant's response
+  async function deployUnansweredFixture() {
+    const [owner, plaintiff, defendant, outsider] = await ethers.getSigners();
+
+    const platform = await deployPlatform();
+    const disputeId = await openDispute(platform, plaintiff, defendant, { respond: false });
+
+    return { platform, owner, plaintiff, defendant, outsider, disputeId };
+  }
+
+  async function passResponseDeadline(platform, disputeId) {
+    const { responseDeadline } = await platform.getDisputeInfo(disputeId);
+    await time.increaseTo(responseDeadline + 1n);
+  }
+
+  describe("Filing", function () {
+    it("should record the plaintiff's deposit and open the response period", async function () {
+      const { platform, disputeId } = await loadFixture(deployUnansweredFixture);
+
+      const info = await platform.getDisputeInfo(disputeId);
+      expect(info.status).to.equal(DisputeStatus.Created);
+      expect(info.plaintiffStake).to.equal(DEFAULT_STAKE);
+      expect(info.defendantStake).to.equal(0);
+      expect(info.responseDeadline).to.equal(info.createdAt + (await platform.RESPONSE_PERIOD()));
+    });
+
+    it("should not allow arbitrators to be requested before a response", async function () {
+      const { platform, disputeId } = await loadFixture(deployUnansweredFixture);
+
+      await expect(platform.assignArbitrators(disputeId))
+        .to.be.revertedWith("Awaiting defendant response");
+    });
+  });
+
+  describe("Responding", function () {
+    it("should accept a matching deposit from the defendant", async function () {
+      const { platform, defendant, disputeId } = await loadFixture(deployUnansweredFixture);
+
+      const tx = await answerDispute(platform, defendant, disputeId);
+      await expect(tx)
+        .to.emit(platform, "DefendantResponded")
+        .withArgs(disputeId, defendant.address, DEFAULT_STAKE);
+      await expect(tx).to.changeEtherBalances([defendant, platform], [-DEFAULT_STAKE, DEFAULT_STAKE]);
+
+      const info = await platform.getDisputeInfo(disputeId);
+      expect(info.defendantStake).to.equal(DEFAULT_STAKE);
+      expect(info.status).to.equal(DisputeStatus.Created);
+    });
+
+    it("should accept encrypted counter-evidence", async function () {
+      const { platform, defendant, disputeId } = await loadFixture(deployUnansweredFixture);
+
+      await expect(answerDispute(platform, defendant, disputeId, { counterEvidence: 424242 }))
+        .to.emit(platform, "DefendantResponded");
+    });
+
+    it("should reject a deposit that does not match the plaintiff's", async function () {
+      const { platform, defendant, disputeId } = await loadFixture(deployUnansweredFixture);
+
+      await expect(respondToDispute(hre, platform, defendant, disputeId, { value: DEFAULT_STAKE - 1n }))
+        .to.be.revertedWith("Stake must match plaintiff");
+      await expect(respondToDispute(hre, platform, defendant, disputeId, { value: DEFAULT_STAKE + 1n }))
+        .to.be.revertedWith("Stake must match plaintiff");
+    });
+
+    it("should reject responses from anyone but the defendant", async function () {
+      const { platform, plaintiff, outsider, disputeId } = await loadFixture(deployUnansweredFixture);
+
+      await expect(respondToDispute(hre, platform, outsider, disputeId, { value: DEFAULT_STAKE }))
+        .to.be.revertedWith("Only defendant can respond");
+      await expect(respondToDispute(hre, platform, plaintiff, disputeId, { value: DEFAULT_STAKE }))
+        .to.be.revertedWith("Only defendant can respond");
+    });
+
+    it("should reject a second response", async function () {
+      const { platform, defendant, disputeId } = await loadFixture(deployUnansweredFixture);
+
+      await answerDispute(platform, defendant, disputeId);
+
+      await expect(answerDispute(platform, defendant, disputeId))
+        .to.be.revertedWith("Already responded");
+    });
+
+    it("should reject a response after the deadline", async function () {
+      const { platform, defendant, disputeId } = await loadFixture(deployUnansweredFixture);
+
+      await passResponseDeadline(platform, disputeId);
+
+      await expect(answerDispute(platform, defendant, disputeId))
+        .to.be.revertedWith("Response period ended");
+    });
+  });
+
+  describe("Default Judgment", function () {
+    it("should resolve for the plaintiff and credit back their deposit", async function () {
+      const { platform, plaintiff, defendant, disputeId } = await loadFixture(deployUnansweredFixture);
+
+      await passResponseDeadline(platform, disputeId);
+
+      await expect(platform.connect(plaintiff).claimDefaultJudgment(disputeId))
+        .to.emit(platform, "DefaultJudgment")
+        .withArgs(disputeId, plaintiff.address)
+        .and.to.emit(platform, "DisputeResolved")
+        .withArgs(disputeId, plaintiff.address);
+
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(DEFAULT_STAKE);
+
+      const info = await platform.getDisputeInfo(disputeId);
+      expect(info.status).to.equal(DisputeStatus.Resolved);
+      expect(info.winner).to.equal(plaintiff.address);
+      expect(await platform.getUserReputation(plaintiff.address)).to.equal(10);
+      expect(await platform.getUserReputation(defendant.address)).to.equal(0);
+    });
+
+    it("should reject a claim before the deadline", async function () {
+      const { platform, plaintiff, disputeId } = await loadFixture(deployUnansweredFixture);
+
+      await expect(platform.connect(plaintiff).claimDefaultJudgment(disputeId))
+        .to.be.revertedWith("Response period not ended");
+    });
+
+    it("should reject a claim once the defendant has responded", async function () {
+      const { platform, plaintiff, defendant, disputeId } = await loadFixture(deployUnansweredFixture);
+
+      await answerDispute(platform, defendant, disputeId);
+      await passResponseDeadline(platform, disputeId);
+
+      await expect(platform.connect(plaintiff).claimDefaultJudgment(disputeId))
+        .to.be.revertedWith("Defendant has responded");
+    });
+
+    it("should reject claims from anyone but the plaintiff", async function () {
+      const { platform, defendant, outsider, disputeId } = await loadFixture(deployUnansweredFixture);
+
+      await passResponseDeadline(platform, disputeId);
+
+      await expect(platform.connect(outsider).claimDefaultJudgment(disputeId))
+        .to.be.revertedWith("Only plaintiff can claim");
+      await expect(platform.connect(defendant).claimDefaultJudgment(disputeId))
+        .to.be.revertedWith("Only plaintiff can claim");
+    });
+
+    it("should not allow a second claim", async function () {
+      const { platform, plaintiff, disputeId } = await loadFixture(deployUnansweredFixture);
+
+      await passResponseDeadline(platform, disputeId);
+      await platform.connect(plaintiff).claimDefaultJudgment(disputeId);
+
+      await expect(platform.connect(plaintiff).claimDefaultJudgment(disputeId))
+        .to.be.revertedWith("Invalid dispute status");
+    });
+  });
+
+  describe("Refunds", function () {
+    // Fixture with an answered dispute whose panel has voted and is awaiting decryption
+    async function deployAwaitingDecryptionFixture() {
+      const fixture = await deployUnansweredFixture();
+      await answerDispute(fixture.platform, fixture.defendant, fixture.disputeId);
+      const arbitrators = await seatPanel(fixture.platform, fixture.disputeId);
+      await castVotes(fixture.platform, fixture.disputeId, arbitrators, [1, 1, 2]);
+
+      return { ...fixture, arbitrators };
+    }
+
+    it("should return each party's own deposit on decryption timeout", async function () {
+      const { platform, plaintiff, defendant, disputeId } =
+        await loadFixture(deployAwaitingDecryptionFixture);
+
+      await time.increase(Number(await platform.getParameter(Parameter.DecryptionTimeout)) + 1);
+
+      await expect(platform.checkDecryptionTimeout(disputeId))
+        .to.emit(platform, "RefundIssued")
+        .withArgs(disputeId, plaintiff.address, DEFAULT_STAKE)
+        .and.to.emit(platform, "RefundIssued")
+        .withArgs(disputeId, defendant.address, DEFAULT_STAKE);
+
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(DEFAULT_STAKE);
+      expect(await platform.getPendingBalance(defendant.address)).to.equal(DEFAULT_STAKE);
+
+      expect((await platform.getDisputeInfo(disputeId)).status).to.equal(DisputeStatus.DecryptionFailed);
+    });
+
+    it("should report each party's own deposit as refundable", async function () {
+      const { platform, plaintiff, defendant, outsider, disputeId } =
+        await loadFixture(deployAwaitingDecryptionFixture);
+
+      const stakes = await platform.getDisputeInfo(disputeId);
+      expect((await platform.getRefundStatus(disputeId, plaintiff.address)).amount)
+        .to.equal(stakes.plaintiffStake);
+      expect((await platform.getRefundStatus(disputeId, defendant.address)).amount)
+        .to.equal(stakes.defendantStake);
+      expect((await platform.getRefundStatus(disputeId, outsider.address)).eligible).to.be.false;
+    });
+
+    it("should report nothing refundable for a defendant who never responded", async function () {
+      const { platform, defendant, disputeId } = await loadFixture(deployUnansweredFixture);
+
+      expect((await platform.getRefundStatus(disputeId, defendant.address)).amount).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, fhevm } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { Parameter } = require("../scripts/lib/parameters");
+const { Role, readAccess } = require("../scripts/lib/roles");
+const { deployPlatform, deployWithPanel } = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Ownership and Roles", function () {
+  const DAY = 86400n;
+
+  async function deployFixture() {
+    const [owner, nominee, moderator, governor, treasurer, outsider] = await ethers.getSigners();
+    const platform = await deployPlatform();
+
+    return { platform, owner, nominee, moderator, governor, treasurer, outsider };
+  }
+
+  // Grant the moderator, governor and treasurer accounts of deployFixture their roles
+  async function grantRoles(platform) {
+    const [owner, , moderator, governor, treasurer] = await ethers.getSigners();
+
+    await platform.connect(owner).grantRole(Role.Moderator, moderator.address);
+    await platform.connect(owner).grantRole(Role.Governor, governor.address);
+    await platform.connect(owner).grantRole(Role.Treasurer, treasurer.address);
+
+    return { moderator, governor, treasurer };
+  }
+
+  async function deployWithRolesFixture() {
+    const fixture = await deployFixture();
+    await grantRoles(fixture.platform);
+    return fixture;
+  }
+
+  describe("Ownership Transfer", function () {
+    it("should start with the deployer as owner and nobody nominated", async function () {
+      const { platform, owner } = await loadFixture(deployFixture);
+
+      const access = await readAccess(platform, owner.address);
+      expect(access.owner).to.equal(owner.address);
+      expect(access.pendingOwner).to.equal(ethers.ZeroAddress);
+      expect(access.roles).to.deep.equal(["Moderator", "Governor", "Treasurer", "Pauser"]);
+    });
+
+    it("should only let the owner nominate a successor", async function () {
+      const { platform, nominee, outsider } = await loadFixture(deployFixture);
+
+      await expect(platform.connect(outsider).transferOwnership(nominee.address))
+        .to.be.revertedWith("Not authorized");
+    });
+
+    it("should keep the owner in place until the nominee accepts", async function () {
+      const { platform, owner, nominee, outsider } = await loadFixture(deployFixture);
+
+      await expect(platform.connect(owner).transferOwnership(nominee.address))
+        .to.emit(platform, "OwnershipTransferStarted")
+        .withArgs(owner.address, nominee.address);
+
+      expect(await platform.owner()).to.equal(owner.address);
+      expect(await platform.pendingOwner()).to.equal(nominee.address);
+      await expect(platform.connect(outsider).acceptOwnership()).to.be.revertedWith("Not pending owner");
+
+      await expect(platform.connect(nominee).acceptOwnership())
+        .to.emit(platform, "OwnershipTransferred")
+        .withArgs(owner.address, nominee.address);
+
+      expect(await platform.owner()).to.equal(nominee.address);
+      expect(await platform.pendingOwner()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("should move every admin duty to the new owner", async function () {
+      const { platform, owner, nominee } = await loadFixture(deployFixture);
+
+      await platform.connect(owner).transferOwnership(nominee.address);
+      await platform.connect(nominee).acceptOwnership();
+
+      await expect(platform.connect(owner).setTreasury(owner.address)).to.be.revertedWith("Not authorized");
+      await expect(platform.connect(owner).grantRole(Role.Treasurer, owner.address))
+        .to.be.revertedWith("Not authorized");
+      await expect(platform.connect(nominee).setTreasury(nominee.address))
+        .to.emit(platform, "TreasuryUpdated")
+        .withArgs(nominee.address);
+    });
+
+    it("should let the owner withdraw or replace a nomination", async function () {
+      const { platform, owner, nominee, outsider } = await loadFixture(deployFixture);
+
+      await platform.connect(owner).transferOwnership(nominee.address);
+      await platform.connect(owner).transferOwnership(ethers.ZeroAddress);
+      await expect(platform.connect(nominee).acceptOwnership()).to.be.revertedWith("Not pending owner");
+
+      await platform.connect(owner).transferOwnership(outsider.address);
+      await expect(platform.connect(nominee).acceptOwnership()).to.be.revertedWith("Not pending owner");
+      await platform.connect(outsider).acceptOwnership();
+      expect(await platform.owner()).to.equal(outsider.address);
+    });
+  });
+
+  describe("Granting and Revoking", function () {
+    it("should record a granted role", async function () {
+      const { platform, owner, governor } = await loadFixture(deployFixture);
+
+      await expect(platform.connect(owner).grantRole(Role.Governor, governor.address))
+        .to.emit(platform, "RoleGranted")
+        .withArgs(Role.Governor, governor.address, owner.address);
+
+      expect(await platform.hasRole(Role.Governor, governor.address)).to.be.true;
+      expect(await platform.hasRole(Role.Treasurer, governor.address)).to.be.false;
+      expect((await readAccess(platform, governor.address)).roles).to.deep.equal(["Governor"]);
+    });
+
+    it("should only emit when the roles change", async function () {
+      const { platform, owner, moderator, governor } = await loadFixture(deployWithRolesFixture);
+
+      await expect(platform.connect(owner).grantRole(Role.Moderator, moderator.address))
+        .not.to.emit(platform, "RoleGranted");
+      await expect(platform.connect(owner).revokeRole(Role.Moderator, governor.address))
+        .not.to.emit(platform, "RoleRevoked");
+    });
+
+    it("should only let the owner grant and revoke", async function () {
+      const { platform, moderator, outsider } = await loadFixture(deployWithRolesFixture);
+
+      await expect(platform.connect(outsider).grantRole(Role.Treasurer, outsider.address))
+        .to.be.revertedWith("Not authorized");
+      await expect(platform.connect(moderator).grantRole(Role.Moderator, outsider.address))
+        .to.be.revertedWith("Not authorized");
+      await expect(platform.connect(outsider).revokeRole(Role.Moderator, moderator.address))
+        .to.be.revertedWith("Not authorized");
+    });
+
+    it("should reject the zero address", async function () {
+      const { platform, owner } = await loadFixture(deployFixture);
+
+      await expect(platform.connect(owner).grantRole(Role.Moderator, ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid account");
+    });
+
+    it("should remove access once a role is revoked", async function () {
+      const { platform, owner, treasurer } = await loadFixture(deployWithRolesFixture);
+
+      await expect(platform.connect(owner).revokeRole(Role.Treasurer, treasurer.address))
+        .to.emit(platform, "RoleRevoked")
+        .withArgs(Role.Treasurer, treasurer.address, owner.address);
+
+      expect(await platform.hasRole(Role.Treasurer, treasurer.address)).to.be.false;
+      await expect(platform.connect(treasurer).setFeeSchedule(100, 100)).to.be.revertedWith("Not authorized");
+    });
+
+    it("should keep delegated roles across an ownership transfer", async function () {
+      const { platform, owner, nominee, governor } = await loadFixture(deployWithRolesFixture);
+
+      await platform.connect(owner).transferOwnership(nominee.address);
+      await platform.connect(nominee).acceptOwnership();
+
+      expect(await platform.hasRole(Role.Governor, governor.address)).to.be.true;
+      await platform.connect(nominee).revokeRole(Role.Governor, governor.address);
+      expect(await platform.hasRole(Role.Governor, governor.address)).to.be.false;
+    });
+  });
+
+  describe("Role Duties", function () {
+    it("should let governors queue and cancel parameter changes, and nobody else", async function () {
+      const { platform, governor, moderator, treasurer } = await loadFixture(deployWithRolesFixture);
+
+      await expect(platform.connect(governor).queueParameterChange(Parameter.VotingPeriod, 5n * DAY))
+        .to.emit(platform, "ParameterChangeQueued");
+      await expect(platform.connect(governor).cancelParameterChange(Parameter.VotingPeriod))
+        .to.emit(platform, "ParameterChangeCancelled");
+
+      for (const signer of [moderator, treasurer]) {
+        await expect(platform.connect(signer).queueParameterChange(Parameter.VotingPeriod, 5n * DAY))
+          .to.be.revertedWith("Not authorized");
+      }
+    });
+
+    it("should let treasurers set fees and the treasury, and nobody else", async function () {
+      const { platform, treasurer, governor, moderator } = await loadFixture(deployWithRolesFixture);
+
+      await expect(platform.connect(treasurer).setFeeSchedule(300, 200))
+        .to.emit(platform, "FeeScheduleUpdated")
+        .withArgs(300, 200);
+      await expect(platform.connect(treasurer).setTreasury(treasurer.address))
+        .to.emit(platform, "TreasuryUpdated")
+        .withArgs(treasurer.address);
+
+      for (const signer of [governor, moderator]) {
+        await expect(platform.connect(signer).setFeeSchedule(0, 0)).to.be.revertedWith("Not authorized");
+        await expect(platform.connect(signer).setTreasury(signer.address)).to.be.revertedWith("Not authorized");
+      }
+    });
+
+    it("should keep the randomness coordinator with the owner", async function () {
+      const { platform, governor, treasurer, moderator } = await loadFixture(deployWithRolesFixture);
+
+      for (const signer of [governor, treasurer, moderator]) {
+        await expect(platform.connect(signer).setRandomnessCoordinator(signer.address))
+          .to.be.revertedWith("Not authorized");
+      }
+    });
+
+    it("should let moderators pause and unpause arbitrators, and nobody else", async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      const { platform, arbitrators: [arbitrator] } = await deployWithPanel();
+      const { moderator, governor, treasurer } = await grantRoles(platform);
+
+      for (const signer of [governor, treasurer]) {
+        await expect(platform.connect(signer).pauseArbitrator(arbitrator.address))
+          .to.be.revertedWith("Not authorized");
+      }
+
+      await platform.connect(moderator).pauseArbitrator(arbitrator.address);
+      expect((await platform.getArbitratorInfo(arbitrator.address)).isActive).to.be.false;
+      await platform.connect(moderator).unpauseArbitrator(arbitrator.address);
+      expect((await platform.getArbitratorInfo(arbitrator.address)).isActive).to.be.true;
+    });
+  });
+});
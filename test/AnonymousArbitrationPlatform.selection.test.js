@@ -0,0 +1,380 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { drawPanel, samplePositions, sampleCandidates, verifySelection } = require("../scripts/lib/selection");
+const { registerArbitrator } = require("../scripts/lib/fhevmInputs");
+const { getPlatformFactory } = require("../scripts/lib/platform");
+const { LocalRandomness } = require("../scripts/lib/localRandomness");
+const {
+  deployPlatform,
+  getCoordinator,
+  registerArbitrators,
+  openDispute,
+  closeEvidencePeriod,
+} = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Arbitrator Selection", function () {
+  const DisputeStatus = { Created: 0, InArbitration: 1 };
+
+  // Fixture with a six-arbitrator pool and one open dispute
+  async function deployWithPoolFixture() {
+    const [owner, plaintiff, defendant, outsider, ...rest] = await ethers.getSigners();
+    const pool = rest.slice(0, 6);
+
+    const platform = await deployPlatform();
+    const coordinator = await getCoordinator(platform);
+    await registerArbitrators(platform, pool);
+    const disputeId = await openReadyDispute(platform, plaintiff, defendant);
+
+    return { platform, coordinator, owner, plaintiff, defendant, outsider, pool, disputeId };
+  }
+
+  // Answered dispute whose evidence window has closed, so a panel can be requested
+  async function openReadyDispute(platform, plaintiff, defendant) {
+    const disputeId = await openDispute(platform, plaintiff, defendant);
+    await closeEvidencePeriod(platform, disputeId);
+    return disputeId;
+  }
+
+  async function requestSelection(platform, disputeId) {
+    await platform.assignArbitrators(disputeId);
+    return platform.getSelection(disputeId);
+  }
+
+  describe("Active Pool", function () {
+    it("should enumerate registered arbitrators", async function () {
+      const { platform, pool } = await loadFixture(deployWithPoolFixture);
+
+      expect(await platform.getActiveArbitrators()).to.deep.equal(pool.map((s) => s.address));
+      expect(await platform.arbitratorPool()).to.equal(pool.length);
+    });
+
+    it("should remove paused arbitrators from the pool", async function () {
+      const { platform, owner, pool } = await loadFixture(deployWithPoolFixture);
+
+      await platform.connect(owner).pauseArbitrator(pool[1].address);
+
+      const active = await platform.getActiveArbitrators();
+      expect(active).to.have.lengthOf(pool.length - 1);
+      expect(active).to.not.include(pool[1].address);
+      // Swap and pop: the last arbitrator takes the freed slot
+      expect(active[1]).to.equal(pool[pool.length - 1].address);
+      expect(await platform.arbitratorPool()).to.equal(pool.length - 1);
+    });
+
+    it("should return unpaused arbitrators to the pool", async function () {
+      const { platform, owner, pool } = await loadFixture(deployWithPoolFixture);
+
+      await platform.connect(owner).pauseArbitrator(pool[0].address);
+      await platform.connect(owner).unpauseArbitrator(pool[0].address);
+
+      const active = await platform.getActiveArbitrators();
+      expect(active).to.have.lengthOf(pool.length);
+      expect(active[active.length - 1]).to.equal(pool[0].address);
+    });
+  });
+
+  describe("Selection Request", function () {
+    it("should count the eligible pool and request randomness without copying the pool", async function () {
+      const { platform, coordinator, disputeId, pool } = await loadFixture(deployWithPoolFixture);
+
+      await expect(platform.assignArbitrators(disputeId))
+        .to.emit(platform, "ArbitratorSelectionRequested")
+        .withArgs(disputeId, 1, pool.length)
+        .and.to.emit(coordinator, "RandomnessRequested")
+        .withArgs(1, await platform.getAddress());
+
+      const selection = await platform.getSelection(disputeId);
+      expect(selection.requestId).to.equal(1);
+      expect(selection.fulfilled).to.be.false;
+      expect(selection.candidates).to.be.empty;
+      expect(selection.weights).to.be.empty;
+      expect((await platform.getDisputeInfo(disputeId)).status).to.equal(DisputeStatus.Created);
+    });
+
+    it("should exclude both parties from the candidates", async function () {
+      const { platform, coordinator, plaintiff, defendant, pool } = await loadFixture(deployWithPoolFixture);
+
+      await registerArbitrators(platform, [plaintiff, defendant]);
+      const disputeId = await openReadyDispute(platform, plaintiff, defendant);
+
+      const selection = await requestSelection(platform, disputeId);
+      await expect(coordinator.fulfill(selection.requestId, 5n))
+        .to.emit(platform, "CandidatesSampled")
+        .withArgs(disputeId, 0, pool.map((s) => s.address), pool.map(() => 100n));
+    });
+
+    it("should leave arbitrators registered after the request out of the round", async function () {
+      const { platform, coordinator, outsider, disputeId, pool } = await loadFixture(deployWithPoolFixture);
+
+      const selection = await requestSelection(platform, disputeId);
+      await registerArbitrators(platform, [outsider]);
+      await coordinator.fulfill(selection.requestId, 5n);
+
+      const [event] = await platform.queryFilter(platform.filters.CandidatesSampled(disputeId));
+      expect([...event.args.candidates]).to.deep.equal(pool.map((s) => s.address));
+      expect((await verifySelection(platform, disputeId)).valid).to.be.true;
+    });
+
+    it("should not count the parties towards the minimum pool size", async function () {
+      const { plaintiff, defendant, outsider } = await loadFixture(deployWithPoolFixture);
+
+      const platform = await deployPlatform();
+      await registerArbitrators(platform, [plaintiff, defendant, outsider]);
+      const disputeId = await openReadyDispute(platform, plaintiff, defendant);
+
+      await expect(platform.assignArbitrators(disputeId))
+        .to.be.revertedWith("Not enough arbitrators available");
+    });
+
+    it("should reject a second request while one is pending", async function () {
+      const { platform, disputeId } = await loadFixture(deployWithPoolFixture);
+
+      await platform.assignArbitrators(disputeId);
+
+      await expect(platform.assignArbitrators(disputeId))
+        .to.be.revertedWith("Selection already pending");
+    });
+
+    it("should allow a new request after the selection timeout", async function () {
+      const { platform, coordinator, disputeId } = await loadFixture(deployWithPoolFixture);
+
+      await platform.assignArbitrators(disputeId);
+      await time.increase(Number(await platform.SELECTION_TIMEOUT()) + 1);
+      await platform.assignArbitrators(disputeId);
+
+      expect((await platform.getSelection(disputeId)).requestId).to.equal(2);
+
+      // The superseded request can no longer seat a panel
+      await expect(coordinator.fulfill(1, 7)).to.be.revertedWith("Invalid request ID");
+    });
+
+    it("should require a randomness coordinator", async function () {
+      const { plaintiff, defendant, pool } = await loadFixture(deployWithPoolFixture);
+
+      const { factory } = await getPlatformFactory(hre);
+      const platform = await factory.deploy();
+      await registerArbitrators(platform, pool);
+      const disputeId = await openReadyDispute(platform, plaintiff, defendant);
+
+      await expect(platform.assignArbitrators(disputeId))
+        .to.be.revertedWith("Randomness coordinator not set");
+    });
+  });
+
+  describe("Fulfillment", function () {
+    it("should seat the panel derived from the seed", async function () {
+      const { platform, coordinator, disputeId } = await loadFixture(deployWithPoolFixture);
+      const seed = 123456789n;
+
+      const selection = await requestSelection(platform, disputeId);
+      const { candidates, weights } = await sampleCandidates(platform, disputeId, { seed, count: 3 });
+      const expected = drawPanel(candidates, seed, 3, weights);
+
+      await expect(coordinator.fulfill(selection.requestId, seed))
+        .to.emit(platform, "ArbitratorsSelected")
+        .withArgs(disputeId, selection.requestId, seed)
+        .and.to.emit(platform, "ArbitratorsAssigned")
+        .withArgs(disputeId, expected);
+
+      const info = await platform.getDisputeInfo(disputeId);
+      expect(info.status).to.equal(DisputeStatus.InArbitration);
+      expect(info.arbitratorCount).to.equal(3);
+
+      const stored = await platform.getSelection(disputeId);
+      expect(stored.fulfilled).to.be.true;
+      expect(stored.seed).to.equal(seed);
+      expect(stored.candidates).to.deep.equal(expected);
+      expect(stored.weights).to.deep.equal([100n, 100n, 100n]);
+    });
+
+    it("should never select a party across many seeds", async function () {
+      const { platform, coordinator, plaintiff, defendant } = await loadFixture(deployWithPoolFixture);
+
+      await registerArbitrators(platform, [plaintiff, defendant]);
+
+      for (let seed = 0n; seed < 8n; seed++) {
+        const disputeId = await openReadyDispute(platform, plaintiff, defendant);
+        const selection = await requestSelection(platform, disputeId);
+        await coordinator.fulfill(selection.requestId, seed);
+
+        const events = await platform.queryFilter(platform.filters.ArbitratorsAssigned(disputeId));
+        const panel = events[0].args.arbitrators;
+        expect(panel).to.not.include(plaintiff.address);
+        expect(panel).to.not.include(defendant.address);
+        expect(new Set(panel).size).to.equal(3);
+      }
+    });
+
+    it("should not depend on when the request is made", async function () {
+      const { platform, coordinator, plaintiff, defendant } = await loadFixture(deployWithPoolFixture);
+
+      const first = await openReadyDispute(platform, plaintiff, defendant);
+      const second = await openReadyDispute(platform, plaintiff, defendant);
+
+      const a = await requestSelection(platform, first);
+      await time.increase(3600);
+      const b = await requestSelection(platform, second);
+
+      await coordinator.fulfill(a.requestId, 99);
+      await coordinator.fulfill(b.requestId, 99);
+
+      const panelA = (await platform.queryFilter(platform.filters.ArbitratorsAssigned(first)))[0].args.arbitrators;
+      const panelB = (await platform.queryFilter(platform.filters.ArbitratorsAssigned(second)))[0].args.arbitrators;
+      expect([...panelA]).to.deep.equal([...panelB]);
+    });
+
+    it("should reject fulfillment from anyone but the coordinator", async function () {
+      const { platform, outsider, disputeId } = await loadFixture(deployWithPoolFixture);
+
+      const selection = await requestSelection(platform, disputeId);
+
+      await expect(platform.connect(outsider).fulfillRandomness(selection.requestId, 1))
+        .to.be.revertedWith("Only randomness coordinator");
+    });
+
+    it("should reject unknown randomness requests", async function () {
+      const { platform, owner, outsider } = await loadFixture(deployWithPoolFixture);
+
+      // Point the platform at an EOA so the callback can be sent directly
+      await platform.connect(owner).setRandomnessCoordinator(outsider.address);
+
+      await expect(platform.connect(outsider).fulfillRandomness(999, 1))
+        .to.be.revertedWith("Invalid request ID");
+    });
+  });
+
+  describe("Bounded Sampling", function () {
+    it("should sample distinct positions, every one when the pool fits", function () {
+      expect(samplePositions(5, 1n, 32)).to.deep.equal([0, 1, 2, 3, 4]);
+
+      for (const seed of [0n, 1n, 2n ** 255n]) {
+        const positions = samplePositions(100, seed, 32);
+        expect(positions).to.have.lengthOf(32);
+        expect(new Set(positions).size).to.equal(32);
+        expect(positions.every((p) => p >= 0 && p < 100)).to.be.true;
+      }
+    });
+
+    it("should draw from at most MAX_CANDIDATES entries of a larger pool", async function () {
+      const { platform, coordinator, owner, plaintiff, defendant, pool } = await loadFixture(deployWithPoolFixture);
+      const maxCandidates = Number(await platform.MAX_CANDIDATES());
+
+      // Grow the pool past the sample size with fresh accounts
+      for (let i = pool.length; i <= maxCandidates + 3; i++) {
+        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("1") });
+        await registerArbitrator(hre, platform, wallet, 11111 * (i + 1));
+      }
+      const active = await platform.getActiveArbitrators();
+      expect(active.length).to.be.greaterThan(maxCandidates);
+
+      const disputeId = await openReadyDispute(platform, plaintiff, defendant);
+      const selection = await requestSelection(platform, disputeId);
+      const seed = 777n;
+      await coordinator.fulfill(selection.requestId, seed);
+
+      const [event] = await platform.queryFilter(platform.filters.CandidatesSampled(disputeId));
+      const sampled = samplePositions(active.length, seed, maxCandidates).map((position) => active[position]);
+      expect([...event.args.candidates]).to.deep.equal(sampled);
+
+      const result = await verifySelection(platform, disputeId);
+      expect(result.valid).to.be.true;
+      expect(result.actual.every((a) => sampled.includes(a))).to.be.true;
+    });
+  });
+
+  describe("Local Randomness", function () {
+    it("should answer the requests made before the relayer started", async function () {
+      const { platform, coordinator, owner, plaintiff, defendant, disputeId } = await loadFixture(deployWithPoolFixture);
+      const other = await openReadyDispute(platform, plaintiff, defendant);
+      const first = await requestSelection(platform, disputeId);
+      const second = await requestSelection(platform, other);
+      const randomness = new LocalRandomness(coordinator, owner);
+
+      expect(await randomness.pending(await platform.getAddress())).to.deep.equal([first.requestId, second.requestId]);
+      expect(await randomness.pending(owner.address)).to.deep.equal([]);
+
+      const results = [];
+      await randomness.fulfillPending(await platform.getAddress(), (requestId, receipt, error) =>
+        results.push({ requestId, error })
+      );
+      expect(results).to.deep.equal([
+        { requestId: first.requestId, error: undefined },
+        { requestId: second.requestId, error: undefined },
+      ]);
+      for (const id of [disputeId, other]) {
+        expect((await platform.getDisputeInfo(id)).status).to.equal(DisputeStatus.InArbitration);
+      }
+      expect(await randomness.pending()).to.deep.equal([]);
+    });
+
+    it("should report a failing request and go on with the rest", async function () {
+      const { platform, coordinator, owner, plaintiff, defendant, disputeId } = await loadFixture(deployWithPoolFixture);
+      const other = await openReadyDispute(platform, plaintiff, defendant);
+      const first = await requestSelection(platform, disputeId);
+      const second = await requestSelection(platform, other);
+      const randomness = new LocalRandomness(coordinator, owner);
+
+      // The first dispute is settled while its seed is pending, so seating it reverts
+      await platform.connect(plaintiff).proposeSettlement(disputeId, 5000);
+      await platform.connect(defendant).acceptSettlement(disputeId, 5000);
+
+      const results = [];
+      await randomness.fulfillPending(undefined, (requestId, receipt, error) => results.push({ requestId, error }));
+      expect(results.map(({ requestId }) => requestId)).to.deep.equal([first.requestId, second.requestId]);
+      expect(results[0].error).to.be.an("error");
+      expect(results[1].error).to.equal(undefined);
+      expect((await platform.getDisputeInfo(other)).status).to.equal(DisputeStatus.InArbitration);
+    });
+  });
+
+  describe("Coordinator Configuration", function () {
+    it("should let the owner set the coordinator", async function () {
+      const { platform, owner, outsider } = await loadFixture(deployWithPoolFixture);
+
+      await expect(platform.connect(owner).setRandomnessCoordinator(outsider.address))
+        .to.emit(platform, "RandomnessCoordinatorUpdated")
+        .withArgs(outsider.address);
+      expect(await platform.randomnessCoordinator()).to.equal(outsider.address);
+    });
+
+    it("should reject coordinator changes from non-owner", async function () {
+      const { platform, outsider } = await loadFixture(deployWithPoolFixture);
+
+      await expect(platform.connect(outsider).setRandomnessCoordinator(outsider.address))
+        .to.be.revertedWith("Not authorized");
+    });
+
+    it("should reject the zero address", async function () {
+      const { platform, owner } = await loadFixture(deployWithPoolFixture);
+
+      await expect(platform.connect(owner).setRandomnessCoordinator(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid coordinator");
+    });
+  });
+
+  describe("Off-chain Verification", function () {
+    it("should confirm a past selection against its seed", async function () {
+      const { platform, coordinator, disputeId } = await loadFixture(deployWithPoolFixture);
+
+      const selection = await requestSelection(platform, disputeId);
+      await coordinator.fulfill(selection.requestId, 2024n);
+
+      const result = await verifySelection(platform, disputeId);
+      expect(result.valid).to.be.true;
+      expect(result.actual).to.deep.equal(result.expected);
+    });
+
+    it("should flag a selection that has not been fulfilled", async function () {
+      const { platform, disputeId } = await loadFixture(deployWithPoolFixture);
+
+      await platform.assignArbitrators(disputeId);
+
+      const result = await verifySelection(platform, disputeId);
+      expect(result.valid).to.be.false;
+      expect(result.reason).to.equal("Selection not fulfilled yet");
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const {
+  DEFAULT_STAKE,
+  bondsHeld,
+  openDispute,
+  seatPanel,
+  deployWithPanel,
+  castVotes,
+  closeAppealWindow,
+} = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Settlement and Withdrawals", function () {
+  before(function () {
+    if (!fhevm.isMock) {
+      console.warn("⚠️  Settlement tests require the FHEVM mock environment");
+      this.skip();
+    }
+  });
+
+  async function deployWithPanelFixture() {
+    const fixture = await deployWithPanel();
+    await fixture.platform.connect(fixture.owner).setFeeSchedule(0, 0); // Fee-free: payouts equal the deposits
+    return fixture;
+  }
+
+  // Resolve, then let the appeal window of a ruling with a winner pass so its escrow is paid out
+  async function resolveWith(fixture, votes, disputeId = fixture.disputeId, arbitrators = fixture.arbitrators) {
+    const { platform, gateway } = fixture;
+    await castVotes(platform, disputeId, arbitrators, votes);
+    const receipt = await gateway.fulfill(disputeId);
+
+    const { winner } = await platform.getDisputeInfo(disputeId);
+    return winner === ethers.ZeroAddress ? receipt : closeAppealWindow(platform, disputeId);
+  }
+
+  describe("Payouts", function () {
+    it("should credit both deposits to a winning plaintiff", async function () {
+      const fixture = await deployWithPanelFixture();
+      const { platform, plaintiff, defendant, disputeId } = fixture;
+
+      const receipt = await resolveWith(fixture, [1, 1, 2]);
+      await expect(receipt.hash)
+        .to.emit(platform, "PayoutCredited")
+        .withArgs(disputeId, plaintiff.address, 2n * DEFAULT_STAKE);
+
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(2n * DEFAULT_STAKE);
+      expect(await platform.getPendingBalance(defendant.address)).to.equal(0);
+    });
+
+    it("should hold a winner's escrow until the appeal window closes", async function () {
+      const fixture = await deployWithPanelFixture();
+      const { platform, gateway, plaintiff, disputeId, arbitrators } = fixture;
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 2]);
+      const receipt = await gateway.fulfill(disputeId);
+
+      await expect(receipt.hash).to.not.emit(platform, "PayoutCredited");
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(0);
+      await expect(platform.releaseEscrow(disputeId)).to.be.revertedWith("Appeal window open");
+
+      await closeAppealWindow(platform, disputeId);
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(2n * DEFAULT_STAKE);
+      await expect(platform.releaseEscrow(disputeId)).to.be.revertedWith("No escrow held");
+    });
+
+    it("should credit both deposits to a winning defendant", async function () {
+      const fixture = await deployWithPanelFixture();
+      const { platform, plaintiff, defendant } = fixture;
+
+      await resolveWith(fixture, [2, 2, 1]);
+
+      expect(await platform.getPendingBalance(defendant.address)).to.equal(2n * DEFAULT_STAKE);
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(0);
+    });
+
+    it("should return each deposit on a Neutral majority", async function () {
+      const fixture = await deployWithPanelFixture();
+      const { platform, plaintiff, defendant } = fixture;
+
+      await resolveWith(fixture, [3, 3, 1]);
+
+      expect((await platform.getDisputeInfo(fixture.disputeId)).winner).to.equal(ethers.ZeroAddress);
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(DEFAULT_STAKE);
+      expect(await platform.getPendingBalance(defendant.address)).to.equal(DEFAULT_STAKE);
+    });
+
+    it("should return each deposit on a tie", async function () {
+      const fixture = await deployWithPanelFixture();
+      const { platform, plaintiff, defendant } = fixture;
+
+      await resolveWith(fixture, [1, 2, 3]);
+
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(DEFAULT_STAKE);
+      expect(await platform.getPendingBalance(defendant.address)).to.equal(DEFAULT_STAKE);
+    });
+
+    it("should accumulate payouts across disputes", async function () {
+      const fixture = await deployWithPanelFixture();
+      const { platform, plaintiff, defendant } = fixture;
+
+      await resolveWith(fixture, [1, 1, 1]);
+
+      const secondId = await openDispute(platform, plaintiff, defendant);
+      const panel = await seatPanel(platform, secondId, 7n);
+      await resolveWith(fixture, [1, 1, 2], secondId, panel);
+
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(4n * DEFAULT_STAKE);
+    });
+
+    it("should not move any ETH until the recipient withdraws", async function () {
+      const fixture = await deployWithPanelFixture();
+      const { platform } = fixture;
+
+      await resolveWith(fixture, [1, 1, 2]);
+
+      expect(await ethers.provider.getBalance(await platform.getAddress()))
+        .to.equal(2n * DEFAULT_STAKE + (await bondsHeld(platform)));
+    });
+  });
+
+  describe("Withdrawals", function () {
+    it("should transfer the pending balance and clear it", async function () {
+      const fixture = await deployWithPanelFixture();
+      const { platform, plaintiff } = fixture;
+
+      await resolveWith(fixture, [1, 1, 2]);
+
+      const tx = await platform.connect(plaintiff).withdraw();
+      await expect(tx).to.emit(platform, "Withdrawal").withArgs(plaintiff.address, 2n * DEFAULT_STAKE);
+      await expect(tx).to.changeEtherBalances(
+        [plaintiff, platform],
+        [2n * DEFAULT_STAKE, -2n * DEFAULT_STAKE]
+      );
+
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(0);
+    });
+
+    it("should let both parties withdraw after a split", async function () {
+      const fixture = await deployWithPanelFixture();
+      const { platform, plaintiff, defendant } = fixture;
+
+      await resolveWith(fixture, [3, 3, 3]);
+
+      await expect(platform.connect(plaintiff).withdraw()).to.changeEtherBalance(plaintiff, DEFAULT_STAKE);
+      await expect(platform.connect(defendant).withdraw()).to.changeEtherBalance(defendant, DEFAULT_STAKE);
+      expect(await ethers.provider.getBalance(await platform.getAddress())).to.equal(await bondsHeld(platform));
+    });
+
+    it("should reject a withdrawal with nothing pending", async function () {
+      const { platform, outsider } = await deployWithPanelFixture();
+
+      await expect(platform.connect(outsider).withdraw()).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("should reject a second withdrawal", async function () {
+      const fixture = await deployWithPanelFixture();
+      const { platform, plaintiff } = fixture;
+
+      await resolveWith(fixture, [1, 1, 2]);
+      await platform.connect(plaintiff).withdraw();
+
+      await expect(platform.connect(plaintiff).withdraw()).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("should not let the losing party withdraw", async function () {
+      const fixture = await deployWithPanelFixture();
+      const { platform, defendant } = fixture;
+
+      await resolveWith(fixture, [1, 1, 2]);
+
+      await expect(platform.connect(defendant).withdraw()).to.be.revertedWith("Nothing to withdraw");
+    });
+  });
+});
@@ -0,0 +1,366 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, fhevm } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { LocalGateway } = require("../scripts/lib/localGateway");
+const { createDispute } = require("../scripts/lib/fhevmInputs");
+const { Parameter } = require("../scripts/lib/parameters");
+const { Role } = require("../scripts/lib/roles");
+const { readAllowedTokens, signPermit } = require("../scripts/lib/tokens");
+const { summarizeFees } = require("../scripts/lib/fees");
+const {
+  DEFAULT_STAKE,
+  TOKEN_MIN_STAKE,
+  deployPlatform,
+  deployStakeToken,
+  openDispute,
+  answerDispute,
+  seatPanel,
+  deployWithPanel,
+  castVotes,
+  closeAppealWindow,
+} = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Stake Tokens", function () {
+  const STAKE = 5n * TOKEN_MIN_STAKE;
+  const ESCROW = 2n * STAKE;
+  const feesOn = (amount) => (amount * 500n) / 10000n + (amount * 100n) / 10000n;
+
+  describe("Allowlist", function () {
+    async function deployFixture() {
+      const [owner, treasurer, outsider] = await ethers.getSigners();
+      const platform = await deployPlatform();
+      await platform.connect(owner).grantRole(Role.Treasurer, treasurer.address);
+
+      const Token = await ethers.getContractFactory("MockERC20");
+      const token = await Token.deploy("Stake Token", "STK");
+      const other = await Token.deploy("Other Token", "OTH");
+
+      return { platform, token, other, owner, treasurer, outsider };
+    }
+
+    it("should start with no stake tokens", async function () {
+      const { platform } = await loadFixture(deployFixture);
+
+      const [tokens, minStakes] = await platform.getAllowedTokens();
+      expect(tokens).to.be.empty;
+      expect(minStakes).to.be.empty;
+    });
+
+    it("should let a treasurer allowlist, update and remove tokens", async function () {
+      const { platform, token, other, treasurer } = await loadFixture(deployFixture);
+      const tokenAddress = await token.getAddress();
+      const otherAddress = await other.getAddress();
+
+      await expect(platform.connect(treasurer).setStakeToken(tokenAddress, TOKEN_MIN_STAKE))
+        .to.emit(platform, "StakeTokenUpdated")
+        .withArgs(tokenAddress, TOKEN_MIN_STAKE);
+      await platform.connect(treasurer).setStakeToken(otherAddress, 1n);
+      await platform.connect(treasurer).setStakeToken(otherAddress, 2n);
+
+      expect(await readAllowedTokens(platform)).to.deep.equal([
+        { address: tokenAddress, symbol: "STK", decimals: 18, minStake: TOKEN_MIN_STAKE },
+        { address: otherAddress, symbol: "OTH", decimals: 18, minStake: 2n },
+      ]);
+
+      await platform.connect(treasurer).setStakeToken(tokenAddress, 0);
+      const [tokens, minStakes] = await platform.getAllowedTokens();
+      expect(tokens).to.deep.equal([otherAddress]);
+      expect(minStakes).to.deep.equal([2n]);
+    });
+
+    it("should only let treasurers change the allowlist", async function () {
+      const { platform, token, outsider } = await loadFixture(deployFixture);
+
+      await expect(platform.connect(outsider).setStakeToken(await token.getAddress(), TOKEN_MIN_STAKE))
+        .to.be.revertedWith("Not authorized");
+    });
+
+    it("should reject the zero address as a token", async function () {
+      const { platform, treasurer } = await loadFixture(deployFixture);
+
+      await expect(platform.connect(treasurer).setStakeToken(ethers.ZeroAddress, TOKEN_MIN_STAKE))
+        .to.be.revertedWith("Invalid token");
+    });
+  });
+
+  describe("Token Disputes", function () {
+    before(function () {
+      if (!fhevm.isMock) {
+        console.warn("⚠️  Stake token tests require the FHEVM mock environment");
+        this.skip();
+      }
+    });
+
+    async function deployFixture({ approve = true, balance } = {}) {
+      const [owner, plaintiff, defendant, relayer, outsider] = await ethers.getSigners();
+      const platform = await deployPlatform();
+      const token = await deployStakeToken(platform, [plaintiff, defendant], { approve, balance });
+      const gateway = new LocalGateway(hre, platform, relayer);
+
+      return { platform, token, gateway, owner, plaintiff, defendant, outsider };
+    }
+
+    // Open and answer a dispute staked in `token`
+    async function openTokenDispute({ platform, token, plaintiff, defendant }, overrides = {}) {
+      return openDispute(platform, plaintiff, defendant, {
+        value: 0n,
+        token: await token.getAddress(),
+        amount: STAKE,
+        ...overrides,
+      });
+    }
+
+    // Seat a panel and let it rule for the plaintiff
+    async function ruleForPlaintiff(fixture, disputeId) {
+      const panel = await seatPanel(fixture.platform, disputeId);
+      await castVotes(fixture.platform, disputeId, panel, [1, 1, 2]);
+      await fixture.gateway.fulfill(disputeId);
+      return panel;
+    }
+
+    it("should escrow both token deposits pulled with an allowance", async function () {
+      const fixture = await deployFixture();
+      const { platform, token, plaintiff, defendant } = fixture;
+      const platformAddress = await platform.getAddress();
+
+      const disputeId = await openTokenDispute(fixture);
+
+      const info = await platform.getDisputeInfo(disputeId);
+      expect(info.plaintiffStake).to.equal(STAKE);
+      expect(info.defendantStake).to.equal(STAKE);
+      expect(await platform.getDisputeToken(disputeId)).to.equal(await token.getAddress());
+      expect(await token.balanceOf(platformAddress)).to.equal(ESCROW);
+      expect(await token.balanceOf(plaintiff.address)).to.equal(1000n * TOKEN_MIN_STAKE - STAKE);
+      expect(await token.balanceOf(defendant.address)).to.equal(1000n * TOKEN_MIN_STAKE - STAKE);
+      expect(await ethers.provider.getBalance(platformAddress)).to.equal(0);
+    });
+
+    it("should pull deposits with permits instead of approvals", async function () {
+      const fixture = await deployFixture({ approve: false });
+      const { platform, token, plaintiff, defendant } = fixture;
+      const platformAddress = await platform.getAddress();
+      const tokenAddress = await token.getAddress();
+
+      const permit = await signPermit(plaintiff, tokenAddress, platformAddress, STAKE);
+      const disputeId = await openTokenDispute(fixture, { permit, respond: false });
+
+      const answer = await signPermit(defendant, tokenAddress, platformAddress, STAKE);
+      await expect(answerDispute(platform, defendant, disputeId, { permit: answer }))
+        .to.emit(platform, "DefendantResponded")
+        .withArgs(disputeId, defendant.address, STAKE);
+
+      expect(await token.balanceOf(platformAddress)).to.equal(ESCROW);
+      expect(await token.allowance(plaintiff.address, platformAddress)).to.equal(0);
+    });
+
+    it("should still accept a deposit whose permit was used by someone else first", async function () {
+      const fixture = await deployFixture({ approve: false });
+      const { platform, token, plaintiff, outsider } = fixture;
+      const platformAddress = await platform.getAddress();
+
+      const permit = await signPermit(plaintiff, await token.getAddress(), platformAddress, STAKE);
+      const [deadline, v, r, s] = ethers.AbiCoder.defaultAbiCoder().decode(
+        ["uint256", "uint8", "bytes32", "bytes32"],
+        permit
+      );
+      await token.connect(outsider).permit(plaintiff.address, platformAddress, STAKE, deadline, v, r, s);
+
+      const disputeId = await openTokenDispute(fixture, { permit, respond: false });
+      expect((await platform.getDisputeInfo(disputeId)).plaintiffStake).to.equal(STAKE);
+      expect(await token.balanceOf(platformAddress)).to.equal(STAKE);
+    });
+
+    it("should reject a deposit without an allowance or permit", async function () {
+      const fixture = await deployFixture({ approve: false });
+
+      await expect(openTokenDispute(fixture, { respond: false })).to.be.reverted;
+    });
+
+    it("should reject tokens that are not allowlisted", async function () {
+      const fixture = await deployFixture();
+      const { platform, token, owner } = fixture;
+
+      await platform.connect(owner).setStakeToken(await token.getAddress(), 0);
+      await expect(openTokenDispute(fixture, { respond: false })).to.be.revertedWith("Token not allowed");
+    });
+
+    it("should enforce the token's minimum deposit", async function () {
+      const fixture = await deployFixture();
+
+      await expect(openTokenDispute(fixture, { amount: TOKEN_MIN_STAKE - 1n, respond: false }))
+        .to.be.revertedWith("Minimum stake required");
+    });
+
+    it("should reject ETH sent with a token deposit", async function () {
+      const fixture = await deployFixture();
+      const { platform, token, plaintiff, defendant } = fixture;
+
+      await expect(openTokenDispute(fixture, { value: DEFAULT_STAKE, respond: false }))
+        .to.be.revertedWith("ETH sent with token stake");
+
+      const disputeId = await openTokenDispute(fixture, { respond: false });
+      await expect(
+        createDispute(hre, platform, defendant, plaintiff, {
+          stakeAmount: 1000,
+          evidenceHash: 1,
+          value: DEFAULT_STAKE,
+          token: await token.getAddress(),
+          amount: STAKE,
+        })
+      ).to.be.revertedWith("ETH sent with token stake");
+      await expect(
+        platform.connect(defendant).respondToDispute(disputeId, ethers.ZeroHash, "0x", "0x", { value: STAKE })
+      ).to.be.revertedWith("ETH sent with token stake");
+    });
+
+    it("should size the panel from the multiple of the token's minimum", async function () {
+      const fixture = await deployFixture({ balance: 2000n * TOKEN_MIN_STAKE });
+      const { platform } = fixture;
+
+      for (const [multiple, panelSize] of [[1n, 1n], [10n, 3n], [100n, 5n], [1000n, 7n]]) {
+        const disputeId = await openTokenDispute(fixture, {
+          amount: multiple * TOKEN_MIN_STAKE,
+          panelSize: 0,
+          respond: false,
+        });
+        expect((await platform.getDisputeInfo(disputeId)).panelSize).to.equal(panelSize);
+      }
+    });
+
+    it("should pay the winner and the fees in the token", async function () {
+      const fixture = await deployFixture();
+      const { platform, token, owner, plaintiff } = fixture;
+      const tokenAddress = await token.getAddress();
+
+      const disputeId = await openTokenDispute(fixture);
+      const panel = await ruleForPlaintiff(fixture, disputeId);
+      await closeAppealWindow(platform, disputeId);
+
+      const share = (ESCROW * 500n) / 10000n / 3n;
+      const payout = ESCROW - feesOn(ESCROW);
+      expect(await platform.getPendingTokenBalance(tokenAddress, plaintiff.address)).to.equal(payout);
+      expect(await platform.getPendingTokenBalance(tokenAddress, panel[0].address)).to.equal(share);
+      expect(await platform.getPendingTokenBalance(tokenAddress, owner.address))
+        .to.equal(feesOn(ESCROW) - 3n * share);
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(0);
+
+      // ETH-denominated tallies ignore token fees
+      expect(await platform.totalPlatformFees()).to.equal(0);
+      expect(await platform.arbitratorFeesEarned(panel[0].address)).to.equal(0);
+
+      const before = await token.balanceOf(plaintiff.address);
+      await expect(platform.connect(plaintiff).withdrawToken(tokenAddress))
+        .to.emit(platform, "TokenWithdrawal")
+        .withArgs(tokenAddress, plaintiff.address, payout);
+      expect(await token.balanceOf(plaintiff.address)).to.equal(before + payout);
+      expect(await platform.getPendingTokenBalance(tokenAddress, plaintiff.address)).to.equal(0);
+    });
+
+    it("should reject token withdrawals with nothing pending", async function () {
+      const fixture = await deployFixture();
+      const { platform, token, plaintiff } = fixture;
+
+      await expect(platform.connect(plaintiff).withdrawToken(await token.getAddress()))
+        .to.be.revertedWith("Nothing to withdraw");
+      await expect(platform.connect(plaintiff).withdrawToken(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid token");
+    });
+
+    it("should let parties withdraw after the token is removed from the allowlist", async function () {
+      const fixture = await deployFixture();
+      const { platform, token, owner, plaintiff, defendant } = fixture;
+      const tokenAddress = await token.getAddress();
+
+      const disputeId = await openTokenDispute(fixture);
+      await platform.connect(owner).setStakeToken(tokenAddress, 0);
+
+      await platform.connect(plaintiff).proposeSettlement(disputeId, 5000);
+      await platform.connect(defendant).acceptSettlement(disputeId, 5000);
+
+      await expect(platform.connect(defendant).withdrawToken(tokenAddress))
+        .to.emit(platform, "TokenWithdrawal")
+        .withArgs(tokenAddress, defendant.address, STAKE);
+    });
+
+    it("should refund token deposits and pay slashed bonds in ETH on a voting timeout", async function () {
+      const fixture = await deployFixture();
+      const { platform, token, plaintiff, defendant } = fixture;
+      const tokenAddress = await token.getAddress();
+
+      const disputeId = await openTokenDispute(fixture);
+      await seatPanel(platform, disputeId);
+      const { votingDeadline } = await platform.getDisputeInfo(disputeId);
+      await time.increaseTo(votingDeadline + (await platform.getParameter(Parameter.VotingTimeout)) + 1n);
+      await platform.checkVotingTimeout(disputeId);
+
+      const [eligible, amount, claimed, refundToken] = await platform.getRefundStatus(disputeId, plaintiff.address);
+      expect(eligible).to.be.true;
+      expect(amount).to.equal(STAKE);
+      expect(claimed).to.be.true;
+      expect(refundToken).to.equal(tokenAddress);
+
+      expect(await platform.getPendingTokenBalance(tokenAddress, plaintiff.address)).to.equal(STAKE);
+      expect(await platform.getPendingTokenBalance(tokenAddress, defendant.address)).to.equal(STAKE);
+
+      const slashed = 3n * ((await platform.MIN_ARBITRATOR_BOND()) * 2000n) / 10000n;
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(slashed - slashed / 2n);
+      expect(await platform.getPendingBalance(defendant.address)).to.equal(slashed / 2n);
+    });
+
+    it("should report ETH as the currency of ETH disputes", async function () {
+      const fixture = await deployFixture();
+      const { platform, plaintiff, defendant } = fixture;
+
+      const disputeId = await openDispute(platform, plaintiff, defendant);
+      expect(await platform.getDisputeToken(disputeId)).to.equal(ethers.ZeroAddress);
+      expect((await platform.getRefundStatus(disputeId, plaintiff.address)).token).to.equal(ethers.ZeroAddress);
+    });
+
+    it("should take the appeal bond in the token and pay the final winner in it", async function () {
+      const fixture = await deployFixture();
+      const { platform, token, gateway, defendant } = fixture;
+      const tokenAddress = await token.getAddress();
+      const platformAddress = await platform.getAddress();
+
+      const disputeId = await openTokenDispute(fixture);
+      await ruleForPlaintiff(fixture, disputeId);
+
+      await expect(platform.connect(defendant).fileAppeal(disputeId, "0x", { value: STAKE }))
+        .to.be.revertedWith("ETH sent with token stake");
+      await expect(platform.connect(defendant).fileAppeal(disputeId, "0x"))
+        .to.emit(platform, "AppealFiled")
+        .withArgs(disputeId, defendant.address, STAKE);
+      expect(await token.balanceOf(platformAddress)).to.equal(ESCROW + STAKE);
+
+      const appealPanel = await seatPanel(platform, disputeId, 9n);
+      await castVotes(platform, disputeId, appealPanel, [2, 2, 2, 2, 2]);
+      await gateway.fulfill(disputeId);
+
+      const held = ESCROW - feesOn(ESCROW);
+      expect(await platform.getPendingTokenBalance(tokenAddress, defendant.address))
+        .to.equal(held + STAKE - feesOn(STAKE));
+      expect(await platform.getPendingBalance(defendant.address)).to.equal(0);
+    });
+
+    it("should summarise fees per currency", async function () {
+      const { disputeId: ethDispute, ...fixture } = await deployWithPanel({ seat: false });
+      const { platform, owner, plaintiff, defendant } = fixture;
+      const token = await deployStakeToken(platform, [plaintiff, defendant]);
+
+      const tokenDispute = await openTokenDispute({ ...fixture, token });
+      await ruleForPlaintiff(fixture, tokenDispute);
+      await ruleForPlaintiff(fixture, ethDispute);
+
+      const tokenReport = await summarizeFees(platform, { token: await token.getAddress() });
+      expect(tokenReport.disputeIds).to.deep.equal([tokenDispute]);
+      expect(tokenReport.arbitratorTotal + tokenReport.treasuryTotal).to.equal(feesOn(ESCROW));
+
+      const ethReport = await summarizeFees(platform);
+      expect(ethReport.disputeIds).to.deep.equal([ethDispute]);
+      expect(ethReport.treasury).to.deep.equal([
+        { address: owner.address, amount: await platform.totalPlatformFees(), disputes: 1 },
+      ]);
+    });
+  });
+});
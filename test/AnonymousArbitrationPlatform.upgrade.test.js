@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, fhevm } = hre;
+const { createDispute } = require("../scripts/lib/fhevmInputs");
+const { Parameter } = require("../scripts/lib/parameters");
+const { deployPlatformProxy, upgradePlatformProxy, readProxySlots } = require("../scripts/lib/platform");
+const { readStorageLayout, compareLayouts } = require("../scripts/lib/storageLayout");
+const { DEFAULT_STAKE, deployPlatform, openDispute, deployWithPanel } = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Upgrades", function () {
+  describe("Proxy Deployment", function () {
+    it("should initialize the proxy with the deployer as owner and the default configuration", async function () {
+      const [deployer] = await ethers.getSigners();
+      const { platform } = await deployPlatformProxy(hre);
+
+      expect(await platform.owner()).to.equal(deployer.address);
+      expect(await platform.treasury()).to.equal(deployer.address);
+      expect(await platform.arbitratorFeeBps()).to.equal(500);
+      expect(await platform.platformFeeBps()).to.equal(100);
+      expect(await platform.getParameter(Parameter.VotingPeriod)).to.equal(7 * 24 * 3600);
+      expect(await platform.getParameter(Parameter.MinStake)).to.equal(DEFAULT_STAKE);
+    });
+
+    it("should record the implementation and an admin owned by the admin owner", async function () {
+      const [deployer, adminOwner] = await ethers.getSigners();
+      const { platform, implementation, admin } = await deployPlatformProxy(hre, {
+        signer: deployer,
+        adminOwner: adminOwner.address,
+      });
+
+      const slots = await readProxySlots(ethers.provider, await platform.getAddress());
+      expect(slots.implementation).to.equal(await implementation.getAddress());
+      expect(slots.admin).to.equal(admin);
+      expect(await (await ethers.getContractAt("ProxyAdmin", admin)).owner()).to.equal(adminOwner.address);
+    });
+
+    it("should reject initializing twice", async function () {
+      const [, outsider] = await ethers.getSigners();
+      const { platform, implementation } = await deployPlatformProxy(hre);
+
+      await expect(platform.connect(outsider).initialize()).to.be.revertedWith("Already initialized");
+      await expect(implementation.connect(outsider).initialize()).to.be.revertedWith("Already initialized");
+    });
+
+    it("should reject initializing a directly deployed platform", async function () {
+      const [, outsider] = await ethers.getSigners();
+      const platform = await deployPlatform();
+
+      await expect(platform.connect(outsider).initialize()).to.be.revertedWith("Already initialized");
+    });
+  });
+
+  describe("Upgrading", function () {
+    before(function () {
+      if (!fhevm.isMock) {
+        console.warn("⚠️  Upgrade tests require the FHEVM mock environment");
+        this.skip();
+      }
+    });
+
+    it("should keep disputes, escrow and balances across an upgrade", async function () {
+      const { platform, owner, plaintiff, defendant, disputeId } = await deployWithPanel({ upgradeable: true });
+      const proxyAddress = await platform.getAddress();
+
+      const settled = await openDispute(platform, plaintiff, defendant);
+      await platform.connect(plaintiff).proposeSettlement(settled, 5000);
+      await platform.connect(defendant).acceptSettlement(settled, 5000);
+      const before = await platform.getDisputeInfo(disputeId);
+      const { implementation: previous } = await readProxySlots(ethers.provider, proxyAddress);
+
+      const { implementation } = await upgradePlatformProxy(hre, proxyAddress, { signer: owner });
+
+      const { implementation: current } = await readProxySlots(ethers.provider, proxyAddress);
+      expect(current).to.equal(await implementation.getAddress());
+      expect(current).to.not.equal(previous);
+      expect(await platform.owner()).to.equal(owner.address);
+      expect(await platform.disputeCounter()).to.equal(settled);
+      expect(await platform.getDisputeInfo(disputeId)).to.deep.equal(before);
+      expect(await platform.getPendingBalance(plaintiff.address)).to.equal(DEFAULT_STAKE);
+
+      await expect(platform.connect(defendant).withdraw())
+        .to.emit(platform, "Withdrawal")
+        .withArgs(defendant.address, DEFAULT_STAKE);
+    });
+
+    it("should accept encrypted inputs after an upgrade", async function () {
+      const [owner, plaintiff, defendant] = await ethers.getSigners();
+      const platform = await deployPlatform({ upgradeable: true });
+      await upgradePlatformProxy(hre, await platform.getAddress(), { signer: owner });
+
+      await expect(createDispute(hre, platform, plaintiff, defendant, {
+        stakeAmount: 1000,
+        evidenceHash: 1,
+        value: DEFAULT_STAKE,
+      })).to.emit(platform, "DisputeCreated").withArgs(1, plaintiff.address, defendant.address);
+    });
+
+    it("should only let the admin owner upgrade", async function () {
+      const [, outsider] = await ethers.getSigners();
+      const { platform, admin } = await deployPlatformProxy(hre);
+
+      const proxyAdmin = await ethers.getContractAt("ProxyAdmin", admin);
+      await expect(upgradePlatformProxy(hre, await platform.getAddress(), { signer: outsider }))
+        .to.be.revertedWithCustomError(proxyAdmin, "OwnableUnauthorizedAccount")
+        .withArgs(outsider.address);
+    });
+  });
+
+  describe("Storage Layout", function () {
+    let layout;
+
+    before(async function () {
+      layout = await readStorageLayout(hre);
+    });
+
+    // Deep copy of the compiled layout to edit
+    function edit(change) {
+      const copy = structuredClone(layout);
+      change(copy.storage);
+      return copy;
+    }
+
+    const find = (storage, label) => storage.find((entry) => entry.label === label);
+    const uint256 = { label: "uint256", encoding: "inplace", numberOfBytes: "32" };
+
+    it("should accept an unchanged layout", async function () {
+      expect(compareLayouts(layout, layout)).to.deep.equal([]);
+    });
+
+    it("should accept state appended after the existing variables", async function () {
+      const next = edit((storage) => {
+        const last = storage[storage.length - 1];
+        const slot = BigInt(last.slot) + BigInt(last.type.numberOfBytes) / 32n;
+        storage.push({ label: "newCounter", slot: slot.toString(), offset: 0, type: uint256 });
+      });
+
+      expect(compareLayouts(layout, next)).to.deep.equal([]);
+    });
+
+    it("should accept a member appended to a struct held in a mapping", async function () {
+      const next = edit((storage) => {
+        const dispute = find(storage, "disputes").type.value;
+        const last = dispute.members[dispute.members.length - 1];
+        dispute.members.push({ label: "extra", slot: (Number(last.slot) + 1).toString(), offset: 0, type: uint256 });
+      });
+
+      expect(compareLayouts(layout, next)).to.deep.equal([]);
+    });
+
+    it("should reject a removed variable", async function () {
+      const next = edit((storage) => storage.splice(storage.indexOf(find(storage, "nonce")), 1));
+
+      expect(compareLayouts(layout, next)).to.deep.equal([`nonce was removed from slot ${find(layout.storage, "nonce").slot}+0`]);
+    });
+
+    it("should reject a variable inserted before existing ones", async function () {
+      const next = edit((storage) => {
+        for (const entry of storage.slice(1)) {
+          entry.slot = (BigInt(entry.slot) + 1n).toString();
+        }
+        storage.splice(1, 0, { label: "inserted", slot: find(layout.storage, "disputeCounter").slot, offset: 0, type: uint256 });
+      });
+
+      const problems = compareLayouts(layout, next);
+      expect(problems[0]).to.match(/^disputeCounter at slot \d+\+0 was replaced by inserted$/);
+      expect(problems).to.include(`inserted was inserted at slot ${find(layout.storage, "disputeCounter").slot}, inside the existing layout`);
+    });
+
+    it("should reject a changed variable type", async function () {
+      const next = edit((storage) => {
+        find(storage, "disputeCounter").type = { label: "uint128", encoding: "inplace", numberOfBytes: "16" };
+      });
+
+      expect(compareLayouts(layout, next)).to.deep.equal(["disputeCounter changed type from uint256 to uint128"]);
+    });
+
+    it("should reject a struct member that moves", async function () {
+      const next = edit((storage) => {
+        const [first, second] = find(storage, "disputes").type.value.members;
+        [first.label, second.label] = [second.label, first.label];
+      });
+
+      expect(compareLayouts(layout, next)).to.have.lengthOf(2);
+      expect(compareLayouts(layout, next)[0]).to.match(/^disputes\[\]\.\w+ at slot 0\+0 was replaced by/);
+    });
+
+    it("should reject an inline struct that grows into the next variable", async function () {
+      const next = edit((storage) => {
+        const ledger = find(storage, "ledger");
+        const end = BigInt(ledger.slot) + BigInt(ledger.type.numberOfBytes) / 32n;
+        ledger.type.members.push({ label: "extra", slot: (end - BigInt(ledger.slot)).toString(), offset: 0, type: uint256 });
+        ledger.type.numberOfBytes = (BigInt(ledger.type.numberOfBytes) + 32n).toString();
+        for (const entry of storage.filter((candidate) => BigInt(candidate.slot) >= end)) {
+          entry.slot = (BigInt(entry.slot) + 1n).toString();
+        }
+      });
+
+      expect(compareLayouts(layout, next)[0]).to.match(/^parameters moved from slot \d+\+0 to slot \d+\+0$/);
+    });
+
+    it("should reject array elements that change size", async function () {
+      const next = edit((storage) => {
+        const evidence = find(find(storage, "disputes").type.value.members, "evidence");
+        evidence.type.base.members.push({ label: "extra", slot: "4", offset: 0, type: uint256 });
+        evidence.type.base.numberOfBytes = "160";
+      });
+
+      expect(compareLayouts(layout, next)).to.deep.equal(["disputes[].evidence changed element size from 128 to 160 bytes"]);
+    });
+  });
+});
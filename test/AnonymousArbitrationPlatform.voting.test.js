@@ -0,0 +1,196 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, fhevm } = hre;
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { submitVote, submitVoteArgs } = require("../scripts/lib/fhevmInputs");
+const { deployWithPanel, castVotes } = require("./helpers/fixtures");
+
+describe("AnonymousArbitrationPlatform - Encrypted Voting", function () {
+  const DisputeStatus = { InArbitration: 1, Voting: 2 };
+
+  before(function () {
+    if (!fhevm.isMock) {
+      console.warn("⚠️  Encrypted voting tests require the FHEVM mock environment");
+      this.skip();
+    }
+  });
+
+  describe("Submission", function () {
+    it("should not carry the plaintext vote in calldata", async function () {
+      const { platform, disputeId, arbitrators } = await deployWithPanel();
+
+      const tx = await submitVote(hre, platform, arbitrators[0], disputeId, { vote: 2, justification: 1000 });
+      await expect(tx).to.emit(platform, "VoteSubmitted").withArgs(disputeId, arbitrators[0].address);
+
+      const { args } = platform.interface.parseTransaction({ data: tx.data });
+      expect(args[1]).to.match(/^0x[0-9a-f]{64}$/);
+      expect(args[1]).to.not.equal(ethers.zeroPadValue("0x02", 32));
+      expect(args[2]).to.not.equal(ethers.zeroPadValue(ethers.toBeHex(1000), 32));
+    });
+
+    it("should let only the voting arbitrator decrypt its vote", async function () {
+      const { platform, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 3, 2]);
+
+      const { encryptedVote, hasVoted } = await platform.getVote(disputeId, arbitrators[1].address);
+      const address = await platform.getAddress();
+      expect(hasVoted).to.be.true;
+      expect(await fhevm.userDecryptEuint(FhevmType.euint8, encryptedVote, address, arbitrators[1])).to.equal(3n);
+      await expect(fhevm.userDecryptEuint(FhevmType.euint8, encryptedVote, address, arbitrators[0]))
+        .to.be.rejected;
+    });
+
+    it("should record an out-of-range vote as an abstention", async function () {
+      const { platform, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 7]);
+
+      const { encryptedVote } = await platform.getVote(disputeId, arbitrators[1].address);
+      const address = await platform.getAddress();
+      expect(await fhevm.userDecryptEuint(FhevmType.euint8, encryptedVote, address, arbitrators[1])).to.equal(0n);
+    });
+
+    it("should reject a proof made for another sender", async function () {
+      const { platform, disputeId, arbitrators } = await deployWithPanel();
+
+      const args = await submitVoteArgs(hre, platform, arbitrators[0], disputeId, { vote: 1, justification: 1000 });
+      await expect(platform.connect(arbitrators[1]).submitVote(...args)).to.be.reverted;
+    });
+  });
+
+  describe("Validation", function () {
+    it("should reject votes from arbitrators outside the panel", async function () {
+      const { platform, disputeId, arbitrators } = await deployWithPanel();
+
+      const panel = new Set(arbitrators.map((arbitrator) => arbitrator.address));
+      const pool = (await ethers.getSigners()).slice(10);
+      const outsider = pool.find((signer) => !panel.has(signer.address));
+
+      await expect(submitVote(hre, platform, outsider, disputeId, { vote: 1, justification: 1000 }))
+        .to.be.revertedWith("Not assigned to this dispute");
+    });
+
+    it("should reject a second vote from the same arbitrator", async function () {
+      const { platform, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1]);
+      await expect(submitVote(hre, platform, arbitrators[0], disputeId, { vote: 2, justification: 1000 }))
+        .to.be.revertedWith("Already voted on this dispute");
+    });
+
+    it("should reject votes after the voting deadline", async function () {
+      const { platform, disputeId, arbitrators } = await deployWithPanel();
+
+      const { votingDeadline } = await platform.getDisputeInfo(disputeId);
+      await time.increaseTo(votingDeadline + 1n);
+
+      await expect(submitVote(hre, platform, arbitrators[0], disputeId, { vote: 1, justification: 1000 }))
+        .to.be.revertedWith("Voting period ended");
+      expect((await platform.getDisputeInfo(disputeId)).status).to.equal(DisputeStatus.InArbitration);
+    });
+
+    it("should close voting once the whole panel has voted", async function () {
+      const { platform, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 2]);
+      expect((await platform.getDisputeInfo(disputeId)).status).to.equal(DisputeStatus.InArbitration);
+
+      await expect(submitVote(hre, platform, arbitrators[2], disputeId, { vote: 3, justification: 1002 }))
+        .to.emit(platform, "DecryptionRequested");
+      expect((await platform.getDisputeInfo(disputeId)).status).to.equal(DisputeStatus.Voting);
+    });
+  });
+
+  describe("Encrypted Tally", function () {
+    async function verdictOf(votes) {
+      const { platform, gateway, disputeId, arbitrators } = await deployWithPanel();
+      await castVotes(platform, disputeId, arbitrators, votes);
+      const { values } = await gateway.buildResponse(await gateway.getRequest(disputeId));
+      return values[0];
+    }
+
+    it("should return the plaintiff on a plaintiff majority", async function () {
+      expect(await verdictOf([1, 2, 1])).to.equal(1n);
+    });
+
+    it("should return the defendant on a defendant majority", async function () {
+      expect(await verdictOf([2, 2, 3])).to.equal(2n);
+    });
+
+    it("should return no winner on a neutral majority", async function () {
+      expect(await verdictOf([3, 1, 3])).to.equal(0n);
+    });
+
+    it("should return no winner on a three-way split", async function () {
+      expect(await verdictOf([1, 2, 3])).to.equal(0n);
+    });
+
+    it("should leave abstentions out of the count", async function () {
+      expect(await verdictOf([9, 9, 2])).to.equal(2n);
+      expect(await verdictOf([1, 0, 2])).to.equal(0n);
+    });
+  });
+
+  describe("Vote Privacy", function () {
+    // Handles of every ciphertext the platform asked the Gateway to decrypt
+    async function requestedHandles(platform) {
+      const address = (await platform.getAddress()).toLowerCase();
+      const events = await platform.queryFilter(platform.filters.DecryptionRequested());
+      const handles = [];
+      for (const event of events) {
+        const receipt = await event.getTransactionReceipt();
+        for (const request of fhevm.parseDecryptionRequestEvents(receipt.logs)) {
+          if (request.contractCallerAddress.toLowerCase() === address) {
+            handles.push(...request.handlesBytes32Hex);
+          }
+        }
+      }
+      return handles;
+    }
+
+    it("should never send an individual vote to the Gateway", async function () {
+      const { platform, gateway, plaintiff, disputeId, arbitrators } = await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 2]);
+      await gateway.fulfill(disputeId);
+      expect((await platform.getDisputeInfo(disputeId)).winner).to.equal(plaintiff.address);
+
+      const voteHandles = [];
+      for (const arbitrator of arbitrators) {
+        voteHandles.push((await platform.getVote(disputeId, arbitrator.address)).encryptedVote);
+      }
+
+      const requested = await requestedHandles(platform);
+      expect(requested).to.have.lengthOf(1);
+      expect(voteHandles).to.not.include(requested[0]);
+      expect(await fhevm.publicDecryptEuint(FhevmType.euint8, requested[0])).to.equal(1n);
+      for (const handle of voteHandles) {
+        await expect(fhevm.publicDecryptEuint(FhevmType.euint8, handle)).to.be.rejected;
+      }
+
+      // Who sided with the majority is only counted per arbitrator, and never made public
+      for (const arbitrator of arbitrators) {
+        const consensus = await platform.getConsensusCount(arbitrator.address);
+        await expect(fhevm.publicDecryptEuint(FhevmType.euint32, consensus)).to.be.rejected;
+      }
+    });
+
+    it("should keep votes undecryptable by the parties and the public after resolution", async function () {
+      const { platform, gateway, plaintiff, defendant, outsider, disputeId, arbitrators } =
+        await deployWithPanel();
+
+      await castVotes(platform, disputeId, arbitrators, [1, 1, 2]);
+      await gateway.fulfill(disputeId);
+
+      const { encryptedVote } = await platform.getVote(disputeId, arbitrators[2].address);
+      const address = await platform.getAddress();
+      for (const signer of [plaintiff, defendant, outsider]) {
+        await expect(fhevm.userDecryptEuint(FhevmType.euint8, encryptedVote, address, signer))
+          .to.be.rejected;
+      }
+      await expect(fhevm.publicDecryptEuint(FhevmType.euint8, encryptedVote)).to.be.rejected;
+    });
+  });
+});
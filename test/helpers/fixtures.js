@@ -0,0 +1,240 @@
+/**
+ * Shared test fixtures
+ * Deployment and dispute set-up used across the test suites. Encrypted inputs
+ * are produced by scripts/lib/fhevmInputs.js so every call matches the deployed ABI.
+ */
+
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  registerArbitrator,
+  createDispute,
+  respondToDispute,
+  submitVote,
+} = require("../../scripts/lib/fhevmInputs");
+const { getPlatformFactory, deployPlatformProxy } = require("../../scripts/lib/platform");
+const { LocalGateway } = require("../../scripts/lib/localGateway");
+
+const { ethers } = hre;
+
+const DEFAULT_STAKE = ethers.parseEther("0.001");
+const TOKEN_MIN_STAKE = ethers.parseUnits("10", 18);
+
+/**
+ * Deploy a fresh AnonymousArbitrationPlatform wired to a MockRandomnessCoordinator
+ * With `upgradeable` the platform runs behind a PlatformProxy and is returned at the
+ * proxy address.
+ */
+async function deployPlatform({ upgradeable = false } = {}) {
+  const Coordinator = await ethers.getContractFactory("MockRandomnessCoordinator");
+  const coordinator = await Coordinator.deploy();
+  await coordinator.waitForDeployment();
+
+  let platform;
+  if (upgradeable) {
+    ({ platform } = await deployPlatformProxy(hre));
+  } else {
+    const { factory } = await getPlatformFactory(hre);
+    platform = await factory.deploy();
+    await platform.waitForDeployment();
+  }
+  await platform.setRandomnessCoordinator(await coordinator.getAddress());
+
+  return platform;
+}
+
+/**
+ * Deploy a MockERC20, allowlist it on `platform` and fund `holders`
+ * Each holder is minted `balance` and approves the platform for all of it unless
+ * `approve` is false.
+ * @returns {Promise<import("ethers").Contract>} The token
+ */
+async function deployStakeToken(
+  platform,
+  holders,
+  { minStake = TOKEN_MIN_STAKE, balance = 1000n * TOKEN_MIN_STAKE, approve = true } = {}
+) {
+  const Token = await ethers.getContractFactory("MockERC20");
+  const token = await Token.deploy("Stake Token", "STK");
+  await token.waitForDeployment();
+  await platform.setStakeToken(await token.getAddress(), minStake);
+
+  for (const holder of holders) {
+    await token.mint(holder.address, balance);
+    if (approve) {
+      await token.connect(holder).approve(await platform.getAddress(), balance);
+    }
+  }
+  return token;
+}
+
+/**
+ * The MockRandomnessCoordinator a platform was deployed with
+ */
+async function getCoordinator(platform) {
+  return ethers.getContractAt("MockRandomnessCoordinator", await platform.randomnessCoordinator());
+}
+
+/**
+ * Let the evidence window of an answered dispute run out so a panel can be requested
+ */
+async function closeEvidencePeriod(platform, disputeId) {
+  const { evidenceDeadline } = await platform.getEvidence(disputeId);
+  if (evidenceDeadline >= BigInt(await time.latest())) {
+    await time.increaseTo(evidenceDeadline + 1n);
+  }
+}
+
+/**
+ * Request a panel for `disputeId` and answer the randomness request with `seed`
+ * The evidence window is closed first if it is still open.
+ * @returns {Promise<string[]>} Addresses of the assigned arbitrators
+ */
+async function requestPanel(platform, disputeId, seed = 42n) {
+  await closeEvidencePeriod(platform, disputeId);
+  await platform.assignArbitrators(disputeId);
+  const selection = await platform.getSelection(disputeId);
+  await (await getCoordinator(platform)).fulfill(selection.requestId, seed);
+
+  const events = await platform.queryFilter(platform.filters.ArbitratorsAssigned(disputeId));
+  return [...events[events.length - 1].args.arbitrators];
+}
+
+/**
+ * Register each signer as an arbitrator with identity proofs 11111, 22222, ...
+ */
+async function registerArbitrators(platform, signers) {
+  for (let i = 0; i < signers.length; i++) {
+    await registerArbitrator(hre, platform, signers[i], 11111 * (i + 1));
+  }
+}
+
+/**
+ * Total of the bonds held for every registered arbitrator
+ * Part of the platform balance that no pending balance accounts for.
+ */
+async function bondsHeld(platform) {
+  const { total } = await platform.getArbitratorCount();
+  const [page] = await platform.getArbitrators(0, total, false);
+
+  let held = 0n;
+  for (const { arbitrator } of page) {
+    held += (await platform.getArbitratorBond(arbitrator)).amount;
+  }
+  return held;
+}
+
+/**
+ * Open a dispute with the default encrypted stake (1000) and evidence hash (999888777)
+ * The panel has three arbitrators unless `panelSize` says otherwise (0 follows the stake tier).
+ * The defendant matches the deposit straight away unless `respond` is false.
+ * @returns {Promise<bigint>} The new dispute ID
+ */
+async function openDispute(platform, plaintiff, defendant, { respond = true, ...overrides } = {}) {
+  await createDispute(hre, platform, plaintiff, defendant, {
+    stakeAmount: 1000,
+    evidenceHash: 999888777,
+    value: DEFAULT_STAKE,
+    panelSize: 3,
+    ...overrides,
+  });
+  const disputeId = await platform.disputeCounter();
+  if (respond) {
+    await answerDispute(platform, defendant, disputeId);
+  }
+  return disputeId;
+}
+
+/**
+ * Answer `disputeId` as `defendant` with a deposit matching the plaintiff's
+ * A token deposit is pulled from the defendant's allowance, or with `permit`.
+ */
+async function answerDispute(platform, defendant, disputeId, { counterEvidence, permit } = {}) {
+  const [{ plaintiffStake }, token] = await Promise.all([
+    platform.getDisputeInfo(disputeId),
+    platform.getDisputeToken(disputeId),
+  ]);
+  return respondToDispute(hre, platform, defendant, disputeId, {
+    value: token === ethers.ZeroAddress ? plaintiffStake : 0n,
+    counterEvidence,
+    permit,
+  });
+}
+
+/**
+ * Seat a full panel on `disputeId`
+ * Registers the spare Hardhat accounts as the arbitrator pool, then draws the
+ * panel through the mock coordinator.
+ * @returns {Promise<import("ethers").Signer[]>} The seated arbitrators, in draw order
+ */
+async function seatPanel(platform, disputeId, seed = 42n) {
+  const pool = (await ethers.getSigners()).slice(10);
+  const registered = new Set(await platform.getActiveArbitrators());
+  await registerArbitrators(
+    platform,
+    pool.filter((signer) => !registered.has(signer.address))
+  );
+
+  const panel = await requestPanel(platform, disputeId, seed);
+  return panel.map((address) => pool.find((signer) => signer.address === address));
+}
+
+/**
+ * Deploy a fresh platform with an answered dispute and a seated panel
+ * Suites call this per test instead of reverting to a snapshot: reverting rewinds the
+ * chain behind the mock coprocessor, which then misses the handles of re-mined vote
+ * blocks. With `seat` false no panel is drawn, `upgradeable` goes to deployPlatform and
+ * any other option to openDispute.
+ * @returns {Promise<{platform, gateway, owner, plaintiff, defendant, relayer, outsider,
+ *   disputeId: bigint, arbitrators: import("ethers").Signer[], pool: import("ethers").Signer[]}>}
+ *   `gateway` answers decryptions as `relayer`; `pool` is every account seatPanel registers
+ */
+async function deployWithPanel({ seat = true, upgradeable = false, ...dispute } = {}) {
+  const signers = await ethers.getSigners();
+  const [owner, plaintiff, defendant, relayer, outsider] = signers;
+  const pool = signers.slice(10);
+
+  const platform = await deployPlatform({ upgradeable });
+  const gateway = new LocalGateway(hre, platform, relayer);
+  const disputeId = await openDispute(platform, plaintiff, defendant, dispute);
+  const arbitrators = seat ? await seatPanel(platform, disputeId) : [];
+
+  return { platform, gateway, owner, plaintiff, defendant, relayer, outsider, disputeId, arbitrators, pool };
+}
+
+/**
+ * Cast `votes[i]` from `arbitrators[i]`, encrypted client-side
+ */
+async function castVotes(platform, disputeId, arbitrators, votes) {
+  for (let i = 0; i < votes.length; i++) {
+    await submitVote(hre, platform, arbitrators[i], disputeId, { vote: votes[i], justification: 1000 + i });
+  }
+}
+
+/**
+ * Let the appeal window of a resolved dispute pass and release its held escrow
+ * @returns {Promise<import("ethers").TransactionReceipt>} Receipt of the releaseEscrow call
+ */
+async function closeAppealWindow(platform, disputeId) {
+  const { deadline } = await platform.getAppealInfo(disputeId);
+  await time.increaseTo(deadline + 1n);
+  return (await platform.releaseEscrow(disputeId)).wait();
+}
+
+module.exports = {
+  DEFAULT_STAKE,
+  TOKEN_MIN_STAKE,
+  deployPlatform,
+  deployStakeToken,
+  getCoordinator,
+  closeEvidencePeriod,
+  requestPanel,
+  registerArbitrators,
+  bondsHeld,
+  openDispute,
+  answerDispute,
+  seatPanel,
+  deployWithPanel,
+  castVotes,
+  closeAppealWindow,
+};